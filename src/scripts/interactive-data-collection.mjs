@@ -13,8 +13,9 @@ dotenv.config();
 
 // Import configuration and core functionality
 import NH_CONFIG from '../workers/nh-config.js';
-import { analyzeBill, ANALYSIS_CONFIG } from '../workers/bill-analysis.js';
+import { analyzeBill, normalizeImpactAnalysis, ANALYSIS_CONFIG } from '../workers/bill-analysis.js';
 import { updateAnalysisIfNeeded, storeAnalysisResults } from '../workers/analysis-storage.js';
+import { loadHighlightPolicy, evaluateHighlightPolicy, HIGHLIGHT_CONFIG } from '../workers/highlight-policy.js';
 
 // Initialize readline interface
 const rl = readline.createInterface({
@@ -456,6 +457,7 @@ async function processBillWithAnalysis(bill) {
             bill_id: bill.id,
             bill_identifier: bill.identifier,
             analysis_timestamp: new Date().toISOString(),
+            schema_version: ANALYSIS_CONFIG.SCHEMA_VERSION,
             analyses: {
               tax_impact: {
                 summary: "Simplified analysis - no tax impact detected",
@@ -480,6 +482,9 @@ async function processBillWithAnalysis(bill) {
             },
             content_hash: "simplified"
           };
+          for (const [type, impact] of Object.entries(analysis.analyses)) {
+            analysis.analyses[type] = normalizeImpactAnalysis({ ...impact, confidence: 'low' });
+          }
         } else {
           // Perform AI analysis
           analysis = await analyzeBill(bill, mockEnv);
@@ -521,11 +526,12 @@ async function processBillWithAnalysis(bill) {
       await mockEnv.NH_LEGISLATIVE_DATA.put(categoryKey, JSON.stringify(categoryBills));
     }
     
-    // Check if the bill should be highlighted
-    const shouldHighlight = checkIfShouldHighlight(analysis);
-    if (shouldHighlight) {
-      await confirmPrompt(`Add bill ${bill.identifier} to highlighted bills index?`);
-      await addBillToHighlightIndex(bill);
+    // Check if the bill should be highlighted under the same policy as the collector
+    const policy = await loadHighlightPolicy(mockEnv);
+    const decision = evaluateHighlightPolicy(policy, enhancedBill, analysis);
+    if (decision.highlighted) {
+      await confirmPrompt(`Add bill ${bill.identifier} to highlighted bills index (${decision.reasons.map(r => r.rule).join(', ')})?`);
+      await addBillToHighlightIndex(bill, decision.reasons);
     }
     
     console.log(`Completed processing and analysis for bill ${bill.identifier}`);
@@ -537,33 +543,11 @@ async function processBillWithAnalysis(bill) {
 }
 
 /**
- * Check if a bill should be highlighted based on its analysis
- */
-function checkIfShouldHighlight(analysis) {
-  if (!analysis || !analysis.analyses) return false;
-  
-  // Check for significant impacts in any category
-  const impactTypes = ['tax_impact', 'budget_impact', 'societal_impact'];
-  
-  for (const type of impactTypes) {
-    const impact = analysis.analyses[type];
-    if (impact && impact.summary && 
-        (impact.summary.toLowerCase().includes('significant') ||
-         impact.summary.toLowerCase().includes('major') ||
-         impact.summary.toLowerCase().includes('substantial'))) {
-      return true;
-    }
-  }
-  
-  return false;
-}
-
-/**
- * Add a bill to the highlight index
+ * Add a bill to the highlight index, recording why it qualifies
  */
-async function addBillToHighlightIndex(bill) {
+async function addBillToHighlightIndex(bill, reasons) {
   try {
-    const highlightKey = `index:highlighted_bills`;
+    const highlightKey = HIGHLIGHT_CONFIG.INDEX_KEY;
     stats.kvReads++;
     let highlightedBills = await mockEnv.NH_LEGISLATIVE_DATA.get(highlightKey, { type: 'json' }) || [];
     
@@ -573,6 +557,18 @@ async function addBillToHighlightIndex(bill) {
       await mockEnv.NH_LEGISLATIVE_DATA.put(highlightKey, JSON.stringify(highlightedBills));
       console.log(`Added bill ${bill.identifier} to highlighted bills index`);
     }
+    
+    // The API lists why each bill is highlighted from the details entry
+    stats.kvReads++;
+    const details = await mockEnv.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.DETAILS_KEY, { type: 'json' }) || {};
+    const now = new Date().toISOString();
+    details[bill.identifier] = {
+      reasons,
+      highlighted_at: details[bill.identifier]?.highlighted_at || now,
+      evaluated_at: now
+    };
+    stats.kvWrites++;
+    await mockEnv.NH_LEGISLATIVE_DATA.put(HIGHLIGHT_CONFIG.DETAILS_KEY, JSON.stringify(details));
   } catch (error) {
     console.error(`Error adding bill ${bill.identifier} to highlight index: ${error.message}`);
   }
@@ -628,11 +624,19 @@ async function generateAnalysisSummaries() {
       
       // Add summaries for each analysis type
       for (const type of Object.keys(analysisSummaries)) {
-        if (analysis.analyses[type] && analysis.analyses[type].summary) {
+        const impact = analysis.analyses[type];
+        if (impact && impact.summary) {
+          // Structured fields let dashboards sort and filter without reading the prose
           analysisSummaries[type].push({
             bill_id: billId,
             bill_title: bill.title,
-            summary: analysis.analyses[type].summary
+            summary: impact.summary,
+            score: impact.score,
+            direction: impact.direction ?? null,
+            dollar_range: impact.dollar_range ?? null,
+            confidence: impact.confidence ?? null,
+            affected_populations: impact.affected_populations || [],
+            fiscal_years: impact.fiscal_years || []
           });
         }
       }
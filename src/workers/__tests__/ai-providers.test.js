@@ -0,0 +1,86 @@
+// ai-providers.test.js
+// The deterministic mock provider, on its own and driving analyzeBill
+
+import { MockAIProvider, AI_PROVIDER_CONFIG_KEY, createAIProvider, resolveAnalysisProvider, loadAIProviderConfig } from '../ai-providers.js';
+import { IMPACT_RESPONSE_SCHEMA, IMPACT_DIRECTIONS, CONFIDENCE_LEVELS } from '../bill-analysis.js';
+import { createMockKV } from './helpers/mock-kv.js';
+
+const MOCK_SETTINGS = { type: 'mock', model: 'mock-deterministic', maxInputChars: 9000 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MockAIProvider', () => {
+  test('returns the same response for the same prompt', async () => {
+    const provider = new MockAIProvider('mock', MOCK_SETTINGS, {});
+
+    const first = await provider.run({ prompt: 'Analyze HB 1', schema: IMPACT_RESPONSE_SCHEMA });
+    const second = await provider.run({ prompt: 'Analyze HB 1', schema: IMPACT_RESPONSE_SCHEMA });
+    const other = await provider.run({ prompt: 'Analyze HB 2', schema: IMPACT_RESPONSE_SCHEMA });
+
+    expect(second).toEqual(first);
+    expect(other.response.summary).not.toBe(first.response.summary);
+  });
+
+  test('fills every schema field within its constraints', async () => {
+    const provider = new MockAIProvider('mock', MOCK_SETTINGS, {});
+
+    for (const prompt of ['a', 'b', 'c', 'd', 'e']) {
+      const { response } = await provider.run({ prompt, schema: IMPACT_RESPONSE_SCHEMA });
+
+      expect(Object.keys(response).sort()).toEqual(Object.keys(IMPACT_RESPONSE_SCHEMA.properties).sort());
+      expect(Number.isInteger(response.score)).toBe(true);
+      expect(response.score).toBeGreaterThanOrEqual(-5);
+      expect(response.score).toBeLessThanOrEqual(5);
+      expect(IMPACT_DIRECTIONS).toContain(response.direction);
+      expect(CONFIDENCE_LEVELS).toContain(response.confidence);
+      expect(response.dollar_range).toBeNull();
+      expect(Array.isArray(response.affected_populations)).toBe(true);
+      expect(typeof response.summary).toBe('string');
+    }
+  });
+
+  test('is created from the config and is always available', async () => {
+    const env = { NH_LEGISLATIVE_METADATA: createMockKV() };
+    const config = await loadAIProviderConfig(env);
+
+    const provider = createAIProvider('mock', config, env);
+
+    expect(provider).toBeInstanceOf(MockAIProvider);
+    expect(provider.isAvailable()).toBe(true);
+    expect(provider.describe()).toEqual({ provider: 'mock', type: 'mock', model: 'mock-deterministic' });
+    expect(resolveAnalysisProvider({ ...config, defaultProvider: 'mock' }, 'tax_impact', { identifier: 'HB 1' }, env).provider)
+      .toBeInstanceOf(MockAIProvider);
+  });
+});
+
+describe('analyzeBill with the mock provider', () => {
+  test('produces a normalized, repeatable analysis', async () => {
+    const env = {
+      NH_LEGISLATIVE_DATA: createMockKV(),
+      NH_LEGISLATIVE_METADATA: createMockKV({ [AI_PROVIDER_CONFIG_KEY]: { defaultProvider: 'mock' } })
+    };
+    const bill = { id: 'ocd-bill/1', identifier: 'HB 1', title: 'Relative to the state budget', abstracts: [] };
+
+    // A fresh module registry, so the provider config isn't the one cached by earlier tests
+    let analyzeBill;
+    await jest.isolateModulesAsync(async () => {
+      ({ analyzeBill } = await import('../bill-analysis.js'));
+    });
+
+    const first = await analyzeBill(bill, env, { dimensions: ['budget_impact'] });
+    const second = await analyzeBill(bill, env, { dimensions: ['budget_impact'] });
+
+    expect(first.providers.budget_impact).toMatchObject({ provider: 'mock', model: 'mock-deterministic' });
+    expect(first.analysis_errors).toEqual({});
+    expect(Object.keys(first.analyses)).toEqual(['budget_impact']);
+    expect(first.analyses.budget_impact.error).toBeUndefined();
+    expect(second.analyses.budget_impact.score).toBe(first.analyses.budget_impact.score);
+    expect(second.analyses.budget_impact.summary).toBe(first.analyses.budget_impact.summary);
+  });
+});
@@ -0,0 +1,86 @@
+// auth.test.js
+// Which admin requests requireScope writes to the audit log
+
+import { requireScope, createApiKey, AUTH_CONFIG } from '../auth.js';
+import { createMockKV } from './helpers/mock-kv.js';
+
+/**
+ * Run a request through requireScope
+ * @param {Object} env - Environment
+ * @param {string|null} authorization - Authorization header value
+ * @param {string} scope - Scope the route requires
+ * @returns {Promise<Response>} - Response
+ */
+async function call(env, authorization, scope = 'metrics:read') {
+  const headers = new Headers({ 'CF-Connecting-IP': '203.0.113.7' });
+  if (authorization) headers.set('Authorization', authorization);
+
+  const pending = [];
+  const ctx = {
+    route: '/api/admin/metrics',
+    state: {},
+    waitUntil: promise => pending.push(promise),
+    next: async () => new Response('{}', { status: 200 })
+  };
+  const response = await requireScope(scope)(new Request('https://api.example/api/admin/metrics', { headers }), env, ctx);
+  await Promise.all(pending);
+  return response;
+}
+
+/**
+ * Audit events written so far
+ * @param {Object} env - Environment
+ * @returns {Array<Object>} - Events
+ */
+function auditEvents(env) {
+  return [...env.NH_LEGISLATIVE_METADATA.data]
+    .filter(([key]) => key.startsWith(AUTH_CONFIG.AUDIT_PREFIX))
+    .map(([, value]) => JSON.parse(value));
+}
+
+describe('requireScope audit log', () => {
+  let env;
+
+  beforeEach(() => {
+    env = { API_KEY: 'root-secret', NH_LEGISLATIVE_METADATA: createMockKV() };
+  });
+
+  test.each([
+    ['no Authorization header', null],
+    ['a non-Bearer scheme', 'Basic dXNlcjpwYXNz'],
+    ['an empty Bearer token', 'Bearer  ']
+  ])('turns away %s without an audit record', async (_, authorization) => {
+    const response = await call(env, authorization);
+
+    expect(response.status).toBe(401);
+    expect(auditEvents(env)).toEqual([]);
+  });
+
+  test('records a denied request that presents an unknown key', async () => {
+    const response = await call(env, 'Bearer nhk_0123_4567');
+
+    expect(response.status).toBe(401);
+    expect(auditEvents(env)).toEqual([expect.objectContaining({
+      outcome: 'denied',
+      status: 401,
+      reason: 'Invalid API key',
+      key_id: null,
+      ip: '203.0.113.7'
+    })]);
+  });
+
+  test('records a valid key that lacks the scope', async () => {
+    const { token, key } = await createApiKey({ name: 'dashboard', scopes: ['metrics:read'] }, { key_id: 'root', name: 'root', scopes: ['*'] }, env);
+    const response = await call(env, `Bearer ${token}`, 'keys:manage');
+
+    expect(response.status).toBe(403);
+    expect(auditEvents(env)).toEqual([expect.objectContaining({ outcome: 'denied', status: 403, key_id: key.key_id })]);
+  });
+
+  test('records allowed requests', async () => {
+    const response = await call(env, 'Bearer root-secret');
+
+    expect(response.status).toBe(200);
+    expect(auditEvents(env)).toEqual([expect.objectContaining({ outcome: 'success', key_id: 'root', action: 'GET /api/admin/metrics' })]);
+  });
+});
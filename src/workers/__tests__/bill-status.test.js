@@ -0,0 +1,90 @@
+// bill-status.test.js
+// Floor votes parsed from NH action text, and the lifecycle derived from them
+
+import { classifyAction, parseFloorMotion, computeBillLifecycle } from '../bill-status.js';
+
+/**
+ * OpenStates action in a chamber
+ * @param {string} description - NH action text
+ * @param {string} chamber - 'lower' or 'upper'
+ * @param {string} date - Action date
+ * @returns {Object} - Action
+ */
+function action(description, chamber = 'lower', date = '2024-03-07') {
+  return { description, date, classification: [], organization: { classification: chamber } };
+}
+
+describe('floor votes', () => {
+  test.each([
+    ['Ought to Pass: MA RC 203-165 03/07/2024 HJ 7 P. 23', 'OTP', 'passed', 'floor_vote'],
+    ['Ought to Pass with Amendment 2024-0612h: MA VV 02/15/2024 HJ 5 P. 40', 'OTP/A', 'passed', 'floor_vote'],
+    ['Ought to Pass with Amendment 2024-0883s, MA, VV; OT3rdg; 03/14/2024; SJ 7', 'OTP/A', 'passed', 'floor_vote'],
+    ['Ought to Pass, MA, VV; Refer to Finance Rule 4-5; 02/15/2024; SJ 4', 'OTP', 'passed', 'floor_vote'],
+    ['Inexpedient to Legislate: MA VV 01/10/2024 HJ 1 P. 12', 'ITL', 'failed', 'failed'],
+    ['Inexpedient to Legislate: MF DV 170-190 01/10/2024 HJ 1 P. 12', 'ITL', 'motion_failed', 'floor_vote'],
+    ['Refer for Interim Study: MA VV 02/22/2024 HJ 6 P. 30', 'Interim Study', 'interim_study', 'floor_vote'],
+    ['Indefinitely Postpone (Rep. Hall): MA DV 200-160 05/02/2024 HJ 13 P. 8', 'Indefinitely Postpone', 'failed', 'failed']
+  ])('%s decides the bill', (description, motion, result, state) => {
+    const events = classifyAction(action(description));
+
+    expect(parseFloorMotion(action(description))).toBe(motion);
+    expect(events).toContainEqual(expect.objectContaining({ state, motion, result }));
+  });
+
+  test.each([
+    'Lay on Table (Rep. Smith): MA DV 190-180 03/14/2024 HJ 8 P. 25',
+    'Take off Table (Rep. Jones): MF DV 150-200 04/11/2024 HJ 11 P. 6',
+    'Special Order to 03/21/2024 (Rep. Osborne): MA DV 185-170 03/14/2024 HJ 8 P. 30',
+    'Refer to Committee on Finance (Rep. Edwards): MA DV 195-175 03/14/2024 HJ 8 P. 31',
+    'Re-refer to Committee (Rep. Weyler): MA VV 01/18/2024 HJ 2 P. 15',
+    'Reconsider (Rep. Smith): MF DV 150-210 03/21/2024 HJ 9 P. 4',
+    'Sen. Bradley Moved Laid on the Table, MA, VV; 03/14/2024; SJ 7',
+    'Floor Amendment #2024-1123h (Rep. Love): MA DV 188-181 03/07/2024 HJ 7 P. 20'
+  ])('%s is not a floor vote on the bill', description => {
+    expect(parseFloorMotion(action(description))).toBeNull();
+    expect(classifyAction(action(description)).some(event => event.state === 'floor_vote')).toBe(false);
+  });
+
+  test('veto overrides count whatever the text says', () => {
+    const override = { ...action('Veto Sustained: MF RC 180-190'), classification: ['veto-override-failure'] };
+    expect(classifyAction(override)).toContainEqual(expect.objectContaining({ state: 'vetoed', result: 'veto_sustained' }));
+  });
+});
+
+describe('computeBillLifecycle', () => {
+  const introduced = [
+    action('Introduced 01/03/2024 and referred to Ways and Means HJ 1 P. 3', 'lower', '2024-01-03'),
+    action('Committee Report: Ought to Pass, 02/01/2024, Vote 12-8; HC 8 P. 3', 'lower', '2024-02-01')
+  ];
+
+  test('a tabled bill stays where the committee report left it', () => {
+    const lifecycle = computeBillLifecycle({
+      from_organization: { classification: 'lower' },
+      actions: [
+        ...introduced,
+        action('Lay on Table (Rep. Smith): MA DV 190-180 02/08/2024 HJ 4 P. 25', 'lower', '2024-02-08'),
+        action('Introduced 03/01/2024 and Referred to Ways and Means; SJ 6', 'upper', '2024-03-01')
+      ]
+    });
+
+    expect(lifecycle.timeline.map(event => event.state)).not.toContain('crossover');
+    expect(lifecycle.timeline.map(event => event.state)).not.toContain('floor_vote');
+  });
+
+  test('a bill crosses over after its chamber passes it', () => {
+    const lifecycle = computeBillLifecycle({
+      from_organization: { classification: 'lower' },
+      actions: [
+        ...introduced,
+        action('Lay on Table (Rep. Smith): MF DV 180-190 02/08/2024 HJ 4 P. 25', 'lower', '2024-02-08'),
+        action('Ought to Pass: MA RC 203-165 02/08/2024 HJ 4 P. 26', 'lower', '2024-02-08'),
+        action('Introduced 03/01/2024 and Referred to Ways and Means; SJ 6', 'upper', '2024-03-01')
+      ]
+    });
+
+    expect(lifecycle.timeline.map(event => event.state)).toEqual(
+      ['introduced', 'referred', 'committee_report', 'floor_vote', 'crossover', 'referred']
+    );
+    expect(lifecycle.status).toBe('referred');
+  });
+});
@@ -0,0 +1,98 @@
+// committee-tracking.test.js
+// Floor dispositions of committee reports and whether the floor overturned them
+
+import { extractCommitteeReports } from '../committee-tracking.js';
+
+/**
+ * OpenStates action in the House
+ * @param {string} description - NH action text
+ * @param {string} date - Action date
+ * @returns {Object} - Action
+ */
+function action(description, date = '2024-02-08') {
+  return { description, date, classification: [], organization: { classification: 'lower' } };
+}
+
+/**
+ * The majority report of a bill reported out of Ways and Means, followed by floor actions
+ * @param {string} report - Committee report text
+ * @param {Array<string>} floor - Floor action texts
+ * @returns {Object} - The extracted majority report
+ */
+function reportWithFloor(report, floor) {
+  const bill = {
+    identifier: 'HB 1234',
+    from_organization: { classification: 'lower' },
+    actions: [
+      action('Introduced 01/03/2024 and referred to Ways and Means HJ 1 P. 3', '2024-01-03'),
+      action(report, '2024-02-01'),
+      ...floor.map(text => action(text))
+    ]
+  };
+  return extractCommitteeReports(bill).find(r => !r.minority);
+}
+
+const LAY_ON_TABLE = 'Lay on Table (Rep. Smith): MA DV 190-180 02/08/2024 HJ 4 P. 25';
+const TAKE_OFF_TABLE = 'Take off Table (Rep. Jones): MA DV 185-175 02/15/2024 HJ 5 P. 6';
+const SPECIAL_ORDER = 'Special Order to 02/22/2024 (Rep. Osborne): MA DV 185-170 02/08/2024 HJ 4 P. 30';
+
+describe('extractCommitteeReports floor disposition', () => {
+  test.each([
+    ['OTP', 'Committee Report: Ought to Pass, 02/01/2024, Vote 12-8; HC 8 P. 3', 'Ought to Pass: MA RC 203-165 02/08/2024 HJ 4 P. 26', 'passed'],
+    ['OTP/A', 'Committee Report: Ought to Pass with Amendment #2024-0123h, 02/01/2024, Vote 12-8; HC 8 P. 3', 'Ought to Pass with Amendment 2024-0123h: MA VV 02/08/2024 HJ 4 P. 26', 'passed'],
+    ['ITL', 'Committee Report: Inexpedient to Legislate, 02/01/2024, Vote 14-6; HC 8 P. 4', 'Inexpedient to Legislate: MA VV 02/08/2024 HJ 4 P. 26', 'failed'],
+    ['Interim Study', 'Committee Report: Referred to Interim Study, 02/01/2024, Vote 19-0; HC 8 P. 5', 'Refer for Interim Study: MA VV 02/08/2024 HJ 4 P. 26', 'interim_study']
+  ])('%s report carried out by the floor', (recommendation, report, vote, result) => {
+    for (const floor of [[vote], [LAY_ON_TABLE, TAKE_OFF_TABLE, vote], [SPECIAL_ORDER, vote]]) {
+      const extracted = reportWithFloor(report, floor);
+
+      expect(extracted.recommendation).toBe(recommendation);
+      expect(extracted.floor).toMatchObject({ result, action: vote });
+      expect(extracted.overturned).toBe(false);
+    }
+  });
+
+  test.each([
+    ['OTP', 'Committee Report: Ought to Pass, 02/01/2024, Vote 12-8; HC 8 P. 3', 'Indefinitely Postpone (Rep. Hall): MA DV 200-160 02/08/2024 HJ 4 P. 26', 'failed'],
+    ['OTP/A', 'Committee Report: Ought to Pass with Amendment #2024-0123h, 02/01/2024, Vote 12-8; HC 8 P. 3', 'Inexpedient to Legislate: MA DV 190-170 02/08/2024 HJ 4 P. 26', 'failed'],
+    ['ITL', 'Committee Report: Inexpedient to Legislate, 02/01/2024, Vote 14-6; HC 8 P. 4', 'Ought to Pass: MA RC 190-180 02/08/2024 HJ 4 P. 26', 'passed'],
+    ['Interim Study', 'Committee Report: Referred to Interim Study, 02/01/2024, Vote 19-0; HC 8 P. 5', 'Ought to Pass: MA VV 02/08/2024 HJ 4 P. 26', 'passed']
+  ])('%s report overturned by the floor', (recommendation, report, vote, result) => {
+    for (const floor of [[vote], [LAY_ON_TABLE, TAKE_OFF_TABLE, vote]]) {
+      const extracted = reportWithFloor(report, floor);
+
+      expect(extracted.floor).toMatchObject({ result, action: vote });
+      expect(extracted.overturned).toBe(true);
+    }
+  });
+
+  test('a procedural motion alone is not a disposition', () => {
+    const extracted = reportWithFloor('Committee Report: Inexpedient to Legislate, 02/01/2024, Vote 14-6; HC 8 P. 4', [LAY_ON_TABLE]);
+
+    expect(extracted.floor).toBeNull();
+    expect(extracted.overturned).toBeNull();
+  });
+
+  test('rejecting the recommended motion overturns the report', () => {
+    const report = 'Committee Report: Inexpedient to Legislate, 02/01/2024, Vote 14-6; HC 8 P. 4';
+    const failedItl = 'Inexpedient to Legislate: MF DV 170-190 02/08/2024 HJ 4 P. 26';
+
+    const pending = reportWithFloor(report, [failedItl]);
+    expect(pending.floor).toMatchObject({ motion: 'ITL', result: 'motion_failed' });
+    expect(pending.overturned).toBe(true);
+
+    const passed = reportWithFloor(report, [failedItl, LAY_ON_TABLE, 'Ought to Pass: MA DV 190-170 02/15/2024 HJ 5 P. 8']);
+    expect(passed.floor).toMatchObject({ motion: 'OTP', result: 'passed' });
+    expect(passed.overturned).toBe(true);
+  });
+
+  test('a failed substitute motion does not overturn the report', () => {
+    const extracted = reportWithFloor('Committee Report: Inexpedient to Legislate, 02/01/2024, Vote 14-6; HC 8 P. 4', [
+      'Ought to Pass (Rep. Love): MF DV 160-200 02/08/2024 HJ 4 P. 26',
+      'Inexpedient to Legislate: MA VV 02/08/2024 HJ 4 P. 27'
+    ]);
+
+    expect(extracted.floor).toMatchObject({ motion: 'ITL', result: 'failed' });
+    expect(extracted.overturned).toBe(false);
+  });
+});
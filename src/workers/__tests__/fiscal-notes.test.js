@@ -0,0 +1,149 @@
+// fiscal-notes.test.js
+// Parsing LBA fiscal notes and comparing them with the AI's tax and budget directions
+
+import { parseFiscalNote, compareWithFiscalNote } from '../fiscal-notes.js';
+
+const STATE_AND_LOCAL_NOTE = `
+FISCAL IMPACT:      [ X ] State              [ ] County               [ X ] Local              [ ] None
+
+                                                Estimated Increase / (Decrease)
+STATE:                  FY 2025           FY 2026           FY 2027           FY 2028
+   Appropriation        $0                $0                $0                $0
+   Revenue              ($1,200,000)      ($2,400,000)      ($2,500,000)      ($2,600,000)
+   Expenditures         $125,000          $50,000           $52,000           $54,000
+   Funding Source:      [ X ] General     [ ] Education     [ ] Highway       [ ] Other
+
+LOCAL:
+   Revenue              Indeterminable Increase
+   Expenditures         $0                $0                $0                $0
+
+METHODOLOGY:
+Revenue from the tax is deposited in the general fund. The Department of Revenue Administration
+estimates the change will reduce collections by $1.2 million in FY 2025.
+Expenditures for the new position are $125,000 in FY 2025 and roughly $50,000 per year thereafter.
+`;
+
+const NO_IMPACT_NOTE = `
+FISCAL IMPACT:      [    ] State              [    ] County               [    ] Local              [ X ] None
+
+METHODOLOGY:
+This bill makes technical corrections and has no fiscal impact.
+`;
+
+/**
+ * Analysis with the given tax and budget directions
+ * @param {string|null} tax - Tax impact direction
+ * @param {string|null} budget - Budget impact direction
+ * @returns {Object} - Analysis record
+ */
+function analysisWith(tax, budget) {
+  return {
+    analysis_timestamp: '2025-02-01T00:00:00.000Z',
+    analyses: {
+      tax_impact: { direction: tax, score: tax === 'decrease' ? -3 : tax === 'increase' ? 3 : 0 },
+      budget_impact: { direction: budget, score: budget === 'increase' ? 2 : budget === 'decrease' ? -2 : 0 }
+    }
+  };
+}
+
+describe('parseFiscalNote', () => {
+  const note = parseFiscalNote(STATE_AND_LOCAL_NOTE);
+
+  test('reads the checked levels of government', () => {
+    expect(note.fiscal_impact).toEqual(['state', 'local']);
+    expect(note.fiscal_years).toEqual([2025, 2026, 2027, 2028]);
+  });
+
+  test('files rows under the STATE: and LOCAL: prefixes', () => {
+    expect(Object.keys(note.estimates).sort()).toEqual(['local', 'state']);
+    expect(Object.keys(note.estimates.state).sort()).toEqual(['appropriation', 'expenditures', 'revenue']);
+    expect(Object.keys(note.estimates.local).sort()).toEqual(['expenditures', 'revenue']);
+  });
+
+  test('reads "(amount)" as a decrease', () => {
+    expect(note.estimates.state.revenue).toEqual([
+      { fiscal_year: 2025, text: '($1,200,000)', amount: -1200000, direction: 'decrease' },
+      { fiscal_year: 2026, text: '($2,400,000)', amount: -2400000, direction: 'decrease' },
+      { fiscal_year: 2027, text: '($2,500,000)', amount: -2500000, direction: 'decrease' },
+      { fiscal_year: 2028, text: '($2,600,000)', amount: -2600000, direction: 'decrease' }
+    ]);
+    expect(note.estimates.state.expenditures[0]).toMatchObject({ amount: 125000, direction: 'increase' });
+    expect(note.estimates.state.appropriation.every(entry => entry.amount === 0 && entry.direction === 'neutral')).toBe(true);
+  });
+
+  test('spreads a single "Indeterminable Increase" cell over every year', () => {
+    expect(note.estimates.local.revenue).toEqual([2025, 2026, 2027, 2028].map(fiscalYear => ({
+      fiscal_year: fiscalYear,
+      text: 'Indeterminable Increase',
+      amount: null,
+      direction: 'increase'
+    })));
+  });
+
+  test('ignores methodology prose that starts with a row label', () => {
+    // "Revenue from the tax..." and "Expenditures for the new position..." would otherwise
+    // replace the LOCAL table rows read above them
+    expect(note.estimates.local.revenue).toHaveLength(4);
+    expect(note.estimates.local.expenditures.every(entry => entry.amount === 0)).toBe(true);
+  });
+
+  test('reads "[ X ] None" without an estimate table', () => {
+    const none = parseFiscalNote(NO_IMPACT_NOTE);
+
+    expect(none.fiscal_impact).toEqual(['none']);
+    expect(none.estimates).toEqual({});
+  });
+});
+
+describe('compareWithFiscalNote', () => {
+  const note = { ...parseFiscalNote(STATE_AND_LOCAL_NOTE), source: { url: 'https://gc.nh.gov/fiscal-note.html' } };
+
+  test('agrees when the directions match', () => {
+    // State revenue falls while local revenue rises by an indeterminable amount; the stated total decides
+    const check = compareWithFiscalNote(note, analysisWith('decrease', 'increase'));
+
+    expect(check.has_disagreement).toBe(false);
+    expect(check.dimensions.tax_impact).toMatchObject({ agrees: true, official: { direction: 'decrease', row: 'revenue', total: -8700000 } });
+    expect(check.dimensions.budget_impact).toMatchObject({ agrees: true, official: { direction: 'increase', row: 'expenditures' } });
+    expect(check.fiscal_note_url).toBe('https://gc.nh.gov/fiscal-note.html');
+  });
+
+  test('flags opposite directions as contradicts', () => {
+    const check = compareWithFiscalNote(note, analysisWith('increase', 'increase'));
+
+    expect(check.flags).toEqual([expect.objectContaining({
+      dimension: 'tax_impact',
+      disagreement: 'contradicts',
+      official_direction: 'decrease',
+      ai_direction: 'increase',
+      message: 'Fiscal note estimates revenue will decrease, but the tax_impact analysis says increase'
+    })]);
+  });
+
+  test('flags a change the AI calls neutral as missed', () => {
+    const check = compareWithFiscalNote(note, analysisWith('decrease', 'neutral'));
+
+    expect(check.flags).toEqual([expect.objectContaining({ dimension: 'budget_impact', disagreement: 'missed' })]);
+  });
+
+  test('flags a change the note does not estimate as unsupported', () => {
+    const none = parseFiscalNote(NO_IMPACT_NOTE);
+    const check = compareWithFiscalNote(none, analysisWith('increase', 'neutral'));
+
+    expect(check.flags).toEqual([expect.objectContaining({
+      dimension: 'tax_impact',
+      disagreement: 'unsupported',
+      official_direction: 'neutral',
+      message: 'Fiscal note reports no fiscal impact, but the tax_impact analysis says increase'
+    })]);
+    expect(check.dimensions.budget_impact.agrees).toBe(true);
+  });
+
+  test('does not judge dimensions without a direction on either side', () => {
+    const check = compareWithFiscalNote({ fiscal_impact: ['state'], estimates: {} }, analysisWith(null, 'increase'));
+
+    expect(check.has_disagreement).toBe(false);
+    expect(check.dimensions.tax_impact.agrees).toBeNull();
+    expect(check.dimensions.budget_impact.agrees).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+// mock-kv.js
+// Map-backed stand-in for a KV namespace, shared by the worker tests
+
+/**
+ * Create a KV namespace binding backed by a Map
+ * Values are kept as strings like KV does; list pages through keys in sorted order
+ * @param {Object} entries - Initial values, stored as JSON
+ * @returns {Object} - KV binding with get, put, delete and list, plus the backing `data` Map
+ */
+export function createMockKV(entries = {}) {
+  const data = new Map(Object.entries(entries).map(([key, value]) => [key, JSON.stringify(value)]));
+  const metadata = new Map();
+
+  return {
+    data,
+    async get(key, options) {
+      const value = data.has(key) ? data.get(key) : null;
+      const type = typeof options === 'string' ? options : options?.type;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value, options = {}) {
+      data.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+      if (options.metadata) metadata.set(key, options.metadata);
+    },
+    async delete(key) {
+      data.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const names = [...data.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const keys = names.slice(start, start + limit).map(name => ({ name, metadata: metadata.get(name) }));
+      const complete = start + limit >= names.length;
+      return { keys, list_complete: complete, cursor: complete ? undefined : String(start + limit) };
+    }
+  };
+}
@@ -0,0 +1,190 @@
+// highlight-policy.test.js
+// Which bills the highlight policy puts on the front page, and keeping the index in step with it
+
+import {
+  evaluateHighlightPolicy,
+  updateBillHighlight,
+  sweepHighlights,
+  HIGHLIGHT_CONFIG,
+  HIGHLIGHT_POLICY_DEFAULTS
+} from '../highlight-policy.js';
+import { ANALYSIS_CONFIG } from '../bill-analysis.js';
+import { BILL_INDEX_CONFIG } from '../bill-index.js';
+import { createMockKV } from './helpers/mock-kv.js';
+
+/**
+ * Stored bill
+ * @param {string} identifier - Bill identifier
+ * @param {Object} fields - Fields to set on the bill
+ * @returns {Object} - Bill as stored under bill:<identifier>
+ */
+function bill(identifier, fields = {}) {
+  return {
+    id: `ocd-bill/${identifier}`,
+    identifier,
+    title: `Bill ${identifier}`,
+    nh_category: 'taxation',
+    nh_status: 'committee_report',
+    nh_analysis_key: `nh-${identifier.replace(' ', '-').toLowerCase()}-ai-analysis`,
+    actions: [],
+    ...fields
+  };
+}
+
+/**
+ * Analysis with the given impacts
+ * @param {Object} analyses - Impact per dimension
+ * @returns {Object} - Stored analysis
+ */
+function analysis(analyses) {
+  return { schema_version: ANALYSIS_CONFIG.SCHEMA_VERSION, analyses };
+}
+
+const SIGNIFICANT = analysis({ tax_impact: { score: 4, direction: 'increase', confidence: 'high', dollar_range: null } });
+const MINOR = analysis({ tax_impact: { score: 1, direction: 'increase', confidence: 'high', dollar_range: null } });
+const DEFAULT_POLICY = { rules: HIGHLIGHT_POLICY_DEFAULTS.rules, source: 'default' };
+
+let now = Date.UTC(2025, 0, 1);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Each test moves past the policy cache so it reads its own rule document
+  now += HIGHLIGHT_CONFIG.CACHE_MS + 1;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('evaluateHighlightPolicy', () => {
+  test('highlights a significant impact under the default rules', () => {
+    expect(evaluateHighlightPolicy(DEFAULT_POLICY, bill('HB 1'), SIGNIFICANT)).toEqual({
+      highlighted: true,
+      reasons: [{ rule: 'significant-impact', reason: 'Significant tax, budget or societal impact', dimension: 'tax_impact' }],
+      excluded_by: null
+    });
+    expect(evaluateHighlightPolicy(DEFAULT_POLICY, bill('HB 1'), MINOR).highlighted).toBe(false);
+  });
+
+  test('an exclude rule wins over any include rule, wherever it is listed', () => {
+    const exclude = { id: 'blocked', action: 'exclude', conditions: { bills: ['HB 1'] } };
+    const include = { id: 'pinned', conditions: { bills: ['HB 1'] } };
+
+    for (const rules of [[include, exclude], [exclude, include], [...DEFAULT_POLICY.rules, exclude]]) {
+      expect(evaluateHighlightPolicy({ rules }, bill('HB 1'), SIGNIFICANT)).toEqual({
+        highlighted: false,
+        reasons: [],
+        excluded_by: 'blocked'
+      });
+    }
+    // Bills the exclude rule doesn't match are unaffected
+    expect(evaluateHighlightPolicy({ rules: [include, exclude] }, bill('HB 2'), SIGNIFICANT).highlighted).toBe(false);
+    expect(evaluateHighlightPolicy({ rules: [...DEFAULT_POLICY.rules, exclude] }, bill('HB 2'), SIGNIFICANT).highlighted).toBe(true);
+  });
+
+  test('impact conditions must all hold for the same dimension', () => {
+    const rule = {
+      id: 'big-tax-cut',
+      conditions: { dimensions: ['tax_impact', 'budget_impact'], minAbsScore: 3, directions: ['decrease'] }
+    };
+    // A strong tax increase and a mild budget decrease each meet only one condition
+    const split = analysis({
+      tax_impact: { score: 4, direction: 'increase', confidence: 'high' },
+      budget_impact: { score: -1, direction: 'decrease', confidence: 'high' }
+    });
+    const together = analysis({
+      tax_impact: { score: 1, direction: 'increase', confidence: 'high' },
+      budget_impact: { score: -4, direction: 'decrease', confidence: 'high' }
+    });
+
+    expect(evaluateHighlightPolicy({ rules: [rule] }, bill('HB 1'), split).highlighted).toBe(false);
+    expect(evaluateHighlightPolicy({ rules: [rule] }, bill('HB 1'), together).reasons).toEqual([
+      { rule: 'big-tax-cut', reason: 'big-tax-cut', dimension: 'budget_impact' }
+    ]);
+  });
+
+  test('bill conditions and impact conditions must both hold', () => {
+    const rule = { id: 'enrolled-impact', conditions: { statuses: ['enrolled'], minAbsScore: 3 } };
+
+    expect(evaluateHighlightPolicy({ rules: [rule] }, bill('HB 1'), SIGNIFICANT).highlighted).toBe(false);
+    expect(evaluateHighlightPolicy({ rules: [rule] }, bill('HB 1', { nh_status: 'enrolled' }), SIGNIFICANT).highlighted).toBe(true);
+  });
+});
+
+describe('updateBillHighlight', () => {
+  test('adds a qualifying bill with its reasons and removes it once it stops qualifying', async () => {
+    const env = { NH_LEGISLATIVE_DATA: createMockKV(), NH_LEGISLATIVE_METADATA: createMockKV() };
+
+    await updateBillHighlight(bill('HB 1'), SIGNIFICANT, env);
+    await updateBillHighlight(bill('HB 2'), SIGNIFICANT, env);
+    expect(await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, 'json')).toEqual(['HB 1', 'HB 2']);
+    expect((await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.DETAILS_KEY, 'json'))['HB 1'].reasons[0].rule).toBe('significant-impact');
+
+    const decision = await updateBillHighlight(bill('HB 1'), MINOR, env);
+
+    expect(decision.highlighted).toBe(false);
+    expect(await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, 'json')).toEqual(['HB 2']);
+    expect(await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.DETAILS_KEY, 'json')).not.toHaveProperty(['HB 1']);
+  });
+});
+
+describe('sweepHighlights', () => {
+  /**
+   * Environment with stored bills, their analyses and the bill index
+   * @param {Object} analyses - Analysis per bill identifier
+   * @returns {Object} - Environment
+   */
+  function sweepEnv(analyses) {
+    const data = createMockKV();
+    const bills = Object.keys(analyses).map(identifier => bill(identifier));
+    for (const stored of bills) {
+      data.data.set(`bill:${stored.identifier}`, JSON.stringify(stored));
+      data.data.set(stored.nh_analysis_key, JSON.stringify(analyses[stored.identifier]));
+    }
+    data.data.set(BILL_INDEX_CONFIG.INDEX_KEY, JSON.stringify(bills.map(b => ({ identifier: b.identifier }))));
+    return { NH_LEGISLATIVE_DATA: data, NH_LEGISLATIVE_METADATA: createMockKV() };
+  }
+
+  test('resumes after the last identifier evaluated', async () => {
+    const env = sweepEnv({ 'HB 1': SIGNIFICANT, 'HB 2': MINOR, 'HB 3': SIGNIFICANT, 'HB 4': SIGNIFICANT, 'HB 5': MINOR });
+
+    expect(await sweepHighlights(env, { maxBills: 2 })).toMatchObject({ evaluated: 2, added: 1, complete: false });
+    expect((await env.NH_LEGISLATIVE_METADATA.get(HIGHLIGHT_CONFIG.SWEEP_STATE_KEY, 'json')).last_identifier).toBe('HB 2');
+
+    expect(await sweepHighlights(env, { maxBills: 2 })).toMatchObject({ evaluated: 2, added: 2, complete: false });
+    expect(await sweepHighlights(env, { maxBills: 2 })).toMatchObject({ evaluated: 1, added: 0, complete: true });
+    expect(await sweepHighlights(env, { maxBills: 2 })).toEqual({ evaluated: 0, added: 0, removed: 0, complete: true });
+
+    expect(await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, 'json')).toEqual(['HB 1', 'HB 3', 'HB 4']);
+  });
+
+  test('removes highlighted bills that no longer qualify or no longer exist', async () => {
+    const env = sweepEnv({ 'HB 1': MINOR });
+    env.NH_LEGISLATIVE_DATA.data.set(HIGHLIGHT_CONFIG.INDEX_KEY, JSON.stringify(['HB 1', 'HB 9']));
+
+    expect(await sweepHighlights(env)).toMatchObject({ evaluated: 2, removed: 2, complete: true });
+    expect(await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, 'json')).toEqual([]);
+  });
+
+  test('starts over when the policy changes', async () => {
+    const env = sweepEnv({ 'HB 1': SIGNIFICANT, 'HB 2': MINOR, 'HB 3': SIGNIFICANT });
+
+    await sweepHighlights(env, { maxBills: 2 });
+    const first = await env.NH_LEGISLATIVE_METADATA.get(HIGHLIGHT_CONFIG.SWEEP_STATE_KEY, 'json');
+
+    // Editors block HB 1 mid-sweep
+    await env.NH_LEGISLATIVE_METADATA.put(HIGHLIGHT_CONFIG.POLICY_KEY, JSON.stringify({
+      rules: [...HIGHLIGHT_POLICY_DEFAULTS.rules, { id: 'blocked', action: 'exclude', conditions: { bills: ['HB 1'] } }]
+    }));
+    now += HIGHLIGHT_CONFIG.CACHE_MS + 1;
+
+    expect(await sweepHighlights(env, { maxBills: 2 })).toMatchObject({ evaluated: 2, removed: 1, complete: false });
+    const restarted = await env.NH_LEGISLATIVE_METADATA.get(HIGHLIGHT_CONFIG.SWEEP_STATE_KEY, 'json');
+    expect(restarted.policy_hash).not.toBe(first.policy_hash);
+    expect(restarted).toMatchObject({ last_identifier: 'HB 2', evaluated: 2 });
+
+    expect(await sweepHighlights(env, { maxBills: 2 })).toMatchObject({ evaluated: 1, added: 1, complete: true });
+    expect(await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, 'json')).toEqual(['HB 3']);
+  });
+});
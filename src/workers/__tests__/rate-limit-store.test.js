@@ -0,0 +1,215 @@
+// rate-limit-store.test.js
+// Sliding-window counters, the rate limiter Durable Object and the KV fallback
+
+import {
+  slidingWindowHit,
+  KVRateLimitStore,
+  DurableObjectRateLimitStore,
+  RateLimiterDurableObject,
+  LocalDurableObjectNamespace,
+  createRateLimitStore
+} from '../rate-limit-store.js';
+import { createMockKV } from './helpers/mock-kv.js';
+
+/**
+ * Namespace whose objects can't be reached
+ * @returns {Object} - Durable Object namespace binding that always fails
+ */
+function createUnreachableNamespace() {
+  return {
+    idFromName: name => name,
+    get: () => ({
+      fetch: async () => {
+        throw new Error('Durable Object unreachable');
+      }
+    })
+  };
+}
+
+describe('slidingWindowHit', () => {
+  const windowMs = 60 * 1000;
+  const start = 100 * windowMs;
+
+  test('allows requests up to the limit and rejects the next', () => {
+    let record = null;
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      const result = slidingWindowHit(record, start + i, 3, 60);
+      record = result.record;
+      results.push(result.allowed);
+    }
+
+    expect(results).toEqual([true, true, true, false]);
+    expect(record.count).toBe(3);
+  });
+
+  test('rejected requests do not consume capacity', () => {
+    let record = { window_start: start, count: 3, previous_count: 0 };
+    for (let i = 0; i < 5; i++) {
+      record = slidingWindowHit(record, start + 10, 3, 60).record;
+    }
+
+    expect(record.count).toBe(3);
+  });
+
+  test('weights the previous window by how much of it still overlaps', () => {
+    const full = { window_start: start, count: 10, previous_count: 0 };
+
+    // A quarter into the next window, three quarters of the previous 10 requests still count
+    const early = slidingWindowHit(full, start + windowMs + windowMs / 4, 10, 60);
+    expect(early.allowed).toBe(true);
+    expect(early.remaining).toBe(1);
+
+    // Right at the start of the next window all 10 still count
+    expect(slidingWindowHit(full, start + windowMs, 10, 60).allowed).toBe(false);
+  });
+
+  test('forgets counts once two windows have passed', () => {
+    const full = { window_start: start, count: 10, previous_count: 10 };
+    const result = slidingWindowHit(full, start + 2 * windowMs, 10, 60);
+
+    expect(result.allowed).toBe(true);
+    expect(result.record).toEqual({ window_start: start + 2 * windowMs, count: 1, previous_count: 0 });
+    expect(result.remaining).toBe(9);
+  });
+
+  test('reports the end of the current window as the reset time', () => {
+    const result = slidingWindowHit(null, start + 5000, 10, 60);
+    expect(result.reset).toBe((start + windowMs) / 1000);
+  });
+});
+
+describe('RateLimiterDurableObject', () => {
+  test('admits exactly the limit when hits arrive concurrently', async () => {
+    const store = new DurableObjectRateLimitStore(new LocalDurableObjectNamespace(RateLimiterDurableObject));
+
+    const results = await Promise.all(Array.from({ length: 20 }, () => store.hit('rate_limit:search:1.2.3.4', 5, 60)));
+
+    expect(results.filter(r => r.allowed)).toHaveLength(5);
+    expect(results.filter(r => !r.allowed)).toHaveLength(15);
+  });
+
+  test('keeps separate counters per key', async () => {
+    const store = new DurableObjectRateLimitStore(new LocalDurableObjectNamespace(RateLimiterDurableObject));
+
+    await Promise.all(Array.from({ length: 5 }, () => store.hit('rate_limit:search:1.1.1.1', 5, 60)));
+    const other = await store.hit('rate_limit:search:2.2.2.2', 5, 60);
+
+    expect(other).toMatchObject({ allowed: true, remaining: 4 });
+  });
+
+  test('counts requests again once the window has expired', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000 * 60 * 1000);
+    try {
+      const store = new DurableObjectRateLimitStore(new LocalDurableObjectNamespace(RateLimiterDurableObject));
+
+      await Promise.all(Array.from({ length: 3 }, () => store.hit('key', 3, 60)));
+      expect((await store.hit('key', 3, 60)).allowed).toBe(false);
+
+      now.mockReturnValue((1_000_000 * 60 + 120) * 1000);
+      expect((await store.hit('key', 3, 60)).allowed).toBe(true);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('rejects invalid limits', async () => {
+    const namespace = new LocalDurableObjectNamespace(RateLimiterDurableObject);
+    const stub = namespace.get(namespace.idFromName('key'));
+
+    const response = await stub.fetch('https://rate-limiter/hit', {
+      method: 'POST',
+      body: JSON.stringify({ limit: 0, windowSec: 60 })
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('tallies rejected requests per day and client', async () => {
+    const store = new DurableObjectRateLimitStore(new LocalDurableObjectNamespace(RateLimiterDurableObject));
+    const event = { timestamp: '2026-03-01T14:05:00.000Z', ip: '1.2.3.4', key_id: null, limiter: 'search', path: '/api/search' };
+
+    await Promise.all([
+      store.recordEvent('2026-03-01', event),
+      store.recordEvent('2026-03-01', event),
+      store.recordEvent('2026-03-01', { ...event, key_id: 'abc', path: '/api/bills' })
+    ]);
+    const { summary, offenders } = await store.getEvents('2026-03-01');
+
+    expect(summary).toEqual({
+      total_events: 3,
+      by_path: { '/api/search': 2, '/api/bills': 1 },
+      by_limiter: { search: 3 },
+      by_hour: { 14: 3 }
+    });
+    expect(offenders.map(o => [o.id, o.events]).sort()).toEqual([['ip:1.2.3.4', 2], ['key:abc', 1]]);
+    expect((await store.getEvents('2026-03-02')).summary).toBeNull();
+  });
+});
+
+describe('KV fallback', () => {
+  test('createRateLimitStore uses KV when no Durable Object is bound', () => {
+    const store = createRateLimitStore({ NH_LEGISLATIVE_METADATA: createMockKV() });
+    expect(store).toBeInstanceOf(KVRateLimitStore);
+  });
+
+  test('createRateLimitStore prefers the Durable Object binding', () => {
+    const store = createRateLimitStore({
+      NH_LEGISLATIVE_METADATA: createMockKV(),
+      RATE_LIMITER: new LocalDurableObjectNamespace(RateLimiterDurableObject)
+    });
+    expect(store).toBeInstanceOf(DurableObjectRateLimitStore);
+  });
+
+  test('KV counters enforce the limit for sequential requests', async () => {
+    const kv = createMockKV();
+    const store = new KVRateLimitStore(kv);
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push((await store.hit('rate_limit:default:1.2.3.4', 3, 60)).allowed);
+    }
+
+    expect(results).toEqual([true, true, true, false]);
+    expect(JSON.parse(kv.data.get('rate_limit:default:1.2.3.4')).count).toBe(3);
+  });
+
+  test('falls back to KV when the Durable Object is unreachable', async () => {
+    const kv = createMockKV();
+    const store = new DurableObjectRateLimitStore(createUnreachableNamespace(), new KVRateLimitStore(kv));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await store.hit('rate_limit:default:1.2.3.4', 3, 60);
+
+    expect(result).toMatchObject({ allowed: true, remaining: 2 });
+    expect(kv.data.has('rate_limit:default:1.2.3.4')).toBe(true);
+    console.error.mockRestore();
+  });
+
+  test('throws when the Durable Object is unreachable and there is no fallback', async () => {
+    const store = new DurableObjectRateLimitStore(createUnreachableNamespace());
+    await expect(store.hit('key', 3, 60)).rejects.toThrow('Durable Object unreachable');
+  });
+
+  test('merges events tallied in KV while the Durable Object was unreachable', async () => {
+    const kv = createMockKV();
+    const namespace = new LocalDurableObjectNamespace(RateLimiterDurableObject);
+    const event = { timestamp: '2026-03-01T09:00:00.000Z', ip: '1.2.3.4', key_id: null, limiter: 'bills', path: '/api/bills' };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await new DurableObjectRateLimitStore(createUnreachableNamespace(), new KVRateLimitStore(kv)).recordEvent('2026-03-01', event);
+    const store = new DurableObjectRateLimitStore(namespace, new KVRateLimitStore(kv));
+    await store.recordEvent('2026-03-01', { ...event, timestamp: '2026-03-01T10:00:00.000Z' });
+    const { summary, offenders } = await store.getEvents('2026-03-01');
+
+    expect(summary.total_events).toBe(2);
+    expect(summary.by_hour).toEqual({ '09': 1, 10: 1 });
+    expect(offenders).toEqual([expect.objectContaining({
+      id: 'ip:1.2.3.4',
+      events: 2,
+      first_seen: '2026-03-01T09:00:00.000Z',
+      last_seen: '2026-03-01T10:00:00.000Z'
+    })]);
+    console.error.mockRestore();
+  });
+});
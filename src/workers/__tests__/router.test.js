@@ -0,0 +1,43 @@
+// router.test.js
+// Path parameters are decoded once, by the router, and passed through the normalizers as-is
+
+import { createRouter } from '../router.js';
+import { normalizeBillIdentifier } from '../bill-index.js';
+import { normalizeLegislatorId } from '../legislator-directory.js';
+import { ValidationError } from '../error-handling.js';
+
+const router = createRouter()
+  .add('/api/bills/:identifier', { GET: async () => new Response('') })
+  .add('/api/legislators/:id*', { GET: async () => new Response('') });
+
+describe('path parameter decoding', () => {
+  test.each([
+    ['/api/bills/HB%20123', 'HB 123'],
+    ['/api/bills/hb-123', 'HB 123'],
+    ['/api/bills/sb0042', 'SB 42']
+  ])('%s resolves to %s', (path, identifier) => {
+    expect(normalizeBillIdentifier(router.match(path).params.identifier)).toBe(identifier);
+  });
+
+  test.each([
+    ['/api/legislators/ocd-person/0a1b2c', 'ocd-person/0a1b2c'],
+    ['/api/legislators/ocd-person%2F0a1b2c', 'ocd-person/0a1b2c'],
+    ['/api/legislators/0a1b2c', 'ocd-person/0a1b2c'],
+    // An escaped percent sign stays a literal "%25" rather than being decoded a second time
+    ['/api/legislators/%2525', 'ocd-person/%25']
+  ])('%s resolves to %s', (path, id) => {
+    expect(normalizeLegislatorId(router.match(path).params.id)).toBe(id);
+  });
+
+  test('a doubly-encoded bill identifier is not decoded again', () => {
+    const { identifier } = router.match('/api/bills/HB%2520123').params;
+
+    expect(identifier).toBe('HB%20123');
+    expect(() => normalizeBillIdentifier(identifier)).toThrow(ValidationError);
+  });
+
+  test('a malformed escape is rejected by the router', () => {
+    expect(() => router.match('/api/bills/HB%E0%A4%A')).toThrow(ValidationError);
+    expect(() => router.match('/api/legislators/ocd-person/%zz')).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,148 @@
+// search-index.test.js
+// Stemming, snippets and keeping the sharded inverted index in step with bill text
+
+import {
+  stemWord,
+  tokenize,
+  buildSnippet,
+  indexBillForSearch,
+  rebuildSearchShards,
+  parseSearchQuery,
+  searchBills,
+  SEARCH_CONFIG
+} from '../search-index.js';
+import { createMockKV } from './helpers/mock-kv.js';
+
+/**
+ * Terms the shards hold a posting for, for one bill
+ * @param {Object} kv - Mock KV namespace
+ * @param {string} identifier - Bill identifier
+ * @returns {Array<string>} - Sorted terms
+ */
+function postedTerms(kv, identifier) {
+  const terms = [];
+  for (const [key, value] of kv.data) {
+    if (!key.startsWith(SEARCH_CONFIG.SHARD_KEY_PREFIX)) continue;
+    for (const [term, postings] of Object.entries(JSON.parse(value))) {
+      if (identifier in postings) terms.push(term);
+    }
+  }
+  return terms.sort();
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('stemWord', () => {
+  test.each([
+    [['rentals', 'rental', 'renting', 'rented'], 'rent'],
+    [['taxes', 'tax', 'taxed', 'taxing'], 'tax'],
+    [['licenses', 'license', 'licensed'], 'licens'],
+    [['businesses', 'business'], 'business'],
+    [['approval', 'approve', 'approved'], 'approv'],
+    [['planning', 'plans', 'plan'], 'plan']
+  ])('%j stem to %s', (words, stem) => {
+    expect(words.map(stemWord)).toEqual(words.map(() => stem));
+  });
+
+  test.each(['legal', 'total', 'deal', 'class', '2024'])('%s is left alone', word => {
+    expect(stemWord(word)).toBe(word);
+  });
+
+  test('tokenize drops stop words and stems the rest', () => {
+    expect(tokenize("An act relative to the state's short-term rentals")).toEqual(['stat', 'short', 'term', 'rent']);
+  });
+});
+
+describe('buildSnippet', () => {
+  test('marks every matching word and escapes the rest', () => {
+    const snippet = buildSnippet(
+      { title: 'Rental tax', abstract: 'Caps fees at <$500> for "short-term" rentals & renting rooms', summary: '' },
+      tokenize('rental fees')
+    );
+
+    expect(snippet).toEqual({
+      field: 'abstract',
+      text: 'Caps <mark>fees</mark> at &lt;$500&gt; for &quot;short-term&quot; <mark>rentals</mark> &amp; <mark>renting</mark> rooms'
+    });
+  });
+
+  test('escapes markup in the matched word itself', () => {
+    const snippet = buildSnippet({ title: '', abstract: '<b>Taxes</b> on <script>', summary: '' }, tokenize('tax script'));
+
+    expect(snippet.text).toBe('&lt;b&gt;<mark>Taxes</mark>&lt;/b&gt; on &lt;<mark>script</mark>&gt;');
+  });
+
+  test('windows long text around the densest cluster of matches', () => {
+    const filler = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+    const snippet = buildSnippet({ title: '', abstract: `rental ${filler} rental tax exemption`, summary: '' }, tokenize('rental tax'));
+
+    expect(snippet.text.startsWith('…word35 word36 word37 word38 word39 <mark>rental</mark> <mark>tax</mark>')).toBe(true);
+    expect(snippet.text.endsWith('exemption')).toBe(true);
+  });
+
+  test('returns null when nothing matches', () => {
+    expect(buildSnippet({ title: 'Education funding', abstract: '', summary: '' }, ['rent'])).toBeNull();
+  });
+});
+
+describe('rebuildSearchShards', () => {
+  /**
+   * Index a bill and apply it to the shards
+   * @param {Object} env - Environment
+   * @param {string} title - Bill title
+   */
+  async function indexTitle(env, title) {
+    await indexBillForSearch({ id: 'ocd-bill/1', identifier: 'HB 1', title, abstracts: [] }, null, env);
+    await rebuildSearchShards(env);
+  }
+
+  test('removes the old postings when a bill\'s text changes', async () => {
+    const env = { NH_LEGISLATIVE_DATA: createMockKV() };
+
+    await indexTitle(env, 'Short-term rental taxes');
+    expect(postedTerms(env.NH_LEGISLATIVE_DATA, 'HB 1')).toEqual(['rent', 'short', 'tax', 'term']);
+
+    await indexTitle(env, 'Solar energy credits');
+    expect(postedTerms(env.NH_LEGISLATIVE_DATA, 'HB 1')).toEqual(['credit', 'energy', 'solar']);
+    // Terms nobody else uses are dropped from their shards rather than left as empty postings
+    for (const [key, value] of env.NH_LEGISLATIVE_DATA.data) {
+      if (key.startsWith(SEARCH_CONFIG.SHARD_KEY_PREFIX)) expect(JSON.parse(value)).not.toHaveProperty('rent');
+    }
+
+    const found = await searchBills(parseSearchQuery(new URLSearchParams('q=rentals')), env);
+    expect(found.results).toEqual([]);
+    expect(await env.NH_LEGISLATIVE_DATA.list({ prefix: SEARCH_CONFIG.PENDING_KEY_PREFIX })).toMatchObject({ keys: [] });
+  });
+
+  test('re-applies stored documents after a stemmer change', async () => {
+    const kv = createMockKV({
+      [SEARCH_CONFIG.META_KEY]: { doc_count: 2 },
+      [`${SEARCH_CONFIG.SHARD_KEY_PREFIX}0`]: { rental: { 'HB 1': 3, 'HB 2': 3 } },
+      [`${SEARCH_CONFIG.DOC_KEY_PREFIX}HB 1`]: { identifier: 'HB 1', fields: { title: 'Rental registry' } },
+      [`${SEARCH_CONFIG.DOC_KEY_PREFIX}HB 2`]: { identifier: 'HB 2', fields: { title: 'Rental inspections' } }
+    });
+    const env = { NH_LEGISLATIVE_DATA: kv };
+    await indexBillForSearch({ id: 'ocd-bill/3', identifier: 'HB 3', title: 'Renting rooms', abstracts: [] }, null, env);
+
+    expect(await rebuildSearchShards(env, { maxBills: 1 })).toEqual({ indexed: 1, shards_written: expect.any(Number), complete: false });
+    expect(postedTerms(kv, 'HB 1')).toEqual(['registry', 'rent']);
+    expect(postedTerms(kv, 'HB 2')).toEqual(['rental']);
+
+    await rebuildSearchShards(env, { maxBills: 2 });
+    expect(postedTerms(kv, 'HB 2')).toEqual(['inspection', 'rent']);
+    expect(postedTerms(kv, 'HB 3')).toEqual(['rent', 'room']);
+    expect(await kv.get(SEARCH_CONFIG.META_KEY, 'json')).toMatchObject({ doc_count: 3, stemmer_version: SEARCH_CONFIG.STEMMER_VERSION });
+
+    // Markers left by bills indexed during the restem are applied once it finishes
+    expect(await rebuildSearchShards(env)).toMatchObject({ indexed: 1, complete: true });
+    expect(await rebuildSearchShards(env)).toEqual({ indexed: 0, shards_written: 0, complete: true });
+    const found = await searchBills(parseSearchQuery(new URLSearchParams('q=rentals')), env);
+    expect(found.results.map(result => result.identifier).sort()).toEqual(['HB 1', 'HB 2', 'HB 3']);
+  });
+});
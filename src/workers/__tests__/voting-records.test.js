@@ -0,0 +1,63 @@
+// voting-records.test.js
+// Indexing roll calls by legislator without rewriting records that haven't changed
+
+import { storeVotingRecords } from '../voting-records.js';
+import { createMockKV } from './helpers/mock-kv.js';
+
+const BILL = { id: 'ocd-bill/1', identifier: 'HB 1' };
+
+/**
+ * Roll call record as returned by extractVotes
+ * @param {string} voteId - Vote event ID
+ * @param {Object} options - Vote option per legislator ID
+ * @returns {Object} - Vote record
+ */
+function rollCall(voteId, options) {
+  return {
+    vote_id: voteId,
+    bill_id: BILL.id,
+    bill_identifier: BILL.identifier,
+    motion: 'Ought to Pass',
+    motion_classification: ['passage'],
+    date: '2024-03-07',
+    chamber: 'house',
+    result: 'pass',
+    counts: {},
+    votes: Object.entries(options).map(([id, option]) => ({ legislator_id: id, name: `Rep. ${id}`, party: 'Republican', option }))
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('storeVotingRecords', () => {
+  test('skips legislators whose stored copies of the roll calls are identical', async () => {
+    const env = { NH_LEGISLATIVE_DATA: createMockKV() };
+    const records = [rollCall('vote-1', { a: 'yes', b: 'no' })];
+
+    expect(await storeVotingRecords(BILL, records, env)).toBe(2);
+    const put = jest.spyOn(env.NH_LEGISLATIVE_DATA, 'put');
+
+    expect(await storeVotingRecords(BILL, records, env)).toBe(0);
+    expect(put.mock.calls.map(([key]) => key)).toEqual(['bill:HB 1:votes']);
+  });
+
+  test('rewrites only the legislators whose votes changed or were added', async () => {
+    const env = { NH_LEGISLATIVE_DATA: createMockKV() };
+    await storeVotingRecords(BILL, [rollCall('vote-1', { a: 'yes', b: 'no' })], env);
+    const put = jest.spyOn(env.NH_LEGISLATIVE_DATA, 'put');
+
+    // A correction to b's vote and a second roll call a didn't take part in
+    const corrected = [rollCall('vote-1', { a: 'yes', b: 'yes' }), rollCall('vote-2', { b: 'no', c: 'no' })];
+
+    expect(await storeVotingRecords(BILL, corrected, env)).toBe(2);
+    expect(put.mock.calls.map(([key]) => key).sort()).toEqual(['bill:HB 1:votes', 'legislator:b:votes', 'legislator:c:votes']);
+    const record = await env.NH_LEGISLATIVE_DATA.get('legislator:b:votes', 'json');
+    expect(record.votes.map(v => [v.vote_id, v.option])).toEqual([['vote-1', 'yes'], ['vote-2', 'no']]);
+  });
+});
@@ -0,0 +1,351 @@
+// ai-providers.js
+// Pluggable AI providers for bill analysis, chosen per analysis dimension through config
+
+import { ApiError } from './error-handling.js';
+
+/**
+ * Settings each provider type starts from
+ * timeoutMs and maxTokens bound each call; maxInputChars is how much bill text fits in one call
+ * (longer bills are analyzed section by section); jsonMode is 'json_schema' where the provider
+ * enforces the response schema, 'json_object' for JSON without a schema, or 'none' to only ask
+ * for JSON in the prompt
+ */
+export const AI_PROVIDER_TYPE_DEFAULTS = {
+  'workers-ai': {
+    timeoutMs: 30000,
+    maxTokens: 500,
+    // llama-3-8b has an 8k token context shared with the prompt and response
+    maxInputChars: 9000,
+    jsonMode: 'json_schema'
+  },
+  'openai-compatible': {
+    timeoutMs: 60000,
+    maxTokens: 1500,
+    maxInputChars: 48000,
+    jsonMode: 'json_schema',
+    apiKeySecret: 'AI_PROVIDER_API_KEY'
+  },
+  mock: {
+    timeoutMs: 1000,
+    maxTokens: 500,
+    maxInputChars: 9000,
+    jsonMode: 'json_schema'
+  }
+};
+
+/**
+ * Built-in providers, extended and overridden by the KV config document
+ * (NH_LEGISLATIVE_METADATA key `config:ai_providers`)
+ */
+export const AI_PROVIDER_DEFAULTS = {
+  defaultProvider: 'workers-ai',
+  providers: {
+    'workers-ai': { type: 'workers-ai', model: '@cf/meta/llama-3-8b-instruct' },
+    mock: { type: 'mock', model: 'mock-deterministic' }
+  },
+  // Dimension -> provider name, or { variants: [{ provider, weight }] } to split bills between providers
+  dimensions: {}
+};
+
+export const AI_PROVIDER_CONFIG_KEY = 'config:ai_providers';
+const CONFIG_CACHE_MS = 60 * 1000; // Re-read the KV config document at most once a minute per isolate
+
+let cachedConfig = null;
+
+/**
+ * Resolve the effective provider configuration
+ * The KV config document may set `defaultProvider`, add or override `providers` (merged by name)
+ * and map `dimensions` to providers
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Effective configuration
+ */
+export async function loadAIProviderConfig(env) {
+  if (cachedConfig && cachedConfig.expires > Date.now()) {
+    return cachedConfig.value;
+  }
+
+  const config = {
+    ...AI_PROVIDER_DEFAULTS,
+    providers: Object.fromEntries(
+      Object.entries(AI_PROVIDER_DEFAULTS.providers).map(([name, settings]) => [name, { ...AI_PROVIDER_TYPE_DEFAULTS[settings.type], ...settings }])
+    ),
+    dimensions: { ...AI_PROVIDER_DEFAULTS.dimensions }
+  };
+
+  try {
+    const stored = await env.NH_LEGISLATIVE_METADATA.get(AI_PROVIDER_CONFIG_KEY, { type: 'json' });
+    if (stored) {
+      if (typeof stored.defaultProvider === 'string') config.defaultProvider = stored.defaultProvider;
+      for (const [name, settings] of Object.entries(stored.providers || {})) {
+        const type = settings.type || config.providers[name]?.type;
+        config.providers[name] = { ...AI_PROVIDER_TYPE_DEFAULTS[type], ...config.providers[name], ...settings };
+      }
+      Object.assign(config.dimensions, stored.dimensions || {});
+    }
+  } catch (error) {
+    // Fall back to defaults rather than failing collection over a bad config document
+    console.error(`Error loading AI provider config: ${error.message}`, error);
+  }
+
+  cachedConfig = { value: config, expires: Date.now() + CONFIG_CACHE_MS };
+  return config;
+}
+
+/**
+ * Reject after a provider's timeout
+ * @param {Promise} promise - Provider call
+ * @param {number} timeoutMs - Timeout in ms
+ * @param {string} name - Provider name for the error message
+ * @returns {Promise} - The call's result
+ */
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`AI provider ${name} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Append schema instructions for providers that can't enforce a JSON schema
+ * @param {string} prompt - Prompt
+ * @param {Object} schema - JSON schema of the expected response
+ * @returns {string} - Prompt asking for JSON matching the schema
+ */
+function promptWithSchema(prompt, schema) {
+  return `${prompt}\nRespond only with a JSON object matching this JSON schema:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * Base class for providers
+ * Subclasses implement run({ prompt, schema }) returning { response } where response is the
+ * parsed JSON object, or the raw text if the model didn't return valid JSON
+ */
+class AIProvider {
+  // Private so the provider (which references env) isn't walked when it is logged
+  #env;
+
+  /**
+   * @param {string} name - Provider name from the config
+   * @param {Object} settings - Provider settings
+   * @param {Object} env - Environment variables
+   */
+  constructor(name, settings, env) {
+    this.name = name;
+    this.settings = settings;
+    this.#env = env;
+  }
+
+  get env() {
+    return this.#env;
+  }
+
+  /**
+   * Characters of bill text that fit in one call
+   */
+  get maxInputChars() {
+    return this.settings.maxInputChars;
+  }
+
+  /**
+   * Whether the provider's bindings and credentials are present
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Describe the provider for the stored analysis
+   * @returns {Object} - { provider, type, model }
+   */
+  describe() {
+    return { provider: this.name, type: this.settings.type, model: this.settings.model };
+  }
+
+  /**
+   * Parse model text as JSON where possible
+   * @param {string} text - Model output
+   * @returns {Object|string} - Parsed object, or the text unchanged
+   */
+  parseText(text) {
+    if (typeof text !== 'string') return text;
+    const json = text.match(/\{[\s\S]*\}/)?.[0];
+    try {
+      return json ? JSON.parse(json) : text;
+    } catch (error) {
+      return text;
+    }
+  }
+}
+
+/**
+ * Workers AI models through the AI binding
+ */
+export class WorkersAIProvider extends AIProvider {
+  isAvailable() {
+    return Boolean(this.env.AI);
+  }
+
+  async run({ prompt, schema }) {
+    const { model, maxTokens, timeoutMs, jsonMode } = this.settings;
+    const input = jsonMode === 'json_schema'
+      ? { prompt, max_tokens: maxTokens, response_format: { type: 'json_schema', json_schema: schema } }
+      : { prompt: promptWithSchema(prompt, schema), max_tokens: maxTokens };
+
+    const result = await withTimeout(this.env.AI.run(model, input), timeoutMs, this.name);
+    return { response: this.parseText(result?.response) };
+  }
+}
+
+/**
+ * Any HTTP endpoint implementing the OpenAI chat completions API
+ * Settings: baseUrl (e.g. https://api.openai.com/v1), model, and apiKeySecret naming the
+ * secret that holds the API key (set it to null for endpoints without auth)
+ */
+export class OpenAICompatibleProvider extends AIProvider {
+  isAvailable() {
+    const { baseUrl, model, apiKeySecret } = this.settings;
+    return Boolean(baseUrl && model && (!apiKeySecret || this.env[apiKeySecret]));
+  }
+
+  async run({ prompt, schema }) {
+    const { baseUrl, model, maxTokens, timeoutMs, jsonMode, apiKeySecret } = this.settings;
+
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: jsonMode === 'json_schema' ? prompt : promptWithSchema(prompt, schema) }]
+    };
+    if (jsonMode === 'json_schema') {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'analysis', schema } };
+    } else if (jsonMode === 'json_object') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKeySecret) {
+      headers.Authorization = `Bearer ${this.env[apiKeySecret]}`;
+    }
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new ApiError(`AI provider ${this.name} request failed: ${response.status} - ${errorText.slice(0, 200)}`, response.status, {
+        provider: this.name
+      });
+    }
+
+    const data = await response.json();
+    return { response: this.parseText(data.choices?.[0]?.message?.content) };
+  }
+}
+
+/**
+ * Deterministic stand-in for tests and local development
+ * Fills the schema's required fields from a hash of the prompt, so the same input always
+ * produces the same analysis
+ */
+export class MockAIProvider extends AIProvider {
+  async run({ prompt, schema }) {
+    const hash = fnv1a(prompt);
+
+    const response = {};
+    for (const [field, spec] of Object.entries(schema.properties || {})) {
+      if (spec.enum) {
+        response[field] = spec.enum[hash % spec.enum.length];
+      } else if (Array.isArray(spec.type) && spec.type.includes('null')) {
+        response[field] = null;
+      } else if (spec.type === 'integer' || spec.type === 'number') {
+        const min = spec.minimum ?? 0;
+        const max = spec.maximum ?? 10;
+        response[field] = min + (hash % (max - min + 1));
+      } else if (spec.type === 'array') {
+        response[field] = [];
+      } else {
+        response[field] = `Mock ${field} (${hash.toString(16)})`;
+      }
+    }
+
+    return { response };
+  }
+}
+
+const PROVIDER_TYPES = {
+  'workers-ai': WorkersAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockAIProvider
+};
+
+/**
+ * Create a provider by name from the configuration
+ * @param {string} name - Provider name
+ * @param {Object} config - Configuration from loadAIProviderConfig
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Provider, or null if it isn't configured or its type is unknown
+ */
+export function createAIProvider(name, config, env) {
+  const settings = config.providers[name];
+  const ProviderClass = PROVIDER_TYPES[settings?.type];
+
+  if (!ProviderClass) {
+    console.error(`AI provider ${name} is not configured or has an unknown type: ${settings?.type}`);
+    return null;
+  }
+
+  return new ProviderClass(name, settings, env);
+}
+
+/**
+ * Pick the provider for one analysis dimension of a bill
+ * With variants, the choice is weighted and stable per bill, so re-runs of the same bill use
+ * the same provider and A/B comparisons aren't mixed within a bill
+ * @param {Object} config - Configuration from loadAIProviderConfig
+ * @param {string} type - Analysis type (e.g. 'budget_impact')
+ * @param {Object} bill - The bill being analyzed
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - { provider, variant } or null if no available provider is configured
+ */
+export function resolveAnalysisProvider(config, type, bill, env) {
+  const choice = config.dimensions[type] || config.defaultProvider;
+  let name = choice;
+  let variant = null;
+
+  if (choice && typeof choice === 'object') {
+    const variants = (choice.variants || []).filter(v => v.provider && (v.weight ?? 1) > 0);
+    if (variants.length === 0) return null;
+
+    const total = variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+    let point = (fnv1a(`${bill.identifier}:${type}`) / 0x100000000) * total;
+
+    const picked = variants.find(v => (point -= (v.weight ?? 1)) < 0) || variants[variants.length - 1];
+    name = picked.provider;
+    variant = picked.name || picked.provider;
+  }
+
+  const provider = name ? createAIProvider(name, config, env) : null;
+  if (!provider?.isAvailable()) {
+    return null;
+  }
+
+  return { provider, variant };
+}
@@ -0,0 +1,466 @@
+// analysis-jobs.js
+// Queued background re-runs of bill analysis, tracked as job records in KV
+
+import { ValidationError, NotFoundError, StorageError } from './error-handling.js';
+import { ANALYSIS_CONFIG, ANALYSIS_TYPES } from './bill-analysis.js';
+import { rerunAnalysis, isLegacyContentHash, ANALYSIS_MIGRATION_CONFIG, ANALYSIS_SECTIONS_CONFIG } from './analysis-storage.js';
+import { BILL_INDEX_CONFIG, normalizeBillIdentifier } from './bill-index.js';
+import { indexBillForSearch } from './search-index.js';
+import { updateSponsoredBillRecords } from './sponsor-tracking.js';
+import { checkFiscalNote } from './fiscal-notes.js';
+import { updateBillHighlight } from './highlight-policy.js';
+
+/**
+ * Configuration for analysis re-run jobs
+ */
+export const ANALYSIS_JOB_CONFIG = {
+  JOB_PREFIX: 'analysis_job:',
+  PENDING_KEY: 'analysis_jobs:pending',
+  MAX_BILLS_PER_JOB: 500,
+  // Bills processed right after a job is queued (bounded by the request's waitUntil time)
+  BILLS_PER_REQUEST: ANALYSIS_CONFIG.MAX_BILLS_PER_BATCH,
+  // Bills processed by each scheduled run, which has a much longer time limit
+  BILLS_PER_SCHEDULED_RUN: 50,
+  LEASE_MS: 5 * 60 * 1000, // A worker holds a job for up to 5 minutes before another may take over
+  MAX_STORED_ERRORS: 100,
+  COMPLETED_JOB_TTL: 86400 * 30, // Keep finished jobs for 30 days
+  // Progress of queueing analyses stored before SHA-256 content hashes for re-analysis
+  LEGACY_HASH_SWEEP_KEY: 'analysis_jobs:legacy_hash_sweep'
+};
+
+/**
+ * Generate a job ID that sorts by creation time
+ * @returns {string} - Job ID
+ */
+function createJobId() {
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(4))).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * Validate a re-run request body
+ * @param {Object} body - { bills, filter, dimensions }
+ * @returns {Object} - Normalized { bills, filter, dimensions }
+ * @throws {ValidationError} If the request is invalid
+ */
+export function parseRerunRequest(body) {
+  const { bills = [], filter = null, dimensions = ANALYSIS_TYPES } = body || {};
+  const errors = [];
+
+  if (!Array.isArray(bills)) {
+    errors.push({ field: 'bills', message: 'bills must be an array of bill identifiers' });
+  }
+  if (filter !== null && (typeof filter !== 'object' || Array.isArray(filter))) {
+    errors.push({ field: 'filter', message: 'filter must be an object' });
+  }
+  if (Array.isArray(bills) && bills.length === 0 && !filter) {
+    errors.push({ field: 'bills', message: 'Provide bills, a filter, or both' });
+  }
+  if (!Array.isArray(dimensions) || dimensions.length === 0) {
+    errors.push({ field: 'dimensions', message: 'dimensions must be a non-empty array' });
+  } else {
+    const unknown = dimensions.filter(d => !ANALYSIS_TYPES.includes(d));
+    if (unknown.length > 0) {
+      errors.push({ field: 'dimensions', message: `Unknown dimensions: ${unknown.join(', ')}. Expected: ${ANALYSIS_TYPES.join(', ')}` });
+    }
+  }
+
+  const normalizedBills = [];
+  for (const identifier of Array.isArray(bills) ? bills : []) {
+    try {
+      normalizedBills.push(normalizeBillIdentifier(String(identifier)));
+    } catch (error) {
+      errors.push({ field: 'bills', message: error.message });
+    }
+  }
+
+  let normalizedFilter = null;
+  if (filter && typeof filter === 'object') {
+    normalizedFilter = {
+      category: filter.category ? String(filter.category).toLowerCase() : null,
+      analyzed_after: filter.analyzed_after || null,
+      analyzed_before: filter.analyzed_before || null,
+      analysis_error: filter.analysis_error === true
+    };
+    for (const field of ['analyzed_after', 'analyzed_before']) {
+      if (normalizedFilter[field] && isNaN(new Date(normalizedFilter[field]).getTime())) {
+        errors.push({ field: `filter.${field}`, message: `${field} must be a valid date` });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid analysis re-run request', errors);
+  }
+
+  return {
+    bills: Array.from(new Set(normalizedBills)),
+    filter: normalizedFilter,
+    dimensions: Array.from(new Set(dimensions))
+  };
+}
+
+/**
+ * Check whether a stored analysis recorded a failure
+ * Analyses stored before provider failures were listed in analysis_errors only carry the
+ * error on the fallback result of the dimension
+ * @param {Object} analysis - Stored analysis
+ * @returns {boolean} - Whether the analysis (or any dimension of it) failed
+ */
+function hasAnalysisError(analysis) {
+  return Boolean(analysis?.analysis_error) ||
+    Object.keys(analysis?.analysis_errors || {}).length > 0 ||
+    Object.values(analysis?.analyses || {}).some(dimension => Boolean(dimension?.error));
+}
+
+/**
+ * Resolve a filter to the bills it selects
+ * Category is checked against the bill summary index; analysis dates and errors need each stored analysis
+ * @param {Object} filter - Normalized filter from parseRerunRequest
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<string>>} - Bill identifiers
+ */
+async function resolveFilter(filter, env) {
+  const index = await env.NH_LEGISLATIVE_DATA.get(BILL_INDEX_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const after = filter.analyzed_after ? new Date(filter.analyzed_after) : null;
+  const before = filter.analyzed_before ? new Date(filter.analyzed_before) : null;
+  const needsAnalysis = Boolean(after || before || filter.analysis_error);
+
+  const selected = [];
+  for (const entry of index) {
+    if (filter.category && entry.category !== filter.category && !entry.categories.includes(filter.category)) continue;
+
+    if (needsAnalysis) {
+      const analysis = entry.analysis_key
+        ? await env.NH_LEGISLATIVE_DATA.get(entry.analysis_key, { type: 'json' })
+        : null;
+      if (!analysis) continue;
+
+      const analyzedAt = new Date(analysis.analysis_timestamp);
+      if (after && !(analyzedAt >= after)) continue;
+      if (before && !(analyzedAt <= before)) continue;
+      if (filter.analysis_error && !hasAnalysisError(analysis)) continue;
+    }
+
+    selected.push(entry.identifier);
+  }
+
+  return selected;
+}
+
+/**
+ * Save a job record
+ * @param {Object} job - Job record
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function saveJob(job, env) {
+  job.updated_at = new Date().toISOString();
+  const finished = job.status === 'completed' || job.status === 'failed';
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(
+      `${ANALYSIS_JOB_CONFIG.JOB_PREFIX}${job.job_id}`,
+      JSON.stringify(job),
+      finished ? { expirationTtl: ANALYSIS_JOB_CONFIG.COMPLETED_JOB_TTL } : undefined
+    );
+  } catch (error) {
+    throw new StorageError(`Failed to save analysis job: ${error.message}`, { jobId: job.job_id });
+  }
+}
+
+/**
+ * Create and queue an analysis re-run job
+ * @param {Object} body - Request body { bills, filter, dimensions }
+ * @param {string} createdBy - key_id of the API key creating the job
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - The queued job
+ * @throws {ValidationError} If the request is invalid or selects too many bills
+ */
+export async function createRerunJob(body, createdBy, env) {
+  const request = parseRerunRequest(body);
+
+  const selected = new Set(request.bills);
+  if (request.filter) {
+    for (const identifier of await resolveFilter(request.filter, env)) {
+      selected.add(identifier);
+    }
+  }
+
+  if (selected.size > ANALYSIS_JOB_CONFIG.MAX_BILLS_PER_JOB) {
+    throw new ValidationError(`Re-run selects ${selected.size} bills; split it into jobs of at most ${ANALYSIS_JOB_CONFIG.MAX_BILLS_PER_JOB}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    job_id: createJobId(),
+    status: selected.size > 0 ? 'queued' : 'completed',
+    dimensions: request.dimensions,
+    selection: { bills: request.bills, filter: request.filter },
+    bills: Array.from(selected),
+    cursor: 0,
+    progress: { total: selected.size, processed: 0, succeeded: 0, failed: 0 },
+    errors: [],
+    created_by: createdBy,
+    created_at: now,
+    started_at: null,
+    completed_at: selected.size > 0 ? null : now,
+    lease_until: null
+  };
+
+  await saveJob(job, env);
+
+  if (job.status === 'queued') {
+    const pending = await env.NH_LEGISLATIVE_METADATA.get(ANALYSIS_JOB_CONFIG.PENDING_KEY, { type: 'json' }) || [];
+    pending.push(job.job_id);
+    await env.NH_LEGISLATIVE_METADATA.put(ANALYSIS_JOB_CONFIG.PENDING_KEY, JSON.stringify(pending));
+  }
+
+  console.log(`Queued analysis re-run job ${job.job_id} for ${job.progress.total} bills (${job.dimensions.join(', ')})`);
+  return job;
+}
+
+/**
+ * Get an analysis job
+ * @param {string} jobId - Job ID
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Job record
+ * @throws {NotFoundError} If the job doesn't exist
+ */
+export async function getRerunJob(jobId, env) {
+  const job = await env.NH_LEGISLATIVE_METADATA.get(`${ANALYSIS_JOB_CONFIG.JOB_PREFIX}${jobId}`, { type: 'json' });
+
+  if (!job) {
+    throw new NotFoundError(`Analysis job not found: ${jobId}`);
+  }
+
+  return job;
+}
+
+/**
+ * Re-run one bill and refresh the records derived from its analysis
+ * @param {string} identifier - Bill identifier
+ * @param {Array<string>} dimensions - Dimensions to regenerate
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function rerunBill(identifier, dimensions, env) {
+  const bill = await env.NH_LEGISLATIVE_DATA.get(`bill:${identifier}`, { type: 'json' });
+  if (!bill) {
+    throw new NotFoundError(`Bill not found: ${identifier}`);
+  }
+
+  const analysis = await rerunAnalysis(bill, dimensions, env);
+
+  // Summaries feed search, scores feed sponsor records and highlights; stale copies would contradict the new analysis
+  try {
+    await indexBillForSearch(bill, analysis, env);
+    await updateSponsoredBillRecords(bill, bill.nh_accountability?.sponsor_info?.sponsors || [], analysis, env);
+    await updateBillHighlight(bill, analysis, env);
+  } catch (error) {
+    console.error(`Error refreshing derived records for ${identifier}: ${error.message}`, error);
+  }
+
+  // A re-run may resolve (or introduce) a disagreement with the fiscal note
+  if (bill.nh_fiscal_note) {
+    try {
+      const check = await checkFiscalNote(bill, analysis, env);
+      await env.NH_LEGISLATIVE_DATA.put(`bill:${identifier}`, JSON.stringify({ ...bill, nh_fiscal_note_check: check }));
+    } catch (error) {
+      console.error(`Error checking fiscal note for ${identifier}: ${error.message}`, error);
+    }
+  }
+}
+
+/**
+ * Process queued analysis jobs, oldest first
+ * Progress is saved after every bill so a job interrupted by the Workers time limit resumes
+ * where it stopped on the next invocation
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Processing options
+ * @param {number} options.maxBills - Bills to process in this invocation
+ * @returns {Promise<Object>} - { processed, jobs } counts for this invocation
+ */
+export async function processAnalysisJobs(env, options = {}) {
+  const maxBills = options.maxBills || ANALYSIS_JOB_CONFIG.BILLS_PER_REQUEST;
+  const pending = await env.NH_LEGISLATIVE_METADATA.get(ANALYSIS_JOB_CONFIG.PENDING_KEY, { type: 'json' }) || [];
+  const finished = [];
+  let processed = 0;
+  let jobsTouched = 0;
+
+  for (const jobId of pending) {
+    if (processed >= maxBills) break;
+
+    const job = await env.NH_LEGISLATIVE_METADATA.get(`${ANALYSIS_JOB_CONFIG.JOB_PREFIX}${jobId}`, { type: 'json' });
+    if (!job || job.status === 'completed' || job.status === 'failed') {
+      finished.push(jobId);
+      continue;
+    }
+
+    // Another invocation is working on this job
+    if (job.lease_until && new Date(job.lease_until).getTime() > Date.now()) continue;
+
+    jobsTouched++;
+    job.status = 'running';
+    job.started_at = job.started_at || new Date().toISOString();
+    job.lease_until = new Date(Date.now() + ANALYSIS_JOB_CONFIG.LEASE_MS).toISOString();
+    await saveJob(job, env);
+
+    try {
+      while (job.cursor < job.bills.length && processed < maxBills) {
+        const identifier = job.bills[job.cursor];
+
+        try {
+          await rerunBill(identifier, job.dimensions, env);
+          job.progress.succeeded++;
+        } catch (error) {
+          console.error(`Analysis re-run failed for ${identifier} in job ${job.job_id}: ${error.message}`);
+          job.progress.failed++;
+          if (job.errors.length < ANALYSIS_JOB_CONFIG.MAX_STORED_ERRORS) {
+            job.errors.push({ bill: identifier, message: error.message });
+          }
+        }
+
+        job.cursor++;
+        job.progress.processed++;
+        processed++;
+        job.lease_until = new Date(Date.now() + ANALYSIS_JOB_CONFIG.LEASE_MS).toISOString();
+        await saveJob(job, env);
+
+        // Pace AI calls the same way collection batches do
+        if (job.cursor < job.bills.length && processed < maxBills) {
+          await new Promise(resolve => setTimeout(resolve, ANALYSIS_CONFIG.RATE_LIMIT_DELAY));
+        }
+      }
+
+      if (job.cursor >= job.bills.length) {
+        job.status = 'completed';
+        job.completed_at = new Date().toISOString();
+        finished.push(jobId);
+      }
+    } catch (error) {
+      // Storage failures while saving progress leave the job in an unknown state
+      console.error(`Analysis job ${job.job_id} failed: ${error.message}`, error);
+      job.status = 'failed';
+      job.completed_at = new Date().toISOString();
+      job.errors.push({ bill: null, message: error.message });
+      finished.push(jobId);
+    }
+
+    job.lease_until = null;
+    await saveJob(job, env);
+  }
+
+  if (finished.length > 0) {
+    // Re-read so jobs queued while this run was working aren't dropped
+    const current = await env.NH_LEGISLATIVE_METADATA.get(ANALYSIS_JOB_CONFIG.PENDING_KEY, { type: 'json' }) || [];
+    await env.NH_LEGISLATIVE_METADATA.put(
+      ANALYSIS_JOB_CONFIG.PENDING_KEY,
+      JSON.stringify(current.filter(id => !finished.includes(id)))
+    );
+  }
+
+  return { processed, jobs: jobsTouched };
+}
+
+/**
+ * Queue re-analysis of bills whose stored analysis predates SHA-256 content hashes
+ * Such analyses can't tell whether the bill was amended since, and bills that are no longer
+ * collected would otherwise keep them for good. Each call scans a bounded batch of analysis
+ * records and queues one job for the legacy ones found; progress is kept in NH_LEGISLATIVE_METADATA
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Sweep options
+ * @param {number} options.maxRecords - Analysis records to read per call
+ * @returns {Promise<Object>} - { scanned, queued, job_id, complete }
+ */
+export async function queueLegacyHashReanalysis(env, options = {}) {
+  const { ANALYSIS_KEY_PREFIX, ANALYSIS_KEY_SUFFIX, RECORDS_PER_RUN } = ANALYSIS_MIGRATION_CONFIG;
+  const maxRecords = options.maxRecords || RECORDS_PER_RUN;
+
+  const state = await env.NH_LEGISLATIVE_METADATA.get(ANALYSIS_JOB_CONFIG.LEGACY_HASH_SWEEP_KEY, { type: 'json' }) ||
+    { cursor: null, scanned: 0, queued: 0, jobs: [], started_at: new Date().toISOString(), completed_at: null };
+
+  if (state.completed_at) {
+    return { scanned: 0, queued: 0, job_id: null, complete: true };
+  }
+
+  let scanned = 0;
+  let cursor = state.cursor || undefined;
+  const bills = [];
+
+  // Whole pages are processed so the saved cursor never skips keys
+  do {
+    const page = await env.NH_LEGISLATIVE_DATA.list({ prefix: ANALYSIS_KEY_PREFIX, cursor, limit: maxRecords });
+
+    for (const { name } of page.keys) {
+      if (!name.endsWith(ANALYSIS_KEY_SUFFIX)) continue;
+
+      scanned++;
+      const analysis = await env.NH_LEGISLATIVE_DATA.get(name, { type: 'json' });
+      if (analysis?.bill_identifier && isLegacyContentHash(analysis.content_hash)) {
+        bills.push(analysis.bill_identifier);
+      }
+    }
+
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && scanned < maxRecords);
+
+  const job = bills.length > 0
+    ? await createRerunJob({ bills, dimensions: ANALYSIS_TYPES }, 'legacy_hash_sweep', env)
+    : null;
+
+  state.cursor = cursor;
+  state.scanned += scanned;
+  state.queued += job ? job.progress.total : 0;
+  if (job) state.jobs.push(job.job_id);
+  if (!cursor) {
+    state.completed_at = new Date().toISOString();
+  }
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(ANALYSIS_JOB_CONFIG.LEGACY_HASH_SWEEP_KEY, JSON.stringify(state));
+  } catch (error) {
+    throw new StorageError(`Failed to save legacy hash sweep progress: ${error.message}`, { cursor });
+  }
+
+  return { scanned, queued: job ? job.progress.total : 0, job_id: job?.job_id || null, complete: !cursor };
+}
+
+/**
+ * Queue re-runs for long bills whose map-reduce analysis still has sections to map
+ * Each re-run maps the next MAP_SECTIONS_PER_RUN sections per dimension and stores the bill back
+ * in the index if more remain, so the bill is queued again on a later run. Bills are taken off
+ * the index as they're queued and grouped into one job per set of dimensions
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { queued, jobs } where jobs are the queued job ids
+ */
+export async function queuePendingSectionAnalysis(env) {
+  const pending = await env.NH_LEGISLATIVE_METADATA.get(ANALYSIS_SECTIONS_CONFIG.PENDING_KEY, { type: 'json' }) || {};
+
+  const byDimensions = new Map();
+  for (const [identifier, dimensions] of Object.entries(pending).slice(0, ANALYSIS_JOB_CONFIG.MAX_BILLS_PER_JOB)) {
+    const key = dimensions.join(',');
+    if (!byDimensions.has(key)) byDimensions.set(key, []);
+    byDimensions.get(key).push(identifier);
+  }
+  if (byDimensions.size === 0) {
+    return { queued: 0, jobs: [] };
+  }
+
+  const jobs = [];
+  let queued = 0;
+  for (const [key, bills] of byDimensions) {
+    const job = await createRerunJob({ bills, dimensions: key.split(',') }, 'pending_sections', env);
+    jobs.push(job.job_id);
+    queued += job.progress.total;
+    for (const identifier of bills) {
+      delete pending[identifier];
+    }
+  }
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(ANALYSIS_SECTIONS_CONFIG.PENDING_KEY, JSON.stringify(pending));
+  } catch (error) {
+    throw new StorageError(`Failed to update pending sections index: ${error.message}`, { jobs });
+  }
+
+  return { queued, jobs };
+}
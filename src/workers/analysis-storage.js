@@ -2,7 +2,8 @@
 // Enhanced storage strategy for bill analysis to ensure persistence
 
 import { StorageError, ValidationError, NotFoundError, validateData } from './error-handling.js';
-import { analyzeBill } from './bill-analysis.js';
+import { analyzeBill, normalizeImpactAnalysis, ANALYSIS_CONFIG, ANALYSIS_TYPES, IMPACT_DIRECTIONS, CONFIDENCE_LEVELS } from './bill-analysis.js';
+import { getLatestVersion, getStoredBillText } from './bill-text.js';
 
 /**
  * Validation schema for bill data
@@ -13,10 +14,52 @@ const BILL_SCHEMA = {
   title: { required: true, type: 'string' }
 };
 
+/**
+ * Check one dimension's analysis against IMPACT_RESPONSE_SCHEMA
+ * @param {string} type - Analysis type
+ * @param {Object} impact - Analysis of that dimension
+ * @throws {Error} Describing the first invalid field
+ */
+function validateImpact(type, impact) {
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+  
+  if (typeof impact.summary !== 'string' || typeof impact.details !== 'string') {
+    throw new Error(`${type} summary and details must be strings`);
+  }
+  if (!Number.isInteger(impact.score) || impact.score < -5 || impact.score > 5) {
+    throw new Error(`${type}.score must be an integer from -5 to 5`);
+  }
+  if (impact.direction !== null && !IMPACT_DIRECTIONS.includes(impact.direction)) {
+    throw new Error(`${type}.direction must be one of ${IMPACT_DIRECTIONS.join(', ')} or null`);
+  }
+  if (impact.dollar_range !== null &&
+      !(Number.isFinite(impact.dollar_range?.low) && Number.isFinite(impact.dollar_range?.high) && impact.dollar_range.low <= impact.dollar_range.high)) {
+    throw new Error(`${type}.dollar_range must be { low, high } with low <= high, or null`);
+  }
+  if (impact.confidence !== null && !CONFIDENCE_LEVELS.includes(impact.confidence)) {
+    throw new Error(`${type}.confidence must be one of ${CONFIDENCE_LEVELS.join(', ')} or null`);
+  }
+  if (!isStringList(impact.affected_populations) || !isStringList(impact.cited_sections)) {
+    throw new Error(`${type} affected_populations and cited_sections must be arrays of strings`);
+  }
+  if (!Array.isArray(impact.fiscal_years) || !impact.fiscal_years.every(Number.isInteger)) {
+    throw new Error(`${type}.fiscal_years must be an array of years`);
+  }
+}
+
 /**
  * Validation schema for analysis data
  */
 const ANALYSIS_SCHEMA = {
+  schema_version: {
+    required: true,
+    type: 'number',
+    validate: (version) => {
+      if (version !== ANALYSIS_CONFIG.SCHEMA_VERSION) {
+        throw new Error(`schema_version must be ${ANALYSIS_CONFIG.SCHEMA_VERSION}; migrate older analyses with migrateAnalysisRecord`);
+      }
+    }
+  },
   analyses: { 
     required: true, 
     type: 'object',
@@ -25,26 +68,277 @@ const ANALYSIS_SCHEMA = {
         throw new Error('analyses must be an object');
       }
       // Ensure at least one impact type exists
-      const hasImpactType = ['tax_impact', 'budget_impact', 'societal_impact', 'institutional_alignment']
-        .some(type => analyses[type]);
+      const hasImpactType = ANALYSIS_TYPES.some(type => analyses[type]);
       
       if (!hasImpactType) {
         throw new Error('analysis must contain at least one impact type');
       }
+      
+      for (const type of ANALYSIS_TYPES) {
+        if (analyses[type]) validateImpact(type, analyses[type]);
+      }
     }
   }
 };
 
+/**
+ * Configuration for migrating stored analyses to the current schema
+ */
+export const ANALYSIS_MIGRATION_CONFIG = {
+  STATE_KEY: 'analysis_schema_migration',
+  ANALYSIS_KEY_PREFIX: 'nh-',
+  ANALYSIS_KEY_SUFFIX: '-ai-analysis',
+  RECORDS_PER_RUN: 200
+};
+
+/**
+ * Configuration for analysis versions
+ * Every stored analysis is also written once to `<analysis-key>:v<n>` and never modified;
+ * `<analysis-key>:versions` lists their metadata, oldest first
+ */
+export const ANALYSIS_VERSION_CONFIG = {
+  VERSION_SUFFIX: ':v',
+  INDEX_SUFFIX: ':versions',
+  // Written by earlier releases, which kept replaced analyses in a capped list
+  LEGACY_HISTORY_SUFFIX: ':history'
+};
+
+/**
+ * Configuration for long bills whose map-reduce analysis still has sections to map
+ * PENDING_KEY maps bill identifiers to the dimensions with sections left, for
+ * queuePendingSectionAnalysis (analysis-jobs.js) to re-run
+ */
+export const ANALYSIS_SECTIONS_CONFIG = {
+  PENDING_KEY: 'analysis:pending_sections'
+};
+
+/**
+ * Fields compared by diffAnalysisVersions
+ */
+const DIFF_DIMENSIONS = ['tax_impact', 'budget_impact', 'societal_impact', 'institutional_alignment'];
+
+/**
+ * Upgrade a stored analysis to the current schema
+ * Analyses stored before schema version 2 only have summary, details and score per
+ * dimension; the structured fields are added empty (null or []) rather than guessed from the
+ * prose, and map-reduce citations fill cited_sections. Current records are returned unchanged
+ * @param {Object} analysisData - Stored analysis
+ * @returns {Object} - Analysis in the current schema
+ */
+export function migrateAnalysisRecord(analysisData) {
+  if (!analysisData || analysisData.schema_version >= ANALYSIS_CONFIG.SCHEMA_VERSION) {
+    return analysisData;
+  }
+  
+  const analyses = {};
+  for (const [type, impact] of Object.entries(analysisData.analyses || {})) {
+    analyses[type] = normalizeImpactAnalysis(impact && {
+      ...impact,
+      cited_sections: impact.cited_sections ?? (impact.citations || []).map(citation => citation.section)
+    });
+  }
+  
+  return {
+    ...analysisData,
+    analyses,
+    schema_version: ANALYSIS_CONFIG.SCHEMA_VERSION,
+    migrated_from_schema: analysisData.schema_version || 1
+  };
+}
+
+/**
+ * Build the storage key for a bill's analysis
+ * @param {Object} bill - The bill data
+ * @returns {string} - Key in format `[state]-[billType]-[chamber]-[number]-ai-analysis`
+ */
+export function getAnalysisKey(bill) {
+  const billType = getBillType(bill.identifier); // e.g., "hb" from "HB 123"
+  const chamber = bill.from_organization?.classification || 'unknown'; // e.g., "house"
+  const billNumber = getBillNumber(bill.identifier); // e.g., "123" from "HB 123"
+  
+  return `nh-${billType}-${chamber}-${billNumber}-ai-analysis`;
+}
+
+/**
+ * Summarize a stored analysis for the version index
+ * @param {Object} analysisData - Stored analysis with a version number
+ * @returns {Object} - Version metadata
+ */
+function toVersionMetadata(analysisData) {
+  return {
+    version: analysisData.version,
+    analysis_timestamp: analysisData.analysis_timestamp,
+    content_hash: analysisData.content_hash || null,
+    model: analysisData.model || null,
+    prompt_version: analysisData.prompt_version || null,
+    reason: analysisData.version_reason || null
+  };
+}
+
+/**
+ * Write an immutable analysis version
+ * @param {string} analysisKey - The analysis key
+ * @param {Object} analysisData - Stored analysis with a version number
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function putAnalysisVersion(analysisKey, analysisData, env) {
+  try {
+    await env.NH_LEGISLATIVE_DATA.put(
+      `${analysisKey}${ANALYSIS_VERSION_CONFIG.VERSION_SUFFIX}${analysisData.version}`,
+      JSON.stringify(analysisData)
+    );
+  } catch (error) {
+    throw new StorageError(`Failed to store analysis version: ${error.message}`, {
+      analysisKey,
+      version: analysisData.version
+    });
+  }
+}
+
+/**
+ * Load the version index for an analysis key, creating it for analyses stored before versioning
+ * Pre-versioning analyses (the legacy history list, then the current record) become the first versions
+ * @param {string} analysisKey - The analysis key
+ * @param {Object|null} current - The analysis currently stored under analysisKey
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<Object>>} - Version metadata, oldest first
+ */
+async function loadVersionIndex(analysisKey, current, env) {
+  const index = await env.NH_LEGISLATIVE_DATA.get(`${analysisKey}${ANALYSIS_VERSION_CONFIG.INDEX_SUFFIX}`, { type: 'json' });
+  if (index) {
+    return index;
+  }
+  if (!current) {
+    return [];
+  }
+  
+  const legacyHistory = await env.NH_LEGISLATIVE_DATA.get(
+    `${analysisKey}${ANALYSIS_VERSION_CONFIG.LEGACY_HISTORY_SUFFIX}`, { type: 'json' }
+  ) || [];
+  
+  const migrated = [];
+  for (const entry of [...legacyHistory, current]) {
+    const { superseded_at, superseded_reason, ...analysisData } = entry;
+    const versioned = { ...analysisData, version: migrated.length + 1, version_reason: 'migrated' };
+    await putAnalysisVersion(analysisKey, versioned, env);
+    migrated.push(toVersionMetadata(versioned));
+  }
+  
+  if (legacyHistory.length > 0) {
+    await env.NH_LEGISLATIVE_DATA.delete(`${analysisKey}${ANALYSIS_VERSION_CONFIG.LEGACY_HISTORY_SUFFIX}`)
+      .catch(error => console.error(`Warning: Failed to remove legacy history for ${analysisKey}: ${error.message}`));
+  }
+  
+  console.log(`Migrated ${migrated.length} existing analyses for ${analysisKey} to versions`);
+  return migrated;
+}
+
+/**
+ * List the stored versions of an analysis
+ * @param {string} analysisKey - The analysis key
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<Object>>} - Version metadata (version, analysis_timestamp, content_hash, model, prompt_version, reason), oldest first
+ */
+export async function listAnalysisVersions(analysisKey, env) {
+  const index = await env.NH_LEGISLATIVE_DATA.get(`${analysisKey}${ANALYSIS_VERSION_CONFIG.INDEX_SUFFIX}`, { type: 'json' });
+  if (index) {
+    return index;
+  }
+  
+  // Analyses stored before versioning are reported as a single, unmigrated version
+  const current = await env.NH_LEGISLATIVE_DATA.get(analysisKey, { type: 'json' });
+  return current ? [toVersionMetadata({ ...current, version: 1 })] : [];
+}
+
+/**
+ * Get one version of an analysis
+ * @param {string} analysisKey - The analysis key
+ * @param {number} version - Version number
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - The analysis as stored for that version
+ * @throws {NotFoundError} If the version doesn't exist
+ */
+export async function getAnalysisVersion(analysisKey, version, env) {
+  let analysisData = await env.NH_LEGISLATIVE_DATA.get(
+    `${analysisKey}${ANALYSIS_VERSION_CONFIG.VERSION_SUFFIX}${version}`, { type: 'json' }
+  );
+  
+  // Unmigrated analyses only have their current record, listed as version 1
+  if (!analysisData && Number(version) === 1) {
+    const current = await env.NH_LEGISLATIVE_DATA.get(analysisKey, { type: 'json' });
+    analysisData = current && !current.version ? { ...current, version: 1 } : null;
+  }
+  
+  if (!analysisData) {
+    throw new NotFoundError(`Analysis version ${version} not found for key: ${analysisKey}`);
+  }
+  
+  // Versions are never rewritten, so older ones are upgraded as they're read
+  return migrateAnalysisRecord(analysisData);
+}
+
+/**
+ * Compare the summary, score, direction and confidence of each dimension between two analysis versions
+ * @param {Object} from - Earlier analysis version
+ * @param {Object} to - Later analysis version
+ * @returns {Object} - { from, to, dimensions } with per-dimension changes
+ */
+export function diffAnalysisVersions(from, to) {
+  const dimensions = {};
+  
+  for (const type of DIFF_DIMENSIONS) {
+    const before = from.analyses?.[type] || null;
+    const after = to.analyses?.[type] || null;
+    const scoreBefore = typeof before?.score === 'number' ? before.score : null;
+    const scoreAfter = typeof after?.score === 'number' ? after.score : null;
+    
+    dimensions[type] = {
+      summary: {
+        from: before?.summary ?? null,
+        to: after?.summary ?? null,
+        changed: (before?.summary ?? null) !== (after?.summary ?? null)
+      },
+      score: {
+        from: scoreBefore,
+        to: scoreAfter,
+        delta: scoreBefore !== null && scoreAfter !== null ? scoreAfter - scoreBefore : null
+      },
+      direction: {
+        from: before?.direction ?? null,
+        to: after?.direction ?? null,
+        changed: (before?.direction ?? null) !== (after?.direction ?? null)
+      },
+      confidence: {
+        from: before?.confidence ?? null,
+        to: after?.confidence ?? null,
+        changed: (before?.confidence ?? null) !== (after?.confidence ?? null)
+      },
+      changed: (before?.summary ?? null) !== (after?.summary ?? null) || scoreBefore !== scoreAfter ||
+        (before?.direction ?? null) !== (after?.direction ?? null)
+    };
+  }
+  
+  return {
+    from: toVersionMetadata(from),
+    to: toVersionMetadata(to),
+    dimensions
+  };
+}
+
 /**
  * Store bill analysis results permanently in KV storage
+ * Each call adds a new immutable version; the analysis key always holds the latest one
  * @param {Object} bill - The bill data
  * @param {Object} analysis - The analysis results
  * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Storage options
+ * @param {string} options.reason - Why this version was created (e.g. 'initial', 'content_changed', 'rerun')
+ * @param {Object} options.billText - Stored text of the bill's latest version, if fetched (part of the content hash)
  * @returns {Promise<string>} - The analysis key
  * @throws {ValidationError} If data validation fails
  * @throws {StorageError} If storage operation fails
  */
-export async function storeAnalysisResults(bill, analysis, env) {
+export async function storeAnalysisResults(bill, analysis, env, options = {}) {
   try {
     // Validate input data
     validateData(bill, BILL_SCHEMA);
@@ -52,12 +346,7 @@ export async function storeAnalysisResults(bill, analysis, env) {
     
     // Format a consistent key for the analysis
     // Using bill type, chamber, and number for clear identification
-    const billType = getBillType(bill.identifier); // e.g., "hb" from "HB 123"
-    const chamber = bill.from_organization?.classification || 'unknown'; // e.g., "house"
-    const billNumber = getBillNumber(bill.identifier); // e.g., "123" from "HB 123"
-    
-    // Create standardized key in format: `[state]-[billType]-[chamber]-[number]-ai-analysis`
-    const analysisKey = `nh-${billType}-${chamber}-${billNumber}-ai-analysis`;
+    const analysisKey = getAnalysisKey(bill);
     
     // Store the analysis with the bill ID for reference
     const analysisData = {
@@ -65,20 +354,43 @@ export async function storeAnalysisResults(bill, analysis, env) {
       bill_identifier: bill.identifier,
       bill_title: bill.title,
       analysis_timestamp: new Date().toISOString(),
+      schema_version: analysis.schema_version,
       analyses: {
         tax_impact: analysis.analyses?.tax_impact || null,
         budget_impact: analysis.analyses?.budget_impact || null,
         societal_impact: analysis.analyses?.societal_impact || null,
         institutional_alignment: analysis.analyses?.institutional_alignment || null
-      }
+      },
+      // Kept so failed analyses can be found and re-run
+      analysis_error: analysis.analysis_error || null,
+      analysis_errors: analysis.analysis_errors || {},
+      model: analysis.model || null,
+      // Provider, model and A/B variant used for each dimension
+      providers: analysis.providers || null,
+      prompt_version: analysis.prompt_version || null,
+      source_text: analysis.source_text || null
     };
     
     // Calculate a content hash to track if bill text changes
-    const contentHash = calculateContentHash(bill);
+    const contentHash = await calculateContentHash(bill, options.billText?.text);
     analysisData.content_hash = contentHash;
     
+    // Record this analysis as the next immutable version so earlier conclusions aren't lost
+    const previous = await env.NH_LEGISLATIVE_DATA.get(analysisKey, { type: 'json' });
+    const versions = await loadVersionIndex(analysisKey, previous, env);
+    analysisData.version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+    analysisData.version_reason = options.reason || (previous ? 'replaced' : 'initial');
+    
+    await putAnalysisVersion(analysisKey, analysisData, env);
+    try {
+      versions.push(toVersionMetadata(analysisData));
+      await env.NH_LEGISLATIVE_DATA.put(`${analysisKey}${ANALYSIS_VERSION_CONFIG.INDEX_SUFFIX}`, JSON.stringify(versions));
+    } catch (error) {
+      throw new StorageError(`Failed to update analysis version index: ${error.message}`, { analysisKey });
+    }
+    
     // Debug logging
-    console.log(`Storing analysis with key: ${analysisKey}`);
+    console.log(`Storing analysis version ${analysisData.version} with key: ${analysisKey}`);
     
     // Store permanently in KV (no expiration)
     try {
@@ -91,6 +403,8 @@ export async function storeAnalysisResults(bill, analysis, env) {
       });
     }
     
+    await updatePendingSections(bill.identifier, analysisData, previous, env);
+    
     // Also create a mapping from bill ID to analysis key for easy lookup
     try {
       const billMappingKey = `bill:${bill.id}:analysis-key`;
@@ -133,82 +447,129 @@ export async function storeAnalysisResults(bill, analysis, env) {
 }
 
 /**
- * Get existing analysis for a bill, if available
+ * Dimensions of an analysis whose map-reduce still has sections to map
+ * @param {Object|null} analysisData - Stored analysis
+ * @returns {Array<string>} - Analysis types
+ */
+function getPendingSectionDimensions(analysisData) {
+  return Object.entries(analysisData?.analyses || {})
+    .filter(([, impact]) => impact?.sections_pending?.length > 0)
+    .map(([type]) => type);
+}
+
+/**
+ * Add or remove a bill in the pending sections index after its analysis is stored
+ * The index is only read when the new or the replaced analysis has sections pending
+ * @param {string} identifier - Bill identifier
+ * @param {Object} analysisData - Analysis just stored
+ * @param {Object|null} previous - Analysis it replaced
+ * @param {Object} env - Environment variables with KV binding
+ * @throws {StorageError} If the index can't be written
+ */
+async function updatePendingSections(identifier, analysisData, previous, env) {
+  const dimensions = getPendingSectionDimensions(analysisData);
+  if (dimensions.length === 0 && getPendingSectionDimensions(previous).length === 0) return;
+
+  const pending = await env.NH_LEGISLATIVE_METADATA.get(ANALYSIS_SECTIONS_CONFIG.PENDING_KEY, { type: 'json' }) || {};
+  if (dimensions.length > 0) {
+    pending[identifier] = dimensions;
+  } else {
+    delete pending[identifier];
+  }
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(ANALYSIS_SECTIONS_CONFIG.PENDING_KEY, JSON.stringify(pending));
+  } catch (error) {
+    throw new StorageError(`Failed to update pending sections index: ${error.message}`, { identifier });
+  }
+}
+
+/**
+ * Find the stored analysis for a bill, regardless of whether it is current
+ * Looks up the bill ID mapping first and falls back to the constructed key
  * @param {Object} bill - The bill data
  * @param {Object} env - Environment variables with KV binding
- * @returns {Promise<Object|null>} - The analysis results or null if not found
- * @throws {ValidationError} If data validation fails
+ * @returns {Promise<Object|null>} - { analysisKey, analysisData } or null if not found
  * @throws {StorageError} If storage operation fails
  */
-export async function getExistingAnalysis(bill, env) {
-  try {
-    // Validate bill data
-    validateData(bill, BILL_SCHEMA);
-    
-    // First try to get the analysis key from the bill ID mapping
-    const analysisKey = await env.NH_LEGISLATIVE_DATA.get(`bill:${bill.id}:analysis-key`)
+async function findStoredAnalysis(bill, env) {
+  // First try to get the analysis key from the bill ID mapping
+  const mappedKey = await env.NH_LEGISLATIVE_DATA.get(`bill:${bill.id}:analysis-key`)
+    .catch(error => {
+      throw new StorageError(`Failed to get analysis key: ${error.message}`, {
+        billId: bill.id
+      });
+    });
+  
+  if (mappedKey) {
+    // Get the analysis using the key
+    const analysisData = await env.NH_LEGISLATIVE_DATA.get(mappedKey, { type: 'json' })
       .catch(error => {
-        throw new StorageError(`Failed to get analysis key: ${error.message}`, {
+        throw new StorageError(`Failed to get analysis data: ${error.message}`, {
+          analysisKey: mappedKey,
           billId: bill.id
         });
       });
     
-    if (analysisKey) {
-      // Get the analysis using the key
-      const analysisData = await env.NH_LEGISLATIVE_DATA.get(analysisKey, { type: 'json' })
-        .catch(error => {
-          throw new StorageError(`Failed to get analysis data: ${error.message}`, {
-            analysisKey,
-            billId: bill.id
-          });
-        });
-      
-      if (analysisData) {
-        // Calculate current content hash to check if bill has changed
-        const currentContentHash = calculateContentHash(bill);
-        
-        // If content hash matches, return the existing analysis
-        if (currentContentHash === analysisData.content_hash) {
-          console.log(`Using existing analysis for bill ${bill.id} with key ${analysisKey}`);
-          return analysisData;
-        } else {
-          console.log(`Bill content changed, will re-analyze bill ${bill.id}`);
-          return null;
-        }
-      }
+    if (analysisData) {
+      return { analysisKey: mappedKey, analysisData: migrateAnalysisRecord(analysisData) };
     }
+  }
+  
+  // If we don't have a mapping or the analysis isn't found, try to construct the key
+  const constructedKey = getAnalysisKey(bill);
+  
+  const analysisData = await env.NH_LEGISLATIVE_DATA.get(constructedKey, { type: 'json' })
+    .catch(error => {
+      throw new StorageError(`Failed to get analysis with constructed key: ${error.message}`, {
+        constructedKey,
+        billId: bill.id
+      });
+    });
+  
+  if (!analysisData) {
+    return null;
+  }
+  
+  // Create the mapping for future lookups
+  await env.NH_LEGISLATIVE_DATA.put(`bill:${bill.id}:analysis-key`, constructedKey)
+    .catch(error => {
+      console.error(`Warning: Failed to create mapping for bill ${bill.id}: ${error.message}`);
+      // Don't throw here - we already have the analysis data
+    });
+  
+  return { analysisKey: constructedKey, analysisData: migrateAnalysisRecord(analysisData) };
+}
+
+/**
+ * Get existing analysis for a bill, if available and still current
+ * @param {Object} bill - The bill data
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Lookup options
+ * @param {Object} options.billText - Stored text of the bill's latest version from bill-text.js, if fetched
+ * @returns {Promise<Object|null>} - The analysis results, or null if not found or the bill content has changed
+ * @throws {ValidationError} If data validation fails
+ * @throws {StorageError} If storage operation fails
+ */
+export async function getExistingAnalysis(bill, env, options = {}) {
+  try {
+    // Validate bill data
+    validateData(bill, BILL_SCHEMA);
     
-    // If we don't have a mapping or the analysis isn't found, try to construct the key
-    const billType = getBillType(bill.identifier);
-    const chamber = bill.from_organization?.classification || 'unknown';
-    const billNumber = getBillNumber(bill.identifier);
-    const constructedKey = `nh-${billType}-${chamber}-${billNumber}-ai-analysis`;
+    const stored = await findStoredAnalysis(bill, env);
+    if (!stored) {
+      return null;
+    }
     
-    const analysisData = await env.NH_LEGISLATIVE_DATA.get(constructedKey, { type: 'json' })
-      .catch(error => {
-        throw new StorageError(`Failed to get analysis with constructed key: ${error.message}`, {
-          constructedKey,
-          billId: bill.id
-        });
-      });
+    // Calculate current content hash to check if bill has changed
+    const currentContentHash = await calculateContentHash(bill, options.billText?.text);
     
-    if (analysisData) {
-      // Create the mapping for future lookups
-      await env.NH_LEGISLATIVE_DATA.put(`bill:${bill.id}:analysis-key`, constructedKey)
-        .catch(error => {
-          console.error(`Warning: Failed to create mapping for bill ${bill.id}: ${error.message}`);
-          // Don't throw here - we already have the analysis data
-        });
-      
-      // Check content hash
-      const currentContentHash = calculateContentHash(bill);
-      if (currentContentHash === analysisData.content_hash) {
-        console.log(`Using existing analysis for bill ${bill.id} with constructed key ${constructedKey}`);
-        return analysisData;
-      }
+    if (currentContentHash === stored.analysisData.content_hash) {
+      console.log(`Using existing analysis for bill ${bill.id} with key ${stored.analysisKey}`);
+      return stored.analysisData;
     }
     
-    // No existing analysis found or content has changed
+    console.log(`Bill content changed, will re-analyze bill ${bill.id}`);
     return null;
   } catch (error) {
     if (error instanceof ValidationError || error instanceof StorageError) {
@@ -262,61 +623,103 @@ export function getBillNumber(identifier) {
 }
 
 /**
- * Calculate a hash of the bill content to detect changes
+ * Normalize text for hashing so formatting-only changes don't trigger re-analysis
+ * @param {string} text - Text to normalize
+ * @returns {string} - Lowercased text with collapsed whitespace
+ */
+function normalizeForHash(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check whether a stored content hash predates SHA-256 hashing
+ * @param {string} contentHash - Stored content hash
+ * @returns {boolean} - Whether the hash is in the legacy format
+ */
+export function isLegacyContentHash(contentHash) {
+  return !/^[0-9a-f]{64}$/.test(contentHash || '');
+}
+
+/**
+ * Calculate a SHA-256 hash of the bill content to detect changes
+ * Covers the normalized title, abstracts, subjects, latest version URL and, when it has been
+ * fetched, the latest version text; actions are left out so status changes alone don't
+ * trigger re-analysis
  * @param {Object} bill - The bill data
- * @returns {string} - A hash string representing the bill content
+ * @param {string} versionText - Text of the latest version (optional)
+ * @returns {Promise<string>} - Hex digest representing the bill content
  */
-export function calculateContentHash(bill) {
-  // Create a string of the relevant bill content
-  const contentString = [
-    bill.title || '',
-    bill.abstract || '',
-    bill.description || '',
-    JSON.stringify(bill.subject || []),
-    bill.latest_action || ''
-  ].join('|');
-  
-  // Simple hash function for content comparison
-  // In a production environment, consider using a more robust hashing algorithm
-  let hash = 0;
-  for (let i = 0; i < contentString.length; i++) {
-    const char = contentString.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  
-  return hash.toString();
+export async function calculateContentHash(bill, versionText = '') {
+  const abstracts = [
+    ...(bill.abstracts || []).map(a => a.abstract),
+    bill.abstract
+  ].filter(Boolean).map(normalizeForHash).sort();
+  
+  const subjects = (bill.subject || []).map(normalizeForHash).sort();
+  
+  // Field labels keep values from shifting between fields and colliding
+  const contentString = JSON.stringify({
+    title: normalizeForHash(bill.title),
+    abstracts,
+    subjects,
+    version_url: getLatestVersion(bill)?.url || '',
+    version_text: normalizeForHash(versionText)
+  });
+  
+  return await sha256Hex(contentString);
 }
 
 /**
  * Update the bill analysis if the bill has changed
+ * The stored analysis is reused while its content hash matches; otherwise the bill is
+ * re-analyzed and stored as a new version
  * @param {Object} bill - The bill data
  * @param {Object} env - Environment variables with KV binding
- * @returns {Promise<Object>} - The analysis results or null if not needed
+ * @param {Object} options - Update options
+ * @param {Object} options.billText - Stored text of the bill's latest version from bill-text.js, if fetched
+ * @returns {Promise<Object>} - The current analysis results
  * @throws {ValidationError} If data validation fails
  * @throws {StorageError} If storage operation fails
  */
-export async function updateAnalysisIfNeeded(bill, env) {
+export async function updateAnalysisIfNeeded(bill, env, options = {}) {
   try {
     // Validate bill data
     validateData(bill, BILL_SCHEMA);
     
-    // First check if we already have analysis for this bill
-    const existingAnalysis = await getExistingAnalysis(bill, env);
+    const contentHash = await calculateContentHash(bill, options.billText?.text);
+    const stored = await findStoredAnalysis(bill, env);
     
     // If we have analysis and the content hasn't changed, return it
-    if (existingAnalysis) {
-      return existingAnalysis;
+    if (stored && stored.analysisData.content_hash === contentHash) {
+      console.log(`Using existing analysis for bill ${bill.id} with key ${stored.analysisKey}`);
+      return stored.analysisData;
     }
     
+    // Analyses stored before SHA-256 hashing can't be compared, so the bill may have been amended
+    // since; collected bills are re-analyzed here and the rest by queueLegacyHashReanalysis jobs
+    const legacy = Boolean(stored) && isLegacyContentHash(stored.analysisData.content_hash);
+    
     // If we don't have analysis or the content has changed, analyze the bill
-    console.log(`Analyzing bill ${bill.id}: ${bill.title}`);
+    console.log(!stored
+      ? `Analyzing bill ${bill.id}: ${bill.title}`
+      : legacy
+        ? `Analysis predates SHA-256 content hashes, re-analyzing bill ${bill.id}: ${bill.title}`
+        : `Bill content changed, re-analyzing bill ${bill.id}: ${bill.title}`);
     
-    // This would call your existing analyzeBill function
     // We'll add a try-catch here to handle potential AI analysis errors
     let analysis;
     try {
-      analysis = await analyzeBill(bill, env);
+      analysis = await analyzeBill(bill, env, { billText: options.billText, previous: stored?.analysisData });
     } catch (error) {
       throw new StorageError(`Failed to analyze bill: ${error.message}`, {
         billId: bill.id,
@@ -327,8 +730,11 @@ export async function updateAnalysisIfNeeded(bill, env) {
     // Validate the analysis data
     validateData(analysis, ANALYSIS_SCHEMA);
     
-    // Store the analysis permanently
-    await storeAnalysisResults(bill, analysis, env);
+    // Store the analysis permanently as a new version
+    await storeAnalysisResults(bill, analysis, env, {
+      reason: !stored ? 'initial' : legacy ? 'legacy_content_hash' : 'content_changed',
+      billText: options.billText
+    });
     
     return analysis;
   } catch (error) {
@@ -342,6 +748,141 @@ export async function updateAnalysisIfNeeded(bill, env) {
   }
 }
 
+/**
+ * Re-run selected analysis dimensions for a bill regardless of its content hash
+ * Dimensions not being re-run are carried over from the stored analysis
+ * @param {Object} bill - The bill data as stored under bill:<identifier>
+ * @param {Array<string>} dimensions - Analysis types to regenerate
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - The merged analysis as stored
+ * @throws {ValidationError} If data validation fails
+ * @throws {StorageError} If storage operation fails
+ */
+export async function rerunAnalysis(bill, dimensions, env) {
+  try {
+    validateData(bill, BILL_SCHEMA);
+    
+    const stored = await findStoredAnalysis(bill, env);
+    const analysisKey = stored?.analysisKey || getAnalysisKey(bill);
+    const previous = stored?.analysisData || null;
+    
+    // Re-runs read the text stored at collection time, which also keeps the content hash unchanged
+    const billText = await getStoredBillText(bill.identifier, env);
+    
+    console.log(`Re-running ${dimensions.join(', ')} analysis for bill ${bill.identifier}`);
+    // Long bills continue their map-reduce from the sections already analyzed
+    const fresh = await analyzeBill(bill, env, { dimensions, billText, previous });
+    
+    // Errors recorded against the re-run dimensions are replaced by this run's outcome
+    const analysisErrors = { ...(previous?.analysis_errors || {}) };
+    for (const type of dimensions) {
+      delete analysisErrors[type];
+    }
+    
+    const merged = {
+      ...fresh,
+      analyses: {
+        ...(previous?.analyses || {}),
+        ...fresh.analyses
+      },
+      analysis_errors: { ...analysisErrors, ...(fresh.analysis_errors || {}) },
+      analysis_error: fresh.analysis_error || null
+    };
+    
+    // Carried-over dimensions keep the provider and prompt version that produced them
+    if (previous?.providers || fresh.providers) {
+      const simplified = { provider: 'simplified', type: 'simplified', model: ANALYSIS_CONFIG.SIMPLIFIED_MODEL, prompt_version: null };
+      merged.providers = {
+        // Entries stored before per-dimension prompt versions share the record's prompt version
+        ...Object.fromEntries(Object.entries(previous?.providers || {}).map(([type, p]) => [
+          type,
+          { ...p, prompt_version: p.prompt_version !== undefined ? p.prompt_version : previous.prompt_version || null }
+        ])),
+        ...Object.fromEntries(dimensions.map(type => [type, fresh.providers?.[type] || simplified]))
+      };
+      merged.model = [...new Set(Object.values(merged.providers).map(p => p.model))].join(', ');
+      const promptVersions = [...new Set(Object.values(merged.providers).map(p => p.prompt_version).filter(Boolean))];
+      merged.prompt_version = promptVersions.length > 0 ? promptVersions.join(', ') : null;
+    }
+    
+    validateData(merged, ANALYSIS_SCHEMA);
+    await storeAnalysisResults(bill, merged, env, { reason: 'rerun', billText });
+    
+    return await env.NH_LEGISLATIVE_DATA.get(analysisKey, { type: 'json' });
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof StorageError) {
+      throw error;
+    }
+    throw new StorageError(`Error re-running analysis: ${error.message}`, {
+      billId: bill?.id,
+      error: error.stack
+    });
+  }
+}
+
+/**
+ * Rewrite stored analyses in the current schema, a bounded batch per call
+ * Only the current record under each analysis key is rewritten (in place, without adding a
+ * version); immutable versions are upgraded as they're read. Progress is kept in
+ * NH_LEGISLATIVE_METADATA so scheduled runs resume where the last one stopped
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Migration options
+ * @param {number} options.maxRecords - Analysis records to read per call
+ * @returns {Promise<Object>} - { scanned, migrated, complete }
+ */
+export async function migrateStoredAnalyses(env, options = {}) {
+  const { STATE_KEY, ANALYSIS_KEY_PREFIX, ANALYSIS_KEY_SUFFIX, RECORDS_PER_RUN } = ANALYSIS_MIGRATION_CONFIG;
+  const maxRecords = options.maxRecords || RECORDS_PER_RUN;
+  
+  const saved = await env.NH_LEGISLATIVE_METADATA.get(STATE_KEY, { type: 'json' });
+  // A schema bump restarts the migration from the beginning
+  const state = saved?.schema_version === ANALYSIS_CONFIG.SCHEMA_VERSION
+    ? saved
+    : { schema_version: ANALYSIS_CONFIG.SCHEMA_VERSION, cursor: null, scanned: 0, migrated: 0, started_at: new Date().toISOString(), completed_at: null };
+  
+  if (state.completed_at) {
+    return { scanned: 0, migrated: 0, complete: true };
+  }
+  
+  let scanned = 0;
+  let migrated = 0;
+  let cursor = state.cursor || undefined;
+  
+  // Whole pages are processed so the saved cursor never skips keys
+  do {
+    const page = await env.NH_LEGISLATIVE_DATA.list({ prefix: ANALYSIS_KEY_PREFIX, cursor, limit: maxRecords });
+    
+    for (const { name } of page.keys) {
+      if (!name.endsWith(ANALYSIS_KEY_SUFFIX)) continue;
+      
+      scanned++;
+      const analysisData = await env.NH_LEGISLATIVE_DATA.get(name, { type: 'json' });
+      const upgraded = migrateAnalysisRecord(analysisData);
+      if (upgraded && upgraded !== analysisData) {
+        await env.NH_LEGISLATIVE_DATA.put(name, JSON.stringify(upgraded));
+        migrated++;
+      }
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && scanned < maxRecords);
+  
+  state.cursor = cursor;
+  state.scanned += scanned;
+  state.migrated += migrated;
+  if (!cursor) {
+    state.completed_at = new Date().toISOString();
+  }
+  
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(STATE_KEY, JSON.stringify(state));
+  } catch (error) {
+    throw new StorageError(`Failed to save analysis migration progress: ${error.message}`, { cursor });
+  }
+  
+  return { scanned, migrated, complete: !cursor };
+}
+
 /**
  * Get bill analysis by direct key
  * @param {string} analysisKey - The analysis key
@@ -367,7 +908,7 @@ export async function getAnalysisByKey(analysisKey, env) {
       throw new NotFoundError(`Analysis not found for key: ${analysisKey}`);
     }
     
-    return analysisData;
+    return migrateAnalysisRecord(analysisData);
   } catch (error) {
     if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof StorageError) {
       throw error;
@@ -2,10 +2,13 @@
 // Enhanced API Gateway for NH Legislative Accountability System
 
 // Import error handling
-import { withErrorHandling, ValidationError, NotFoundError } from './error-handling';
+import { withErrorHandling, ApplicationError, ValidationError, NotFoundError } from './error-handling';
 
 // Import caching middleware
-import { applyCacheToRoutes, getCacheVersion, createCacheBustUrl, clearCache } from './caching-middleware';
+import { getCacheVersion, createCacheBustUrl, clearCache } from './caching-middleware';
+
+// Import routing
+import { createRouter } from './router';
 
 // Import monitoring
 import { 
@@ -16,23 +19,53 @@ import {
 } from './monitoring';
 
 // Import analysis storage
-import { getAnalysisByKey } from './analysis-storage';
+import { getAnalysisByKey, listAnalysisVersions, getAnalysisVersion, diffAnalysisVersions } from './analysis-storage';
+
+// Import bill queries
+import { parseBillQuery, queryBills, getBillDetail } from './bill-index';
+
+// Import full-text search
+import { parseSearchQuery, searchBills } from './search-index';
+
+// Import legislator queries
+import { queryLegislators, getLegislatorDetail } from './legislator-directory';
+
+// Import committee reports
+import { getCommitteeReports } from './committee-tracking';
+
+// Import scoped API key auth
+import { requireScope, createApiKey, revokeApiKey, listApiKeys, queryAuditLog } from './auth';
+
+// Import analysis re-run jobs
+import { createRerunJob, getRerunJob, processAnalysisJobs } from './analysis-jobs';
+
+// Import the analysis prompt registry
+import { listPromptVersions, getPromptVersion, createPromptVersion, activatePromptVersion } from './prompt-registry';
+
+// Import the highlight index keys
+import { HIGHLIGHT_CONFIG } from './highlight-policy';
+
+// Import fiscal note checks
+import { FISCAL_NOTE_CONFIG } from './fiscal-notes';
 
 // Import data collection functionality
 import dataCollector from './data-collector';
 
-// Import rate limiting (disabled by default)
+// Import rate limiting (enabled via RATE_LIMIT_ENABLED or the config:rate_limits KV document)
 import { createRateLimiters } from './rate-limiting';
 
+// Durable Object classes must be exported from the main module
+export { RateLimiterDurableObject } from './rate-limit-store';
+
 // Initialize core components
 const logger = createLogger();
 const metricsCollector = createMetricsCollector();
 const rateLimiters = createRateLimiters();
 
 // Define route handlers
-const routes = {
+const handlers = {
   // Analysis API
-  '/api/analysis': async (request, env) => {
+  getAnalysis: async (request, env) => {
     const url = new URL(request.url);
     const billId = url.searchParams.get('bill_id');
     const analysisKey = url.searchParams.get('analysis_key');
@@ -107,7 +140,9 @@ const routes = {
     if (highlighted === 'true') {
       try {
         metricsCollector.recordKvRead();
-        const highlightedBills = await env.NH_LEGISLATIVE_DATA.get('index:highlighted_bills', { type: 'json' }) || [];
+        const highlightedBills = await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+        metricsCollector.recordKvRead();
+        const highlightDetails = await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.DETAILS_KEY, { type: 'json' }) || {};
         
         // Get analysis for each highlighted bill
         const analysisPromises = highlightedBills.map(async (billId) => {
@@ -130,12 +165,23 @@ const routes = {
               identifier: bill.identifier,
               title: bill.title,
               analysis_key: bill.nh_analysis_key,
+              // Which highlight policy rules the bill meets
+              highlight: highlightDetails[billId] || null,
               summaries: {
                 tax_impact: analysis.analyses?.tax_impact?.summary || null,
                 budget_impact: analysis.analyses?.budget_impact?.summary || null,
                 societal_impact: analysis.analyses?.societal_impact?.summary || null,
                 institutional_alignment: analysis.analyses?.institutional_alignment?.summary || null,
-              }
+              },
+              impacts: Object.fromEntries(['tax_impact', 'budget_impact', 'societal_impact'].map(type => {
+                const impact = analysis.analyses?.[type];
+                return [type, impact ? {
+                  score: impact.score,
+                  direction: impact.direction,
+                  dollar_range: impact.dollar_range,
+                  confidence: impact.confidence
+                } : null];
+              }))
             };
           } catch (error) {
             logger.warn(`Error getting analysis for highlighted bill ${billId}`, { error, env });
@@ -218,7 +264,7 @@ const routes = {
       
       // Get highlighted bills count
       metricsCollector.recordKvRead();
-      const highlightedBills = await env.NH_LEGISLATIVE_DATA.get('index:highlighted_bills', { type: 'json' }) || [];
+      const highlightedBills = await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, { type: 'json' }) || [];
       
       return new Response(JSON.stringify({ 
         summary: {
@@ -239,23 +285,282 @@ const routes = {
     }
   },
   
-  // Health check endpoint
-  '/api/health': createHealthCheckHandler(metricsCollector),
+  // Analysis version history, with a per-dimension diff between two versions
+  getAnalysisHistory: async (request, env) => {
+    const url = new URL(request.url);
+    const billId = url.searchParams.get('bill_id');
+    
+    metricsCollector.recordRequest();
+    
+    try {
+      if (!billId) {
+        throw new ValidationError('bill_id is required', [{ field: 'bill_id', message: 'bill_id is required' }]);
+      }
+      
+      metricsCollector.recordKvRead();
+      const analysisKey = await env.NH_LEGISLATIVE_DATA.get(`bill:${billId}:analysis-key`);
+      if (!analysisKey) {
+        throw new NotFoundError(`No analysis found for bill ID: ${billId}`);
+      }
+      
+      metricsCollector.recordKvRead();
+      const versions = await listAnalysisVersions(analysisKey, env);
+      
+      // Compare the two most recent versions unless the caller picks them
+      const errors = [];
+      const pick = (name, fallback) => {
+        const raw = url.searchParams.get(name);
+        if (raw === null) return fallback;
+        const version = Number(raw);
+        if (!Number.isInteger(version) || !versions.some(v => v.version === version)) {
+          errors.push({ field: name, message: `${name} must be one of the listed versions` });
+        }
+        return version;
+      };
+      const from = pick('from', versions.length > 1 ? versions[versions.length - 2].version : null);
+      const to = pick('to', versions.length > 0 ? versions[versions.length - 1].version : null);
+      
+      if (errors.length > 0) {
+        throw new ValidationError('Invalid analysis history query', errors);
+      }
+      
+      let diff = null;
+      if (from !== null && to !== null) {
+        metricsCollector.recordKvRead();
+        diff = diffAnalysisVersions(
+          await getAnalysisVersion(analysisKey, from, env),
+          await getAnalysisVersion(analysisKey, to, env)
+        );
+      }
+      
+      return new Response(JSON.stringify({ bill_id: billId, analysis_key: analysisKey, versions, diff }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return new Response(JSON.stringify({ error: error.message, details: error.details }), {
+          status: error.statusCode,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      logger.error(`Error retrieving analysis history for bill ${billId}`, { error, env });
+      
+      return new Response(JSON.stringify({ error: 'Failed to retrieve analysis history' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  },
   
-  // Metrics endpoint (protected)
-  '/api/metrics': async (request, env, ctx) => {
-    // Simple API key check - in a real system, use a more robust auth mechanism
-    const authHeader = request.headers.get('Authorization');
-    const apiKey = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
-    
-    // Check if the provided API key matches the expected value
-    if (!apiKey || apiKey !== env.API_KEY) {
-      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-        status: 401,
+  // Bills API - list with filtering, sorting and paging
+  listBills: async (request, env) => {
+    const url = new URL(request.url);
+    
+    // Track API operation
+    metricsCollector.recordRequest();
+    
+    try {
+      // Legacy clients request a single bill with ?id=
+      const billId = url.searchParams.get('id');
+      if (billId) {
+        metricsCollector.recordKvRead();
+        const bill = await getBillDetail(billId, env);
+        
+        return new Response(JSON.stringify(bill), {
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      const query = parseBillQuery(url.searchParams);
+      
+      metricsCollector.recordKvRead();
+      const result = await queryBills(query, env);
+      
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return new Response(JSON.stringify({ error: error.message, details: error.details }), {
+          status: error.statusCode,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      logger.error('Error retrieving bills', { error, env });
+      
+      return new Response(JSON.stringify({ error: 'Failed to retrieve bills' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  },
+  
+  // Bills API - single bill with its analysis inlined
+  getBill: async (request, env, ctx) => {
+    const { identifier } = ctx.params;
+    
+    // Track API operation
+    metricsCollector.recordRequest();
+    
+    try {
+      metricsCollector.recordKvRead();
+      const bill = await getBillDetail(identifier, env);
+      
+      return new Response(JSON.stringify(bill), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: error.statusCode,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      logger.error(`Error retrieving bill ${identifier}`, { error, env });
+      
+      return new Response(JSON.stringify({ error: 'Failed to retrieve bill' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  },
+  
+  // Search API - ranked full-text search over titles, abstracts and AI summaries
+  search: async (request, env) => {
+    const url = new URL(request.url);
+    
+    // Track API operation
+    metricsCollector.recordRequest();
+    
+    try {
+      const query = parseSearchQuery(url.searchParams);
+      
+      metricsCollector.recordKvRead();
+      const result = await searchBills(query, env);
+      
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return new Response(JSON.stringify({ error: error.message, details: error.details }), {
+          status: error.statusCode,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      logger.error('Error searching bills', { error, env });
+      
+      return new Response(JSON.stringify({ error: 'Failed to search bills' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  },
+  
+  // Legislators API - directory filtered by party, chamber, district and town
+  listLegislators: async (request, env) => {
+    const url = new URL(request.url);
+    
+    // Track API operation
+    metricsCollector.recordRequest();
+    
+    try {
+      metricsCollector.recordKvRead();
+      const result = await queryLegislators(url.searchParams, env);
+      
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: error.statusCode,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      logger.error('Error retrieving legislators', { error, env });
+      
+      return new Response(JSON.stringify({ error: 'Failed to retrieve legislators' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  },
+  
+  // Legislators API - profile, sponsored bills, vote history and scorecard
+  getLegislator: async (request, env, ctx) => {
+    const url = new URL(request.url);
+    const legislatorId = ctx.params.id;
+    
+    // Track API operation
+    metricsCollector.recordRequest();
+    
+    try {
+      metricsCollector.recordKvRead();
+      const detail = await getLegislatorDetail(legislatorId, url.searchParams, env);
+      
+      return new Response(JSON.stringify(detail), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: error.statusCode,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      logger.error(`Error retrieving legislator ${legislatorId}`, { error, env });
+      
+      return new Response(JSON.stringify({ error: 'Failed to retrieve legislator' }), {
+        status: 500,
         headers: { 'Content-Type': 'application/json' },
       });
     }
+  },
+  
+  // Committee reports API - recommendations, tallies and floor overturn rates for tracked committees
+  getCommitteeReports: async (request, env) => {
+    const url = new URL(request.url);
+    const committeeId = url.searchParams.get('committee');
     
+    // Track API operation
+    metricsCollector.recordRequest();
+    
+    try {
+      metricsCollector.recordKvRead();
+      const result = await getCommitteeReports(committeeId, env);
+      
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      if (error instanceof ApplicationError && error.statusCode < 500) {
+        return new Response(JSON.stringify({ error: error.message }), {
+          status: error.statusCode,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+      
+      logger.error('Error retrieving committee reports', { error, env });
+      
+      return new Response(JSON.stringify({ error: 'Failed to retrieve committee reports' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  },
+  
+  // Health check endpoint
+  getHealth: createHealthCheckHandler(metricsCollector),
+  
+  // Metrics endpoint (protected)
+  getMetrics: async (request, env, ctx) => {
     // Get current metrics
     const metrics = metricsCollector.getMetrics();
     
@@ -273,30 +578,7 @@ const routes = {
   },
   
   // Cache control endpoint (protected)
-  '/api/cache/purge': async (request, env) => {
-    // Only allow POST method
-    if (request.method !== 'POST') {
-      return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-        status: 405,
-        headers: { 
-          'Content-Type': 'application/json',
-          'Allow': 'POST',
-        },
-      });
-    }
-    
-    // Simple API key check
-    const authHeader = request.headers.get('Authorization');
-    const apiKey = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
-    
-    // Check if the provided API key matches the expected value
-    if (!apiKey || apiKey !== env.API_KEY) {
-      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' },
-      });
-    }
-    
+  purgeCache: async (request, env) => {
     try {
       // Parse patterns from request body
       const { patterns } = await request.json();
@@ -325,29 +607,7 @@ const routes = {
   },
   
   // Admin endpoint to manually trigger data collection (protected)
-  '/api/admin/trigger-collection': async (request, env, ctx) => {
-    // Only allow POST method
-    if (request.method !== 'POST') {
-      return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-        status: 405,
-        headers: { 
-          'Content-Type': 'application/json',
-          'Allow': 'POST',
-        },
-      });
-    }
-    
-    // API key authentication
-    const authHeader = request.headers.get('Authorization');
-    const apiKey = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
-    
-    if (!apiKey || apiKey !== env.API_KEY) {
-      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' },
-      });
-    }
-    
+  triggerCollection: async (request, env, ctx) => {
     try {
       logger.info('Manual trigger of data collection process', { env });
       
@@ -392,16 +652,204 @@ const routes = {
         headers: { 'Content-Type': 'application/json' },
       });
     }
+  },
+  
+  // Admin endpoints to manage scoped API keys (protected)
+  listKeys: async (request, env) => {
+    const keys = await listApiKeys(env);
+    
+    return new Response(JSON.stringify({ keys }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  createKey: async (request, env, ctx) => {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      throw new ValidationError('Request body must be JSON');
+    }
+    
+    const { token, key } = await createApiKey(body, ctx.state.auth, env);
+    ctx.state.audit = { created_key_id: key.key_id, scopes: key.scopes, expires_at: key.expires_at };
+    
+    // The plaintext token is only ever returned here
+    return new Response(JSON.stringify({ token, key }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  revokeKey: async (request, env, ctx) => {
+    const key = await revokeApiKey(ctx.params.keyId, ctx.state.auth.key_id, env);
+    ctx.state.audit = { revoked_key_id: key.key_id };
+    
+    return new Response(JSON.stringify({ key }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  // Admin endpoint to queue re-analysis of selected bills and dimensions (protected)
+  rerunAnalysis: async (request, env, ctx) => {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      throw new ValidationError('Request body must be JSON');
+    }
+    
+    const job = await createRerunJob(body, ctx.state.auth.key_id, env);
+    ctx.state.audit = { job_id: job.job_id, bills: job.progress.total, dimensions: job.dimensions };
+    
+    // Start on the first batch now; scheduled runs continue the rest
+    if (job.status === 'queued') {
+      ctx.waitUntil(processAnalysisJobs(env).catch(error => {
+        console.error(`Error in background analysis re-run: ${error.message}`, error);
+      }));
+    }
+    
+    return new Response(JSON.stringify({ job, status_url: `/api/admin/analysis/jobs/${job.job_id}` }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  // Admin endpoint for re-run job progress (protected)
+  getAnalysisJob: async (request, env, ctx) => {
+    const job = await getRerunJob(ctx.params.jobId, env);
+    
+    return new Response(JSON.stringify(job), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  // Admin endpoint listing bills whose analysis disagrees with the official fiscal note (protected)
+  getFiscalNoteDisagreements: async (request, env) => {
+    const index = await env.NH_LEGISLATIVE_DATA.get(FISCAL_NOTE_CONFIG.DISAGREEMENTS_KEY, { type: 'json' }) || {};
+    const bills = Object.entries(index)
+      .map(([identifier, entry]) => ({ identifier, ...entry }))
+      .sort((a, b) => (b.flagged_at || '').localeCompare(a.flagged_at || ''));
+    
+    return new Response(JSON.stringify({ total: bills.length, bills }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  // Admin endpoints to manage versioned analysis prompts (protected)
+  listPrompts: async (request, env) => {
+    const registry = await listPromptVersions(env);
+    
+    return new Response(JSON.stringify(registry), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  getPrompt: async (request, env, ctx) => {
+    const prompts = await getPromptVersion(ctx.params.version, env);
+    
+    return new Response(JSON.stringify(prompts), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  createPrompt: async (request, env, ctx) => {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      throw new ValidationError('Request body must be JSON');
+    }
+    
+    const prompts = await createPromptVersion(body, ctx.state.auth.key_id, env);
+    ctx.state.audit = { prompt_version: prompts.version, based_on: prompts.based_on, activated: body.activate === true };
+    
+    return new Response(JSON.stringify(prompts), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  activatePrompt: async (request, env, ctx) => {
+    const { active, previous } = await activatePromptVersion(ctx.params.version, ctx.state.auth.key_id, env);
+    ctx.state.audit = { prompt_version: active.version, previous_version: previous.version };
+    
+    return new Response(JSON.stringify({ active, previous }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  // Admin endpoint to read the daily rate limit abuse report (protected)
+  getAbuseReport: async (request, env) => {
+    const url = new URL(request.url);
+    const date = url.searchParams.get('date') || new Date().toISOString().split('T')[0];
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new ValidationError('Invalid abuse report query', [{ field: 'date', message: 'date must be YYYY-MM-DD' }]);
+    }
+    
+    const report = await env.NH_LEGISLATIVE_METADATA.get(`abuse_report:${date}`, { type: 'json' });
+    if (!report) {
+      throw new NotFoundError(`No abuse report for ${date}`);
+    }
+    
+    return new Response(JSON.stringify(report), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
+  },
+  
+  // Admin endpoint to read the audit log of admin actions (protected)
+  getAuditLog: async (request, env) => {
+    const url = new URL(request.url);
+    const events = await queryAuditLog({
+      date: url.searchParams.get('date'),
+      key_id: url.searchParams.get('key_id'),
+      limit: parseInt(url.searchParams.get('limit') || '100', 10) || 100
+    }, env);
+    
+    return new Response(JSON.stringify({ events }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    });
   }
 };
 
-// Apply middleware to routes
-const cachedRoutes = applyCacheToRoutes(routes);
+// Rate limiters by route group; admin routes share the default limiter ahead of auth
+const limit = {
+  default: rateLimiters.default.middleware(),
+  search: rateLimiters.search.middleware(),
+  analysis: rateLimiters.analysis.middleware(),
+  bills: rateLimiters.bills.middleware(),
+};
+
+// Register routes with their methods, cache profile and middleware
+const router = createRouter()
+  .add('/api/analysis', { GET: handlers.getAnalysis }, { cache: 'analysis', middleware: [limit.analysis] })
+  .add('/api/analysis/history', { GET: handlers.getAnalysisHistory }, { cache: 'analysis', middleware: [limit.analysis] })
+  .add('/api/bills', { GET: handlers.listBills }, { cache: 'bills', middleware: [limit.bills] })
+  .add('/api/bills/:identifier', { GET: handlers.getBill }, { cache: 'bills', middleware: [limit.bills] })
+  .add('/api/search', { GET: handlers.search }, { cache: 'search', middleware: [limit.search] })
+  .add('/api/legislators', { GET: handlers.listLegislators }, { cache: 'legislators', middleware: [limit.default] })
+  .add('/api/legislators/:id*', { GET: handlers.getLegislator }, { cache: 'legislators', middleware: [limit.default] })
+  .add('/api/committee-reports', { GET: handlers.getCommitteeReports }, { cache: 'default', middleware: [limit.default] })
+  .add('/api/health', { GET: handlers.getHealth })
+  .add('/api/metrics', { GET: handlers.getMetrics }, { middleware: [limit.default, requireScope('metrics:read')] })
+  .add('/api/cache/purge', { POST: handlers.purgeCache }, { middleware: [limit.default, requireScope('cache:purge')] })
+  .add('/api/admin/trigger-collection', { POST: handlers.triggerCollection }, { middleware: [limit.default, requireScope('collection:trigger')] })
+  .add('/api/admin/keys', { GET: handlers.listKeys, POST: handlers.createKey }, { middleware: [limit.default, requireScope('keys:manage')] })
+  .add('/api/admin/keys/:keyId', { DELETE: handlers.revokeKey }, { middleware: [limit.default, requireScope('keys:manage')] })
+  .add('/api/admin/audit', { GET: handlers.getAuditLog }, { middleware: [limit.default, requireScope('audit:read')] })
+  .add('/api/admin/analysis/rerun', { POST: handlers.rerunAnalysis }, { middleware: [limit.default, requireScope('analysis:rerun')] })
+  .add('/api/admin/analysis/jobs/:jobId', { GET: handlers.getAnalysisJob }, { middleware: [limit.default, requireScope('analysis:rerun')] })
+  .add('/api/admin/fiscal-notes/disagreements', { GET: handlers.getFiscalNoteDisagreements }, { middleware: [limit.default, requireScope('analysis:read')] })
+  .add('/api/admin/prompts', { GET: handlers.listPrompts, POST: handlers.createPrompt }, { middleware: [limit.default, requireScope('prompts:manage')] })
+  .add('/api/admin/prompts/:version', { GET: handlers.getPrompt }, { middleware: [limit.default, requireScope('prompts:manage')] })
+  .add('/api/admin/prompts/:version/activate', { POST: handlers.activatePrompt }, { middleware: [limit.default, requireScope('prompts:manage')] })
+  .add('/api/admin/abuse-report', { GET: handlers.getAbuseReport }, { middleware: [limit.default, requireScope('metrics:read')] });
 
 // Define CORS headers
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   'Access-Control-Max-Age': '86400',
 };
@@ -430,18 +878,8 @@ export default {
       
       // Error handling wrapper
       withErrorHandling(async (request) => {
-        // Find the route handler
-        const handler = cachedRoutes[path];
-        
-        if (handler) {
-          return await handler(request, env, ctx);
-        }
-        
-        // Route not found
-        return new Response(JSON.stringify({ error: 'Not found' }), {
-          status: 404,
-          headers: { 'Content-Type': 'application/json' },
-        });
+        // Dispatch to the matching route (404/405 handled by the router)
+        return await router.handle(request, env, ctx);
       })
     ];
     
@@ -0,0 +1,423 @@
+// auth.js
+// Scoped API keys and audit logging for the admin routes of the API gateway
+
+import { AuthenticationError, AuthorizationError, ValidationError, NotFoundError, StorageError } from './error-handling.js';
+
+/**
+ * Configuration for API keys and the audit log
+ */
+export const AUTH_CONFIG = {
+  KEY_PREFIX: 'api_key:',
+  AUDIT_PREFIX: 'audit:',
+  AUDIT_TTL: 86400 * 90, // Keep audit events for 90 days
+  TOKEN_PREFIX: 'nhk',
+  MAX_AUDIT_EVENTS: 1000,
+  // Every scope a key can be granted; '*' grants all of them
+  SCOPES: [
+    'metrics:read',
+    'cache:purge',
+    'collection:trigger',
+    'analysis:read',
+    'analysis:rerun',
+    'prompts:manage',
+    'keys:manage',
+    'audit:read'
+  ]
+};
+
+/**
+ * Hash a secret with SHA-256
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a random hex string
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} - Hex string
+ */
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes))).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Strip the secret hash from a stored key record before returning it to a client
+ * @param {Object} record - Stored key record
+ * @returns {Object} - Public view of the key
+ */
+function publicKeyRecord(record) {
+  const { hash, ...rest } = record;
+  return { ...rest, status: keyStatus(record) };
+}
+
+/**
+ * Work out whether a stored key can currently be used
+ * @param {Object} record - Stored key record
+ * @returns {string} - 'active', 'expired' or 'revoked'
+ */
+function keyStatus(record) {
+  if (record.revoked_at) return 'revoked';
+  if (record.expires_at && new Date(record.expires_at).getTime() <= Date.now()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Create a scoped API key
+ * The plaintext token is returned once; only its SHA-256 hash is stored. A key can only grant
+ * scopes its creator holds, and only a '*' key can create another '*' key
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human-readable owner or purpose of the key
+ * @param {Array<string>} options.scopes - Scopes from AUTH_CONFIG.SCOPES (or '*')
+ * @param {string} options.expires_at - Optional ISO expiry timestamp
+ * @param {number} options.expires_in_days - Optional expiry relative to now (ignored if expires_at is set)
+ * @param {Object} creator - Principal creating the key, from authenticateRequest
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { token, key } where key is the public key record
+ * @throws {ValidationError} If the options are invalid
+ * @throws {AuthorizationError} If the key would hold scopes the creator doesn't
+ */
+export async function createApiKey(options, creator, env) {
+  const { name, scopes, expires_at: expiresAt, expires_in_days: expiresInDays } = options || {};
+
+  const errors = [];
+  if (!name || typeof name !== 'string') {
+    errors.push({ field: 'name', message: 'name is required' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push({ field: 'scopes', message: 'scopes must be a non-empty array' });
+  } else {
+    const unknown = scopes.filter(scope => scope !== '*' && !AUTH_CONFIG.SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      errors.push({ field: 'scopes', message: `Unknown scopes: ${unknown.join(', ')}` });
+    }
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+      errors.push({ field: 'expires_at', message: 'expires_at must be a future date' });
+    }
+  } else if (expiresInDays !== undefined) {
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1) {
+      errors.push({ field: 'expires_in_days', message: 'expires_in_days must be a positive integer' });
+    } else {
+      expiry = new Date(Date.now() + expiresInDays * 86400 * 1000);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid API key request', errors);
+  }
+
+  // Holding keys:manage mustn't be a way to obtain any other scope
+  const withheld = creator.scopes.includes('*')
+    ? []
+    : scopes.filter(scope => scope === '*' || !creator.scopes.includes(scope));
+  if (withheld.length > 0) {
+    throw new AuthorizationError(`API key cannot grant scopes it doesn't hold: ${withheld.join(', ')}`, {
+      key_id: creator.key_id,
+      scopes: withheld
+    });
+  }
+
+  // The key ID is embedded in the token so verification needs a single KV read
+  const keyId = randomHex(8);
+  const token = `${AUTH_CONFIG.TOKEN_PREFIX}_${keyId}_${randomHex(24)}`;
+
+  const record = {
+    key_id: keyId,
+    name,
+    scopes: Array.from(new Set(scopes)),
+    hash: await sha256Hex(token),
+    created_at: new Date().toISOString(),
+    created_by: creator.key_id,
+    expires_at: expiry ? expiry.toISOString() : null,
+    revoked_at: null,
+    revoked_by: null
+  };
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(`${AUTH_CONFIG.KEY_PREFIX}${keyId}`, JSON.stringify(record));
+  } catch (error) {
+    throw new StorageError(`Failed to store API key: ${error.message}`, { keyId });
+  }
+
+  return { token, key: publicKeyRecord(record) };
+}
+
+/**
+ * Revoke an API key
+ * @param {string} keyId - Key to revoke
+ * @param {string} revokedBy - key_id of the key performing the revocation
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Public key record
+ * @throws {NotFoundError} If the key doesn't exist
+ */
+export async function revokeApiKey(keyId, revokedBy, env) {
+  const recordKey = `${AUTH_CONFIG.KEY_PREFIX}${keyId}`;
+  const record = await env.NH_LEGISLATIVE_METADATA.get(recordKey, { type: 'json' });
+
+  if (!record) {
+    throw new NotFoundError(`API key not found: ${keyId}`);
+  }
+
+  // Revoking twice keeps the original revocation details
+  if (!record.revoked_at) {
+    record.revoked_at = new Date().toISOString();
+    record.revoked_by = revokedBy;
+    await env.NH_LEGISLATIVE_METADATA.put(recordKey, JSON.stringify(record));
+  }
+
+  return publicKeyRecord(record);
+}
+
+/**
+ * List all API keys without their hashes
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<Object>>} - Public key records, newest first
+ */
+export async function listApiKeys(env) {
+  const keys = [];
+  let cursor;
+
+  do {
+    const page = await env.NH_LEGISLATIVE_METADATA.list({ prefix: AUTH_CONFIG.KEY_PREFIX, cursor });
+    for (const { name } of page.keys) {
+      const record = await env.NH_LEGISLATIVE_METADATA.get(name, { type: 'json' });
+      if (record) keys.push(publicKeyRecord(record));
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return keys.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Read the Bearer token from a request
+ * @param {Request} request - Incoming request
+ * @returns {string|null} - Token, or null if the request doesn't present one
+ */
+function bearerToken(request) {
+  const authHeader = request.headers.get('Authorization');
+  return (authHeader?.startsWith('Bearer ') && authHeader.slice(7).trim()) || null;
+}
+
+/**
+ * Resolve the Bearer token on a request to the key that issued it
+ * env.API_KEY remains valid as a root key with every scope, so a fresh deployment
+ * can create its first scoped keys
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables with KV binding and API_KEY
+ * @returns {Promise<Object>} - Principal { key_id, name, scopes }
+ * @throws {AuthenticationError} If the token is missing, unknown, expired or revoked
+ */
+export async function authenticateRequest(request, env) {
+  const token = bearerToken(request);
+
+  if (!token) {
+    throw new AuthenticationError('Missing API key');
+  }
+
+  const tokenHash = await sha256Hex(token);
+
+  // Compare digests rather than raw strings so the check doesn't leak the key's length or prefix
+  if (env.API_KEY && tokenHash === await sha256Hex(env.API_KEY)) {
+    return { key_id: 'root', name: 'root', scopes: ['*'] };
+  }
+
+  const match = token.match(new RegExp(`^${AUTH_CONFIG.TOKEN_PREFIX}_([0-9a-f]+)_[0-9a-f]+$`));
+  const record = match
+    ? await env.NH_LEGISLATIVE_METADATA.get(`${AUTH_CONFIG.KEY_PREFIX}${match[1]}`, { type: 'json' })
+    : null;
+
+  if (!record || record.hash !== tokenHash) {
+    throw new AuthenticationError('Invalid API key');
+  }
+
+  const status = keyStatus(record);
+  if (status !== 'active') {
+    throw new AuthenticationError(`API key is ${status}`, { key_id: record.key_id });
+  }
+
+  return { key_id: record.key_id, name: record.name, scopes: record.scopes };
+}
+
+/**
+ * Check that a principal holds a scope
+ * @param {Object} principal - Principal from authenticateRequest
+ * @param {string} scope - Required scope
+ * @throws {AuthorizationError} If the scope isn't granted
+ */
+export function authorize(principal, scope) {
+  if (!principal.scopes.includes('*') && !principal.scopes.includes(scope)) {
+    throw new AuthorizationError(`API key lacks required scope: ${scope}`, {
+      key_id: principal.key_id,
+      required_scope: scope
+    });
+  }
+}
+
+/**
+ * Write an admin action to the audit log
+ * Keys sort by time so the log can be read back a day at a time; the key ID is kept in the KV
+ * metadata so reads can filter on it without fetching every event
+ * @param {Object} event - Audit event fields
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEvent(event, env) {
+  const timestamp = new Date().toISOString();
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(
+      `${AUTH_CONFIG.AUDIT_PREFIX}${timestamp}:${randomHex(4)}`,
+      JSON.stringify({ timestamp, ...event }),
+      { expirationTtl: AUTH_CONFIG.AUDIT_TTL, metadata: { key_id: event.key_id || null } }
+    );
+  } catch (error) {
+    // A failed audit write shouldn't fail the action it describes
+    console.error(`Failed to write audit event: ${error.message}`, error);
+  }
+}
+
+/**
+ * List one day's audit event keys, newest first
+ * @param {string} date - YYYY-MM-DD day
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<Object>>} - KV keys as { name, metadata }
+ */
+async function listAuditDay(date, env) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.NH_LEGISLATIVE_METADATA.list({ prefix: `${AUTH_CONFIG.AUDIT_PREFIX}${date}`, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  // KV lists in ascending key order; the newest events are at the end
+  return keys.reverse();
+}
+
+/**
+ * Read audit events
+ * Days are read from the newest back, so the most recent events are returned however many are retained
+ * @param {Object} options - Query options
+ * @param {string} options.date - Optional YYYY-MM-DD day to read (defaults to all retained events)
+ * @param {string} options.key_id - Optional key to filter on
+ * @param {number} options.limit - Maximum events to return
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<Object>>} - Audit events, newest first
+ */
+export async function queryAuditLog(options, env) {
+  const { date, key_id: keyId } = options;
+  const limit = Math.min(options.limit || 100, AUTH_CONFIG.MAX_AUDIT_EVENTS);
+
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new ValidationError('Invalid audit query', [{ field: 'date', message: 'date must be YYYY-MM-DD' }]);
+  }
+
+  const days = date
+    ? [date]
+    : Array.from({ length: Math.ceil(AUTH_CONFIG.AUDIT_TTL / 86400) + 1 }, (_, i) =>
+      new Date(Date.now() - i * 86400 * 1000).toISOString().split('T')[0]
+    );
+
+  const events = [];
+  for (const day of days) {
+    for (const { name, metadata } of await listAuditDay(day, env)) {
+      if (events.length >= limit) return events;
+      // Events written before the key ID was kept in metadata have to be read to be filtered
+      if (keyId && metadata && metadata.key_id !== keyId) continue;
+
+      const event = await env.NH_LEGISLATIVE_METADATA.get(name, { type: 'json' });
+      if (event && (!keyId || event.key_id === keyId)) {
+        events.push(event);
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Middleware requiring an API key holding a scope
+ * Every attempt that presents a key, allowed or not, is written to the audit log; requests
+ * without one are turned away unrecorded so anonymous traffic can't flood the log. The
+ * authenticated principal is available to the handler as ctx.state.auth
+ * @param {string} scope - Scope the route requires
+ * @returns {Function} - Middleware function
+ */
+export function requireScope(scope) {
+  return async (request, env, ctx) => {
+    const url = new URL(request.url);
+    const auditBase = {
+      action: `${request.method} ${ctx.route || url.pathname}`,
+      path: url.pathname,
+      method: request.method,
+      scope,
+      ip: request.headers.get('CF-Connecting-IP') || 'unknown'
+    };
+
+    let principal;
+    try {
+      principal = await authenticateRequest(request, env);
+      authorize(principal, scope);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError) && !(error instanceof AuthorizationError)) {
+        throw error;
+      }
+
+      if (!bearerToken(request)) {
+        return error.toResponse();
+      }
+
+      ctx.waitUntil(recordAuditEvent({
+        ...auditBase,
+        key_id: principal?.key_id || error.details?.key_id || null,
+        key_name: principal?.name || null,
+        outcome: 'denied',
+        status: error.statusCode,
+        reason: error.message
+      }, env));
+
+      return error.toResponse();
+    }
+
+    ctx.state.auth = principal;
+
+    let response;
+    try {
+      response = await ctx.next();
+    } catch (error) {
+      // Handlers may throw ApplicationErrors (e.g. validation) that the gateway turns into responses
+      const status = error.statusCode || 500;
+      ctx.waitUntil(recordAuditEvent({
+        ...auditBase,
+        key_id: principal.key_id,
+        key_name: principal.name,
+        outcome: status < 500 ? 'failure' : 'error',
+        status,
+        reason: error.message
+      }, env));
+      throw error;
+    }
+
+    ctx.waitUntil(recordAuditEvent({
+      ...auditBase,
+      key_id: principal.key_id,
+      key_name: principal.name,
+      outcome: response.status < 400 ? 'success' : 'failure',
+      status: response.status,
+      // Handlers can attach action-specific details (e.g. which key was created)
+      ...(ctx.state.audit && { details: ctx.state.audit })
+    }, env));
+
+    return response;
+  };
+}
@@ -2,6 +2,9 @@
 // Integration of bill analysis into the NH data collection worker
 
 import NH_CONFIG from './nh-config.js';
+import { selectRelevantChunks, groupChunksIntoSections, scoreRelevance } from './bill-text.js';
+import { loadAIProviderConfig, resolveAnalysisProvider } from './ai-providers.js';
+import { getActivePrompts, renderPrompt } from './prompt-registry.js';
 
 /**
  * Configuration for bill analysis
@@ -10,84 +13,273 @@ export const ANALYSIS_CONFIG = {
   MAX_BILLS_PER_BATCH: 5,
   RATE_LIMIT_DELAY: 5000, // ms between batch processing
   DEFAULT_ANALYSIS_TTLS: 604800, // 7 days in seconds
+  SIMPLIFIED_MODEL: 'keyword-simplified',
+  // Bills whose text exceeds one call's context are analyzed section by section, then merged;
+  // each run maps at most this many sections per dimension, most relevant first, and re-runs
+  // queued by queuePendingSectionAnalysis (analysis-jobs.js) map the rest
+  MAP_SECTIONS_PER_RUN: 6,
+  // Shape of each dimension's analysis; bump when IMPACT_RESPONSE_SCHEMA changes so stored
+  // analyses can be migrated (see migrateAnalysisRecord in analysis-storage.js)
+  SCHEMA_VERSION: 2,
+  // A tax, budget or societal impact is significant at this absolute score or dollar estimate
+  SIGNIFICANT_SCORE: 3,
+  SIGNIFICANT_DOLLARS: 1000000
 };
 
+/**
+ * Impact dimensions produced by analyzeBill
+ */
+export const ANALYSIS_TYPES = ['tax_impact', 'budget_impact', 'societal_impact', 'institutional_alignment'];
+
+export const IMPACT_DIRECTIONS = ['increase', 'decrease', 'neutral'];
+export const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * JSON schema of one dimension's analysis, requested from the AI providers
+ */
+export const IMPACT_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: {
+      type: "string",
+      description: "A one-sentence summary of the impact"
+    },
+    details: {
+      type: "string",
+      description: "2-3 paragraphs with detailed analysis"
+    },
+    score: {
+      type: "integer",
+      description: "Impact score from -5 (very negative) to +5 (very positive), with 0 being neutral",
+      minimum: -5,
+      maximum: 5
+    },
+    direction: {
+      type: "string",
+      enum: IMPACT_DIRECTIONS,
+      description: "Whether the bill increases, decreases or doesn't change what this dimension measures (e.g. taxes collected, state spending)"
+    },
+    dollar_range: {
+      type: ["object", "null"],
+      description: "Estimated annual dollar impact in USD, or null if the bill has no dollar impact or it can't be estimated",
+      properties: {
+        low: { type: "number" },
+        high: { type: "number" }
+      },
+      required: ["low", "high"]
+    },
+    confidence: {
+      type: "string",
+      enum: CONFIDENCE_LEVELS,
+      description: "Confidence in this assessment given the available bill text"
+    },
+    affected_populations: {
+      type: "array",
+      items: { type: "string" },
+      description: "Groups affected, as short lowercase tags (e.g. homeowners, small_businesses, municipalities)"
+    },
+    fiscal_years: {
+      type: "array",
+      items: { type: "integer" },
+      description: "State fiscal years affected (e.g. 2026 for FY2026)"
+    },
+    cited_sections: {
+      type: "array",
+      items: { type: "string" },
+      description: "Bill sections the assessment relies on (e.g. Section 3)"
+    }
+  },
+  required: ["summary", "details", "score", "direction", "dollar_range", "confidence", "affected_populations", "fiscal_years", "cited_sections"]
+};
+
+const MAX_POPULATION_TAGS = 10;
+const MAX_CITED_SECTIONS = 20;
+
+/**
+ * Coerce one dimension's analysis into the IMPACT_RESPONSE_SCHEMA shape
+ * Model output, simplified analyses and analyses stored before the structured fields all pass
+ * through here; fields that can't be read become null (or empty lists), never guesses.
+ * Other fields (raw_analysis, citations, method, error) are kept as they are
+ * @param {Object} impact - Analysis of one dimension
+ * @returns {Object|null} - Normalized analysis, or null if there is none
+ */
+export function normalizeImpactAnalysis(impact) {
+  if (!impact || typeof impact !== 'object') return null;
+  
+  const score = Number(impact.score);
+  const low = Number(impact.dollar_range?.low);
+  const high = Number(impact.dollar_range?.high);
+  const direction = typeof impact.direction === 'string' ? impact.direction.toLowerCase() : null;
+  const confidence = typeof impact.confidence === 'string' ? impact.confidence.toLowerCase() : null;
+  
+  const tags = (Array.isArray(impact.affected_populations) ? impact.affected_populations : [])
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''))
+    .filter(Boolean);
+  
+  // Accept "FY2026", "2026" and 2026; two-digit years like "FY26" are read as 20xx
+  const years = (Array.isArray(impact.fiscal_years) ? impact.fiscal_years : [])
+    .map(year => {
+      const digits = String(year).match(/(\d{4}|\d{2})\s*$/)?.[1];
+      return digits ? Number(digits.length === 2 ? `20${digits}` : digits) : NaN;
+    })
+    .filter(year => Number.isInteger(year) && year >= 1990 && year <= 2100);
+  
+  const sections = (Array.isArray(impact.cited_sections) ? impact.cited_sections : [])
+    .filter(section => typeof section === 'string' && section.trim())
+    .map(section => section.trim());
+  
+  return {
+    ...impact,
+    summary: typeof impact.summary === 'string' ? impact.summary : 'No summary available',
+    details: typeof impact.details === 'string' ? impact.details : 'No details available',
+    score: Number.isFinite(score) ? Math.max(-5, Math.min(5, Math.round(score))) : 0,
+    direction: IMPACT_DIRECTIONS.includes(direction) ? direction : null,
+    dollar_range: Number.isFinite(low) && Number.isFinite(high)
+      ? { low: Math.min(low, high), high: Math.max(low, high) }
+      : null,
+    confidence: CONFIDENCE_LEVELS.includes(confidence) ? confidence : null,
+    affected_populations: [...new Set(tags)].slice(0, MAX_POPULATION_TAGS),
+    fiscal_years: [...new Set(years)].sort((a, b) => a - b),
+    cited_sections: [...new Set(sections)].slice(0, MAX_CITED_SECTIONS)
+  };
+}
+
+/**
+ * Check whether an analysis shows a significant tax, budget or societal impact
+ * Uses the structured fields: a strong score or a large dollar estimate, unless the
+ * assessment itself is low-confidence (as keyword-based simplified analyses are)
+ * @param {Object} analysis - Analysis with an analyses object keyed by type
+ * @returns {boolean} - Whether any impact is significant
+ */
+export function hasSignificantImpact(analysis) {
+  return ['tax_impact', 'budget_impact', 'societal_impact'].some(type => {
+    const impact = analysis?.analyses?.[type];
+    if (!impact || impact.confidence === 'low') return false;
+    
+    const dollars = Math.max(Math.abs(impact.dollar_range?.low || 0), Math.abs(impact.dollar_range?.high || 0));
+    return Math.abs(impact.score || 0) >= ANALYSIS_CONFIG.SIGNIFICANT_SCORE ||
+      dollars >= ANALYSIS_CONFIG.SIGNIFICANT_DOLLARS;
+  });
+}
+
+/**
+ * Keep only the requested dimensions of an analyses object
+ * @param {Object} analyses - Analyses keyed by type
+ * @param {Array<string>} dimensions - Types to keep
+ * @returns {Object} - Filtered analyses
+ */
+function pickDimensions(analyses, dimensions) {
+  return Object.fromEntries(Object.entries(analyses).filter(([type]) => dimensions.includes(type)));
+}
+
 /**
  * Analyze a bill using AI to determine various impacts
  * @param {Object} bill - The bill to analyze
  * @param {Object} env - Environment with bindings including AI if available
- * @returns {Promise<Object>} - Analysis results
+ * @param {Object} options - Analysis options
+ * @param {Array<string>} options.dimensions - Subset of ANALYSIS_TYPES to analyze (default: all)
+ * @param {Object} options.billText - Stored text of the latest version from bill-text.js (optional)
+ * @param {Object} options.previous - Stored analysis of the bill, whose section findings are reused (optional)
+ * @returns {Promise<Object>} - Analysis results; per-dimension failures are listed in analysis_errors
  */
-export async function analyzeBill(bill, env) {
+export async function analyzeBill(bill, env, options = {}) {
+  const dimensions = options.dimensions || ANALYSIS_TYPES;
+  
   try {
     console.log(`Analyzing bill: ${bill.identifier} - ${bill.title}`);
     
-    // Prepare bill content for analysis
-    const billContent = prepareBillContent(bill);
+    const billText = options.billText || null;
     
     // Initialize with timestamps
     const analysisResult = {
       bill_id: bill.id,
       bill_identifier: bill.identifier,
       analysis_timestamp: new Date().toISOString(),
-      analyses: {}
+      schema_version: ANALYSIS_CONFIG.SCHEMA_VERSION,
+      analyses: {},
+      analysis_errors: {},
+      // Which version's text the analysis read, if any
+      source_text: billText ? { ...billText.version, chunk_count: billText.chunk_count } : null
     };
     
+    // Pick the AI provider configured for each dimension (see ai-providers.js)
+    const providerConfig = await loadAIProviderConfig(env);
+    const providers = Object.fromEntries(
+      dimensions.map(type => [type, resolveAnalysisProvider(providerConfig, type, bill, env)])
+    );
+    
     // Try to use AI if available
-    if (env.AI) {
+    if (Object.values(providers).some(Boolean)) {
       console.log(`Using AI to analyze bill ${bill.identifier}`);
+      analysisResult.providers = {};
       try {
-        // Process analyses sequentially to avoid overloading
-        const analysisTypes = [
-          {
-            type: 'tax_impact',
-            prompt: 'Analyze the potential tax impact of this bill. Identify if it increases taxes, decreases taxes, or is tax neutral. Estimate the magnitude of impact and affected groups.'
-          },
-          {
-            type: 'budget_impact',
-            prompt: 'Analyze the potential budget impact of this bill. Identify if it increases spending, decreases spending, or is budget neutral. Estimate the magnitude of impact.'
-          },
-          {
-            type: 'societal_impact',
-            prompt: 'Analyze the potential societal impact of this bill. Identify affected groups and estimate the nature and magnitude of impact.'
-          },
-          {
-            type: 'institutional_alignment',
-            prompt: 'Analyze how this bill aligns with various institutional interests such as political parties, industry groups, or advocacy organizations.'
-          }
-        ];
+        // Prompts come from the registry so they can change without a redeploy (see prompt-registry.js)
+        const prompts = await getActivePrompts(env);
+        analysisResult.prompt_version = prompts.version;
+        const analysisTypes = ANALYSIS_TYPES.map(type => ({ type, prompt: prompts.dimensions[type] }));
         
-        // Process each analysis type one at a time
-        for (const analysis of analysisTypes) {
+        // Process each requested analysis type one at a time
+        for (const analysis of analysisTypes.filter(a => dimensions.includes(a.type))) {
+          const resolved = providers[analysis.type];
+          
+          // Dimensions whose provider isn't available fall back to the simplified analysis
+          if (!resolved) {
+            analysisResult.providers[analysis.type] = { provider: 'simplified', type: 'simplified', model: ANALYSIS_CONFIG.SIMPLIFIED_MODEL, prompt_version: null };
+            analysisResult.analyses[analysis.type] = createSimplifiedAnalysis(bill)[analysis.type];
+            continue;
+          }
+          
+          const { provider, variant } = resolved;
+          analysisResult.providers[analysis.type] = { ...provider.describe(), ...(variant ? { variant } : {}), prompt_version: prompts.version };
+          
           try {
-            console.log(`Starting analysis for ${analysis.type} on bill ${bill.identifier}`);
-            analysisResult.analyses[analysis.type] = await analyzeWithAI(
-              env.AI, 
-              billContent, 
-              analysis.type,
-              analysis.prompt
-            );
+            console.log(`Starting analysis for ${analysis.type} on bill ${bill.identifier} with provider ${provider.name}`);
+            const result = needsMapReduce(billText, provider.maxInputChars)
+              ? await analyzeWithMapReduce(provider, bill, billText, analysis.type, prompts, options.previous?.analyses?.[analysis.type])
+              : await analyzeWithAI(
+                provider, 
+                prepareBillContent(bill, billText, analysis.type, provider.maxInputChars), 
+                analysis.type,
+                analysis.prompt,
+                prompts
+              );
+            analysisResult.analyses[analysis.type] = result;
+            // Provider failures and timeouts come back as fallback results rather than throwing
+            if (result.error) {
+              analysisResult.analysis_errors[analysis.type] = result.error;
+            }
             // Add a slight delay between AI calls
             await new Promise(resolve => setTimeout(resolve, 1000));
           } catch (typeError) {
             console.error(`Failed to analyze ${analysis.type} for bill ${bill.identifier}: ${typeError.message}`);
+            analysisResult.analysis_errors[analysis.type] = typeError.message;
             // Use simplified analysis for this specific type
-            analysisResult.analyses[analysis.type] = createSimplifiedAnalysis(bill)[analysis.type] || {
+            analysisResult.analyses[analysis.type] = createSimplifiedAnalysis(bill)[analysis.type] || normalizeImpactAnalysis({
               summary: `Analysis failed: ${typeError.message}`,
               details: 'An error occurred while analyzing this aspect of the bill.',
-              score: 0
-            };
+              score: 0,
+              confidence: 'low'
+            });
           }
         }
+        
+        // Every model that contributed, for the version metadata
+        analysisResult.model = [...new Set(Object.values(analysisResult.providers).map(p => p.model))].join(', ');
       } catch (aiError) {
         console.error(`AI analysis error for bill ${bill.identifier}: ${aiError.message}`);
         // Fall back to simplified analysis
-        Object.assign(analysisResult.analyses, createSimplifiedAnalysis(bill));
+        analysisResult.model = ANALYSIS_CONFIG.SIMPLIFIED_MODEL;
+        analysisResult.prompt_version = null;
+        analysisResult.providers = null;
+        Object.assign(analysisResult.analyses, pickDimensions(createSimplifiedAnalysis(bill), dimensions));
       }
     } else {
       // Use simplified analysis if AI is not available
       console.log(`Using simplified analysis for bill ${bill.identifier} (AI not available)`);
-      Object.assign(analysisResult.analyses, createSimplifiedAnalysis(bill));
+      analysisResult.model = ANALYSIS_CONFIG.SIMPLIFIED_MODEL;
+      analysisResult.prompt_version = null;
+      Object.assign(analysisResult.analyses, pickDimensions(createSimplifiedAnalysis(bill), dimensions));
     }
     
     console.log(`Analysis completed for bill ${bill.identifier}`);
@@ -101,86 +293,45 @@ export async function analyzeBill(bill, env) {
       bill_identifier: bill?.identifier,
       analysis_timestamp: new Date().toISOString(),
       analysis_error: error.message,
-      analyses: createSimplifiedAnalysis(bill) // Still provide basic analysis
+      schema_version: ANALYSIS_CONFIG.SCHEMA_VERSION,
+      model: ANALYSIS_CONFIG.SIMPLIFIED_MODEL,
+      prompt_version: null,
+      analyses: pickDimensions(createSimplifiedAnalysis(bill), dimensions) // Still provide basic analysis
     };
   }
 }
 
 /**
  * Use AI to analyze a specific aspect of a bill
- * @param {Object} ai - AI binding
+ * @param {Object} provider - AI provider from ai-providers.js
  * @param {string} content - Bill content
  * @param {string} type - Type of analysis
  * @param {string} prompt - Analysis prompt
+ * @param {Object} prompts - Prompt version from prompt-registry.js, whose template wraps the call
  * @returns {Promise<Object>} - Analysis result for this aspect
  */
-async function analyzeWithAI(ai, content, type, prompt) {
+async function analyzeWithAI(provider, content, type, prompt, prompts) {
   try {
     console.log(`Starting AI analysis for ${type} on bill content length: ${content.length} characters`);
     
-    // Define JSON schema for structured response
-    const responseSchema = {
-      type: "object",
-      properties: {
-        summary: {
-          type: "string",
-          description: "A one-sentence summary of the impact"
-        },
-        details: {
-          type: "string",
-          description: "2-3 paragraphs with detailed analysis"
-        },
-        score: {
-          type: "integer",
-          description: "Impact score from -5 (very negative) to +5 (very positive), with 0 being neutral",
-          minimum: -5,
-          maximum: 5
-        }
-      },
-      required: ["summary", "details", "score"]
-    };
-    
-    // Create the full prompt with instructions
-    const fullPrompt = `
-You are a legislative analyst specialized in impact assessment. 
-Analyze the following bill and provide a structured analysis:
-
-${content}
-
-${prompt}
+    // Create the full prompt from the registry template
+    const fullPrompt = renderPrompt(prompts, content, prompt);
 
-Provide a summary (one sentence), details (2-3 paragraphs), and score (from -5 to +5) 
-where -5 is very negative impact, 0 is neutral, and +5 is very positive impact.
-`;
-
-    // Create a timeout promise
-    const timeout = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error(`AI analysis timeout for ${type}`)), 30000); // 30 second timeout
-    });
-
-    // Call the AI model with the prompt, JSON mode, and race against timeout
-    const aiPromise = ai.run('@cf/meta/llama-3-8b-instruct', {
-      prompt: fullPrompt,
-      max_tokens: 500,
-      response_format: {
-        type: "json_schema",
-        json_schema: responseSchema
-      }
-    });
-    
-    console.log(`AI request sent for ${type} using JSON Mode, waiting for response...`);
+    // Call the provider, which applies its own timeout, token limit and JSON schema handling
+    console.log(`AI request sent for ${type} to provider ${provider.name}, waiting for response...`);
     
-    // Use Promise.race to implement timeout
-    const response = await Promise.race([aiPromise, timeout])
+    const response = await provider.run({ prompt: fullPrompt, schema: IMPACT_RESPONSE_SCHEMA })
       .catch(error => {
         console.error(`AI analysis failed or timed out for ${type}: ${error.message}`);
-        // Return a fallback response if JSON Mode fails
+        // Return a fallback response if the provider fails
         return {
           response: {
             summary: `Unable to perform detailed analysis due to ${error.message}.`,
             details: "The AI analysis service was unable to complete this request in a timely manner.",
-            score: 0
-          }
+            score: 0,
+            confidence: 'low'
+          },
+          failed: error.message
         };
       });
     
@@ -191,22 +342,13 @@ where -5 is very negative impact, 0 is neutral, and +5 is very positive impact.
     
     if (response.response && typeof response.response === 'object') {
       // Direct access to JSON object
-      result = {
-        summary: response.response.summary || 'No summary available',
-        details: response.response.details || 'No details available',
-        score: typeof response.response.score === 'number' ? response.response.score : 0
-      };
+      result = normalizeImpactAnalysis(response.response);
     } else if (typeof response.response === 'string') {
-      // Fallback for non-JSON responses (shouldn't happen with JSON Mode enabled)
+      // Providers return text when the model's output isn't valid JSON
       console.warn(`Received string response instead of JSON object for ${type}`);
       try {
         // Try to parse as JSON
-        const parsed = JSON.parse(response.response);
-        result = {
-          summary: parsed.summary || 'No summary available',
-          details: parsed.details || 'No details available',
-          score: typeof parsed.score === 'number' ? parsed.score : 0
-        };
+        result = normalizeImpactAnalysis(JSON.parse(response.response));
       } catch (parseError) {
         console.error(`Failed to parse AI response as JSON for ${type}: ${parseError.message}`);
         // Use legacy regex parsing as fallback
@@ -215,19 +357,26 @@ where -5 is very negative impact, 0 is neutral, and +5 is very positive impact.
         const detailsMatch = analysisText.match(/Details:(.*?)(?=Score:|$)/s);
         const scoreMatch = analysisText.match(/Score:.*?(-?\d+)/s);
         
-        result = {
+        result = normalizeImpactAnalysis({
           summary: summaryMatch ? summaryMatch[1].trim() : 'No summary available',
           details: detailsMatch ? detailsMatch[1].trim() : 'No details available',
-          score: scoreMatch ? parseInt(scoreMatch[1], 10) : 0
-        };
+          score: scoreMatch ? parseInt(scoreMatch[1], 10) : 0,
+          confidence: 'low'
+        });
       }
     } else {
       // Fallback for unexpected response format
-      result = {
+      result = normalizeImpactAnalysis({
         summary: `Analysis for ${type} returned in unexpected format.`,
         details: 'The AI system returned a response in a format that could not be processed.',
-        score: 0
-      };
+        score: 0,
+        confidence: 'low'
+      });
+    }
+    
+    // Flag fallback results so callers combining several calls can leave them out
+    if (response.failed) {
+      result.error = response.failed;
     }
     
     // Include raw analysis for debugging but limit the size
@@ -240,15 +389,271 @@ where -5 is very negative impact, 0 is neutral, and +5 is very positive impact.
   } catch (error) {
     console.error(`Unhandled AI analysis error for ${type}: ${error.message}`);
     // Return fallback instead of throwing
-    return {
+    return normalizeImpactAnalysis({
       summary: `Analysis for ${type} could not be completed due to an error: ${error.message}`,
       details: 'The system encountered an error while analyzing this section.',
       score: 0,
+      confidence: 'low',
       error: error.message
-    };
+    });
   }
 }
 
+/**
+ * Check whether a bill's text is too long to analyze in one call
+ * @param {Object} billText - Stored bill text with chunks (optional)
+ * @param {number} maxInputChars - Characters of bill text the provider takes per call
+ * @returns {boolean} - Whether to use map-reduce analysis
+ */
+function needsMapReduce(billText, maxInputChars) {
+  const length = (billText?.chunks || []).reduce((sum, chunk) => sum + chunk.text.length, 0);
+  return length > maxInputChars;
+}
+
+/**
+ * Describe a group of chunks for prompts and citations
+ * @param {Object} group - Group from groupChunksIntoSections
+ * @returns {string} - e.g. "Section 3: Rate Change" or "Section 3: Rate Change through Section 5: Appropriation"
+ */
+function describeSectionGroup(group) {
+  if (group.sections.length === 0) return `Part ${group.index + 1}`;
+  if (group.sections.length === 1) return group.sections[0];
+  return `${group.sections[0]} through ${group.sections[group.sections.length - 1]}`;
+}
+
+/**
+ * Describe a section finding for the reduce prompt
+ * @param {Object} finding - Section result with its label
+ * @returns {string} - One line with the finding's score, direction and estimates
+ */
+function describeSectionFinding(finding) {
+  const facts = [`score ${finding.score}`];
+  if (finding.direction) facts.push(finding.direction);
+  if (finding.dollar_range) facts.push(`$${finding.dollar_range.low}-$${finding.dollar_range.high}`);
+  if (finding.fiscal_years.length > 0) facts.push(`FY${finding.fiscal_years.join(', FY')}`);
+  return `- ${finding.label} (${facts.join('; ')}): ${finding.summary}`;
+}
+
+/**
+ * Merge section findings without the AI, used when the reduce call fails
+ * Sections describe separate provisions, so dollar estimates add up; confidence is low
+ * because nothing weighed the sections against each other
+ * @param {Array<Object>} findings - Normalized section results with their labels
+ * @returns {Object} - Merged analysis in the IMPACT_RESPONSE_SCHEMA shape
+ */
+function mergeSectionFindings(findings) {
+  const strongest = findings.reduce((best, f) => Math.abs(f.score) > Math.abs(best.score) ? f : best);
+  const average = findings.reduce((sum, f) => sum + f.score, 0) / findings.length;
+  const ranges = findings.map(f => f.dollar_range).filter(Boolean);
+  
+  return normalizeImpactAnalysis({
+    summary: strongest.summary,
+    details: findings.map(f => `${f.label} (score ${f.score}): ${f.summary}`).join('\n\n'),
+    score: average,
+    direction: strongest.direction,
+    dollar_range: ranges.length > 0
+      ? { low: ranges.reduce((sum, r) => sum + r.low, 0), high: ranges.reduce((sum, r) => sum + r.high, 0) }
+      : null,
+    confidence: 'low',
+    affected_populations: findings.flatMap(f => f.affected_populations),
+    fiscal_years: findings.flatMap(f => f.fiscal_years),
+    cited_sections: findings.flatMap(f => f.cited_sections)
+  });
+}
+
+/**
+ * Split findings into batches whose reduce prompt fits one call
+ * Every batch but a lone last one holds at least two findings, so each stage shrinks the list
+ * @param {Array<Object>} findings - Findings with their labels
+ * @param {number} maxChars - Characters of findings per call
+ * @returns {Array<Array<Object>>} - Batches in document order
+ */
+function batchSectionFindings(findings, maxChars) {
+  const batches = [];
+  let batch = [];
+  let length = 0;
+  
+  for (const finding of findings) {
+    const line = describeSectionFinding(finding).length + 1;
+    if (batch.length >= 2 && length + line > maxChars) {
+      batches.push(batch);
+      batch = [];
+      length = 0;
+    }
+    batch.push(finding);
+    length += line;
+  }
+  if (batch.length > 0) batches.push(batch);
+  
+  return batches;
+}
+
+/**
+ * Merge section findings in stages so no reduce prompt exceeds one call's context
+ * Findings are reduced a batch at a time and the batch results reduced again until one remains;
+ * a failed reduce call falls back to mergeSectionFindings for its batch
+ * @param {Object} provider - AI provider from ai-providers.js
+ * @param {string} metadata - Bill metadata for the prompt
+ * @param {Array<Object>} findings - Section findings with their labels, in document order
+ * @param {string} type - Type of analysis
+ * @param {Object} prompts - Prompt version from prompt-registry.js
+ * @returns {Promise<Object>} - Merged analysis in the IMPACT_RESPONSE_SCHEMA shape
+ */
+async function reduceSectionFindings(provider, metadata, findings, type, prompts) {
+  const prompt = `${prompts.dimensions[type]} ${prompts.reduce_instructions}`;
+  let level = findings;
+  
+  while (true) {
+    const batches = batchSectionFindings(level, provider.maxInputChars);
+    const next = [];
+    
+    for (const batch of batches) {
+      if (batch.length === 1) {
+        next.push(batch[0]);
+        continue;
+      }
+      
+      const reduced = await analyzeWithAI(
+        provider,
+        `${metadata}\n\nSection findings:\n${batch.map(describeSectionFinding).join('\n')}`,
+        type,
+        prompt,
+        prompts
+      );
+      const first = batch[0];
+      const last = batch[batch.length - 1];
+      next.push({
+        ...(reduced.error ? mergeSectionFindings(batch) : reduced),
+        label: `${first.first_label || first.label} through ${last.last_label || last.label}`,
+        first_label: first.first_label || first.label,
+        last_label: last.last_label || last.label
+      });
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    
+    if (batches.length === 1) {
+      return next[0];
+    }
+    level = next;
+  }
+}
+
+/**
+ * Rebuild a section finding from a stored citation
+ * @param {Object} citation - Citation from an earlier map-reduce result
+ * @returns {Object} - Finding with its label and group
+ */
+function citationToFinding(citation) {
+  return {
+    ...normalizeImpactAnalysis({ ...citation, details: citation.summary }),
+    label: citation.section,
+    group: { index: citation.group_index, sections: citation.sections, chunk_indexes: citation.chunk_indexes }
+  };
+}
+
+/**
+ * Analyze a long bill section by section (map), then merge the findings (reduce)
+ * Each call maps up to MAP_SECTIONS_PER_RUN sections not yet analyzed, most relevant first, and
+ * reuses the findings of an earlier call that read the same text with the same model and prompts;
+ * sections still to map are listed in sections_pending. The result keeps the usual
+ * IMPACT_RESPONSE_SCHEMA shape plus citations listing each analyzed section's findings, strongest first
+ * @param {Object} provider - AI provider from ai-providers.js
+ * @param {Object} bill - The bill to analyze
+ * @param {Object} billText - Stored bill text with chunks
+ * @param {string} type - Type of analysis
+ * @param {Object} prompts - Prompt version from prompt-registry.js
+ * @param {Object} previous - Stored analysis of this dimension (optional)
+ * @returns {Promise<Object>} - Analysis result for this aspect
+ * @throws {Error} If no section could be analyzed
+ */
+async function analyzeWithMapReduce(provider, bill, billText, type, prompts, previous = null) {
+  const prompt = prompts.dimensions[type];
+  const groups = groupChunksIntoSections(billText.chunks, provider.maxInputChars);
+  const metadata = prepareBillContent(bill);
+  const mapSource = {
+    url: billText.version?.url || null,
+    model: provider.describe().model,
+    max_input_chars: provider.maxInputChars,
+    prompt_version: prompts.version
+  };
+  
+  const reused = previous?.method === 'map_reduce' && JSON.stringify(previous.map_source) === JSON.stringify(mapSource)
+    ? (previous.citations || []).filter(c => Number.isInteger(c.group_index) && c.group_index < groups.length).map(citationToFinding)
+    : [];
+  const mapped = new Set(reused.map(f => f.group.index));
+  
+  // Map the most relevant sections not analyzed yet
+  const selected = groups
+    .filter(group => !mapped.has(group.index))
+    .map(group => ({ group, relevance: scoreRelevance(group.text, type) }))
+    .sort((a, b) => b.relevance - a.relevance || a.group.index - b.group.index)
+    .slice(0, ANALYSIS_CONFIG.MAP_SECTIONS_PER_RUN)
+    .map(({ group }) => group)
+    .sort((a, b) => a.index - b.index);
+  
+  console.log(`Map-reduce ${type} analysis for bill ${bill.identifier}: mapping ${selected.length} of ${groups.length} sections (${reused.length} already analyzed)`);
+  
+  const findings = [...reused];
+  for (const group of selected) {
+    const label = describeSectionGroup(group);
+    const result = await analyzeWithAI(
+      provider,
+      `${metadata}\n\nBill Text (${label}; one part of a longer bill):\n\n${group.text}`,
+      type,
+      `${prompt} ${prompts.section_instructions}`,
+      prompts
+    );
+    
+    if (!result.error) {
+      findings.push({ ...result, label, group });
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  
+  if (findings.length === 0) {
+    throw new Error(`No sections of bill ${bill.identifier} could be analyzed`);
+  }
+  
+  findings.sort((a, b) => a.group.index - b.group.index);
+  const analyzed = new Set(findings.map(f => f.group.index));
+  const merged = await reduceSectionFindings(provider, metadata, findings, type, prompts);
+  
+  return {
+    summary: merged.summary,
+    details: merged.details,
+    score: merged.score,
+    direction: merged.direction,
+    dollar_range: merged.dollar_range,
+    confidence: merged.confidence,
+    affected_populations: merged.affected_populations,
+    fiscal_years: merged.fiscal_years,
+    // The analyzed sections stand in when the merged result names none
+    cited_sections: merged.cited_sections.length > 0 ? merged.cited_sections : findings.map(f => f.label),
+    raw_analysis: merged.raw_analysis,
+    method: 'map_reduce',
+    map_source: mapSource,
+    sections_analyzed: findings.length,
+    sections_total: groups.length,
+    // Sections not analyzed yet (or whose call failed), mapped by later re-runs
+    sections_pending: groups.filter(group => !analyzed.has(group.index)).map(describeSectionGroup),
+    citations: findings
+      .map(f => ({
+        section: f.label,
+        sections: f.group.sections,
+        chunk_indexes: f.group.chunk_indexes,
+        group_index: f.group.index,
+        score: f.score,
+        summary: f.summary,
+        direction: f.direction,
+        dollar_range: f.dollar_range,
+        fiscal_years: f.fiscal_years,
+        affected_populations: f.affected_populations,
+        cited_sections: f.cited_sections
+      }))
+      .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+  };
+}
+
 /**
  * Create simplified analysis when AI is not available
  * @param {Object} bill - The bill to analyze
@@ -273,44 +678,57 @@ function createSimplifiedAnalysis(bill) {
   const budgetMatches = budgetKeywords.filter(kw => billText.includes(kw)).length;
   const societalMatches = societalKeywords.filter(kw => billText.includes(kw)).length;
   
-  // Create analyses based on keyword matches
-  return {
+  // Create analyses based on keyword matches; keyword counts can't support more than low confidence
+  const analyses = {
     tax_impact: taxMatches > 0 ? {
       summary: `Potential ${taxMatches > 2 ? 'significant' : 'minor'} tax implications based on keyword analysis.`,
       details: `This bill contains ${taxMatches} tax-related keywords, suggesting it may have tax implications.`,
       score: 0, // Neutral score for keyword-based analysis
+      confidence: 'low',
     } : null,
     
     budget_impact: budgetMatches > 0 ? {
       summary: `Potential ${budgetMatches > 2 ? 'significant' : 'minor'} budget implications based on keyword analysis.`,
       details: `This bill contains ${budgetMatches} budget-related keywords, suggesting it may have budgetary implications.`,
       score: 0,
+      confidence: 'low',
     } : null,
     
     societal_impact: societalMatches > 0 ? {
       summary: `Potential ${societalMatches > 2 ? 'significant' : 'minor'} societal implications based on keyword analysis.`,
       details: `This bill contains ${societalMatches} society-related keywords, suggesting it may have societal implications.`,
       score: 0,
+      confidence: 'low',
     } : null,
     
     institutional_alignment: {
       summary: 'Insufficient data for institutional alignment analysis.',
       details: 'Simplified analysis cannot determine institutional alignments without AI processing.',
       score: 0,
+      confidence: 'low',
     }
   };
+  
+  return Object.fromEntries(Object.entries(analyses).map(([type, impact]) => [type, normalizeImpactAnalysis(impact)]));
 }
 
 /**
  * Prepare bill content for analysis
+ * When the bill's text has been ingested, the chunks most relevant to the analysis type are
+ * appended after the metadata
  * @param {Object} bill - The bill to analyze
+ * @param {Object} billText - Stored bill text with chunks (optional)
+ * @param {string} type - Analysis type the content is for
+ * @param {number} maxInputChars - Characters of bill text to include (default: bill-text.js budget)
  * @returns {string} - Formatted bill content for analysis
  */
-function prepareBillContent(bill) {
+function prepareBillContent(bill, billText = null, type = null, maxInputChars = undefined) {
+  const abstract = (bill.abstracts || []).map(a => a.abstract).filter(Boolean).join(' ') || bill.abstract;
+  
   const sections = [
     `Bill ID: ${bill.identifier}`,
     `Title: ${bill.title || 'No title provided'}`,
-    `Abstract: ${bill.abstract || 'No abstract provided'}`,
+    `Abstract: ${abstract || 'No abstract provided'}`,
     `Description: ${bill.description || 'No description provided'}`,
     `Subjects: ${bill.subject ? bill.subject.join(', ') : 'No subjects provided'}`,
     `Sponsors: ${bill.sponsors ? bill.sponsors.map(s => s.name).join(', ') : 'No sponsors provided'}`,
@@ -318,6 +736,15 @@ function prepareBillContent(bill) {
     `Current Status: ${bill.status || 'Status unknown'}`
   ];
   
+  const chunks = selectRelevantChunks(billText?.chunks, type, maxInputChars);
+  if (chunks.length > 0) {
+    const omitted = billText.chunks.length - chunks.length;
+    sections.push(
+      `Bill Text (${billText.version?.note || 'latest version'}${omitted > 0 ? `; excerpts, ${omitted} of ${billText.chunks.length} parts omitted` : ''}):`,
+      ...chunks.map(chunk => chunk.section ? `[${chunk.section}]\n${chunk.text}` : chunk.text)
+    );
+  }
+  
   return sections.join('\n\n');
 }
 
@@ -409,14 +836,7 @@ async function processBillWithAnalysis(bill, env) {
     await updateBillIndexes(bill, category, env);
     
     // For bills with significant tax or budget impact, add to a special index
-    const shouldHighlightBill = (bill) => {
-      if (!bill.nh_analysis) return false;
-      return bill.nh_analysis.tax_impact?.summary?.toLowerCase().includes('significant') ||
-             bill.nh_analysis.budget_impact?.summary?.toLowerCase().includes('significant') ||
-             bill.nh_analysis.societal_impact?.summary?.toLowerCase().includes('significant');
-    };
-    
-    if (shouldHighlightBill(enhancedBill)) {
+    if (hasSignificantImpact(analysis)) {
       await addBillToHighlightIndex(bill, env);
     }
     
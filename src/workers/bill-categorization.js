@@ -0,0 +1,126 @@
+// bill-categorization.js
+// Keyword and subject based categorization of NH bills
+
+import NH_CONFIG from './nh-config.js';
+
+/**
+ * Configuration for bill categorization
+ */
+export const CATEGORIZATION_CONFIG = {
+  // Weight applied to a keyword match in each part of the bill
+  FIELD_WEIGHTS: {
+    subject: 3,
+    title: 2,
+    abstract: 1.5,
+    action: 0.5
+  },
+  // Categories whose share of the total score falls below this are dropped
+  MIN_CONFIDENCE: 0.15,
+  // A bill needs at least this much weighted evidence to be categorized at all
+  MIN_SCORE: 1,
+  // Cap on how many categories a single bill is filed under
+  MAX_CATEGORIES: 3,
+  DEFAULT_CATEGORY: 'uncategorized'
+};
+
+/**
+ * Build a word-boundary matcher for a keyword, tolerating common suffixes
+ * (e.g. "tax" matches "taxes" and "taxation" but not "taxi")
+ * @param {string} keyword - Category keyword
+ * @returns {RegExp} - Case-insensitive global matcher
+ */
+function buildKeywordMatcher(keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}(?:s|es|ed|ing|al|ation|ations)?\\b`, 'gi');
+}
+
+// Matchers are built once per keyword rather than once per bill
+const CATEGORY_MATCHERS = Object.fromEntries(
+  Object.entries(NH_CONFIG.CATEGORIES).map(([name, keywords]) => [
+    name.toLowerCase(),
+    keywords.map(keyword => ({ keyword, matcher: buildKeywordMatcher(keyword) }))
+  ])
+);
+
+/**
+ * Collect the text fields of a bill that are scored, keyed by field weight name
+ * @param {Object} bill - Bill data from OpenStates
+ * @returns {Object} - Arrays of text snippets per field
+ */
+function collectBillText(bill) {
+  const abstracts = (bill.abstracts || []).map(a => a.abstract).filter(Boolean);
+  if (bill.abstract) abstracts.push(bill.abstract);
+
+  return {
+    subject: (bill.subject || []).filter(Boolean),
+    title: bill.title ? [bill.title] : [],
+    abstract: abstracts,
+    action: (bill.actions || []).map(a => a.description).filter(Boolean)
+  };
+}
+
+/**
+ * Score a bill against every configured category
+ * @param {Object} bill - Bill data from OpenStates
+ * @returns {Object} - Map of category name to { score, matches }
+ */
+export function scoreBillCategories(bill) {
+  const text = collectBillText(bill);
+  const scores = {};
+
+  for (const [category, matchers] of Object.entries(CATEGORY_MATCHERS)) {
+    let score = 0;
+    const matches = new Set();
+
+    for (const [field, snippets] of Object.entries(text)) {
+      const weight = CATEGORIZATION_CONFIG.FIELD_WEIGHTS[field] || 0;
+
+      for (const snippet of snippets) {
+        for (const { keyword, matcher } of matchers) {
+          const hits = snippet.match(matcher);
+          if (hits) {
+            // Repeated hits in the same snippet add diminishing evidence
+            score += weight * Math.min(hits.length, 3);
+            matches.add(keyword);
+          }
+        }
+      }
+    }
+
+    if (score > 0) {
+      scores[category] = { score, matches: Array.from(matches) };
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Categorize a bill into one or more weighted categories
+ * @param {Object} bill - Bill data from OpenStates
+ * @returns {Object} - { primary, categories: [{ category, confidence, score, matches }] }
+ */
+export function categorizeBill(bill) {
+  const scores = scoreBillCategories(bill);
+  const total = Object.values(scores).reduce((sum, { score }) => sum + score, 0);
+
+  if (total < CATEGORIZATION_CONFIG.MIN_SCORE) {
+    return { primary: CATEGORIZATION_CONFIG.DEFAULT_CATEGORY, categories: [] };
+  }
+
+  const categories = Object.entries(scores)
+    .map(([category, { score, matches }]) => ({
+      category,
+      confidence: Math.round((score / total) * 100) / 100,
+      score,
+      matches
+    }))
+    .filter(entry => entry.confidence >= CATEGORIZATION_CONFIG.MIN_CONFIDENCE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CATEGORIZATION_CONFIG.MAX_CATEGORIES);
+
+  return {
+    primary: categories.length > 0 ? categories[0].category : CATEGORIZATION_CONFIG.DEFAULT_CATEGORY,
+    categories
+  };
+}
@@ -0,0 +1,243 @@
+// bill-index.js
+// Bill summary index maintained during collection and queried by the bills API
+
+import { StorageError, ValidationError, NotFoundError } from './error-handling.js';
+import { getAnalysisByKey } from './analysis-storage.js';
+import { normalizeChamber } from './sponsor-tracking.js';
+import { BILL_STATUSES, computeBillLifecycle } from './bill-status.js';
+
+/**
+ * Configuration for the bill index and bill queries
+ */
+export const BILL_INDEX_CONFIG = {
+  INDEX_KEY: 'index:bills',
+  DEFAULT_PER_PAGE: 20,
+  MAX_PER_PAGE: 100,
+  SORT_FIELDS: ['updated_at', 'latest_action_date', 'first_action_date', 'identifier', 'title']
+};
+
+/**
+ * Normalize a bill identifier from a URL or query string
+ * Accepts "HB 123", "hb123" and "hb-123". The identifier must already be decoded: the router
+ * decodes path parameters and URLSearchParams decodes query strings
+ * @param {string} identifier - Identifier as supplied
+ * @returns {string} - Canonical identifier (e.g. "HB 123")
+ * @throws {ValidationError} If the identifier can't be parsed
+ */
+export function normalizeBillIdentifier(identifier) {
+  const trimmed = (identifier || '').trim();
+  const match = trimmed.match(/^([A-Za-z]+)[\s_-]*(\d+)$/);
+
+  if (!match) {
+    throw new ValidationError(`Invalid bill identifier format: ${trimmed}`);
+  }
+
+  return `${match[1].toUpperCase()} ${parseInt(match[2], 10)}`;
+}
+
+/**
+ * Build the compact summary stored in the bill index
+ * @param {Object} bill - Enhanced bill as stored under bill:<identifier>
+ * @returns {Object} - Summary entry
+ */
+export function buildBillSummary(bill) {
+  const actions = bill.actions || [];
+  const latestAction = actions[actions.length - 1] || null;
+
+  return {
+    id: bill.id,
+    identifier: bill.identifier,
+    title: bill.title,
+    session: bill.session || null,
+    chamber: normalizeChamber(bill.from_organization?.classification),
+    category: bill.nh_category || null,
+    categories: (bill.nh_categories || []).map(c => c.category),
+    // Bills stored before lifecycle tracking get their status derived on the fly
+    status: bill.nh_status || computeBillLifecycle(bill).status,
+    status_date: bill.nh_status_date || null,
+    latest_action: latestAction?.description || null,
+    latest_action_date: bill.latest_action_date || latestAction?.date || null,
+    first_action_date: bill.first_action_date || actions[0]?.date || null,
+    sponsors: (bill.nh_accountability?.sponsor_info?.sponsors || []).map(s => ({
+      person_id: s.person_id,
+      name: s.name,
+      primary: s.primary
+    })),
+    analysis_key: bill.nh_analysis_key || null,
+    updated_at: bill.updated_at || null
+  };
+}
+
+/**
+ * Insert or replace a bill in the summary index
+ * @param {Object} bill - Enhanced bill as stored under bill:<identifier>
+ * @param {Object} env - Environment variables with KV binding
+ * @throws {StorageError} If storage operation fails
+ */
+export async function updateBillSummaryIndex(bill, env) {
+  await updateBillSummaries([bill], env);
+  console.log(`Updated bill summary index for ${bill.identifier}`);
+}
+
+/**
+ * Insert or replace several bills in the summary index with a single write
+ * @param {Array<Object>} bills - Enhanced bills as stored under bill:<identifier>
+ * @param {Object} env - Environment variables with KV binding
+ * @throws {StorageError} If storage operation fails
+ */
+export async function updateBillSummaries(bills, env) {
+  try {
+    const index = await env.NH_LEGISLATIVE_DATA.get(BILL_INDEX_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+
+    for (const bill of bills) {
+      const summary = buildBillSummary(bill);
+      const position = index.findIndex(entry => entry.identifier === bill.identifier);
+      if (position >= 0) {
+        index[position] = summary;
+      } else {
+        index.push(summary);
+      }
+    }
+
+    await env.NH_LEGISLATIVE_DATA.put(BILL_INDEX_CONFIG.INDEX_KEY, JSON.stringify(index));
+  } catch (error) {
+    throw new StorageError(`Failed to update bill summary index: ${error.message}`, {
+      billIds: bills.map(bill => bill.id)
+    });
+  }
+}
+
+/**
+ * Parse and validate bill list query parameters
+ * @param {URLSearchParams} params - Request query parameters
+ * @returns {Object} - Normalized query
+ * @throws {ValidationError} If a parameter is invalid
+ */
+export function parseBillQuery(params) {
+  const page = parseInt(params.get('page') || '1', 10);
+  const perPage = parseInt(params.get('per_page') || params.get('perPage') || `${BILL_INDEX_CONFIG.DEFAULT_PER_PAGE}`, 10);
+  const sort = params.get('sort') || 'updated_at';
+  const order = (params.get('order') || 'desc').toLowerCase();
+  const from = params.get('from');
+  const to = params.get('to');
+
+  const errors = [];
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push({ field: 'page', message: 'page must be a positive integer' });
+  }
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > BILL_INDEX_CONFIG.MAX_PER_PAGE) {
+    errors.push({ field: 'per_page', message: `per_page must be between 1 and ${BILL_INDEX_CONFIG.MAX_PER_PAGE}` });
+  }
+  if (!BILL_INDEX_CONFIG.SORT_FIELDS.includes(sort)) {
+    errors.push({ field: 'sort', message: `sort must be one of: ${BILL_INDEX_CONFIG.SORT_FIELDS.join(', ')}` });
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push({ field: 'order', message: 'order must be asc or desc' });
+  }
+  const status = params.get('status')?.toLowerCase() || null;
+  if (status && !BILL_STATUSES.includes(status)) {
+    errors.push({ field: 'status', message: `status must be one of: ${BILL_STATUSES.join(', ')}` });
+  }
+  for (const [field, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      errors.push({ field, message: `${field} must be a valid date` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid bill query', errors);
+  }
+
+  return {
+    page,
+    perPage,
+    sort,
+    order,
+    category: params.get('category')?.toLowerCase() || null,
+    status,
+    chamber: params.get('chamber') ? normalizeChamber(params.get('chamber')) || params.get('chamber').toLowerCase() : null,
+    sponsor: params.get('sponsor') || null,
+    session: params.get('session') || null,
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null
+  };
+}
+
+/**
+ * Query the bill summary index with filtering, sorting and paging
+ * @param {Object} query - Query from parseBillQuery
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { bills, pagination }
+ */
+export async function queryBills(query, env) {
+  const index = await env.NH_LEGISLATIVE_DATA.get(BILL_INDEX_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const sponsor = query.sponsor?.toLowerCase();
+
+  const filtered = index.filter(bill => {
+    if (query.category && bill.category !== query.category && !bill.categories.includes(query.category)) return false;
+    if (query.status && bill.status !== query.status) return false;
+    if (query.chamber && bill.chamber !== query.chamber) return false;
+    if (query.session && bill.session !== query.session) return false;
+    // Sponsor matches an OpenStates person ID exactly or a name partially
+    if (sponsor && !bill.sponsors.some(s => s.person_id === query.sponsor || s.name?.toLowerCase().includes(sponsor))) return false;
+
+    if (query.from || query.to) {
+      const date = new Date(bill.latest_action_date || bill.updated_at);
+      if (isNaN(date.getTime())) return false;
+      if (query.from && date < query.from) return false;
+      if (query.to && date > query.to) return false;
+    }
+
+    return true;
+  });
+
+  const direction = query.order === 'asc' ? 1 : -1;
+  filtered.sort((a, b) => {
+    const left = a[query.sort] || '';
+    const right = b[query.sort] || '';
+    return left.localeCompare(right, undefined, { numeric: true }) * direction;
+  });
+
+  const start = (query.page - 1) * query.perPage;
+
+  return {
+    bills: filtered.slice(start, start + query.perPage),
+    pagination: {
+      page: query.page,
+      per_page: query.perPage,
+      total_items: filtered.length,
+      total_pages: Math.ceil(filtered.length / query.perPage)
+    }
+  };
+}
+
+/**
+ * Get a stored bill with its analysis inlined
+ * @param {string} identifier - Bill identifier in any format accepted by normalizeBillIdentifier
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Bill record with an `analysis` field (null if not analyzed) and its
+ *   `committee_reports`
+ * @throws {ValidationError} If the identifier is invalid
+ * @throws {NotFoundError} If the bill is not stored
+ */
+export async function getBillDetail(identifier, env) {
+  const normalized = normalizeBillIdentifier(identifier);
+  const bill = await env.NH_LEGISLATIVE_DATA.get(`bill:${normalized}`, { type: 'json' });
+
+  if (!bill) {
+    throw new NotFoundError(`Bill not found: ${normalized}`);
+  }
+
+  let analysis = null;
+  if (bill.nh_analysis_key) {
+    try {
+      analysis = await getAnalysisByKey(bill.nh_analysis_key, env);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+    }
+  }
+
+  const committeeReports = await env.NH_LEGISLATIVE_DATA.get(`bill:${normalized}:committee_reports`, { type: 'json' }) || [];
+
+  return { ...bill, analysis, committee_reports: committeeReports };
+}
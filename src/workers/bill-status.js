@@ -0,0 +1,333 @@
+// bill-status.js
+// Lifecycle status of NH bills derived from their OpenStates actions, with per-status indexes
+
+import { StorageError } from './error-handling.js';
+import { normalizeChamber } from './sponsor-tracking.js';
+
+/**
+ * Configuration for bill status tracking
+ */
+export const BILL_STATUS_CONFIG = {
+  INDEX_PREFIX: 'index:status:',
+  // Bump when the rules below (or the committee report parsing built on them) change so stored
+  // bills are re-derived
+  RULES_VERSION: 4,
+  // Progress of re-deriving every stored bill's status
+  SWEEP_STATE_KEY: 'bill_status:sweep',
+  BILLS_PER_SWEEP_RUN: 200
+};
+
+/**
+ * Lifecycle states in the order a bill normally moves through them
+ * 'failed' covers bills killed on the floor (ITL or indefinite postponement adopted) or withdrawn
+ */
+export const BILL_STATUSES = [
+  'introduced',
+  'referred',
+  'hearing',
+  'committee_report',
+  'floor_vote',
+  'crossover',
+  'enrolled',
+  'signed',
+  'vetoed',
+  'chaptered',
+  'failed'
+];
+
+/**
+ * How actions map to states: an OpenStates classification or a match on the NH description
+ * One action can reach several states ("Introduced and Referred to Finance"; "Signed by Governor
+ * Sununu 06/10/2024; Chapter 0123"), recorded in this order
+ */
+const STATUS_RULES = [
+  { state: 'introduced', classifications: ['introduction', 'filing'], pattern: /^introduced\b/i },
+  { state: 'referred', classifications: ['referral-committee', 'referral'], pattern: /\b(re-)?referred to\b/i },
+  { state: 'hearing', classifications: [], pattern: /\bpublic hearing\b/i },
+  {
+    state: 'committee_report',
+    classifications: ['committee-passage', 'committee-passage-favorable', 'committee-passage-unfavorable', 'committee-failure'],
+    pattern: /\bcommittee report\b/i
+  },
+  {
+    state: 'floor_vote',
+    classifications: ['passage', 'failure', 'veto-override-passage', 'veto-override-failure'],
+    // "Ought to Pass: MA RC 200-150" (House), "Ought to Pass, MA, VV" (Senate)
+    pattern: /\bM[AF][,\s]+(RC|VV|DV|SC)\b|\bpassed\/adopted\b/i
+  },
+  { state: 'enrolled', classifications: [], pattern: /\benrolled\b(?!\s+bill\s+amendment)/i },
+  { state: 'signed', classifications: ['executive-signature'], pattern: /\bsigned by (the )?governor\b|\blaw without signature\b/i },
+  { state: 'vetoed', classifications: ['executive-veto'], pattern: /\bvetoed\b/i },
+  { state: 'chaptered', classifications: ['became-law'], pattern: /\bchaptered\b|\bchapter\s+\d+/i },
+  { state: 'failed', classifications: ['withdrawal'], pattern: /^withdrawn\b/i }
+];
+
+/**
+ * Parse the recommendation in a committee report or floor motion
+ * @param {string} text - Action description, e.g. "Committee Report: Ought to Pass with Amendment #2024-0123h"
+ * @returns {string|null} - 'OTP', 'OTP/A', 'ITL' or 'Interim Study', or null if none is stated
+ */
+export function parseRecommendation(text) {
+  if (/ought to pass with amendment|\bOTP\/A\b/i.test(text)) return 'OTP/A';
+  if (/ought to pass|\bOTP\b/i.test(text)) return 'OTP';
+  if (/inexpedient to legislate|\bITL\b/i.test(text)) return 'ITL';
+  if (/interim study/i.test(text)) return 'Interim Study';
+  return null;
+}
+
+/**
+ * Floor motions that decide a bill, tried in this order
+ */
+const DECIDING_MOTIONS = [
+  { motion: 'OTP/A', pattern: /ought to pass with amendment|\bOTP\/A\b/i },
+  { motion: 'OTP', pattern: /ought to pass|\bOTP\b/i },
+  { motion: 'ITL', pattern: /inexpedient to legislate|\bITL\b/i },
+  { motion: 'Indefinitely Postpone', pattern: /indefinitely postpone/i },
+  { motion: 'Passage', pattern: /\bpass(ed|age)?\b/i }
+];
+
+/**
+ * Procedural motions, which are voted on but leave the bill where it stands
+ * "Refer for Interim Study" is a deciding motion and is matched before these
+ */
+const PROCEDURAL_MOTION_PATTERN = /\b(lay|laid) on (the )?table\b|\b(take|taken|remove|removed) (off|from) (the )?table\b|\bspecial order\b|\b(re-?)?refer(red)?\b|\breconsider/i;
+
+/**
+ * Parse the motion a floor vote decided
+ * @param {Object} action - OpenStates action
+ * @returns {string|null} - 'OTP', 'OTP/A', 'ITL', 'Interim Study', 'Indefinitely Postpone',
+ *   'Passage' or 'Veto Override', or null for procedural motions (Lay on Table, Take off Table,
+ *   Special Order, Refer/Re-refer, Reconsider), floor amendments and other votes that don't decide the bill
+ */
+export function parseFloorMotion(action) {
+  const classifications = action.classification || [];
+  // The motion comes before the outcome: "Lay on Table (Rep. Smith): MA DV 190-180",
+  // "Ought to Pass, MA, VV; Refer to Finance Rule 4-5"
+  const motion = (action.description || '').split(/[:;,]/)[0];
+
+  if (classifications.some(c => c.startsWith('veto-override'))) return 'Veto Override';
+  if (/interim study/i.test(motion)) return 'Interim Study';
+  if (PROCEDURAL_MOTION_PATTERN.test(motion)) return null;
+
+  const deciding = DECIDING_MOTIONS.find(({ pattern }) => pattern.test(motion));
+  if (deciding) return deciding.motion;
+  return classifications.includes('passage') || classifications.includes('failure') ? 'Passage' : null;
+}
+
+/**
+ * Outcome of a floor vote on a deciding motion
+ * @param {Object} action - OpenStates action
+ * @param {string} motion - Motion from parseFloorMotion
+ * @returns {string|null} - 'passed', 'failed' (the bill was killed), 'interim_study', 'motion_failed',
+ *   'veto_overridden' or 'veto_sustained'
+ */
+function getFloorVoteResult(action, motion) {
+  const text = action.description || '';
+  const classifications = action.classification || [];
+
+  if (classifications.includes('veto-override-passage')) return 'veto_overridden';
+  if (classifications.includes('veto-override-failure')) return 'veto_sustained';
+  if (/\bMF\b/.test(text)) return 'motion_failed';
+  if (classifications.includes('failure') || motion === 'ITL' || motion === 'Indefinitely Postpone') return 'failed';
+  if (motion === 'Interim Study') return 'interim_study';
+  if (classifications.includes('passage') || /\bMA\b|passed/i.test(text)) return 'passed';
+  return null;
+}
+
+/**
+ * Lifecycle events recorded for one action
+ * @param {Object} action - OpenStates action
+ * @returns {Array<Object>} - Events { state, ... } in lifecycle order; committee reports carry a
+ *   recommendation and floor votes a motion, result, recommendation and tally
+ */
+export function classifyAction(action) {
+  const text = action.description || '';
+  const classifications = action.classification || [];
+  const events = [];
+
+  for (const rule of STATUS_RULES) {
+    if (!rule.classifications.some(c => classifications.includes(c)) && !rule.pattern.test(text)) continue;
+
+    const event = { state: rule.state };
+    if (rule.state === 'committee_report') {
+      event.recommendation = parseRecommendation(text);
+    } else if (rule.state === 'floor_vote') {
+      // Only votes that decide the bill count; a tabled bill hasn't passed its chamber
+      const motion = parseFloorMotion(action);
+      if (!motion) continue;
+      event.motion = motion;
+      event.result = getFloorVoteResult(action, motion);
+      event.recommendation = parseRecommendation(text);
+      const tally = text.match(/\b(?:RC|DV)[,\s]+(\d+)\s*-\s*(\d+)/);
+      if (tally) {
+        event.tally = { yes: Number(tally[1]), no: Number(tally[2]) };
+      }
+      // Killing the bill or sustaining a veto settles where it stands
+      if (event.result === 'failed') event.state = 'failed';
+      if (event.result === 'veto_sustained') event.state = 'vetoed';
+    }
+    events.push(event);
+  }
+
+  return events;
+}
+
+/**
+ * Derive a bill's lifecycle from its actions
+ * A bill crosses over at its first action in the other chamber after passing its chamber of
+ * origin; the other chamber's "Introduced" is recorded as the crossover
+ * @param {Object} bill - Bill data requested with include=actions
+ * @returns {Object} - { status, status_date, timeline } where timeline holds
+ *   { state, date, chamber, action, ... } oldest first
+ */
+export function computeBillLifecycle(bill) {
+  const actions = bill.actions || [];
+  const origin = normalizeChamber(bill.from_organization?.classification) ||
+    actions.map(a => normalizeChamber(a.organization?.classification)).find(Boolean) || null;
+
+  const timeline = [];
+  let passedOrigin = false;
+  let crossed = false;
+
+  for (const action of actions) {
+    const chamber = normalizeChamber(action.organization?.classification);
+    const base = { date: action.date || null, chamber, action: action.description || '' };
+    const inOtherChamber = Boolean(origin && chamber && chamber !== origin);
+
+    if (inOtherChamber && passedOrigin && !crossed) {
+      timeline.push({ state: 'crossover', ...base });
+      crossed = true;
+    }
+
+    for (const event of classifyAction(action)) {
+      if (event.state === 'introduced' && inOtherChamber) continue;
+      timeline.push({ ...event, ...base });
+
+      if (event.state === 'floor_vote' && event.result === 'passed' && chamber === origin) {
+        passedOrigin = true;
+      }
+    }
+  }
+
+  const latest = timeline[timeline.length - 1];
+  return {
+    status: latest?.state || 'introduced',
+    status_date: latest?.date || actions[0]?.date || null,
+    timeline
+  };
+}
+
+/**
+ * Move bills between status indexes
+ * @param {Array<Object>} changes - { identifier, status, previous } per bill
+ * @param {Object} env - Environment variables with KV binding
+ * @throws {StorageError} If an index can't be written
+ */
+async function applyStatusChanges(changes, env) {
+  const edits = {};
+  for (const { identifier, status, previous } of changes) {
+    if (status === previous) continue;
+    if (previous) (edits[previous] = edits[previous] || { add: [], remove: [] }).remove.push(identifier);
+    if (status) (edits[status] = edits[status] || { add: [], remove: [] }).add.push(identifier);
+  }
+
+  for (const [status, { add, remove }] of Object.entries(edits)) {
+    const key = `${BILL_STATUS_CONFIG.INDEX_PREFIX}${status}`;
+    const bills = await env.NH_LEGISLATIVE_DATA.get(key, { type: 'json' }) || [];
+    const updated = [...new Set([...bills.filter(id => !remove.includes(id)), ...add])];
+
+    try {
+      await env.NH_LEGISLATIVE_DATA.put(key, JSON.stringify(updated));
+    } catch (error) {
+      throw new StorageError(`Failed to update status index ${status}: ${error.message}`, { status });
+    }
+  }
+}
+
+/**
+ * File a bill under its current status index, removing it from the previous one
+ * @param {string} identifier - Bill identifier
+ * @param {string} status - Current status
+ * @param {string|null} previous - Status the bill was last stored with
+ * @param {Object} env - Environment variables with KV binding
+ */
+export async function updateBillStatusIndex(identifier, status, previous, env) {
+  await applyStatusChanges([{ identifier, status, previous }], env);
+  if (status !== previous) {
+    console.log(`Bill ${identifier} status: ${previous || 'none'} -> ${status}`);
+  }
+}
+
+/**
+ * Re-derive the status of every stored bill after the rules change
+ * Bills are otherwise updated when they're collected, which stops once a session ends, so this
+ * runs whenever RULES_VERSION differs from the one last swept with, a bounded batch per call
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Sweep options
+ * @param {number} options.maxBills - Bill keys to read per call
+ * @returns {Promise<Object>} - { scanned, updated, bills, complete } where bills are the bill records
+ *   read (with their re-derived status), so records derived from them can be refreshed
+ */
+export async function sweepBillStatuses(env, options = {}) {
+  const maxBills = options.maxBills || BILL_STATUS_CONFIG.BILLS_PER_SWEEP_RUN;
+  const version = BILL_STATUS_CONFIG.RULES_VERSION;
+
+  const saved = await env.NH_LEGISLATIVE_METADATA.get(BILL_STATUS_CONFIG.SWEEP_STATE_KEY, { type: 'json' });
+  // A rules change restarts the sweep from the beginning
+  const state = saved?.rules_version === version
+    ? saved
+    : { rules_version: version, cursor: null, scanned: 0, updated: 0, started_at: new Date().toISOString(), completed_at: null };
+
+  if (state.completed_at) {
+    return { scanned: 0, updated: 0, bills: [], complete: true };
+  }
+
+  let scanned = 0;
+  let cursor = state.cursor || undefined;
+  const changes = [];
+  const bills = [];
+
+  // Whole pages are processed so the saved cursor never skips keys
+  do {
+    const page = await env.NH_LEGISLATIVE_DATA.list({ prefix: 'bill:', cursor, limit: maxBills });
+
+    for (const { name } of page.keys) {
+      // bill:<identifier> only, not bill:<identifier>:analysis-key and the like
+      if (name.slice('bill:'.length).includes(':')) continue;
+
+      scanned++;
+      const bill = await env.NH_LEGISLATIVE_DATA.get(name, { type: 'json' });
+      if (!bill) continue;
+
+      const lifecycle = computeBillLifecycle(bill);
+      if (bill.nh_status === lifecycle.status && JSON.stringify(bill.nh_timeline) === JSON.stringify(lifecycle.timeline)) {
+        bills.push(bill);
+        continue;
+      }
+
+      const refreshed = { ...bill, nh_status: lifecycle.status, nh_status_date: lifecycle.status_date, nh_timeline: lifecycle.timeline };
+      await env.NH_LEGISLATIVE_DATA.put(name, JSON.stringify(refreshed));
+      changes.push({ identifier: bill.identifier, status: lifecycle.status, previous: bill.nh_status || null });
+      bills.push(refreshed);
+    }
+
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && scanned < maxBills);
+
+  await applyStatusChanges(changes, env);
+
+  state.cursor = cursor;
+  state.scanned += scanned;
+  state.updated += changes.length;
+  if (!cursor) {
+    state.completed_at = new Date().toISOString();
+  }
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(BILL_STATUS_CONFIG.SWEEP_STATE_KEY, JSON.stringify(state));
+  } catch (error) {
+    throw new StorageError(`Failed to save bill status sweep progress: ${error.message}`, { cursor });
+  }
+
+  return { scanned, updated: changes.length, bills, complete: !cursor };
+}
@@ -0,0 +1,603 @@
+// bill-text.js
+// Fetches the latest version document for a bill, extracts and chunks its legislative text,
+// and selects the chunks relevant to each analysis dimension
+
+import { ApiError, StorageError } from './error-handling.js';
+
+/**
+ * Configuration for bill text ingestion
+ */
+export const BILL_TEXT_CONFIG = {
+  META_PREFIX: 'bill_text:', // KV: bill_text:<identifier> -> metadata
+  CONTENT_SUFFIX: ':content', // KV fallback for the text and chunks when no R2 bucket is bound
+  R2_PREFIX: 'bill-text/',
+  FETCH_TIMEOUT: 20000, // ms
+  MAX_DOCUMENT_BYTES: 10 * 1024 * 1024,
+  MIN_TEXT_LENGTH: 200, // Less than this after extraction means the document couldn't be read
+  // A document that couldn't be read is retried after this long, doubling per failed attempt
+  RETRY_BACKOFF_BASE: 4 * 3600, // seconds
+  RETRY_BACKOFF_MAX: 7 * 86400, // seconds
+  CHUNK_SIZE: 3000, // characters
+  // Text budget per AI call; llama-3-8b has an 8k token context shared with the prompt and response
+  MAX_CONTEXT_CHARS: 9000,
+  // Media types in order of preference; HTML extracts far more reliably than PDF
+  PREFERRED_MEDIA_TYPES: ['text/html', 'application/pdf']
+};
+
+/**
+ * Terms that mark a chunk as relevant to each analysis dimension
+ */
+const DIMENSION_KEYWORDS = {
+  tax_impact: ['tax', 'taxes', 'revenue', 'rate', 'exemption', 'credit', 'deduction', 'levy', 'assessment', 'fee', 'fees'],
+  budget_impact: ['appropriat', 'fund', 'expenditure', 'cost', 'general fund', 'fiscal', 'budget', 'grant', 'position', 'salary', '$'],
+  societal_impact: ['shall', 'prohibit', 'require', 'right', 'public', 'health', 'education', 'safety', 'penalty', 'resident', 'person'],
+  institutional_alignment: ['department', 'commission', 'board', 'commissioner', 'authority', 'agency', 'municipal', 'court', 'rulemaking', 'rsa 541-a']
+};
+
+/**
+ * Find the most recent version of a bill
+ * OpenStates lists versions with a date and one or more document links
+ * @param {Object} bill - The bill data
+ * @returns {Object|null} - { note, date, url, media_type, links } for the latest version, or null if the bill has none.
+ *   url and media_type are for the preferred link (HTML before PDF)
+ */
+export function getLatestVersion(bill) {
+  const versions = (bill.versions || []).filter(v => v.links?.length > 0);
+  if (versions.length === 0) {
+    return null;
+  }
+
+  // Undated versions sort first; among equal dates the later entry in the list wins
+  const latest = versions.reduce((best, version) =>
+    (version.date || '') >= (best.date || '') ? version : best
+  );
+
+  const rank = link => {
+    const index = BILL_TEXT_CONFIG.PREFERRED_MEDIA_TYPES.indexOf(link.media_type);
+    return index === -1 ? BILL_TEXT_CONFIG.PREFERRED_MEDIA_TYPES.length : index;
+  };
+  const preferred = latest.links.reduce((best, link) => rank(link) < rank(best) ? link : best);
+
+  return {
+    note: latest.note || '',
+    date: latest.date || null,
+    url: preferred.url,
+    media_type: preferred.media_type || null,
+    links: latest.links
+  };
+}
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  const named = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", sect: '§',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…'
+  };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Extract the text of an HTML bill document
+ * Struck-through text marks language a bill removes, so it is dropped rather than analyzed as law
+ * @param {string} html - HTML document
+ * @returns {string} - Plain text with line breaks at block boundaries
+ */
+export function extractHtmlText(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html;
+
+  const text = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<(s|strike|del)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<span[^>]*line-through[^>]*>[\s\S]*?<\/span>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table|pre|blockquote)>/gi, '\n')
+    .replace(/<(td|th)[^>]*>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text);
+}
+
+/**
+ * Decode a PDF literal string's escape sequences
+ * @param {string} value - String contents without the surrounding parentheses
+ * @returns {string} - Decoded string
+ */
+function unescapePdfString(value) {
+  return value.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (match, code) => {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' };
+    if (code in escapes) return escapes[code];
+    if (/^[0-7]+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+    return ''; // Escaped line break continues the string
+  });
+}
+
+/**
+ * Extract text-showing operators from a PDF content stream
+ * @param {string} content - Decompressed content stream
+ * @returns {string} - Text in stream order
+ */
+function extractContentStreamText(content) {
+  const parts = [];
+  const operators = /\[((?:\\.|[^\]\\])*)\]\s*TJ|\(((?:\\.|[^)\\])*)\)\s*(Tj|'|")|(-?[\d.]+)\s+(-?[\d.]+)\s+T[dD]|T\*|ET/g;
+  let match;
+
+  while ((match = operators.exec(content)) !== null) {
+    if (match[1] !== undefined) {
+      // TJ arrays mix strings with kerning offsets; large negative offsets are word gaps
+      const items = match[1].matchAll(/\(((?:\\.|[^)\\])*)\)|(-?[\d.]+)/g);
+      for (const item of items) {
+        if (item[1] !== undefined) parts.push(unescapePdfString(item[1]));
+        else if (parseFloat(item[2]) < -200) parts.push(' ');
+      }
+    } else if (match[2] !== undefined) {
+      if (match[3] !== 'Tj') parts.push('\n');
+      parts.push(unescapePdfString(match[2]));
+    } else if (match[4] !== undefined) {
+      parts.push(parseFloat(match[5]) !== 0 ? '\n' : ' ');
+    } else {
+      parts.push('\n');
+    }
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Inflate a FlateDecode stream
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @returns {Promise<Uint8Array>} - Decompressed bytes
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Extract text from a PDF bill document
+ * Handles uncompressed and FlateDecode content streams with literal strings, which covers the
+ * text PDFs the legislature publishes; scanned or CID-font PDFs yield little or no text
+ * @param {ArrayBuffer} buffer - PDF file contents
+ * @returns {Promise<string>} - Extracted text
+ */
+export async function extractPdfText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const raw = new TextDecoder('latin1').decode(bytes);
+  const decoder = new TextDecoder('latin1');
+  const pages = [];
+  const streams = /<<((?:(?!>>)[\s\S])*?)>>\s*stream\r?\n/g;
+  let match;
+
+  while ((match = streams.exec(raw)) !== null) {
+    const dictionary = match[1];
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+    streams.lastIndex = end;
+
+    // Images, fonts and other binary streams carry no text
+    if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/XRef/.test(dictionary)) continue;
+
+    let content;
+    try {
+      if (/\/FlateDecode/.test(dictionary)) {
+        content = decoder.decode(await inflate(bytes.subarray(start, end)));
+      } else if (!/\/Filter/.test(dictionary)) {
+        content = raw.slice(start, end);
+      } else {
+        continue;
+      }
+    } catch (error) {
+      // Truncated or unsupported streams are skipped; the rest of the document may still be readable
+      continue;
+    }
+
+    if (content.includes('BT')) {
+      pages.push(extractContentStreamText(content));
+    }
+  }
+
+  return pages.join('\n\n');
+}
+
+/**
+ * Clean extracted legislative text
+ * Removes margin line numbers, page headers and footers, and redundant whitespace
+ * @param {string} text - Extracted text
+ * @returns {string} - Cleaned text with paragraphs separated by blank lines
+ */
+export function cleanLegislativeText(text) {
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t ]+/g, ' ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line =>
+      !/^\d{1,3}$/.test(line) && // Margin line numbers
+      !/^page \d+( of \d+)?$/i.test(line) &&
+      !/^-\s*\d+\s*-$/.test(line)
+    );
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Check whether a line starts a bill section, e.g. "3 Business Profits Tax; Rate. Amend RSA 77-A:2 ..."
+ * @param {string} line - Line of bill text
+ * @returns {string|null} - Section label (e.g. "Section 3: Business Profits Tax; Rate"), or null
+ */
+function matchSectionHeading(line) {
+  const match = line.match(/^(?:Section\s+)?(\d{1,3})\.?\s+((?:[A-Z][\w'’-]*[,;:]?\s*(?:(?:of|and|the|to|for|in|on|a|an|or|by)\s+)*)+)\./);
+  return match ? `Section ${match[1]}: ${match[2].trim()}` : null;
+}
+
+/**
+ * Split bill text into chunks of at most CHUNK_SIZE characters
+ * Chunks break at section and paragraph boundaries where possible, and each records the
+ * section it starts in so analyses can cite it
+ * @param {string} text - Cleaned bill text
+ * @param {number} chunkSize - Maximum characters per chunk
+ * @returns {Array<Object>} - Chunks { index, section, sections, text }; section is the one the chunk starts in,
+ *   sections every section it covers
+ */
+export function chunkBillText(text, chunkSize = BILL_TEXT_CONFIG.CHUNK_SIZE) {
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+  let section = null;
+  let chunkSection = null;
+
+  let chunkSections = [];
+
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push({ index: chunks.length, section: chunkSection, sections: chunkSections, text: current.join('\n') });
+    current = [];
+    currentLength = 0;
+  };
+
+  for (const paragraph of text.split('\n').filter(Boolean)) {
+    const heading = matchSectionHeading(paragraph);
+    if (heading) {
+      // Start each section in a fresh chunk unless the current one is nearly empty
+      if (currentLength > chunkSize / 4) flush();
+      section = heading;
+    }
+
+    // Paragraphs longer than a chunk are split at sentence boundaries
+    const pieces = paragraph.length > chunkSize
+      ? paragraph.match(new RegExp(`[\\s\\S]{1,${chunkSize}}(?=\\.\\s|$)\\.?|[\\s\\S]{1,${chunkSize}}`, 'g'))
+      : [paragraph];
+
+    for (const piece of pieces) {
+      if (currentLength + piece.length > chunkSize) flush();
+      if (current.length === 0) {
+        chunkSection = section;
+        chunkSections = [];
+      }
+      if (section && !chunkSections.includes(section)) chunkSections.push(section);
+      current.push(piece.trim());
+      currentLength += piece.length + 1;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+/**
+ * Score how relevant a passage is to an analysis dimension
+ * @param {string} text - Passage text
+ * @param {string} type - Analysis type (e.g. 'tax_impact')
+ * @returns {number} - Keyword hits per 1,000 characters, so long passages don't win on volume alone
+ */
+export function scoreRelevance(text, type) {
+  const lower = text.toLowerCase();
+  const hits = (DIMENSION_KEYWORDS[type] || []).reduce((sum, keyword) => sum + lower.split(keyword).length - 1, 0);
+  return hits / Math.max(1, text.length / 1000);
+}
+
+/**
+ * Group consecutive chunks into sections that each fit in one AI call
+ * A new group starts at each bill section where possible, so findings can be cited by section
+ * @param {Array<Object>} chunks - Chunks from chunkBillText
+ * @param {number} maxChars - Character budget per group
+ * @returns {Array<Object>} - Groups { index, sections, chunk_indexes, text }
+ */
+export function groupChunksIntoSections(chunks, maxChars = BILL_TEXT_CONFIG.MAX_CONTEXT_CHARS) {
+  const groups = [];
+  let current = null;
+
+  for (const chunk of chunks || []) {
+    const startsSection = current && chunk.section && chunk.section !== current.sections[current.sections.length - 1];
+    const overBudget = current && current.length + chunk.text.length > maxChars;
+
+    // Keep small groups growing across section boundaries rather than making one call per clause
+    if (!current || overBudget || (startsSection && current.length > maxChars / 2)) {
+      current = { index: groups.length, sections: [], chunk_indexes: [], parts: [], length: 0 };
+      groups.push(current);
+    }
+
+    // Chunks stored before sections were tracked only carry the section they start in
+    for (const section of chunk.sections || (chunk.section ? [chunk.section] : [])) {
+      if (!current.sections.includes(section)) current.sections.push(section);
+    }
+    current.chunk_indexes.push(chunk.index);
+    current.parts.push(chunk.section ? `[${chunk.section}]\n${chunk.text}` : chunk.text);
+    current.length += chunk.text.length;
+  }
+
+  return groups.map(({ index, sections, chunk_indexes, parts }) => ({
+    index,
+    sections,
+    chunk_indexes,
+    text: parts.join('\n\n')
+  }));
+}
+
+/**
+ * Pick the chunks most relevant to an analysis dimension, within a character budget
+ * The first chunk (title, purpose and definitions) is always included; chosen chunks are
+ * returned in document order
+ * @param {Array<Object>} chunks - Chunks from chunkBillText
+ * @param {string} type - Analysis type (e.g. 'tax_impact')
+ * @param {number} maxChars - Character budget
+ * @returns {Array<Object>} - Selected chunks
+ */
+export function selectRelevantChunks(chunks, type, maxChars = BILL_TEXT_CONFIG.MAX_CONTEXT_CHARS) {
+  if (!chunks?.length) return [];
+
+  const scored = chunks.slice(1)
+    .map(chunk => ({ chunk, score: scoreRelevance(chunk.text, type) }))
+    .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index);
+
+  const selected = [chunks[0]];
+  let used = chunks[0].text.length;
+
+  for (const { chunk } of scored) {
+    if (used + chunk.text.length > maxChars) continue;
+    selected.push(chunk);
+    used += chunk.text.length;
+  }
+
+  return selected.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * KV key for a bill's text metadata
+ * @param {string} identifier - Bill identifier
+ * @returns {string} - KV key
+ */
+function metaKey(identifier) {
+  return `${BILL_TEXT_CONFIG.META_PREFIX}${identifier}`;
+}
+
+/**
+ * R2 object key for a bill's text and chunks
+ * @param {string} identifier - Bill identifier
+ * @returns {string} - Object key
+ */
+function r2Key(identifier) {
+  return `${BILL_TEXT_CONFIG.R2_PREFIX}${identifier.replace(/\s+/g, '-')}.json`;
+}
+
+/**
+ * Get the stored text for a bill
+ * @param {string} identifier - Bill identifier
+ * @param {Object} env - Environment variables with KV and optional R2 bindings
+ * @returns {Promise<Object|null>} - Metadata with text and chunks, or null if no text has been stored
+ */
+export async function getStoredBillText(identifier, env) {
+  const meta = await env.NH_LEGISLATIVE_DATA.get(metaKey(identifier), { type: 'json' });
+  return loadStoredContent(meta, env);
+}
+
+/**
+ * Load the text and chunks a metadata record points to
+ * @param {Object|null} meta - Stored metadata
+ * @param {Object} env - Environment variables with KV and optional R2 bindings
+ * @returns {Promise<Object|null>} - Metadata with text and chunks, or null if no text has been stored
+ */
+async function loadStoredContent(meta, env) {
+  // Metadata without a version only records failed reads
+  if (!meta?.version) return null;
+
+  const identifier = meta.identifier;
+
+  let content = null;
+  if (meta.storage === 'r2' && env.BILL_TEXT_BUCKET) {
+    const object = await env.BILL_TEXT_BUCKET.get(r2Key(identifier));
+    content = object ? await object.json() : null;
+  } else {
+    content = await env.NH_LEGISLATIVE_DATA.get(`${metaKey(identifier)}${BILL_TEXT_CONFIG.CONTENT_SUFFIX}`, { type: 'json' });
+  }
+
+  return content ? { ...meta, text: content.text, chunks: content.chunks } : null;
+}
+
+/**
+ * Read a response body, stopping once it exceeds a size limit
+ * Content-Length is absent on chunked responses, so the limit is enforced on the bytes received
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest body accepted
+ * @param {string} url - Document URL, for the error details
+ * @returns {Promise<Uint8Array>} - Body bytes
+ * @throws {ApiError} If the body is larger than maxBytes
+ */
+async function readLimitedBody(response, maxBytes, url) {
+  if (!response.body) return new Uint8Array(0);
+
+  const reader = response.body.getReader();
+  const parts = [];
+  let received = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw new ApiError(`Bill document too large: more than ${maxBytes} bytes`, 413, { url });
+    }
+    parts.push(value);
+  }
+
+  const body = new Uint8Array(received);
+  let offset = 0;
+  for (const part of parts) {
+    body.set(part, offset);
+    offset += part.byteLength;
+  }
+  return body;
+}
+
+/**
+ * Record that a bill's latest version document couldn't be read
+ * Repeated failures for the same document back off exponentially so a broken link isn't
+ * downloaded on every collection run
+ * @param {string} identifier - Bill identifier
+ * @param {Object|null} meta - Stored metadata, kept so existing text stays available
+ * @param {Object} version - Version document that failed
+ * @param {string} reason - Why it couldn't be read
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function recordFailedRead(identifier, meta, version, reason, env) {
+  const previous = meta?.failed_read?.url === version.url ? meta.failed_read : null;
+  const attempts = (previous?.attempts || 0) + 1;
+  const delay = Math.min(
+    BILL_TEXT_CONFIG.RETRY_BACKOFF_BASE * 2 ** (attempts - 1),
+    BILL_TEXT_CONFIG.RETRY_BACKOFF_MAX
+  );
+  const now = Date.now();
+
+  const updated = {
+    ...(meta || { identifier }),
+    failed_read: {
+      url: version.url,
+      reason,
+      attempts,
+      failed_at: new Date(now).toISOString(),
+      retry_after: new Date(now + delay * 1000).toISOString()
+    }
+  };
+
+  try {
+    await env.NH_LEGISLATIVE_DATA.put(metaKey(identifier), JSON.stringify(updated));
+  } catch (error) {
+    console.error(`Error recording failed text read for bill ${identifier}: ${error.message}`);
+  }
+}
+
+/**
+ * Download a bill document (a version, or an entry from the bill's documents) and extract its text
+ * @param {Object} document - { url, media_type }, e.g. the latest version from getLatestVersion
+ * @returns {Promise<Object>} - { text, extraction }
+ * @throws {ApiError} If the document can't be fetched or read
+ */
+export async function fetchDocumentText(document) {
+  const response = await fetch(document.url, {
+    headers: { 'Accept': BILL_TEXT_CONFIG.PREFERRED_MEDIA_TYPES.join(', ') },
+    signal: AbortSignal.timeout(BILL_TEXT_CONFIG.FETCH_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new ApiError(`Bill document request failed: ${response.status}`, response.status, { url: document.url });
+  }
+
+  const length = Number(response.headers.get('Content-Length') || 0);
+  if (length > BILL_TEXT_CONFIG.MAX_DOCUMENT_BYTES) {
+    throw new ApiError(`Bill document too large: ${length} bytes`, 413, { url: document.url });
+  }
+
+  const contentType = response.headers.get('Content-Type') || document.media_type || '';
+  const isPdf = contentType.includes('pdf') || /\.pdf($|\?)/i.test(document.url);
+
+  const body = await readLimitedBody(response, BILL_TEXT_CONFIG.MAX_DOCUMENT_BYTES, document.url);
+  const text = isPdf
+    ? await extractPdfText(body.buffer)
+    : extractHtmlText(new TextDecoder().decode(body));
+
+  return { text: cleanLegislativeText(text), extraction: isPdf ? 'pdf' : 'html' };
+}
+
+/**
+ * Fetch, clean, chunk and store the text of a bill's latest version
+ * The document is only downloaded when the latest version changes; if it can't be fetched
+ * or read, the failure is recorded in the metadata (failed_read) and retried with back-off,
+ * and the previously stored text is returned so analysis keeps a stable input
+ * @param {Object} bill - Bill data from OpenStates (with versions)
+ * @param {Object} env - Environment variables with KV and optional R2 (BILL_TEXT_BUCKET) bindings
+ * @returns {Promise<Object|null>} - Metadata with text and chunks, or null if no text is available
+ * @throws {StorageError} If the text can't be stored
+ */
+export async function ingestBillText(bill, env) {
+  const version = getLatestVersion(bill);
+  const storedMeta = await env.NH_LEGISLATIVE_DATA.get(metaKey(bill.identifier), { type: 'json' });
+  const stored = await loadStoredContent(storedMeta, env);
+
+  if (!version || stored?.version?.url === version.url) {
+    return stored;
+  }
+
+  const failed = storedMeta?.failed_read;
+  if (failed?.url === version.url && Date.now() < new Date(failed.retry_after).getTime()) {
+    return stored;
+  }
+
+  let extracted;
+  try {
+    extracted = await fetchDocumentText(version);
+  } catch (error) {
+    console.error(`Error fetching text for bill ${bill.identifier} from ${version.url}: ${error.message}`);
+    await recordFailedRead(bill.identifier, storedMeta, version, error.message, env);
+    return stored;
+  }
+
+  if (extracted.text.length < BILL_TEXT_CONFIG.MIN_TEXT_LENGTH) {
+    console.warn(`No usable text extracted for bill ${bill.identifier} from ${version.url} (${extracted.extraction})`);
+    await recordFailedRead(bill.identifier, storedMeta, version,
+      `Only ${extracted.text.length} characters extracted (${extracted.extraction})`, env);
+    return stored;
+  }
+
+  const chunks = chunkBillText(extracted.text);
+  const meta = {
+    identifier: bill.identifier,
+    version: { note: version.note, date: version.date, url: version.url, media_type: version.media_type },
+    extraction: extracted.extraction,
+    char_count: extracted.text.length,
+    chunk_count: chunks.length,
+    storage: env.BILL_TEXT_BUCKET ? 'r2' : 'kv',
+    fetched_at: new Date().toISOString()
+  };
+  const content = JSON.stringify({ text: extracted.text, chunks });
+
+  try {
+    // Write the content before the metadata so readers never see metadata without text
+    if (env.BILL_TEXT_BUCKET) {
+      await env.BILL_TEXT_BUCKET.put(r2Key(bill.identifier), content, {
+        httpMetadata: { contentType: 'application/json' }
+      });
+    } else {
+      await env.NH_LEGISLATIVE_DATA.put(`${metaKey(bill.identifier)}${BILL_TEXT_CONFIG.CONTENT_SUFFIX}`, content);
+    }
+    await env.NH_LEGISLATIVE_DATA.put(metaKey(bill.identifier), JSON.stringify(meta));
+  } catch (error) {
+    throw new StorageError(`Failed to store bill text: ${error.message}`, { identifier: bill.identifier });
+  }
+
+  console.log(`Stored ${chunks.length} text chunks (${extracted.text.length} chars) for bill ${bill.identifier}`);
+  return { ...meta, text: extracted.text, chunks };
+}
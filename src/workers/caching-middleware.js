@@ -242,6 +242,56 @@ export async function createCacheKey(request, varyHeaders = []) {
   });
 }
 
+/**
+ * Cache TTL profiles for different types of resources
+ */
+export const CACHE_TTL_PROFILES = {
+  bills: {
+    cacheTtl: 1800, // 30 minutes
+    staleWhileRevalidateTtl: 3600, // 1 hour stale
+  },
+  states: {
+    cacheTtl: 86400, // 24 hours
+    staleWhileRevalidateTtl: 259200, // 3 days stale
+  },
+  sessions: {
+    cacheTtl: 43200, // 12 hours
+    staleWhileRevalidateTtl: 86400, // 1 day stale
+  },
+  analysis: {
+    cacheTtl: 3600, // 1 hour
+    staleWhileRevalidateTtl: 7200, // 2 hours stale
+  },
+  search: {
+    cacheTtl: 300, // 5 minutes - the index changes with every collection run
+    staleWhileRevalidateTtl: 600, // 10 minutes stale
+  },
+  legislators: {
+    cacheTtl: 3600, // 1 hour - scorecards refresh with each collection run
+    staleWhileRevalidateTtl: 14400, // 4 hours stale
+  },
+  default: {
+    cacheTtl: 3600, // 1 hour
+    staleWhileRevalidateTtl: 3600, // 1 hour stale
+  }
+};
+
+/**
+ * Wrap a handler with caching using a named TTL profile
+ * @param {Function} handler - The original handler function
+ * @param {string} profileName - Key of CACHE_TTL_PROFILES
+ * @returns {Function} - Wrapped handler with caching
+ */
+export function withCacheProfile(handler, profileName = 'default') {
+  const config = CACHE_TTL_PROFILES[profileName] || CACHE_TTL_PROFILES.default;
+  
+  return withCache(handler, {
+    cacheTtl: config.cacheTtl,
+    staleWhileRevalidateTtl: config.staleWhileRevalidateTtl,
+    cacheControl: `public, max-age=${config.cacheTtl}, stale-while-revalidate=${config.staleWhileRevalidateTtl}`,
+  });
+}
+
 /**
  * Apply cache middleware to API Gateway routes with appropriate TTLs
  * @param {Object} routes - Object with route handler functions
@@ -250,49 +300,23 @@ export async function createCacheKey(request, varyHeaders = []) {
 export function applyCacheToRoutes(routes) {
   const cachedRoutes = {};
   
-  // Define TTLs for different types of resources
-  const ttlConfig = {
-    bills: {
-      cacheTtl: 1800, // 30 minutes
-      staleWhileRevalidateTtl: 3600, // 1 hour stale
-    },
-    states: {
-      cacheTtl: 86400, // 24 hours
-      staleWhileRevalidateTtl: 259200, // 3 days stale
-    },
-    sessions: {
-      cacheTtl: 43200, // 12 hours
-      staleWhileRevalidateTtl: 86400, // 1 day stale
-    },
-    analysis: {
-      cacheTtl: 3600, // 1 hour
-      staleWhileRevalidateTtl: 7200, // 2 hours stale
-    },
-    default: {
-      cacheTtl: 3600, // 1 hour
-      staleWhileRevalidateTtl: 3600, // 1 hour stale
-    }
-  };
-  
   for (const [path, handler] of Object.entries(routes)) {
-    // Determine the appropriate TTL based on route
-    let config = ttlConfig.default;
+    // Determine the appropriate TTL profile based on route
+    let profile = 'default';
     
     if (path.includes('/bills')) {
-      config = ttlConfig.bills;
+      profile = 'bills';
     } else if (path.includes('/states')) {
-      config = ttlConfig.states;
+      profile = 'states';
     } else if (path.includes('/sessions')) {
-      config = ttlConfig.sessions;
+      profile = 'sessions';
     } else if (path.includes('/analysis')) {
-      config = ttlConfig.analysis;
+      profile = 'analysis';
+    } else if (path.includes('/legislators')) {
+      profile = 'legislators';
     }
     
-    cachedRoutes[path] = withCache(handler, {
-      cacheTtl: config.cacheTtl,
-      staleWhileRevalidateTtl: config.staleWhileRevalidateTtl,
-      cacheControl: `public, max-age=${config.cacheTtl}, stale-while-revalidate=${config.staleWhileRevalidateTtl}`,
-    });
+    cachedRoutes[path] = withCacheProfile(handler, profile);
   }
   
   return cachedRoutes;
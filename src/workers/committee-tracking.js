@@ -0,0 +1,587 @@
+// committee-tracking.js
+// Committee membership, hearing schedule, member attendance and committee reports for tracked NH committees
+
+import NH_CONFIG from './nh-config.js';
+import { StorageError, NotFoundError } from './error-handling.js';
+import { fetchOpenStates, fetchAllOpenStatesPages } from './openstates-client.js';
+import { normalizeChamber } from './sponsor-tracking.js';
+import { classifyAction, parseRecommendation } from './bill-status.js';
+
+/**
+ * Configuration for committee tracking
+ */
+export const COMMITTEE_CONFIG = {
+  EVENT_LOOKBACK_DAYS: NH_CONFIG.LOOKBACK_DAYS || 30,
+  MAX_STORED_EVENTS: 300, // Per committee; oldest events are dropped first
+  MAX_STORED_REPORTS: 2000, // Per committee; oldest reports are dropped first
+  CACHE_MS: 60 * 1000 // Re-read tracked committee names at most once a minute per isolate
+};
+
+/**
+ * Floor outcome that carries out each committee recommendation; any other outcome overturns it
+ */
+const RECOMMENDATION_OUTCOMES = {
+  'OTP': 'passed',
+  'OTP/A': 'passed',
+  'ITL': 'failed',
+  'Interim Study': 'interim_study'
+};
+
+/**
+ * Outcome each deciding floor motion (parseFloorMotion in bill-status.js) brings about when adopted
+ */
+const MOTION_OUTCOMES = {
+  ...RECOMMENDATION_OUTCOMES,
+  'Indefinitely Postpone': 'failed',
+  'Passage': 'passed'
+};
+
+let cachedCommittees = null;
+
+/**
+ * Check whether an event participant refers to a given committee
+ * NH events often list committees by name only, so fall back to a name comparison
+ * @param {Object} participant - OpenStates event participant
+ * @param {Object} committee - Stored committee record
+ * @returns {boolean} - Whether the participant is the committee
+ */
+function isCommitteeParticipant(participant, committee) {
+  if (participant.entity_type && participant.entity_type !== 'organization') return false;
+
+  const participantId = participant.organization?.id || participant.id;
+  if (participantId) {
+    return participantId === committee.id;
+  }
+
+  return Boolean(committee.name) && participant.name?.toLowerCase() === committee.name.toLowerCase();
+}
+
+/**
+ * Fetch and store the membership of a tracked committee
+ * @param {string} committeeId - OpenStates organization ID
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Stored committee record
+ */
+async function updateCommitteeMembership(committeeId, env) {
+  const committee = await fetchOpenStates(`/committees/${committeeId}`, { include: 'memberships' }, env);
+
+  const record = {
+    id: committee.id,
+    name: committee.name,
+    chamber: normalizeChamber(committee.chamber || committee.parent?.classification),
+    members: (committee.memberships || []).map(membership => ({
+      person_id: membership.person?.id || null,
+      name: membership.person?.name || membership.person_name,
+      role: membership.role || 'member'
+    })),
+    updated_at: new Date().toISOString()
+  };
+
+  await env.NH_LEGISLATIVE_DATA.put(`committee:${committeeId}`, JSON.stringify(record));
+  console.log(`Stored membership for committee ${record.name}: ${record.members.length} members`);
+
+  return record;
+}
+
+/**
+ * Normalize an OpenStates event into a stored hearing record
+ * @param {Object} event - OpenStates event
+ * @returns {Object} - Hearing record
+ */
+function normalizeEvent(event) {
+  const bills = [];
+  for (const item of event.agenda || []) {
+    for (const entity of item.related_entities || []) {
+      if (entity.entity_type === 'bill') {
+        bills.push(entity.bill?.identifier || entity.name);
+      }
+    }
+  }
+
+  return {
+    event_id: event.id,
+    name: event.name,
+    classification: event.classification || null,
+    start_date: event.start_date,
+    status: event.status || null,
+    location: event.location?.name || null,
+    bills: Array.from(new Set(bills.filter(Boolean))),
+    // Individual participants double as an attendance list when minutes provide one
+    attendees: (event.participants || [])
+      .filter(p => p.entity_type === 'person')
+      .map(p => ({ person_id: p.person?.id || p.id || null, name: p.name }))
+  };
+}
+
+/**
+ * Build per-session attendance evidence for a committee
+ * A session is a past hearing; evidence comes from its attendee list and any committee
+ * roll calls taken on the hearing's bills that day
+ * @param {Object} committee - Stored committee record
+ * @param {Array<Object>} events - Stored hearing records
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<Object>>} - Sessions with { date, present: Set, absent: Set, excused: Set }
+ */
+async function collectAttendanceSessions(committee, events, env) {
+  const now = Date.now();
+  const sessions = [];
+
+  for (const event of events) {
+    if (new Date(event.start_date).getTime() > now || event.status === 'cancelled') continue;
+
+    const session = {
+      event_id: event.event_id,
+      date: event.start_date,
+      present: new Set(event.attendees.map(a => a.person_id).filter(Boolean)),
+      absent: new Set(),
+      excused: new Set()
+    };
+
+    const eventDay = event.start_date.split('T')[0];
+
+    for (const identifier of event.bills) {
+      const voteRecords = await env.NH_LEGISLATIVE_DATA.get(`bill:${identifier}:votes`, { type: 'json' }) || [];
+
+      for (const record of voteRecords) {
+        if (record.organization_id !== committee.id || record.date?.split('T')[0] !== eventDay) continue;
+
+        for (const vote of record.votes) {
+          if (!vote.legislator_id) continue;
+
+          if (vote.option === 'absent') {
+            session.absent.add(vote.legislator_id);
+          } else if (vote.option === 'excused') {
+            session.excused.add(vote.legislator_id);
+          } else {
+            session.present.add(vote.legislator_id);
+          }
+        }
+      }
+    }
+
+    // Hearings with no attendance evidence can't count for or against anyone
+    if (session.present.size + session.absent.size + session.excused.size > 0) {
+      sessions.push(session);
+    }
+  }
+
+  return sessions;
+}
+
+/**
+ * Compute attendance rates for each current committee member
+ * Members not recorded as present at a session with evidence are counted absent
+ * @param {Object} committee - Stored committee record
+ * @param {Array<Object>} sessions - Sessions from collectAttendanceSessions
+ * @returns {Object} - Attendance keyed by person ID
+ */
+function computeAttendanceRates(committee, sessions) {
+  const members = {};
+
+  for (const member of committee.members) {
+    if (!member.person_id) continue;
+
+    const tally = { name: member.name, role: member.role, present: 0, absent: 0, excused: 0 };
+
+    for (const session of sessions) {
+      if (session.present.has(member.person_id)) {
+        tally.present++;
+      } else if (session.excused.has(member.person_id)) {
+        tally.excused++;
+      } else {
+        tally.absent++;
+      }
+    }
+
+    // Excused absences are reported but don't count against the member
+    const counted = tally.present + tally.absent;
+    tally.recorded_sessions = sessions.length;
+    tally.attendance_rate = counted > 0 ? Math.round((tally.present / counted) * 1000) / 1000 : null;
+
+    members[member.person_id] = tally;
+  }
+
+  return members;
+}
+
+/**
+ * Update membership, hearings and attendance for every committee in NH_CONFIG.TRACKED_COMMITTEES
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Summary keyed by committee ID
+ */
+export async function trackCommittees(env) {
+  const trackedIds = NH_CONFIG.TRACKED_COMMITTEES || [];
+  if (trackedIds.length === 0) {
+    return {};
+  }
+
+  const after = new Date();
+  after.setDate(after.getDate() - COMMITTEE_CONFIG.EVENT_LOOKBACK_DAYS);
+
+  // One events query covers every committee; each committee picks out its own hearings
+  const events = await fetchAllOpenStatesPages('/events', {
+    jurisdiction: NH_CONFIG.STATE_CODE,
+    after: after.toISOString().split('T')[0],
+    include: ['participants', 'agenda'],
+    per_page: 20
+  }, env);
+
+  const summary = {};
+  const attendanceByLegislator = new Map();
+
+  for (const committeeId of trackedIds) {
+    try {
+      const committee = await updateCommitteeMembership(committeeId, env);
+
+      // Merge newly fetched hearings into the stored history
+      const eventsKey = `committee:${committeeId}:events`;
+      const storedEvents = await env.NH_LEGISLATIVE_DATA.get(eventsKey, { type: 'json' }) || [];
+      const fetched = events
+        .filter(event => (event.participants || []).some(p => isCommitteeParticipant(p, committee)))
+        .map(normalizeEvent);
+      const fetchedIds = new Set(fetched.map(e => e.event_id));
+      const committeeEvents = storedEvents
+        .filter(e => !fetchedIds.has(e.event_id))
+        .concat(fetched)
+        .sort((a, b) => new Date(a.start_date) - new Date(b.start_date))
+        .slice(-COMMITTEE_CONFIG.MAX_STORED_EVENTS);
+
+      await env.NH_LEGISLATIVE_DATA.put(eventsKey, JSON.stringify(committeeEvents));
+
+      const sessions = await collectAttendanceSessions(committee, committeeEvents, env);
+      const members = computeAttendanceRates(committee, sessions);
+
+      await env.NH_LEGISLATIVE_DATA.put(`committee:${committeeId}:attendance`, JSON.stringify({
+        committee_id: committeeId,
+        committee_name: committee.name,
+        sessions_recorded: sessions.length,
+        members,
+        computed_at: new Date().toISOString()
+      }));
+
+      for (const [personId, tally] of Object.entries(members)) {
+        if (!attendanceByLegislator.has(personId)) {
+          attendanceByLegislator.set(personId, {});
+        }
+        attendanceByLegislator.get(personId)[committeeId] = { committee_name: committee.name, ...tally };
+      }
+
+      summary[committeeId] = {
+        name: committee.name,
+        members: committee.members.length,
+        events: committeeEvents.length,
+        sessions_recorded: sessions.length
+      };
+    } catch (error) {
+      console.error(`Error tracking committee ${committeeId}: ${error.message}`, error);
+      summary[committeeId] = { error: error.message };
+    }
+  }
+
+  // Per-legislator view so accountability metrics don't have to scan every committee
+  for (const [personId, committees] of attendanceByLegislator) {
+    try {
+      await env.NH_LEGISLATIVE_DATA.put(`legislator:${personId}:attendance`, JSON.stringify({
+        legislator_id: personId,
+        committees,
+        computed_at: new Date().toISOString()
+      }));
+    } catch (error) {
+      throw new StorageError(`Failed to store attendance for ${personId}: ${error.message}`, {
+        legislatorId: personId
+      });
+    }
+  }
+
+  console.log(`Committee tracking completed for ${trackedIds.length} committees`);
+  return summary;
+}
+
+/**
+ * Normalize a committee name for matching
+ * Actions say "Ways and Means" where OpenStates names the committee "House Ways & Means Committee"
+ * @param {string} name - Committee name
+ * @returns {string} - Lowercased name without chamber prefix or "Committee" suffix
+ */
+function normalizeCommitteeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/^(house|senate)\s+/, '')
+    .replace(/\s+committee$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Committee named on an action, from its organization, related entities or "Referred to" text
+ * @param {Object} action - OpenStates action
+ * @returns {Object|null} - { id, name } (id may be null), or null if no committee is named
+ */
+function getActionCommittee(action) {
+  if (action.organization?.classification === 'committee') {
+    return { id: action.organization.id || null, name: action.organization.name || null };
+  }
+
+  const entity = (action.related_entities || []).find(e => e.entity_type === 'organization');
+  if (entity) {
+    return { id: entity.organization?.id || null, name: entity.name || entity.organization?.name || null };
+  }
+
+  const referred = (action.description || '').match(/\breferred to (?:the )?(.+?)(?:\s+committee)?\s*(?:[;,.(]|\s\d|$)/i);
+  // "Re-referred to Committee" names no committee; the bill stays where it was
+  if (!referred || /^committee$/i.test(referred[1].trim())) return null;
+  return { id: null, name: referred[1].trim() };
+}
+
+/**
+ * Check whether an action is a committee report
+ * @param {Object} action - OpenStates action
+ * @returns {boolean}
+ */
+function isCommitteeReport(action) {
+  return classifyAction(action).some(event => event.state === 'committee_report');
+}
+
+/**
+ * Find how the floor disposed of a committee report and whether it overturned the recommendation
+ * Looks at the chamber's votes on deciding motions after the report, up to its next (majority)
+ * committee report. The recommendation is overturned when the floor adopts a motion with another
+ * outcome, or rejects the recommended motion itself ("Inexpedient to Legislate: MF" on an ITL
+ * report); other failed motions don't dispose of the bill, so the search continues past them
+ * @param {Array<Object>} actions - The bill's actions
+ * @param {number} start - Index of the report action
+ * @param {string|null} chamber - Chamber of the report
+ * @param {string|null} recommendation - The report's recommendation
+ * @returns {Object} - { floor, overturned } where floor is { date, motion, result, action } (result
+ *   'motion_failed' when the recommended motion failed and nothing has been adopted since), or null
+ *   if the floor hasn't acted yet; overturned is null when either is unknown
+ */
+function findFloorDisposition(actions, start, chamber, recommendation) {
+  const expected = RECOMMENDATION_OUTCOMES[recommendation] || null;
+  let rejected = null;
+
+  for (const action of actions.slice(start + 1)) {
+    if (normalizeChamber(action.organization?.classification) !== chamber) continue;
+
+    const events = classifyAction(action);
+    const minorityReport = /\bminority\b/i.test(action.description || '');
+    if (events.some(event => event.state === 'committee_report') && !minorityReport) break;
+
+    for (const event of events) {
+      if (!MOTION_OUTCOMES[event.motion]) continue;
+      const vote = { date: action.date || null, motion: event.motion, result: event.result, action: action.description || '' };
+
+      if (event.result === 'motion_failed') {
+        if (expected && MOTION_OUTCOMES[event.motion] === expected && !rejected) rejected = vote;
+        continue;
+      }
+      if (['passed', 'failed', 'interim_study'].includes(event.result)) {
+        return { floor: vote, overturned: expected ? Boolean(rejected) || event.result !== expected : null };
+      }
+    }
+  }
+
+  return rejected ? { floor: rejected, overturned: true } : { floor: null, overturned: null };
+}
+
+/**
+ * Parse a bill's committee reports from its actions
+ * NH reports read like "Committee Report: Ought to Pass with Amendment #2024-0123h, 02/01/2024,
+ * Vote 12-8; HC 8 P. 3"; they rarely name the committee, so a report is credited to the committee
+ * the bill was last referred to in that chamber
+ * @param {Object} bill - Bill data requested with include=actions
+ * @param {Array<Object>} trackedCommittees - Stored records ({ id, name }) of NH_CONFIG.TRACKED_COMMITTEES
+ * @returns {Array<Object>} - Reports { bill_identifier, committee, committee_id, chamber, date,
+ *   recommendation, amendment, tally, minority, floor, overturned }, oldest first
+ */
+export function extractCommitteeReports(bill, trackedCommittees = []) {
+  const actions = bill.actions || [];
+  const referrals = {};
+  const reports = [];
+
+  const linkCommittee = committee => {
+    if (!committee) return null;
+    const tracked = trackedCommittees.find(c =>
+      (committee.id && c.id === committee.id) ||
+      (committee.name && normalizeCommitteeName(c.name) === normalizeCommitteeName(committee.name))
+    );
+    return tracked?.id || null;
+  };
+
+  actions.forEach((action, index) => {
+    const chamber = normalizeChamber(action.organization?.classification);
+    const text = action.description || '';
+
+    if (!isCommitteeReport(action)) {
+      const committee = /\breferred to\b/i.test(text) || action.organization?.classification === 'committee'
+        ? getActionCommittee(action)
+        : null;
+      if (committee) referrals[chamber] = committee;
+      return;
+    }
+
+    const classifications = action.classification || [];
+    const named = (action.related_entities || []).some(e => e.entity_type === 'organization') ? getActionCommittee(action) : null;
+    const committee = named || referrals[chamber] || null;
+    const tally = text.match(/\bVote\s+(\d+)\s*-\s*(\d+)/i);
+
+    const recommendation = parseRecommendation(text) ||
+      (classifications.includes('committee-passage-favorable') ? 'OTP' : null) ||
+      (classifications.includes('committee-passage-unfavorable') || classifications.includes('committee-failure') ? 'ITL' : null);
+    const { floor, overturned } = findFloorDisposition(actions, index, chamber, recommendation);
+
+    reports.push({
+      bill_identifier: bill.identifier,
+      committee,
+      committee_id: linkCommittee(committee),
+      chamber,
+      date: action.date || null,
+      recommendation,
+      amendment: text.match(/#\s*(\d{4}-\d{4}[a-z]?)/i)?.[1] || null,
+      tally: tally ? { yes: Number(tally[1]), no: Number(tally[2]) } : null,
+      // Minority reports accompany the majority report and aren't what the floor votes on first
+      minority: /\bminority\b/i.test(text),
+      floor,
+      overturned
+    });
+  });
+
+  return reports;
+}
+
+/**
+ * Load the stored records of the tracked committees
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Array<Object>>} - { id, name } per tracked committee
+ */
+async function loadTrackedCommittees(env) {
+  if (cachedCommittees && cachedCommittees.expires > Date.now()) {
+    return cachedCommittees.value;
+  }
+
+  const committees = [];
+  for (const id of NH_CONFIG.TRACKED_COMMITTEES || []) {
+    const record = await env.NH_LEGISLATIVE_DATA.get(`committee:${id}`, { type: 'json' });
+    committees.push({ id, name: record?.name || null });
+  }
+
+  cachedCommittees = { value: committees, expires: Date.now() + COMMITTEE_CONFIG.CACHE_MS };
+  return committees;
+}
+
+/**
+ * Summarize a committee's majority reports
+ * @param {Array<Object>} reports - Stored report records
+ * @returns {Object} - Counts by recommendation, and how many the floor has decided and overturned
+ */
+function summarizeCommitteeReports(reports) {
+  const majority = reports.filter(report => !report.minority);
+  const decided = majority.filter(report => report.overturned !== null);
+  const overturned = decided.filter(report => report.overturned).length;
+
+  const byRecommendation = {};
+  for (const report of majority) {
+    const key = report.recommendation || 'unknown';
+    byRecommendation[key] = (byRecommendation[key] || 0) + 1;
+  }
+
+  return {
+    reports: majority.length,
+    by_recommendation: byRecommendation,
+    decided: decided.length,
+    overturned,
+    overturn_rate: decided.length > 0 ? Math.round((overturned / decided.length) * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Parse and store committee reports for a batch of bills
+ * Each bill's reports are stored under bill:<identifier>:committee_reports, and reports by
+ * tracked committees are filed under committee:<id>:reports with the committee's overturn rate
+ * @param {Array<Object>} bills - Bills with OpenStates actions
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { reports, linked } counts
+ * @throws {StorageError} If reports can't be stored
+ */
+export async function updateCommitteeReports(bills, env) {
+  const trackedCommittees = await loadTrackedCommittees(env);
+  const identifiers = new Set(bills.map(bill => bill.identifier));
+  const linked = {};
+  let total = 0;
+
+  try {
+    for (const bill of bills) {
+      const reports = extractCommitteeReports(bill, trackedCommittees);
+      const key = `bill:${bill.identifier}:committee_reports`;
+
+      if (reports.length > 0 || await env.NH_LEGISLATIVE_DATA.get(key)) {
+        await env.NH_LEGISLATIVE_DATA.put(key, JSON.stringify(reports));
+      }
+
+      total += reports.length;
+      for (const report of reports) {
+        if (report.committee_id) (linked[report.committee_id] = linked[report.committee_id] || []).push(report);
+      }
+    }
+
+    // Replace the batch's reports in every tracked committee, so a report credited elsewhere
+    // after a re-referral leaves its old committee
+    for (const { id, name } of trackedCommittees) {
+      const key = `committee:${id}:reports`;
+      const stored = await env.NH_LEGISLATIVE_DATA.get(key, { type: 'json' });
+      const kept = (stored?.reports || []).filter(report => !identifiers.has(report.bill_identifier));
+      if (!linked[id] && kept.length === (stored?.reports || []).length) continue;
+
+      const reports = kept
+        .concat(linked[id] || [])
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+        .slice(-COMMITTEE_CONFIG.MAX_STORED_REPORTS);
+
+      await env.NH_LEGISLATIVE_DATA.put(key, JSON.stringify({
+        committee_id: id,
+        committee_name: name,
+        reports,
+        summary: summarizeCommitteeReports(reports),
+        updated_at: new Date().toISOString()
+      }));
+    }
+  } catch (error) {
+    throw new StorageError(`Failed to store committee reports: ${error.message}`, {
+      bills: [...identifiers]
+    });
+  }
+
+  return { reports: total, linked: Object.values(linked).reduce((sum, reports) => sum + reports.length, 0) };
+}
+
+/**
+ * Get committee report records
+ * @param {string|null} committeeId - Tracked committee ID, or null for every tracked committee's summary
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - The committee's { committee_id, committee_name, reports, summary }, or
+ *   { committees } with each tracked committee's summary
+ * @throws {NotFoundError} If the committee has no stored reports
+ */
+export async function getCommitteeReports(committeeId, env) {
+  if (committeeId) {
+    const record = await env.NH_LEGISLATIVE_DATA.get(`committee:${committeeId}:reports`, { type: 'json' });
+    if (!record) {
+      throw new NotFoundError(`No committee reports for committee: ${committeeId}`);
+    }
+    return record;
+  }
+
+  const committees = [];
+  for (const id of NH_CONFIG.TRACKED_COMMITTEES || []) {
+    const record = await env.NH_LEGISLATIVE_DATA.get(`committee:${id}:reports`, { type: 'json' });
+    committees.push({
+      committee_id: id,
+      committee_name: record?.committee_name || null,
+      summary: record?.summary || null,
+      updated_at: record?.updated_at || null
+    });
+  }
+
+  return { committees };
+}
@@ -3,7 +3,21 @@
 
 import NH_CONFIG from './nh-config';
 import { analyzeBill, ANALYSIS_CONFIG } from './bill-analysis';
-import { updateAnalysisIfNeeded, storeAnalysisResults } from './analysis-storage';
+import { updateAnalysisIfNeeded, storeAnalysisResults, getAnalysisKey, migrateAnalysisRecord, migrateStoredAnalyses } from './analysis-storage';
+import { categorizeBill, CATEGORIZATION_CONFIG } from './bill-categorization';
+import { extractSponsors, updateSponsoredBillRecords } from './sponsor-tracking';
+import { extractVotes, storeVotingRecords } from './voting-records';
+import { collectLegislatorDirectory } from './legislator-directory';
+import { trackCommittees, updateCommitteeReports } from './committee-tracking';
+import { generateScorecards } from './scorecards';
+import { updateBillSummaryIndex, updateBillSummaries } from './bill-index';
+import { computeBillLifecycle, updateBillStatusIndex, sweepBillStatuses } from './bill-status';
+import { ingestBillText } from './bill-text';
+import { indexBillForSearch, rebuildSearchShards } from './search-index';
+import { generateAbuseReport } from './rate-limiting';
+import { processAnalysisJobs, queueLegacyHashReanalysis, queuePendingSectionAnalysis, ANALYSIS_JOB_CONFIG } from './analysis-jobs';
+import { updateBillHighlight, updateBillHighlights, sweepHighlights } from './highlight-policy';
+import { ingestFiscalNote, checkFiscalNote } from './fiscal-notes';
 
 /**
  * Get the timestamp of the last successful update
@@ -116,14 +130,14 @@ async function fetchBillUpdates(stateCode, lastUpdateTimestamp, page = 1, env) {
 }
 
 /**
- * Determine a bill's category based on title/subjects
+ * Determine a bill's categories based on title, abstracts, subjects and actions
  * @param {Object} bill - Bill data
- * @returns {string} - Category name
+ * @returns {Object} - { primary, categories: [{ category, confidence, score, matches }] }
  */
 function determineBillCategory(bill) {
-  // This would contain logic to categorize bills based on content
-  // For now, return a default category
-  return 'uncategorized';
+  const categorization = categorizeBill(bill);
+  console.log(`Categorized bill ${bill.identifier} as ${categorization.primary} (${categorization.categories.map(c => `${c.category}:${c.confidence}`).join(', ') || 'no matches'})`);
+  return categorization;
 }
 
 /**
@@ -132,8 +146,13 @@ function determineBillCategory(bill) {
  * @returns {Object} - Sponsor accountability info
  */
 function extractSponsorAccountability(bill) {
-  // This would extract sponsor information for accountability tracking
-  return { sponsors: [] };
+  const sponsors = extractSponsors(bill);
+  
+  return {
+    sponsors,
+    primary_sponsors: sponsors.filter(s => s.primary).map(s => s.person_id || s.name),
+    sponsor_count: sponsors.length
+  };
 }
 
 /**
@@ -142,37 +161,58 @@ function extractSponsorAccountability(bill) {
  * @returns {Object} - Voting records
  */
 function extractVotingRecords(bill) {
-  // This would extract voting information for accountability tracking
-  return { votes: [] };
+  return { votes: extractVotes(bill) };
 }
 
 /**
  * Update bill indexes for categorization and searching
  * @param {Object} bill - Bill data
- * @param {string} category - Bill category
+ * @param {Object} categorization - Result of determineBillCategory
+ * @param {Array<string>} previousCategories - Categories the bill was filed under on the last run
  * @param {Object} env - Environment variables with KV binding
  */
-async function updateBillIndexes(bill, category, env) {
+async function updateBillIndexes(bill, categorization, previousCategories, env) {
   try {
-    // This would update various indexes for the bill
-    // For now, just update a category index
-    const categoryKey = `index:category:${category}`;
-    
-    console.log(`Updating bill index for category: ${category}, bill: ${bill.identifier}`);
+    const currentCategories = categorization.categories.length > 0
+      ? categorization.categories.map(c => c.category)
+      : [CATEGORIZATION_CONFIG.DEFAULT_CATEGORY];
     
-    let categoryBills = await env.NH_LEGISLATIVE_DATA.get(categoryKey, { type: 'json' }) || [];
+    // Add the bill to every category it now belongs to
+    for (const category of currentCategories) {
+      const categoryKey = `index:category:${category}`;
+      
+      console.log(`Updating bill index for category: ${category}, bill: ${bill.identifier}`);
+      
+      let categoryBills = await env.NH_LEGISLATIVE_DATA.get(categoryKey, { type: 'json' }) || [];
+      
+      if (!categoryBills.includes(bill.identifier)) {
+        categoryBills.push(bill.identifier);
+        
+        // Store updated index
+        await env.NH_LEGISLATIVE_DATA.put(categoryKey, JSON.stringify(categoryBills));
+        console.log(`Successfully updated index for category: ${category}, total bills: ${categoryBills.length}`);
+        
+        // Verify the write succeeded
+        const verifyData = await env.NH_LEGISLATIVE_DATA.get(categoryKey, { type: 'json' });
+        if (!verifyData || !verifyData.includes(bill.identifier)) {
+          throw new Error(`Failed to verify category index update for ${bill.identifier}`);
+        }
+      }
+    }
     
-    if (!categoryBills.includes(bill.identifier)) {
-      categoryBills.push(bill.identifier);
+    // Remove the bill from categories it no longer matches (e.g. after an amendment)
+    for (const category of previousCategories) {
+      if (currentCategories.includes(category)) continue;
       
-      // Store updated index
-      await env.NH_LEGISLATIVE_DATA.put(categoryKey, JSON.stringify(categoryBills));
-      console.log(`Successfully updated index for category: ${category}, total bills: ${categoryBills.length}`);
+      const categoryKey = `index:category:${category}`;
+      const categoryBills = await env.NH_LEGISLATIVE_DATA.get(categoryKey, { type: 'json' }) || [];
       
-      // Verify the write succeeded
-      const verifyData = await env.NH_LEGISLATIVE_DATA.get(categoryKey, { type: 'json' });
-      if (!verifyData || !verifyData.includes(bill.identifier)) {
-        throw new Error(`Failed to verify category index update for ${bill.identifier}`);
+      if (categoryBills.includes(bill.identifier)) {
+        await env.NH_LEGISLATIVE_DATA.put(
+          categoryKey,
+          JSON.stringify(categoryBills.filter(id => id !== bill.identifier))
+        );
+        console.log(`Removed bill ${bill.identifier} from category index: ${category}`);
       }
     }
   } catch (error) {
@@ -187,8 +227,17 @@ async function updateBillIndexes(bill, category, env) {
  * @param {Object} env - Environment variables with KV binding
  */
 async function collectRepresentativeData(env) {
-  // This would collect data about representatives' activities
   console.log('Collecting representative data for accountability metrics');
+  
+  try {
+    const result = await collectLegislatorDirectory(env);
+    
+    for (const change of result.changes.filter(c => c.type !== 'new_member')) {
+      console.log(`Legislator change detected: ${change.type} for ${change.name}${change.from ? ` (${change.from} -> ${change.to})` : ''}`);
+    }
+  } catch (error) {
+    console.error(`Error collecting representative data: ${error.message}`, error);
+  }
 }
 
 /**
@@ -196,8 +245,171 @@ async function collectRepresentativeData(env) {
  * @param {Object} env - Environment variables with KV binding
  */
 async function updateCommitteeAttendance(env) {
-  // This would update committee attendance records
   console.log('Updating committee attendance records');
+  
+  try {
+    const summary = await trackCommittees(env);
+    
+    for (const [committeeId, result] of Object.entries(summary)) {
+      if (result.error) {
+        console.error(`Committee ${committeeId} was not updated: ${result.error}`);
+      } else {
+        console.log(`Committee ${result.name}: ${result.events} hearings tracked, ${result.sessions_recorded} with attendance`);
+      }
+    }
+  } catch (error) {
+    console.error(`Error updating committee attendance: ${error.message}`, error);
+  }
+}
+
+/**
+ * Continue today's legislator accountability scorecard run, a batch of legislators per call
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function updateAccountabilityScorecards(env) {
+  try {
+    const result = await generateScorecards(env);
+    if (result.computed > 0 || result.failed > 0) {
+      console.log(`Scorecards updated: ${result.computed} computed, ${result.failed} failed${result.complete ? ', complete' : ''}`);
+    }
+  } catch (error) {
+    console.error(`Error computing scorecards: ${error.message}`, error);
+  }
+}
+
+/**
+ * Continue queued analysis re-run jobs
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function processQueuedAnalysisJobs(env) {
+  try {
+    const result = await processAnalysisJobs(env, { maxBills: ANALYSIS_JOB_CONFIG.BILLS_PER_SCHEDULED_RUN });
+    if (result.processed > 0) {
+      console.log(`Re-ran analysis for ${result.processed} bills across ${result.jobs} queued jobs`);
+    }
+  } catch (error) {
+    console.error(`Error processing analysis jobs: ${error.message}`, error);
+  }
+}
+
+/**
+ * Continue queueing re-analysis of bills whose stored analysis predates SHA-256 content hashes
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function queueLegacyAnalyses(env) {
+  try {
+    const result = await queueLegacyHashReanalysis(env);
+    if (result.queued > 0 || (result.scanned > 0 && result.complete)) {
+      console.log(`Legacy content hash sweep: ${result.queued} of ${result.scanned} analyses queued${result.job_id ? ` in job ${result.job_id}` : ''}${result.complete ? ', complete' : ''}`);
+    }
+  } catch (error) {
+    console.error(`Error queueing legacy analyses for re-analysis: ${error.message}`, error);
+  }
+}
+
+/**
+ * Queue re-runs that map the remaining sections of long bills
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function queuePendingSections(env) {
+  try {
+    const result = await queuePendingSectionAnalysis(env);
+    if (result.queued > 0) {
+      console.log(`Queued ${result.queued} long bills with sections left to analyze in jobs ${result.jobs.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`Error queueing long bills with sections left to analyze: ${error.message}`, error);
+  }
+}
+
+/**
+ * Apply bills indexed since the last run to the search shards
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function rebuildSearchIndex(env) {
+  try {
+    const result = await rebuildSearchShards(env);
+    if (result.indexed > 0) {
+      console.log(`Search index: ${result.indexed} bills applied, ${result.shards_written} shards written${result.complete ? '' : ', more pending'}`);
+    }
+  } catch (error) {
+    console.error(`Error rebuilding search index: ${error.message}`, error);
+  }
+}
+
+/**
+ * Re-evaluate highlighted bills after the highlight policy changes
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function sweepHighlightPolicy(env) {
+  try {
+    const result = await sweepHighlights(env);
+    if (result.evaluated > 0) {
+      console.log(`Highlight policy sweep: ${result.evaluated} bills evaluated, ${result.added} added, ${result.removed} removed${result.complete ? ', complete' : ''}`);
+    }
+  } catch (error) {
+    console.error(`Error re-evaluating highlights: ${error.message}`, error);
+  }
+}
+
+/**
+ * Continue re-deriving stored bills' statuses, committee reports and highlights after the lifecycle rules change
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function sweepBillStatusRules(env) {
+  try {
+    const result = await sweepBillStatuses(env);
+    if (result.updated > 0) {
+      await updateBillSummaries(result.bills, env);
+    }
+    if (result.bills.length > 0) {
+      await updateCommitteeReports(result.bills, env);
+      // Highlight rules can match on status and committees
+      const highlights = await updateBillHighlights(result.bills, env);
+      if (highlights.added > 0 || highlights.removed > 0) {
+        console.log(`Bill status sweep highlights: ${highlights.added} added, ${highlights.removed} removed`);
+      }
+    }
+    if (result.scanned > 0) {
+      console.log(`Bill status sweep: ${result.updated} of ${result.scanned} bills updated${result.complete ? ', complete' : ''}`);
+    }
+  } catch (error) {
+    console.error(`Error re-deriving bill statuses: ${error.message}`, error);
+  }
+}
+
+/**
+ * Continue migrating stored analyses to the current analysis schema
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function migrateAnalysisSchema(env) {
+  try {
+    const result = await migrateStoredAnalyses(env);
+    if (result.migrated > 0 || !result.complete) {
+      console.log(`Analysis schema migration: ${result.migrated} of ${result.scanned} records migrated${result.complete ? ', complete' : ''}`);
+    }
+  } catch (error) {
+    console.error(`Error migrating stored analyses: ${error.message}`, error);
+  }
+}
+
+/**
+ * Aggregate rate limit events into daily abuse reports
+ * Yesterday's report is rebuilt so events logged after its last run are included
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function updateAbuseReports(env) {
+  const today = new Date();
+  const yesterday = new Date(today.getTime() - 86400 * 1000);
+  
+  for (const day of [yesterday, today]) {
+    const date = day.toISOString().split('T')[0];
+    try {
+      await generateAbuseReport(date, env);
+    } catch (error) {
+      console.error(`Error generating abuse report for ${date}: ${error.message}`, error);
+    }
+  }
 }
 
 /**
@@ -208,33 +420,66 @@ async function updateCommitteeAttendance(env) {
 async function processBillWithPersistentAnalysis(bill, env) {
   try {
     // First perform the standard bill processing
-    // Calculate bill's category based on title/subjects
-    const category = determineBillCategory(bill);
+    // Calculate bill's categories based on title/abstracts/subjects/actions
+    const categorization = determineBillCategory(bill);
+    
+    // Remember where the bill was filed last time so stale index entries can be removed
+    const billKey = `bill:${bill.identifier}`;
+    const previousBill = await env.NH_LEGISLATIVE_DATA.get(billKey, { type: 'json' });
+    const previousCategories = previousBill?.nh_categories?.length > 0
+      ? previousBill.nh_categories.map(c => c.category)
+      : (previousBill?.nh_category ? [previousBill.nh_category] : []);
+    
+    // Where the bill stands, derived from its actions
+    const lifecycle = computeBillLifecycle(bill);
     
     // Add additional bill metadata for NH specific tracking
     const enhancedBill = {
       ...bill,
-      nh_category: category,
+      nh_category: categorization.primary,
+      nh_categories: categorization.categories.map(({ category, confidence }) => ({ category, confidence })),
+      nh_status: lifecycle.status,
+      nh_status_date: lifecycle.status_date,
+      nh_timeline: lifecycle.timeline,
       nh_accountability: {
         sponsor_info: extractSponsorAccountability(bill),
         voting_records: extractVotingRecords(bill)
       }
     };
     
+    // Fetch the latest version's text so the analysis reads the bill itself, not just its metadata
+    let billText = null;
+    try {
+      billText = await ingestBillText(bill, env);
+    } catch (error) {
+      console.error(`Error ingesting text for bill ${bill.identifier}: ${error.message}`, error);
+    }
+    
+    // Parse the LBA fiscal note so the AI's tax and budget directions can be checked against it
+    try {
+      enhancedBill.nh_fiscal_note = await ingestFiscalNote(bill, previousBill?.nh_fiscal_note || null, billText);
+    } catch (error) {
+      console.error(`Error parsing fiscal note for bill ${bill.identifier}: ${error.message}`, error);
+      enhancedBill.nh_fiscal_note = previousBill?.nh_fiscal_note || null;
+    }
+    
     // Now perform AI analysis only if needed (not previously analyzed or content changed)
     console.log(`Checking if analysis needed for bill ${bill.identifier}`);
-    const analysis = await updateAnalysisIfNeeded(bill, env);
+    const analysis = await updateAnalysisIfNeeded(bill, env, { billText });
     
     // Add reference to the analysis
-    const billType = bill.identifier.match(/^([A-Za-z]+)/)[1].toLowerCase();
-    const chamber = bill.from_organization?.classification || 'unknown';
-    const billNumber = bill.identifier.match(/\d+/)[0];
-    const analysisKey = `nh-${billType}-${chamber}-${billNumber}-ai-analysis`;
+    const analysisKey = getAnalysisKey(bill);
     
     enhancedBill.nh_analysis_key = analysisKey;
     
+    // Flag an analysis whose tax or budget direction contradicts the official estimate
+    try {
+      enhancedBill.nh_fiscal_note_check = await checkFiscalNote(enhancedBill, analysis, env);
+    } catch (error) {
+      console.error(`Error checking fiscal note for bill ${bill.identifier}: ${error.message}`, error);
+    }
+    
     // Store the enhanced bill
-    const billKey = `bill:${bill.identifier}`;
     console.log(`Storing enhanced bill with key: ${billKey}`);
     
     try {
@@ -251,72 +496,66 @@ async function processBillWithPersistentAnalysis(bill, env) {
     }
     
     // Update bill indexes
-    await updateBillIndexes(bill, category, env);
+    await updateBillIndexes(bill, categorization, previousCategories, env);
     
-    // For bills with significant tax or budget impact, add to a special index
-    if (shouldHighlightBill(analysis)) {
-      await addBillToHighlightIndex(bill, env);
+    try {
+      await updateBillSummaryIndex(enhancedBill, env);
+    } catch (error) {
+      console.error(`Error updating bill summary index for ${bill.identifier}: ${error.message}`, error);
     }
     
-    console.log(`Completed processing and analysis for bill ${bill.identifier}`);
-    return { bill: enhancedBill, analysis };
-  } catch (error) {
-    console.error(`Error processing bill ${bill.identifier} with analysis: ${error.message}`, error);
-    return { error: error.message };
-  }
-}
-
-/**
- * Determine if a bill should be highlighted based on its analysis
- * @param {Object} analysis - The bill analysis
- * @returns {boolean} - Whether the bill should be highlighted
- */
-function shouldHighlightBill(analysis) {
-  if (!analysis || !analysis.analyses) return false;
-  
-  // Check for significant impacts in any category
-  const impactTypes = ['tax_impact', 'budget_impact', 'societal_impact'];
-  
-  for (const type of impactTypes) {
-    const impact = analysis.analyses[type];
-    if (impact && impact.summary && 
-        (impact.summary.toLowerCase().includes('significant') ||
-         impact.summary.toLowerCase().includes('major') ||
-         impact.summary.toLowerCase().includes('substantial'))) {
-      return true;
+    try {
+      await updateBillStatusIndex(bill.identifier, lifecycle.status, previousBill?.nh_status || null, env);
+    } catch (error) {
+      console.error(`Error updating status index for ${bill.identifier}: ${error.message}`, error);
     }
-  }
-  
-  return false;
-}
-
-/**
- * Add a bill to the highlight index
- * @param {Object} bill - The bill to highlight
- * @param {Object} env - Environment variables with KV binding
- */
-async function addBillToHighlightIndex(bill, env) {
-  try {
-    const highlightKey = `index:highlighted_bills`;
-    console.log(`Adding bill ${bill.identifier} to highlighted index`);
     
-    let highlightedBills = await env.NH_LEGISLATIVE_DATA.get(highlightKey, { type: 'json' }) || [];
+    // Committee recommendations and how the floor disposed of them
+    try {
+      await updateCommitteeReports([enhancedBill], env);
+    } catch (error) {
+      console.error(`Error updating committee reports for ${bill.identifier}: ${error.message}`, error);
+    }
     
-    if (!highlightedBills.includes(bill.identifier)) {
-      highlightedBills.push(bill.identifier);
-      
-      await env.NH_LEGISLATIVE_DATA.put(highlightKey, JSON.stringify(highlightedBills));
-      console.log(`Added bill ${bill.identifier} to highlighted bills index, total count: ${highlightedBills.length}`);
-      
-      // Verify the write succeeded
-      const verifyData = await env.NH_LEGISLATIVE_DATA.get(highlightKey, { type: 'json' });
-      if (!verifyData || !verifyData.includes(bill.identifier)) {
-        throw new Error(`Failed to verify highlight index update for ${bill.identifier}`);
-      }
+    // Record the bill (with its category and scores) against each sponsor
+    try {
+      await updateSponsoredBillRecords(
+        enhancedBill,
+        enhancedBill.nh_accountability.sponsor_info.sponsors,
+        analysis,
+        env
+      );
+    } catch (error) {
+      // Sponsor records can be rebuilt on the next run, so don't fail the bill
+      console.error(`Error updating sponsor records for bill ${bill.identifier}: ${error.message}`, error);
     }
+    
+    // Store roll calls by bill and by legislator
+    try {
+      await storeVotingRecords(bill, enhancedBill.nh_accountability.voting_records.votes, env);
+    } catch (error) {
+      console.error(`Error storing voting records for bill ${bill.identifier}: ${error.message}`, error);
+    }
+    
+    // Index title, abstracts and AI summaries for full-text search
+    try {
+      await indexBillForSearch(enhancedBill, analysis, env);
+    } catch (error) {
+      console.error(`Error updating search index for bill ${bill.identifier}: ${error.message}`, error);
+    }
+    
+    // Add or remove the bill from the highlight index under the current policy
+    try {
+      await updateBillHighlight(enhancedBill, analysis, env);
+    } catch (error) {
+      console.error(`Error updating highlight index for bill ${bill.identifier}: ${error.message}`, error);
+    }
+    
+    console.log(`Completed processing and analysis for bill ${bill.identifier}`);
+    return { bill: enhancedBill, analysis };
   } catch (error) {
-    console.error(`Error adding bill ${bill.identifier} to highlight index: ${error.message}`, error);
-    throw error; // Re-throw to make sure the calling function knows there was an error
+    console.error(`Error processing bill ${bill.identifier} with analysis: ${error.message}`, error);
+    return { error: error.message };
   }
 }
 
@@ -424,17 +663,25 @@ async function generateAnalysisSummaries(env) {
       if (!bill || !bill.nh_analysis_key) continue;
       
       // Get the analysis using the stored key
-      const analysis = await env.NH_LEGISLATIVE_DATA.get(bill.nh_analysis_key, { type: 'json' });
+      const analysis = migrateAnalysisRecord(await env.NH_LEGISLATIVE_DATA.get(bill.nh_analysis_key, { type: 'json' }));
       
       if (!analysis || !analysis.analyses) continue;
       
       // Add summaries for each analysis type
       for (const type of Object.keys(analysisSummaries)) {
-        if (analysis.analyses[type] && analysis.analyses[type].summary) {
+        const impact = analysis.analyses[type];
+        if (impact && impact.summary) {
+          // Structured fields let dashboards sort and filter without reading the prose
           analysisSummaries[type].push({
             bill_id: billId,
             bill_title: bill.title,
-            summary: analysis.analyses[type].summary
+            summary: impact.summary,
+            score: impact.score,
+            direction: impact.direction ?? null,
+            dollar_range: impact.dollar_range ?? null,
+            confidence: impact.confidence ?? null,
+            affected_populations: impact.affected_populations || [],
+            fiscal_years: impact.fiscal_years || []
           });
         }
       }
@@ -510,14 +757,38 @@ export default {
       const collectDataPromise = collectRepresentativeData(env);
       const updateAttendancePromise = updateCommitteeAttendance(env);
       const generateSummariesPromise = generateAnalysisSummaries(env);
+      const abuseReportsPromise = updateAbuseReports(env);
       
       // Ensure all operations complete before ending
       await Promise.all([
         collectDataPromise,
         updateAttendancePromise,
-        generateSummariesPromise
+        generateSummariesPromise,
+        abuseReportsPromise
       ]);
       
+      // Upgrade analyses stored under older schemas, a batch per run
+      await migrateAnalysisSchema(env);
+      
+      // Re-derive statuses of bills that weren't collected this run when the lifecycle rules change
+      await sweepBillStatusRules(env);
+      
+      // Apply a changed highlight policy to bills that weren't collected this run
+      await sweepHighlightPolicy(env);
+      
+      // Analyses that can't be checked against the current content join the re-run queue
+      await queueLegacyAnalyses(env);
+      await queuePendingSections(env);
+      
+      // Re-runs go after collection so they don't compete with new bills for AI capacity
+      await processQueuedAnalysisJobs(env);
+      
+      // Bills indexed by collection, re-runs and API-triggered jobs reach the search shards here
+      await rebuildSearchIndex(env);
+      
+      // Scorecards depend on the roster, votes and attendance gathered above
+      await updateAccountabilityScorecards(env);
+      
       console.log(`Completed NH data collection with analysis: ${new Date().toISOString()}`);
     } catch (error) {
       console.error(`CRITICAL ERROR in scheduled job: ${error.message}`, error);
@@ -86,6 +86,24 @@ export class NotFoundError extends ApplicationError {
   }
 }
 
+/**
+ * Authentication error (missing, unknown, expired or revoked credentials)
+ */
+export class AuthenticationError extends ApplicationError {
+  constructor(message, details = null) {
+    super(message, 'UNAUTHORIZED', 401, details);
+  }
+}
+
+/**
+ * Authorization error (valid credentials without the required scope)
+ */
+export class AuthorizationError extends ApplicationError {
+  constructor(message, details = null) {
+    super(message, 'FORBIDDEN', 403, details);
+  }
+}
+
 /**
  * Rate limit exceeded error
  */
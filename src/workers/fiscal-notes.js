@@ -0,0 +1,359 @@
+// fiscal-notes.js
+// Parses LBA fiscal notes attached to NH bills and checks the AI's tax and budget directions
+// against the official estimates
+
+import { StorageError } from './error-handling.js';
+import { fetchDocumentText } from './bill-text.js';
+
+/**
+ * Configuration for fiscal note parsing and comparison
+ */
+export const FISCAL_NOTE_CONFIG = {
+  // Bills whose AI direction disagrees with their fiscal note, keyed by identifier
+  DISAGREEMENTS_KEY: 'index:fiscal_note_disagreements',
+  // Document notes that mark a fiscal note, e.g. "Fiscal Note", "LBA Fiscal Note (Amended)"
+  DOCUMENT_PATTERN: /fiscal\s+note|\bLBA\b/i,
+  LEVELS: ['state', 'county', 'local'],
+  ROWS: ['appropriation', 'revenue', 'expenditures'],
+  // Fiscal note rows each analysis dimension is checked against, in order of preference;
+  // a later row is only used when the note has no entries for the earlier one
+  DIMENSION_ROWS: {
+    tax_impact: ['revenue'],
+    budget_impact: ['expenditures', 'appropriation']
+  }
+};
+
+/**
+ * One cell of an estimate table: a dollar amount, "(amount)" for a decrease,
+ * "Indeterminable" with an optional direction, or "None"/"N/A"
+ */
+const VALUE_PATTERN = /\(\s*\$?\s*[\d,]+(?:\.\d+)?(?:\s*(?:million|billion))?\s*\)|(?:(?:up to|less than|more than|over|at least)\s+)?\$\s*[\d,]+(?:\.\d+)?(?:\s*(?:million|billion))?|indeterminable(?:\s+(?:increase|decrease))?|\bincrease\b|\bdecrease\b|\bnone\b|n\/a|-+|\b0\b/gi;
+
+/**
+ * Find the most recent fiscal note among a bill's documents
+ * @param {Object} bill - Bill data requested with include=documents
+ * @returns {Object|null} - { note, date, url, media_type } or null if the bill has no fiscal note document
+ */
+export function getLatestFiscalNoteDocument(bill) {
+  const documents = (bill.documents || []).filter(d =>
+    FISCAL_NOTE_CONFIG.DOCUMENT_PATTERN.test(d.note || '') && d.links?.length > 0
+  );
+  if (documents.length === 0) {
+    return null;
+  }
+
+  // Same ordering as versions: undated first, later entries win ties
+  const latest = documents.reduce((best, document) =>
+    (document.date || '') >= (best.date || '') ? document : best
+  );
+  const link = latest.links.find(l => l.media_type === 'text/html') || latest.links[0];
+
+  return { note: latest.note, date: latest.date || null, url: link.url, media_type: link.media_type || null };
+}
+
+/**
+ * Parse one cell of an estimate table
+ * @param {string} text - Cell text, e.g. "$125,000", "($1,200,000)", "Indeterminable Increase"
+ * @returns {Object} - { text, amount, direction } with amount in dollars (negative for a decrease)
+ *   or null when the note gives no figure
+ */
+function parseEstimateValue(text) {
+  const value = text.trim();
+  const number = value.match(/([\d,]+(?:\.\d+)?)(?:\s*(million|billion))?/i);
+
+  let amount = null;
+  if (/^(none|-+)$/i.test(value)) {
+    amount = 0;
+  } else if (number && !/indeterminable/i.test(value)) {
+    const multiplier = { million: 1e6, billion: 1e9 }[number[2]?.toLowerCase()] || 1;
+    amount = parseFloat(number[1].replace(/,/g, '')) * multiplier * (value.startsWith('(') ? -1 : 1);
+  }
+
+  let direction = null;
+  if (amount !== null) {
+    direction = amount > 0 ? 'increase' : amount < 0 ? 'decrease' : 'neutral';
+  } else if (/decrease/i.test(value)) {
+    direction = 'decrease';
+  } else if (/increase/i.test(value)) {
+    direction = 'increase';
+  }
+
+  return { text: value, amount, direction };
+}
+
+/**
+ * Split the rest of a table row into cells
+ * @param {string} rest - Row text after its label
+ * @returns {Array<string>|null} - Cell texts, or null if the row holds anything but estimates
+ *   (prose in the methodology that happens to start with "Revenue", for instance)
+ */
+function splitEstimateCells(rest) {
+  const cells = rest.match(VALUE_PATTERN) || [];
+  const residue = rest.replace(VALUE_PATTERN, '').replace(/[\s,;|]/g, '');
+  return cells.length > 0 && residue === '' ? cells : null;
+}
+
+/**
+ * Parse the fiscal years in a table header line
+ * @param {string} line - Line such as "FY 2026 FY 2027 FY 2028 FY 2029"
+ * @returns {Array<number>} - Fiscal years, empty if the line isn't a header
+ */
+function parseFiscalYears(line) {
+  return [...line.matchAll(/\bFY\s*'?(\d{4}|\d{2})\b/gi)].map(match =>
+    match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1])
+  );
+}
+
+/**
+ * Parse the text of an LBA fiscal note
+ * Notes open with checkboxes for the levels of government affected ("FISCAL IMPACT: [ X ] State
+ * [ ] County [ ] Local [ ] None") followed by "Estimated Increase / (Decrease)" tables with a
+ * row per appropriation, revenue and expenditures and a column per fiscal year
+ * @param {string} text - Fiscal note text, one table row per line
+ * @returns {Object} - { fiscal_impact, fiscal_years, estimates } where estimates holds
+ *   level -> row -> [{ fiscal_year, text, amount, direction }]
+ */
+export function parseFiscalNote(text) {
+  const checkboxes = text.match(/FISCAL IMPACT:?\s*((?:\[\s*X?\s*\]\s*[A-Za-z]+[\s,]*)+)/i)?.[1] || '';
+  const fiscalImpact = [...checkboxes.matchAll(/\[\s*X\s*\]\s*([A-Za-z]+)/gi)].map(match => match[1].toLowerCase());
+
+  const estimates = {};
+  const fiscalYears = new Set();
+  let level = 'state';
+  let columns = [];
+
+  for (const rawLine of text.split('\n')) {
+    let line = rawLine.trim();
+
+    const levelMatch = line.match(/^(STATE|COUNTY|LOCAL)\b\s*:?\s*/i);
+    if (levelMatch) {
+      level = levelMatch[1].toLowerCase();
+      line = line.slice(levelMatch[0].length);
+    }
+
+    const years = parseFiscalYears(line);
+    if (years.length > 0 && /^(FY\s*'?\d|Fiscal Year)/i.test(line)) {
+      columns = years;
+      years.forEach(year => fiscalYears.add(year));
+      continue;
+    }
+
+    const rowMatch = line.match(/^(Appropriations?|Revenues?|Expenditures?)\b\s*:?\s*(.*)$/i);
+    if (!rowMatch || columns.length === 0) continue;
+
+    const cells = splitEstimateCells(rowMatch[2]);
+    if (!cells) continue;
+
+    const label = rowMatch[1].toLowerCase();
+    const row = FISCAL_NOTE_CONFIG.ROWS.find(name => label.startsWith(name.slice(0, 7)));
+    // A single cell such as "Indeterminable Increase" spans every year
+    const values = cells.length === 1 ? columns.map(() => cells[0]) : cells.slice(0, columns.length);
+
+    estimates[level] = estimates[level] || {};
+    estimates[level][row] = values.map((cell, i) => ({ fiscal_year: columns[i], ...parseEstimateValue(cell) }));
+  }
+
+  return {
+    fiscal_impact: fiscalImpact,
+    fiscal_years: [...fiscalYears].sort((a, b) => a - b),
+    estimates
+  };
+}
+
+/**
+ * Fetch and parse a bill's fiscal note
+ * The note comes from the bill's documents; bills without a fiscal note document fall back to
+ * the note NH prints at the end of "-FN" bill text. The document is only downloaded when it
+ * changes, and if it can't be read the previously parsed note is kept
+ * @param {Object} bill - Bill data from OpenStates (with documents)
+ * @param {Object|null} previous - Fiscal note stored on the previous copy of the bill
+ * @param {Object|null} billText - Stored bill text from ingestBillText
+ * @returns {Promise<Object|null>} - Parsed fiscal note with its source, or null if the bill has none
+ */
+export async function ingestFiscalNote(bill, previous, billText) {
+  const document = getLatestFiscalNoteDocument(bill);
+
+  if (document) {
+    if (previous?.source?.url === document.url) {
+      return previous;
+    }
+
+    try {
+      const { text } = await fetchDocumentText(document);
+      return {
+        source: { type: 'document', ...document },
+        ...parseFiscalNote(text),
+        parsed_at: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`Error fetching fiscal note for bill ${bill.identifier} from ${document.url}: ${error.message}`);
+      return previous || null;
+    }
+  }
+
+  const start = billText?.text?.search(/^.*FISCAL NOTE/m) ?? -1;
+  if (start === -1) {
+    return previous || null;
+  }
+  if (previous?.source?.url === billText.version.url) {
+    return previous;
+  }
+
+  return {
+    source: { type: 'bill_text', note: billText.version.note, date: billText.version.date, url: billText.version.url },
+    ...parseFiscalNote(billText.text.slice(start)),
+    parsed_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Official direction of one dimension according to a fiscal note
+ * All levels of government count, so a bill raising local revenue raises revenue
+ * @param {Object} fiscalNote - Parsed fiscal note
+ * @param {Array<string>} rows - Rows to read, in order of preference
+ * @returns {Object|null} - { direction, row, total } where total sums the stated amounts (null if
+ *   none are stated), or null if the note doesn't say which way the dimension moves
+ */
+function getOfficialDirection(fiscalNote, rows) {
+  for (const row of rows) {
+    const entries = Object.values(fiscalNote.estimates || {}).flatMap(level => level[row] || []);
+    if (entries.length === 0) continue;
+
+    const stated = entries.filter(entry => entry.amount !== null);
+    const total = stated.length > 0 ? stated.reduce((sum, entry) => sum + entry.amount, 0) : null;
+    const directions = new Set(entries.map(entry => entry.direction));
+
+    let direction = null;
+    if (directions.has('increase') && directions.has('decrease')) {
+      direction = total > 0 ? 'increase' : total < 0 ? 'decrease' : null;
+    } else if (directions.has('increase') || directions.has('decrease')) {
+      direction = directions.has('increase') ? 'increase' : 'decrease';
+    } else if (!directions.has(null)) {
+      direction = 'neutral';
+    }
+
+    return direction ? { direction, row, total } : null;
+  }
+
+  // "[ X ] None" with no estimate table
+  if (fiscalNote.fiscal_impact?.includes('none')) {
+    return { direction: 'neutral', row: 'fiscal_impact', total: 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Describe an official direction for a disagreement message
+ * @param {Object} official - Direction from getOfficialDirection
+ * @returns {string} - e.g. "Fiscal note estimates revenue will decrease"
+ */
+function describeOfficialEstimate(official) {
+  if (official.row === 'fiscal_impact') return 'Fiscal note reports no fiscal impact';
+  return official.direction === 'neutral'
+    ? `Fiscal note estimates no change in ${official.row}`
+    : `Fiscal note estimates ${official.row} will ${official.direction}`;
+}
+
+/**
+ * Compare a bill's analysis with its fiscal note
+ * A disagreement is 'contradicts' when the AI and the note point opposite ways, 'missed' when the
+ * note estimates a change the AI calls neutral, and 'unsupported' when the AI finds a change the
+ * note doesn't
+ * @param {Object} fiscalNote - Parsed fiscal note
+ * @param {Object} analysis - The bill's analysis
+ * @returns {Object} - { has_disagreement, flags, dimensions, fiscal_note_url, analysis_timestamp, checked_at }
+ */
+export function compareWithFiscalNote(fiscalNote, analysis) {
+  const dimensions = {};
+  const flags = [];
+
+  for (const [type, rows] of Object.entries(FISCAL_NOTE_CONFIG.DIMENSION_ROWS)) {
+    const official = getOfficialDirection(fiscalNote, rows);
+    const impact = analysis?.analyses?.[type];
+    const aiDirection = impact?.direction || null;
+
+    let disagreement = null;
+    if (official && aiDirection && official.direction !== aiDirection) {
+      disagreement = official.direction === 'neutral' ? 'unsupported'
+        : aiDirection === 'neutral' ? 'missed'
+        : 'contradicts';
+
+      flags.push({
+        dimension: type,
+        disagreement,
+        official_direction: official.direction,
+        ai_direction: aiDirection,
+        ai_score: impact.score ?? null,
+        message: `${describeOfficialEstimate(official)}, but the ${type} analysis says ${aiDirection}`
+      });
+    }
+
+    dimensions[type] = {
+      official,
+      ai: impact ? {
+        direction: aiDirection,
+        score: impact.score ?? null,
+        dollar_range: impact.dollar_range ?? null,
+        confidence: impact.confidence ?? null
+      } : null,
+      agrees: official && aiDirection ? disagreement === null : null,
+      disagreement
+    };
+  }
+
+  return {
+    has_disagreement: flags.length > 0,
+    flags,
+    dimensions,
+    fiscal_note_url: fiscalNote.source?.url || null,
+    analysis_timestamp: analysis?.analysis_timestamp || null,
+    checked_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Record or clear a bill's entry in the fiscal note disagreement index
+ * @param {string} identifier - Bill identifier
+ * @param {Object|null} check - Comparison from compareWithFiscalNote, or null if the bill has no note
+ * @param {Object} env - Environment variables with KV binding
+ */
+export async function updateFiscalNoteDisagreements(identifier, check, env) {
+  const index = await env.NH_LEGISLATIVE_DATA.get(FISCAL_NOTE_CONFIG.DISAGREEMENTS_KEY, { type: 'json' }) || {};
+
+  if (check?.has_disagreement) {
+    const previous = index[identifier];
+    index[identifier] = {
+      flags: check.flags,
+      fiscal_note_url: check.fiscal_note_url,
+      flagged_at: previous?.flagged_at || check.checked_at,
+      checked_at: check.checked_at
+    };
+    if (!previous) {
+      console.warn(`Analysis of bill ${identifier} disagrees with its fiscal note: ${check.flags.map(f => f.message).join('; ')}`);
+    }
+  } else if (index[identifier]) {
+    delete index[identifier];
+  } else {
+    return;
+  }
+
+  try {
+    await env.NH_LEGISLATIVE_DATA.put(FISCAL_NOTE_CONFIG.DISAGREEMENTS_KEY, JSON.stringify(index));
+  } catch (error) {
+    throw new StorageError(`Failed to update fiscal note disagreements: ${error.message}`, { identifier });
+  }
+}
+
+/**
+ * Check a bill's analysis against its fiscal note and update the disagreement index
+ * @param {Object} bill - Enhanced bill with nh_fiscal_note
+ * @param {Object} analysis - The bill's current analysis
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object|null>} - The comparison, or null if the bill has no fiscal note
+ */
+export async function checkFiscalNote(bill, analysis, env) {
+  const check = bill.nh_fiscal_note && analysis ? compareWithFiscalNote(bill.nh_fiscal_note, analysis) : null;
+  await updateFiscalNoteDisagreements(bill.identifier, check, env);
+  return check;
+}
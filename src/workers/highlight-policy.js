@@ -0,0 +1,435 @@
+// highlight-policy.js
+// Rule-based policy deciding which bills are highlighted, kept as a JSON rule document in KV
+
+import { StorageError } from './error-handling.js';
+import { ANALYSIS_CONFIG, CONFIDENCE_LEVELS } from './bill-analysis.js';
+import { getAnalysisByKey } from './analysis-storage.js';
+import { BILL_INDEX_CONFIG, buildBillSummary, normalizeBillIdentifier } from './bill-index.js';
+import { BILL_STATUSES } from './bill-status.js';
+
+/**
+ * Configuration for the highlight index
+ */
+export const HIGHLIGHT_CONFIG = {
+  INDEX_KEY: 'index:highlighted_bills',
+  // Why each highlighted bill qualifies, keyed by identifier
+  DETAILS_KEY: 'index:highlighted_bills:details',
+  POLICY_KEY: 'config:highlight_policy',
+  // Progress of re-evaluating every bill after the policy changes
+  SWEEP_STATE_KEY: 'highlight_policy:sweep',
+  BILLS_PER_SWEEP_RUN: 200,
+  CACHE_MS: 60 * 1000 // Re-read the KV rule document at most once a minute per isolate
+};
+
+/**
+ * Policy used until a rule document is written to NH_LEGISLATIVE_METADATA `config:highlight_policy`
+ * A bill is highlighted when any include rule matches and no exclude rule does
+ */
+export const HIGHLIGHT_POLICY_DEFAULTS = {
+  rules: [
+    {
+      id: 'significant-impact',
+      reason: 'Significant tax, budget or societal impact',
+      conditions: {
+        dimensions: ['tax_impact', 'budget_impact', 'societal_impact'],
+        minAbsScore: ANALYSIS_CONFIG.SIGNIFICANT_SCORE,
+        minConfidence: 'medium'
+      }
+    },
+    {
+      id: 'large-dollar-impact',
+      reason: 'Estimated tax or budget impact of $1M or more',
+      conditions: {
+        dimensions: ['tax_impact', 'budget_impact'],
+        minDollars: ANALYSIS_CONFIG.SIGNIFICANT_DOLLARS,
+        minConfidence: 'medium'
+      }
+    }
+  ]
+};
+
+/**
+ * Conditions a rule may use; all conditions of a rule must hold for it to match
+ * Impact conditions must all hold for the same dimension; list conditions match any entry
+ */
+const CONDITION_TYPES = {
+  dimensions: 'list', // Impact types the impact conditions look at (default: tax, budget, societal)
+  minAbsScore: 'number',
+  minScore: 'number',
+  maxScore: 'number',
+  minDollars: 'number', // Largest absolute end of the dollar range
+  directions: 'list',
+  minConfidence: 'string',
+  categories: 'list',
+  committees: 'list', // Committee names or OpenStates organization IDs from the bill's actions
+  sponsors: 'list', // Sponsor names or OpenStates person IDs
+  statuses: 'list', // Lifecycle statuses, e.g. committee_report or enrolled
+  bills: 'list' // Bill identifiers, e.g. to pin or block specific bills
+};
+
+const IMPACT_CONDITIONS = ['minAbsScore', 'minScore', 'maxScore', 'minDollars', 'directions', 'minConfidence'];
+const DEFAULT_DIMENSIONS = ['tax_impact', 'budget_impact', 'societal_impact'];
+
+let cachedPolicy = null;
+
+/**
+ * Check a rule from the rule document
+ * @param {Object} rule - Rule as written by an editor
+ * @returns {Array<string>} - Problems with the rule (empty if it's valid)
+ */
+function validateRule(rule) {
+  const problems = [];
+
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+  if (typeof rule.id !== 'string' || !rule.id) problems.push('id is required');
+  if (rule.action !== undefined && !['include', 'exclude'].includes(rule.action)) {
+    problems.push('action must be include or exclude');
+  }
+  if (!rule.conditions || typeof rule.conditions !== 'object' || Object.keys(rule.conditions).length === 0) {
+    problems.push('conditions must be a non-empty object');
+    return problems;
+  }
+
+  for (const [name, value] of Object.entries(rule.conditions)) {
+    const type = CONDITION_TYPES[name];
+    if (!type) {
+      problems.push(`unknown condition ${name}`);
+    } else if (type === 'list' ? !Array.isArray(value) : typeof value !== type) {
+      problems.push(`${name} must be ${type === 'list' ? 'an array' : `a ${type}`}`);
+    }
+  }
+  if (rule.conditions.minConfidence !== undefined && !CONFIDENCE_LEVELS.includes(rule.conditions.minConfidence)) {
+    problems.push(`minConfidence must be one of ${CONFIDENCE_LEVELS.join(', ')}`);
+  }
+  if (Array.isArray(rule.conditions.statuses) && !rule.conditions.statuses.every(status => BILL_STATUSES.includes(status))) {
+    problems.push(`statuses must be from ${BILL_STATUSES.join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Resolve the effective highlight policy
+ * The KV rule document replaces the default rules; invalid rules are skipped and logged so
+ * one typo doesn't empty the front page
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { rules, source }
+ */
+export async function loadHighlightPolicy(env) {
+  if (cachedPolicy && cachedPolicy.expires > Date.now()) {
+    return cachedPolicy.value;
+  }
+
+  let policy = { rules: HIGHLIGHT_POLICY_DEFAULTS.rules, source: 'default' };
+
+  try {
+    const stored = await env.NH_LEGISLATIVE_METADATA.get(HIGHLIGHT_CONFIG.POLICY_KEY, { type: 'json' });
+    if (stored && Array.isArray(stored.rules)) {
+      const rules = stored.rules.filter(rule => {
+        const problems = validateRule(rule);
+        if (problems.length > 0) {
+          console.error(`Skipping highlight rule ${rule?.id || '(no id)'}: ${problems.join('; ')}`);
+        }
+        return problems.length === 0;
+      });
+      policy = { rules, source: 'kv' };
+    } else if (stored) {
+      console.error('Highlight policy document has no rules array, using default rules');
+    }
+  } catch (error) {
+    // Fall back to defaults rather than failing collection over a bad rule document
+    console.error(`Error loading highlight policy: ${error.message}`, error);
+  }
+
+  cachedPolicy = { value: policy, expires: Date.now() + HIGHLIGHT_CONFIG.CACHE_MS };
+  return policy;
+}
+
+/**
+ * Committees a bill has been referred to or acted on by
+ * @param {Object} bill - Bill with OpenStates actions
+ * @returns {Array<string>} - Lowercased committee names and organization IDs
+ */
+export function getBillCommittees(bill) {
+  const committees = new Set();
+
+  for (const action of bill?.actions || []) {
+    if (action.organization?.classification === 'committee') {
+      if (action.organization.id) committees.add(action.organization.id.toLowerCase());
+      if (action.organization.name) committees.add(action.organization.name.toLowerCase());
+    }
+    for (const entity of action.related_entities || []) {
+      if (entity.entity_type !== 'organization') continue;
+      if (entity.organization?.id) committees.add(entity.organization.id.toLowerCase());
+      if (entity.name) committees.add(entity.name.toLowerCase());
+    }
+  }
+
+  return [...committees];
+}
+
+/**
+ * Find the dimension whose analysis meets all of a rule's impact conditions
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} analysis - Stored analysis
+ * @returns {string|null} - Matching dimension, or null
+ */
+function matchImpact(conditions, analysis) {
+  const minConfidence = CONFIDENCE_LEVELS.indexOf(conditions.minConfidence);
+
+  return (conditions.dimensions || DEFAULT_DIMENSIONS).find(type => {
+    const impact = analysis?.analyses?.[type];
+    if (!impact) return false;
+
+    const score = impact.score || 0;
+    const dollars = Math.max(Math.abs(impact.dollar_range?.low || 0), Math.abs(impact.dollar_range?.high || 0));
+
+    if (conditions.minAbsScore !== undefined && Math.abs(score) < conditions.minAbsScore) return false;
+    if (conditions.minScore !== undefined && score < conditions.minScore) return false;
+    if (conditions.maxScore !== undefined && score > conditions.maxScore) return false;
+    if (conditions.minDollars !== undefined && dollars < conditions.minDollars) return false;
+    if (conditions.directions && !conditions.directions.includes(impact.direction)) return false;
+    if (minConfidence >= 0) {
+      // Analyses stored before confidence was recorded count as medium
+      const confidence = CONFIDENCE_LEVELS.includes(impact.confidence) ? impact.confidence : 'medium';
+      if (CONFIDENCE_LEVELS.indexOf(confidence) < minConfidence) return false;
+    }
+
+    return true;
+  }) || null;
+}
+
+/**
+ * Check whether a rule matches a bill
+ * @param {Object} rule - Validated rule
+ * @param {Object} facts - { summary, committees, analysis } for the bill
+ * @returns {Object|null} - { dimension } if the rule matches (dimension is null without impact conditions), else null
+ */
+function matchRule(rule, facts) {
+  const { conditions } = rule;
+  const { summary, committees, analysis } = facts;
+  const lower = values => values.map(value => String(value).toLowerCase());
+
+  if (conditions.bills) {
+    const bills = conditions.bills.map(id => {
+      try {
+        return normalizeBillIdentifier(id);
+      } catch (error) {
+        return id;
+      }
+    });
+    if (!bills.includes(summary.identifier)) return null;
+  }
+  if (conditions.categories) {
+    const categories = summary.categories.length > 0 ? summary.categories : [summary.category];
+    if (!categories.some(category => conditions.categories.includes(category))) return null;
+  }
+  if (conditions.statuses && !conditions.statuses.includes(summary.status)) return null;
+  if (conditions.committees && !lower(conditions.committees).some(committee => committees.includes(committee))) return null;
+  if (conditions.sponsors) {
+    const wanted = lower(conditions.sponsors);
+    const matches = summary.sponsors.some(sponsor =>
+      wanted.includes(String(sponsor.person_id).toLowerCase()) || wanted.includes(String(sponsor.name).toLowerCase())
+    );
+    if (!matches) return null;
+  }
+
+  if (!IMPACT_CONDITIONS.some(name => conditions[name] !== undefined)) {
+    return { dimension: null };
+  }
+
+  const dimension = matchImpact(conditions, analysis);
+  return dimension ? { dimension } : null;
+}
+
+/**
+ * Decide whether a bill is highlighted under a policy
+ * @param {Object} policy - Policy from loadHighlightPolicy
+ * @param {Object} bill - Enhanced bill as stored under bill:<identifier>
+ * @param {Object} analysis - The bill's stored analysis (optional)
+ * @returns {Object} - { highlighted, reasons: [{ rule, reason, dimension }], excluded_by }
+ */
+export function evaluateHighlightPolicy(policy, bill, analysis) {
+  const facts = {
+    summary: buildBillSummary(bill),
+    committees: getBillCommittees(bill),
+    analysis
+  };
+
+  const reasons = [];
+  for (const rule of policy.rules) {
+    const match = matchRule(rule, facts);
+    if (!match) continue;
+
+    if (rule.action === 'exclude') {
+      return { highlighted: false, reasons: [], excluded_by: rule.id };
+    }
+    reasons.push({ rule: rule.id, reason: rule.reason || rule.id, dimension: match.dimension });
+  }
+
+  return { highlighted: reasons.length > 0, reasons, excluded_by: null };
+}
+
+/**
+ * Apply highlight decisions to the index, adding and removing bills
+ * @param {Array<Object>} decisions - { identifier, highlighted, reasons } per bill
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { added, removed, total }
+ */
+async function applyHighlightDecisions(decisions, env) {
+  const index = await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const details = await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.DETAILS_KEY, { type: 'json' }) || {};
+  const highlighted = new Set(index);
+  const now = new Date().toISOString();
+  let added = 0;
+  let removed = 0;
+
+  for (const { identifier, highlighted: qualifies, reasons } of decisions) {
+    if (qualifies) {
+      if (!highlighted.has(identifier)) {
+        highlighted.add(identifier);
+        added++;
+      }
+      details[identifier] = {
+        reasons,
+        highlighted_at: details[identifier]?.highlighted_at || now,
+        evaluated_at: now
+      };
+    } else if (highlighted.has(identifier)) {
+      highlighted.delete(identifier);
+      delete details[identifier];
+      removed++;
+    }
+  }
+
+  if (added > 0 || removed > 0 || decisions.some(d => d.highlighted)) {
+    try {
+      await env.NH_LEGISLATIVE_DATA.put(HIGHLIGHT_CONFIG.INDEX_KEY, JSON.stringify([...highlighted]));
+      await env.NH_LEGISLATIVE_DATA.put(HIGHLIGHT_CONFIG.DETAILS_KEY, JSON.stringify(details));
+    } catch (error) {
+      throw new StorageError(`Failed to update highlight index: ${error.message}`, { added, removed });
+    }
+  }
+
+  return { added, removed, total: highlighted.size };
+}
+
+/**
+ * Re-evaluate one bill against the highlight policy and update the index
+ * Bills that no longer qualify are removed
+ * @param {Object} bill - Enhanced bill as stored under bill:<identifier>
+ * @param {Object} analysis - The bill's current analysis
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - The decision { highlighted, reasons, excluded_by }
+ */
+export async function updateBillHighlight(bill, analysis, env) {
+  const policy = await loadHighlightPolicy(env);
+  const decision = evaluateHighlightPolicy(policy, bill, analysis);
+
+  const result = await applyHighlightDecisions([{ identifier: bill.identifier, ...decision }], env);
+  if (result.added > 0) {
+    console.log(`Highlighted bill ${bill.identifier}: ${decision.reasons.map(r => r.rule).join(', ')}`);
+  } else if (result.removed > 0) {
+    console.log(`Removed bill ${bill.identifier} from highlights${decision.excluded_by ? ` (excluded by ${decision.excluded_by})` : ''}`);
+  }
+
+  return decision;
+}
+
+/**
+ * Load the analysis a bill record points to
+ * @param {Object} bill - Enhanced bill as stored under bill:<identifier>
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object|null>} - The analysis, or null if the bill has none
+ */
+async function loadBillAnalysis(bill, env) {
+  if (!bill.nh_analysis_key) return null;
+  return getAnalysisByKey(bill.nh_analysis_key, env).catch(() => null);
+}
+
+/**
+ * Re-evaluate a batch of bills against the highlight policy with their stored analyses
+ * Used when records the policy reads change outside collection (e.g. re-derived statuses);
+ * the index is updated once for the whole batch
+ * @param {Array<Object>} bills - Enhanced bills as stored under bill:<identifier>
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { evaluated, added, removed }
+ */
+export async function updateBillHighlights(bills, env) {
+  const policy = await loadHighlightPolicy(env);
+  const decisions = [];
+
+  for (const bill of bills) {
+    const analysis = await loadBillAnalysis(bill, env);
+    decisions.push({ identifier: bill.identifier, ...evaluateHighlightPolicy(policy, bill, analysis) });
+  }
+
+  const result = await applyHighlightDecisions(decisions, env);
+  return { evaluated: decisions.length, added: result.added, removed: result.removed };
+}
+
+/**
+ * Hash a policy so a changed rule document can be detected
+ * @param {Object} policy - Effective policy
+ * @returns {Promise<string>} - Hex SHA-256 digest of the rules
+ */
+async function hashPolicy(policy) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(policy.rules)));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Re-evaluate every bill after the highlight policy changes
+ * Bills are otherwise re-evaluated when they're collected, so this only runs when the rules
+ * differ from the ones last swept with, a bounded batch per call
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Sweep options
+ * @param {number} options.maxBills - Bills to evaluate per call
+ * @returns {Promise<Object>} - { evaluated, added, removed, complete }
+ */
+export async function sweepHighlights(env, options = {}) {
+  const maxBills = options.maxBills || HIGHLIGHT_CONFIG.BILLS_PER_SWEEP_RUN;
+  const policy = await loadHighlightPolicy(env);
+  const policyHash = await hashPolicy(policy);
+
+  const saved = await env.NH_LEGISLATIVE_METADATA.get(HIGHLIGHT_CONFIG.SWEEP_STATE_KEY, { type: 'json' });
+  if (saved?.policy_hash === policyHash && saved.completed_at) {
+    return { evaluated: 0, added: 0, removed: 0, complete: true };
+  }
+  // A policy change mid-sweep starts over so every bill is judged by the same rules
+  const state = saved?.policy_hash === policyHash
+    ? saved
+    : { policy_hash: policyHash, last_identifier: null, evaluated: 0, started_at: new Date().toISOString(), completed_at: null };
+
+  // Every indexed bill, plus highlighted bills that have since left the index
+  const summaries = await env.NH_LEGISLATIVE_DATA.get(BILL_INDEX_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const highlighted = await env.NH_LEGISLATIVE_DATA.get(HIGHLIGHT_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const identifiers = [...new Set([...summaries.map(s => s.identifier), ...highlighted])].sort();
+
+  // Resume after the last identifier evaluated, so bills added meanwhile don't shift the batch
+  const remaining = state.last_identifier ? identifiers.filter(id => id > state.last_identifier) : identifiers;
+  const batch = remaining.slice(0, maxBills);
+  const decisions = [];
+
+  for (const identifier of batch) {
+    const bill = await env.NH_LEGISLATIVE_DATA.get(`bill:${identifier}`, { type: 'json' });
+    if (!bill) {
+      decisions.push({ identifier, highlighted: false, reasons: [] });
+      continue;
+    }
+
+    const analysis = await loadBillAnalysis(bill, env);
+    decisions.push({ identifier, ...evaluateHighlightPolicy(policy, bill, analysis) });
+  }
+
+  const result = await applyHighlightDecisions(decisions, env);
+
+  state.evaluated += batch.length;
+  state.last_identifier = batch[batch.length - 1] || state.last_identifier;
+  if (batch.length === remaining.length) {
+    state.completed_at = new Date().toISOString();
+  }
+  await env.NH_LEGISLATIVE_METADATA.put(HIGHLIGHT_CONFIG.SWEEP_STATE_KEY, JSON.stringify(state));
+
+  return { evaluated: batch.length, added: result.added, removed: result.removed, complete: Boolean(state.completed_at) };
+}
@@ -0,0 +1,395 @@
+// legislator-directory.js
+// Canonical NH House and Senate roster built from the OpenStates /people endpoint
+
+import NH_CONFIG from './nh-config.js';
+import { StorageError, ValidationError, NotFoundError } from './error-handling.js';
+import { fetchAllOpenStatesPages } from './openstates-client.js';
+import { normalizeChamber } from './sponsor-tracking.js';
+import { normalizeBillIdentifier } from './bill-index.js';
+
+/**
+ * Configuration for the legislator directory
+ */
+export const DIRECTORY_CONFIG = {
+  INDEX_KEY: 'index:legislators',
+  CHANGES_KEY: 'legislator_changes',
+  // Town-to-district mapping document: { house: { "<district>": [towns] }, senate: { ... } }
+  DISTRICT_TOWNS_KEY: 'district_towns',
+  DEFAULT_VOTES_PER_PAGE: 50,
+  MAX_VOTES_PER_PAGE: 200,
+  MAX_CHANGE_EVENTS: 500,
+  // Refuse to mark members as departed if the roster shrinks by more than this,
+  // since that almost always means a partial API response rather than an election
+  MAX_DEPARTURE_RATIO: 0.25
+};
+
+/**
+ * Derive the county from an NH district name
+ * House districts are named after counties ("Hillsborough 12", "Coös 3"); Senate districts are numbered
+ * @param {string} district - District name
+ * @returns {string|null} - County name or null if it can't be determined
+ */
+export function deriveCounty(district) {
+  if (!district) return null;
+
+  const match = district.normalize('NFC').match(/^(\p{L}+)\s+\d+$/u);
+  return match ? match[1] : null;
+}
+
+/**
+ * Group committee memberships by person ID
+ * @param {Array<Object>} committees - Committees requested with include=memberships
+ * @returns {Map<string, Array<Object>>} - Committee roles keyed by person ID
+ */
+function mapCommitteeRoles(committees) {
+  const rolesByPerson = new Map();
+
+  for (const committee of committees) {
+    for (const membership of committee.memberships || []) {
+      const personId = membership.person?.id;
+      if (!personId) continue;
+
+      if (!rolesByPerson.has(personId)) {
+        rolesByPerson.set(personId, []);
+      }
+
+      rolesByPerson.get(personId).push({
+        committee_id: committee.id,
+        name: committee.name,
+        chamber: normalizeChamber(committee.parent?.classification || committee.chamber),
+        role: membership.role || 'member'
+      });
+    }
+  }
+
+  return rolesByPerson;
+}
+
+/**
+ * Build a directory profile from an OpenStates person
+ * @param {Object} person - OpenStates person
+ * @param {Array<Object>|null} committeeRoles - Committee roles, or null to keep the existing ones
+ * @param {Object|null} existing - Previously stored profile
+ * @returns {Object} - Profile to store
+ */
+function buildProfile(person, committeeRoles, existing) {
+  const role = person.current_role || {};
+  const chamber = normalizeChamber(role.org_classification);
+  const district = role.district || null;
+  const now = new Date().toISOString();
+
+  // Term history is accumulated across runs since /people only reports the current role
+  const terms = existing?.terms ? [...existing.terms] : [];
+  const currentTerm = terms.find(term => !term.end_date);
+
+  if (!currentTerm || currentTerm.chamber !== chamber || currentTerm.district !== district) {
+    if (currentTerm) {
+      currentTerm.end_date = now;
+    }
+    terms.push({
+      chamber,
+      district,
+      party: person.party || null,
+      start_date: role.start_date || (existing ? now : null),
+      end_date: null
+    });
+  }
+
+  return {
+    id: person.id,
+    name: person.name,
+    given_name: person.given_name || null,
+    family_name: person.family_name || null,
+    party: person.party || null,
+    chamber,
+    district,
+    county: person.extras?.county || deriveCounty(district),
+    image: person.image || null,
+    contact: {
+      email: person.email || null,
+      offices: (person.offices || []).map(office => ({
+        classification: office.classification || null,
+        address: office.address || null,
+        voice: office.voice || null,
+        fax: office.fax || null
+      })),
+      links: (person.links || []).map(link => link.url).filter(Boolean)
+    },
+    committees: committeeRoles || existing?.committees || [],
+    terms,
+    party_history: existing?.party_history || [],
+    active: true,
+    first_seen: existing?.first_seen || now,
+    last_seen: now,
+    departed_at: null
+  };
+}
+
+/**
+ * Record directory change events, keeping only the most recent ones
+ * @param {Array<Object>} events - New change events
+ * @param {Object} env - Environment variables with KV binding
+ */
+async function recordDirectoryChanges(events, env) {
+  if (events.length === 0) return;
+
+  const existing = await env.NH_LEGISLATIVE_METADATA.get(DIRECTORY_CONFIG.CHANGES_KEY, { type: 'json' }) || [];
+  const combined = existing.concat(events).slice(-DIRECTORY_CONFIG.MAX_CHANGE_EVENTS);
+
+  await env.NH_LEGISLATIVE_METADATA.put(DIRECTORY_CONFIG.CHANGES_KEY, JSON.stringify(combined));
+  console.log(`Recorded ${events.length} legislator directory changes`);
+}
+
+/**
+ * Fetch the NH roster and update stored legislator profiles
+ * Detects new members, departures, seat changes and party switches between runs
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Summary of the run
+ * @throws {StorageError} If storage operation fails
+ */
+export async function collectLegislatorDirectory(env) {
+  const people = (await fetchAllOpenStatesPages('/people', {
+    jurisdiction: NH_CONFIG.STATE_CODE,
+    include: ['offices', 'links'],
+    per_page: 50
+  }, env)).filter(person => normalizeChamber(person.current_role?.org_classification));
+
+  if (people.length === 0) {
+    console.warn('OpenStates returned no NH legislators, leaving directory unchanged');
+    return { members: 0, changes: [] };
+  }
+
+  // Committee roles are best effort: keep the previously stored roles if this fails
+  let rolesByPerson = null;
+  try {
+    const committees = await fetchAllOpenStatesPages('/committees', {
+      jurisdiction: NH_CONFIG.STATE_CODE,
+      include: 'memberships',
+      per_page: 20
+    }, env);
+    rolesByPerson = mapCommitteeRoles(committees);
+  } catch (error) {
+    console.error(`Error fetching committee memberships: ${error.message}`);
+  }
+
+  const previousIndex = await env.NH_LEGISLATIVE_DATA.get(DIRECTORY_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const changes = [];
+  const index = [];
+  const now = new Date().toISOString();
+
+  for (const person of people) {
+    const profileKey = `legislator:${person.id}`;
+
+    try {
+      const existing = await env.NH_LEGISLATIVE_DATA.get(profileKey, { type: 'json' });
+      const profile = buildProfile(person, rolesByPerson ? rolesByPerson.get(person.id) || [] : null, existing);
+
+      if (!existing || !existing.active) {
+        // The first run seeds the directory, so there is nothing to compare against yet
+        if (previousIndex.length > 0) {
+          changes.push({ type: 'new_member', legislator_id: person.id, name: profile.name, detected_at: now });
+        }
+      } else {
+        if (existing.party !== profile.party) {
+          profile.party_history.push({ from: existing.party, to: profile.party, detected_at: now });
+          changes.push({
+            type: 'party_switch',
+            legislator_id: person.id,
+            name: profile.name,
+            from: existing.party,
+            to: profile.party,
+            detected_at: now
+          });
+        }
+        if (existing.chamber !== profile.chamber || existing.district !== profile.district) {
+          changes.push({
+            type: 'seat_change',
+            legislator_id: person.id,
+            name: profile.name,
+            from: `${existing.chamber} ${existing.district}`,
+            to: `${profile.chamber} ${profile.district}`,
+            detected_at: now
+          });
+        }
+      }
+
+      await env.NH_LEGISLATIVE_DATA.put(profileKey, JSON.stringify(profile));
+
+      index.push({
+        id: profile.id,
+        name: profile.name,
+        party: profile.party,
+        chamber: profile.chamber,
+        district: profile.district,
+        county: profile.county,
+        active: true
+      });
+    } catch (error) {
+      throw new StorageError(`Failed to store legislator profile: ${error.message}`, {
+        legislatorId: person.id
+      });
+    }
+  }
+
+  // Anyone active last run but missing from this roster has left office
+  const currentIds = new Set(people.map(person => person.id));
+  const departed = previousIndex.filter(entry => entry.active && !currentIds.has(entry.id));
+  const previousActive = previousIndex.filter(entry => entry.active).length;
+
+  if (previousActive > 0 && departed.length / previousActive > DIRECTORY_CONFIG.MAX_DEPARTURE_RATIO) {
+    console.warn(`Roster would drop ${departed.length} of ${previousActive} members, skipping departure detection`);
+    // Carry the missing members forward unchanged so the next full roster can reconcile them
+    index.push(...departed);
+  } else {
+    for (const entry of departed) {
+      const profileKey = `legislator:${entry.id}`;
+      const profile = await env.NH_LEGISLATIVE_DATA.get(profileKey, { type: 'json' });
+
+      if (profile) {
+        profile.active = false;
+        profile.departed_at = now;
+        for (const term of profile.terms || []) {
+          if (!term.end_date) term.end_date = now;
+        }
+        await env.NH_LEGISLATIVE_DATA.put(profileKey, JSON.stringify(profile));
+      }
+
+      changes.push({ type: 'departure', legislator_id: entry.id, name: entry.name, detected_at: now });
+      index.push({ ...entry, active: false });
+    }
+  }
+
+  // Former members stay in the index (inactive) so their records remain reachable
+  const indexedIds = new Set(index.map(entry => entry.id));
+  index.push(...previousIndex.filter(entry => !entry.active && !indexedIds.has(entry.id)));
+
+  try {
+    await env.NH_LEGISLATIVE_DATA.put(DIRECTORY_CONFIG.INDEX_KEY, JSON.stringify(index));
+    await recordDirectoryChanges(changes, env);
+  } catch (error) {
+    throw new StorageError(`Failed to store legislator index: ${error.message}`, {
+      members: people.length
+    });
+  }
+
+  console.log(`Legislator directory updated: ${people.length} current members, ${changes.length} changes`);
+  return { members: people.length, changes };
+}
+
+/**
+ * Normalize a legislator ID from a URL, accepting bare UUIDs as well as OCD person IDs
+ * The router has already decoded the path parameter
+ * @param {string} id - Legislator ID as supplied
+ * @returns {string} - OCD person ID
+ * @throws {ValidationError} If the ID is missing
+ */
+export function normalizeLegislatorId(id) {
+  const trimmed = (id || '').trim();
+
+  if (!trimmed) {
+    throw new ValidationError('Legislator ID is required');
+  }
+
+  return trimmed.startsWith('ocd-person/') ? trimmed : `ocd-person/${trimmed}`;
+}
+
+/**
+ * Query the legislator index by party, chamber, district and town
+ * @param {URLSearchParams} params - Request query parameters
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { legislators, count }
+ * @throws {ValidationError} If the town filter can't be resolved
+ */
+export async function queryLegislators(params, env) {
+  const index = await env.NH_LEGISLATIVE_DATA.get(DIRECTORY_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+
+  const party = params.get('party')?.toLowerCase();
+  const chamber = params.get('chamber') ? normalizeChamber(params.get('chamber')) : null;
+  const district = params.get('district')?.toLowerCase();
+  const town = params.get('town')?.toLowerCase();
+  const includeFormer = params.get('include_former') === 'true';
+
+  // Towns map onto districts through a separately maintained document
+  let townDistricts = null;
+  if (town) {
+    const mapping = await env.NH_LEGISLATIVE_METADATA.get(DIRECTORY_CONFIG.DISTRICT_TOWNS_KEY, { type: 'json' });
+    if (!mapping) {
+      throw new ValidationError('Town filtering is unavailable: no district_towns mapping has been loaded');
+    }
+
+    townDistricts = new Set();
+    for (const [mappedChamber, districts] of Object.entries(mapping)) {
+      for (const [name, towns] of Object.entries(districts)) {
+        if (towns.some(t => t.toLowerCase() === town)) {
+          townDistricts.add(`${mappedChamber}:${name.toLowerCase()}`);
+        }
+      }
+    }
+  }
+
+  const legislators = index.filter(entry => {
+    if (!includeFormer && !entry.active) return false;
+    if (party && entry.party?.toLowerCase() !== party) return false;
+    if (chamber && entry.chamber !== chamber) return false;
+    if (district && entry.district?.toLowerCase() !== district) return false;
+    if (townDistricts && !townDistricts.has(`${entry.chamber}:${entry.district?.toLowerCase()}`)) return false;
+    return true;
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  return { legislators, count: legislators.length };
+}
+
+/**
+ * Get a legislator's profile, sponsored bills, paginated votes and latest scorecard
+ * @param {string} id - Legislator ID (OCD person ID or bare UUID)
+ * @param {URLSearchParams} params - Request query parameters (votes_page, votes_per_page, bill)
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Legislator detail
+ * @throws {ValidationError} If paging parameters are invalid
+ * @throws {NotFoundError} If the legislator is not in the directory
+ */
+export async function getLegislatorDetail(id, params, env) {
+  const legislatorId = normalizeLegislatorId(id);
+  const page = parseInt(params.get('votes_page') || '1', 10);
+  const perPage = parseInt(params.get('votes_per_page') || `${DIRECTORY_CONFIG.DEFAULT_VOTES_PER_PAGE}`, 10);
+
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(perPage) || perPage < 1 || perPage > DIRECTORY_CONFIG.MAX_VOTES_PER_PAGE) {
+    throw new ValidationError(`votes_page must be a positive integer and votes_per_page between 1 and ${DIRECTORY_CONFIG.MAX_VOTES_PER_PAGE}`);
+  }
+
+  const [profile, sponsored, votes, scorecard] = await Promise.all([
+    env.NH_LEGISLATIVE_DATA.get(`legislator:${legislatorId}`, { type: 'json' }),
+    env.NH_LEGISLATIVE_DATA.get(`legislator:${legislatorId}:sponsored`, { type: 'json' }),
+    env.NH_LEGISLATIVE_DATA.get(`legislator:${legislatorId}:votes`, { type: 'json' }),
+    env.NH_LEGISLATIVE_DATA.get(`legislator:${legislatorId}:scorecard`, { type: 'json' })
+  ]);
+
+  if (!profile) {
+    throw new NotFoundError(`Legislator not found: ${legislatorId}`);
+  }
+
+  // ?bill= narrows the vote history to one bill ("how did Rep X vote on HB 123")
+  let voteHistory = votes?.votes || [];
+  const bill = params.get('bill');
+  if (bill) {
+    const identifier = normalizeBillIdentifier(bill);
+    voteHistory = voteHistory.filter(v => v.bill_identifier === identifier);
+  }
+
+  const start = (page - 1) * perPage;
+
+  return {
+    profile,
+    sponsored_bills: sponsored?.bills || [],
+    votes: {
+      items: voteHistory.slice(start, start + perPage),
+      pagination: {
+        page,
+        per_page: perPage,
+        total_items: voteHistory.length,
+        total_pages: Math.ceil(voteHistory.length / perPage)
+      }
+    },
+    scorecard: scorecard || null
+  };
+}
@@ -0,0 +1,85 @@
+// openstates-client.js
+// Shared OpenStates v3 API access for the collection jobs
+
+import NH_CONFIG from './nh-config.js';
+import { ApiError } from './error-handling.js';
+
+/**
+ * Configuration for OpenStates requests
+ */
+export const OPENSTATES_CONFIG = {
+  PAGE_DELAY: 2000, // ms between page requests to respect API rate limits
+  MAX_PAGES: 50 // Safety cap so a pagination bug can't loop forever
+};
+
+/**
+ * Fetch a single page from an OpenStates endpoint
+ * @param {string} endpoint - Endpoint path (e.g. '/people')
+ * @param {Object} params - Query parameters; array values are appended once per item
+ * @param {Object} env - Environment variables with OPENSTATES_API_KEY
+ * @returns {Promise<Object>} - Parsed JSON response
+ * @throws {ApiError} If the request fails
+ */
+export async function fetchOpenStates(endpoint, params, env) {
+  const apiUrl = new URL(`${NH_CONFIG.OPENSTATES_API_URL}${endpoint}`);
+
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+
+    // The API expects repeated parameters (include=a&include=b) rather than comma lists
+    for (const item of Array.isArray(value) ? value : [value]) {
+      apiUrl.searchParams.append(name, item.toString());
+    }
+  }
+
+  console.log(`API request URL: ${apiUrl.toString()}`);
+
+  // Send the API key ONLY in the header, not in the URL
+  const response = await fetch(apiUrl.toString(), {
+    headers: {
+      'X-API-Key': env.OPENSTATES_API_KEY,
+      'Accept': 'application/json'
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new ApiError(`API request failed: ${response.status} - ${errorText}`, response.status, {
+      endpoint
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch every page of results from an OpenStates endpoint
+ * @param {string} endpoint - Endpoint path (e.g. '/people')
+ * @param {Object} params - Query parameters (page is managed here)
+ * @param {Object} env - Environment variables with OPENSTATES_API_KEY
+ * @returns {Promise<Array<Object>>} - Combined results from all pages
+ * @throws {ApiError} If any page request fails
+ */
+export async function fetchAllOpenStatesPages(endpoint, params, env) {
+  const results = [];
+  let page = 1;
+  let hasMorePages = true;
+
+  while (hasMorePages && page <= OPENSTATES_CONFIG.MAX_PAGES) {
+    const data = await fetchOpenStates(endpoint, { ...params, page }, env);
+    results.push(...(data.results || []));
+
+    // v3 reports max_page; older responses used total_pages
+    const lastPage = data.pagination?.max_page ?? data.pagination?.total_pages ?? page;
+    console.log(`Fetched ${data.results?.length || 0} results from ${endpoint} page ${page} of ${lastPage}`);
+
+    hasMorePages = lastPage > page;
+    page++;
+
+    if (hasMorePages) {
+      await new Promise(resolve => setTimeout(resolve, OPENSTATES_CONFIG.PAGE_DELAY));
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,292 @@
+// prompt-registry.js
+// Versioned analysis prompts stored in KV, so prompts can change without a redeploy
+
+import { ValidationError, NotFoundError, StorageError } from './error-handling.js';
+
+/**
+ * Configuration for the prompt registry
+ */
+export const PROMPT_REGISTRY_CONFIG = {
+  VERSION_PREFIX: 'prompts:v',
+  INDEX_KEY: 'prompts:versions',
+  ACTIVE_KEY: 'prompts:active',
+  CACHE_MS: 60 * 1000, // Re-read the active prompts at most once a minute per isolate
+  MAX_PROMPT_LENGTH: 4000,
+  MAX_TEMPLATE_LENGTH: 8000
+};
+
+/**
+ * Prompts the analysis shipped with, always available as version '1'
+ * The template wraps every call: {{content}} is replaced by the bill content and
+ * {{instructions}} by the dimension prompt (plus the section or reduce instructions when a
+ * long bill is analyzed section by section)
+ */
+export const BUILTIN_PROMPTS = {
+  version: '1',
+  description: 'Built-in prompts',
+  created_at: null,
+  created_by: null,
+  template: `
+You are a legislative analyst specialized in impact assessment.
+Analyze the following bill and provide a structured analysis:
+
+{{content}}
+
+{{instructions}}
+
+Provide a summary (one sentence), details (2-3 paragraphs), and score (from -5 to +5)
+where -5 is very negative impact, 0 is neutral, and +5 is very positive impact.
+`,
+  dimensions: {
+    tax_impact: 'Analyze the potential tax impact of this bill. Identify if it increases taxes, decreases taxes, or is tax neutral. Estimate the magnitude of impact and affected groups.',
+    budget_impact: 'Analyze the potential budget impact of this bill. Identify if it increases spending, decreases spending, or is budget neutral. Estimate the magnitude of impact.',
+    societal_impact: 'Analyze the potential societal impact of this bill. Identify affected groups and estimate the nature and magnitude of impact.',
+    institutional_alignment: 'Analyze how this bill aligns with various institutional interests such as political parties, industry groups, or advocacy organizations.'
+  },
+  section_instructions: 'Consider only the provisions in this part of the bill.',
+  reduce_instructions: 'The bill was too long to read at once, so each section was analyzed separately. Combine the section findings into one assessment of the whole bill and name the sections that drive the score.'
+};
+
+let cachedPrompts = null;
+
+/**
+ * Metadata listed for a prompt version
+ * @param {Object} prompts - Prompt version record
+ * @returns {Object} - { version, description, created_at, created_by, based_on }
+ */
+function toPromptMetadata(prompts) {
+  return {
+    version: prompts.version,
+    description: prompts.description || null,
+    created_at: prompts.created_at,
+    created_by: prompts.created_by,
+    based_on: prompts.based_on || null
+  };
+}
+
+/**
+ * Read the active version pointer
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { version, activated_at, activated_by }
+ */
+async function readActivePointer(env) {
+  const pointer = await env.NH_LEGISLATIVE_METADATA.get(PROMPT_REGISTRY_CONFIG.ACTIVE_KEY, { type: 'json' });
+  return pointer || { version: BUILTIN_PROMPTS.version, activated_at: null, activated_by: null };
+}
+
+/**
+ * Get a prompt version
+ * @param {string} version - Version to read
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Prompt version record
+ * @throws {NotFoundError} If the version doesn't exist
+ */
+export async function getPromptVersion(version, env) {
+  if (String(version) === BUILTIN_PROMPTS.version) {
+    return BUILTIN_PROMPTS;
+  }
+
+  const prompts = await env.NH_LEGISLATIVE_METADATA.get(`${PROMPT_REGISTRY_CONFIG.VERSION_PREFIX}${version}`, { type: 'json' });
+  if (!prompts) {
+    throw new NotFoundError(`Prompt version not found: ${version}`);
+  }
+
+  return prompts;
+}
+
+/**
+ * Get the prompts new analyses should use
+ * Falls back to the built-in prompts if the registry can't be read, so collection never
+ * stops over a registry problem
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Active prompt version record
+ */
+export async function getActivePrompts(env) {
+  if (cachedPrompts && cachedPrompts.expires > Date.now()) {
+    return cachedPrompts.value;
+  }
+
+  let prompts = BUILTIN_PROMPTS;
+  try {
+    const { version } = await readActivePointer(env);
+    prompts = await getPromptVersion(version, env);
+  } catch (error) {
+    console.error(`Error loading active prompts, using built-in prompts: ${error.message}`, error);
+  }
+
+  cachedPrompts = { value: prompts, expires: Date.now() + PROMPT_REGISTRY_CONFIG.CACHE_MS };
+  return prompts;
+}
+
+/**
+ * List prompt versions
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { active, versions } with versions oldest first
+ */
+export async function listPromptVersions(env) {
+  const active = await readActivePointer(env);
+  const stored = await env.NH_LEGISLATIVE_METADATA.get(PROMPT_REGISTRY_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+
+  return {
+    active,
+    versions: [toPromptMetadata(BUILTIN_PROMPTS), ...stored]
+  };
+}
+
+/**
+ * Fill a prompt template
+ * @param {Object} prompts - Prompt version record
+ * @param {string} content - Bill content
+ * @param {string} instructions - Dimension prompt and any extra instructions
+ * @returns {string} - Prompt to send to the provider
+ */
+export function renderPrompt(prompts, content, instructions) {
+  // Function replacements so '$' sequences in bill text aren't treated as patterns
+  return prompts.template
+    .replace('{{content}}', () => content)
+    .replace('{{instructions}}', () => instructions);
+}
+
+/**
+ * Check a prompt string field
+ * @param {Array<Object>} errors - Validation errors to append to
+ * @param {string} field - Field name for the error
+ * @param {*} value - Value to check
+ * @param {number} maxLength - Maximum length
+ */
+function checkPromptText(errors, field, value, maxLength) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push({ field, message: `${field} must be a non-empty string` });
+  } else if (value.length > maxLength) {
+    errors.push({ field, message: `${field} must be at most ${maxLength} characters` });
+  }
+}
+
+/**
+ * Create a prompt version
+ * Versions are immutable; fields left out are copied from the base version, so a change to
+ * one dimension's prompt only needs that prompt
+ * @param {Object} body - Request body
+ * @param {string} body.description - What changed in this version
+ * @param {string} body.base_version - Version to copy unspecified fields from (default: active)
+ * @param {string} body.template - Template with {{content}} and {{instructions}} placeholders
+ * @param {Object} body.dimensions - Prompts keyed by analysis type
+ * @param {string} body.section_instructions - Added to the prompt for each section of a long bill
+ * @param {string} body.reduce_instructions - Added to the prompt that merges section findings
+ * @param {boolean} body.activate - Activate the new version immediately
+ * @param {string} createdBy - key_id of the key creating the version
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - The new prompt version record
+ * @throws {ValidationError} If the body is invalid
+ */
+export async function createPromptVersion(body, createdBy, env) {
+  const { description, base_version: baseVersion, template, dimensions, section_instructions: sectionInstructions, reduce_instructions: reduceInstructions, activate = false } = body || {};
+  const dimensionTypes = Object.keys(BUILTIN_PROMPTS.dimensions);
+  const errors = [];
+
+  if (!description || typeof description !== 'string') {
+    errors.push({ field: 'description', message: 'description is required' });
+  }
+  if (template !== undefined) {
+    checkPromptText(errors, 'template', template, PROMPT_REGISTRY_CONFIG.MAX_TEMPLATE_LENGTH);
+    if (typeof template === 'string' && (!template.includes('{{content}}') || !template.includes('{{instructions}}'))) {
+      errors.push({ field: 'template', message: 'template must contain {{content}} and {{instructions}}' });
+    }
+  }
+  if (dimensions !== undefined) {
+    if (!dimensions || typeof dimensions !== 'object' || Array.isArray(dimensions)) {
+      errors.push({ field: 'dimensions', message: 'dimensions must be an object of prompts keyed by analysis type' });
+    } else {
+      const unknown = Object.keys(dimensions).filter(type => !dimensionTypes.includes(type));
+      if (unknown.length > 0) {
+        errors.push({ field: 'dimensions', message: `Unknown dimensions: ${unknown.join(', ')}. Expected: ${dimensionTypes.join(', ')}` });
+      }
+      for (const [type, prompt] of Object.entries(dimensions)) {
+        checkPromptText(errors, `dimensions.${type}`, prompt, PROMPT_REGISTRY_CONFIG.MAX_PROMPT_LENGTH);
+      }
+    }
+  }
+  if (sectionInstructions !== undefined) {
+    checkPromptText(errors, 'section_instructions', sectionInstructions, PROMPT_REGISTRY_CONFIG.MAX_PROMPT_LENGTH);
+  }
+  if (reduceInstructions !== undefined) {
+    checkPromptText(errors, 'reduce_instructions', reduceInstructions, PROMPT_REGISTRY_CONFIG.MAX_PROMPT_LENGTH);
+  }
+  if (typeof activate !== 'boolean') {
+    errors.push({ field: 'activate', message: 'activate must be a boolean' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid prompt version', errors);
+  }
+
+  let base;
+  try {
+    base = baseVersion !== undefined
+      ? await getPromptVersion(baseVersion, env)
+      : await getPromptVersion((await readActivePointer(env)).version, env);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw new ValidationError('Invalid prompt version', [{ field: 'base_version', message: error.message }]);
+    }
+    throw error;
+  }
+
+  const index = await env.NH_LEGISLATIVE_METADATA.get(PROMPT_REGISTRY_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const latest = Math.max(Number(BUILTIN_PROMPTS.version), ...index.map(v => Number(v.version)));
+
+  const prompts = {
+    version: String(latest + 1),
+    description,
+    created_at: new Date().toISOString(),
+    created_by: createdBy,
+    based_on: base.version,
+    template: template ?? base.template,
+    dimensions: { ...base.dimensions, ...(dimensions || {}) },
+    section_instructions: sectionInstructions ?? base.section_instructions,
+    reduce_instructions: reduceInstructions ?? base.reduce_instructions
+  };
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(`${PROMPT_REGISTRY_CONFIG.VERSION_PREFIX}${prompts.version}`, JSON.stringify(prompts));
+    index.push(toPromptMetadata(prompts));
+    await env.NH_LEGISLATIVE_METADATA.put(PROMPT_REGISTRY_CONFIG.INDEX_KEY, JSON.stringify(index));
+  } catch (error) {
+    throw new StorageError(`Failed to store prompt version: ${error.message}`, { version: prompts.version });
+  }
+
+  if (activate) {
+    await activatePromptVersion(prompts.version, createdBy, env);
+  }
+
+  return prompts;
+}
+
+/**
+ * Make a prompt version the one new analyses use
+ * Other isolates pick up the change within PROMPT_REGISTRY_CONFIG.CACHE_MS
+ * @param {string} version - Version to activate
+ * @param {string} activatedBy - key_id of the key activating the version
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { active, previous } pointers
+ * @throws {NotFoundError} If the version doesn't exist
+ */
+export async function activatePromptVersion(version, activatedBy, env) {
+  const prompts = await getPromptVersion(version, env);
+  const previous = await readActivePointer(env);
+
+  const active = {
+    version: prompts.version,
+    activated_at: new Date().toISOString(),
+    activated_by: activatedBy
+  };
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(PROMPT_REGISTRY_CONFIG.ACTIVE_KEY, JSON.stringify(active));
+  } catch (error) {
+    throw new StorageError(`Failed to activate prompt version: ${error.message}`, { version });
+  }
+
+  cachedPrompts = { value: prompts, expires: Date.now() + PROMPT_REGISTRY_CONFIG.CACHE_MS };
+  return { active, previous };
+}
@@ -0,0 +1,464 @@
+// rate-limit-store.js
+// Storage backends for RateLimiter: atomic Durable Object counters with a KV fallback, plus
+// per-day tallies of rejected requests for the abuse report
+
+/**
+ * Rejected requests are tallied per UTC day and kept this long
+ */
+export const RATE_LIMIT_EVENT_RETENTION_SEC = 86400 * 7;
+const EVENTS_KEY_PREFIX = 'rate_limit_events:';
+// Paths tallied per offender, so a client walking every bill can't grow its entry without bound
+const MAX_OFFENDER_PATHS = 50;
+
+/**
+ * Apply one request to a sliding-window counter
+ * The window is approximated from the current and previous fixed windows, weighting the
+ * previous window's count by how much of it still overlaps the sliding window
+ * @param {Object|null} record - Stored counter { window_start, count, previous_count }
+ * @param {number} now - Current time in ms
+ * @param {number} limit - Max requests per window
+ * @param {number} windowSec - Window length in seconds
+ * @returns {Object} - { record, allowed, remaining, reset } with reset in epoch seconds
+ */
+export function slidingWindowHit(record, now, limit, windowSec) {
+  const windowMs = windowSec * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  let count = 0;
+  let previousCount = 0;
+  if (record?.window_start === windowStart) {
+    count = record.count;
+    previousCount = record.previous_count;
+  } else if (record?.window_start === windowStart - windowMs) {
+    previousCount = record.count;
+  }
+
+  const overlap = 1 - (now - windowStart) / windowMs;
+  const estimated = previousCount * overlap + count;
+  const allowed = estimated + 1 <= limit;
+
+  // Rejected requests don't consume capacity, so a client backing off recovers on schedule
+  if (allowed) count++;
+
+  return {
+    record: { window_start: windowStart, count, previous_count: previousCount },
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - estimated - (allowed ? 1 : 0))),
+    reset: Math.ceil((windowStart + windowMs) / 1000)
+  };
+}
+
+/**
+ * Add a rejected request to a day's tally
+ * @param {Object|null} summary - Day totals { total_events, by_path, by_limiter, by_hour }
+ * @param {Object|null} offender - The client's entry { id, type, events, paths, first_seen, last_seen }
+ * @param {Object} event - { timestamp, ip, key_id, limiter, path }
+ * @returns {Object} - Updated { summary, offender }
+ */
+export function tallyRateLimitEvent(summary, offender, event) {
+  const totals = summary || { total_events: 0, by_path: {}, by_limiter: {}, by_hour: {} };
+  const limiter = event.limiter || 'unknown';
+  const hour = event.timestamp.slice(11, 13);
+
+  totals.total_events++;
+  totals.by_path[event.path] = (totals.by_path[event.path] || 0) + 1;
+  totals.by_limiter[limiter] = (totals.by_limiter[limiter] || 0) + 1;
+  totals.by_hour[hour] = (totals.by_hour[hour] || 0) + 1;
+
+  const entry = offender || {
+    id: rateLimitOffenderId(event),
+    type: event.key_id ? 'api_key' : 'ip',
+    events: 0,
+    paths: {},
+    first_seen: event.timestamp,
+    last_seen: event.timestamp
+  };
+  entry.events++;
+  if (entry.paths[event.path] || Object.keys(entry.paths).length < MAX_OFFENDER_PATHS) {
+    entry.paths[event.path] = (entry.paths[event.path] || 0) + 1;
+  }
+  if (event.timestamp < entry.first_seen) entry.first_seen = event.timestamp;
+  if (event.timestamp > entry.last_seen) entry.last_seen = event.timestamp;
+
+  return { summary: totals, offender: entry };
+}
+
+/**
+ * Identify the client behind a rejected request
+ * @param {Object} event - { ip, key_id }
+ * @returns {string} - 'key:<key_id>' for API keys, otherwise 'ip:<ip>'
+ */
+export function rateLimitOffenderId(event) {
+  return event.key_id ? `key:${event.key_id}` : `ip:${event.ip}`;
+}
+
+/**
+ * KV-backed counters
+ * KV is eventually consistent, so concurrent requests can read the same count and the
+ * limit leaks under load; only used when no Durable Object binding is configured
+ */
+export class KVRateLimitStore {
+  /**
+   * @param {Object} kv - KV namespace binding
+   */
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string} key - Counter key
+   * @param {number} limit - Max requests per window
+   * @param {number} windowSec - Window length in seconds
+   * @returns {Promise<Object>} - { allowed, remaining, reset }
+   */
+  async hit(key, limit, windowSec) {
+    const now = Date.now();
+    const record = await this.kv.get(key, { type: 'json' });
+    const result = slidingWindowHit(record, now, limit, windowSec);
+
+    await this.kv.put(key, JSON.stringify(result.record), {
+      // Long enough to serve as the previous window; KV's minimum TTL is 60 seconds
+      expirationTtl: Math.max(60, windowSec * 2),
+    });
+
+    return { allowed: result.allowed, remaining: result.remaining, reset: result.reset };
+  }
+
+  /**
+   * Tally a rejected request in the day's KV document
+   * Like the counters, concurrent writes can drop events
+   * @param {string} date - UTC day (YYYY-MM-DD)
+   * @param {Object} event - { timestamp, ip, key_id, limiter, path }
+   * @returns {Promise<void>}
+   */
+  async recordEvent(date, event) {
+    const key = `${EVENTS_KEY_PREFIX}${date}`;
+    const tally = await this.kv.get(key, { type: 'json' }) || { summary: null, offenders: {} };
+    const id = rateLimitOffenderId(event);
+    const { summary, offender } = tallyRateLimitEvent(tally.summary, tally.offenders[id], event);
+
+    tally.summary = summary;
+    tally.offenders[id] = offender;
+    await this.kv.put(key, JSON.stringify(tally), { expirationTtl: RATE_LIMIT_EVENT_RETENTION_SEC });
+  }
+
+  /**
+   * Read a day's tally of rejected requests
+   * @param {string} date - UTC day (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { summary, offenders } where offenders is an array
+   */
+  async getEvents(date) {
+    const tally = await this.kv.get(`${EVENTS_KEY_PREFIX}${date}`, { type: 'json' });
+    return { summary: tally?.summary || null, offenders: Object.values(tally?.offenders || {}) };
+  }
+}
+
+/**
+ * Durable Object-backed counters
+ * Each counter key maps to its own Durable Object instance, which processes requests one at
+ * a time, so the read-increment-write is atomic
+ */
+export class DurableObjectRateLimitStore {
+  /**
+   * @param {Object} namespace - Durable Object namespace binding for RateLimiterDurableObject
+   * @param {Object} fallback - Store used if the Durable Object can't be reached (optional)
+   */
+  constructor(namespace, fallback = null) {
+    this.namespace = namespace;
+    this.fallback = fallback;
+  }
+
+  /**
+   * Count a request against a key
+   * @param {string} key - Counter key
+   * @param {number} limit - Max requests per window
+   * @param {number} windowSec - Window length in seconds
+   * @returns {Promise<Object>} - { allowed, remaining, reset }
+   */
+  async hit(key, limit, windowSec) {
+    try {
+      const stub = this.namespace.get(this.namespace.idFromName(key));
+      const response = await stub.fetch('https://rate-limiter/hit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ limit, windowSec }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Rate limiter object returned ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (!this.fallback) throw error;
+
+      console.error(`Durable Object rate limiter unavailable, falling back: ${error.message}`);
+      return this.fallback.hit(key, limit, windowSec);
+    }
+  }
+
+  /**
+   * Tally a rejected request in the day's Durable Object
+   * @param {string} date - UTC day (YYYY-MM-DD)
+   * @param {Object} event - { timestamp, ip, key_id, limiter, path }
+   * @returns {Promise<void>}
+   */
+  async recordEvent(date, event) {
+    try {
+      const response = await this.eventsStub(date).fetch('https://rate-limiter/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Rate limiter object returned ${response.status}`);
+      }
+    } catch (error) {
+      if (!this.fallback) throw error;
+
+      console.error(`Durable Object rate limiter unavailable, falling back: ${error.message}`);
+      await this.fallback.recordEvent(date, event);
+    }
+  }
+
+  /**
+   * Read a day's tally of rejected requests
+   * Events tallied in KV while the Durable Object was unreachable are merged in
+   * @param {string} date - UTC day (YYYY-MM-DD)
+   * @returns {Promise<Object>} - { summary, offenders } where offenders is an array
+   */
+  async getEvents(date) {
+    const response = await this.eventsStub(date).fetch('https://rate-limiter/events');
+    if (!response.ok) {
+      throw new Error(`Rate limiter object returned ${response.status}`);
+    }
+
+    const tally = await response.json();
+    const fallback = this.fallback ? await this.fallback.getEvents(date) : null;
+    if (!fallback?.summary) {
+      return tally;
+    }
+
+    // Replay the fallback's totals and offenders on top of the object's
+    const summary = tally.summary || { total_events: 0, by_path: {}, by_limiter: {}, by_hour: {} };
+    summary.total_events += fallback.summary.total_events;
+    for (const field of ['by_path', 'by_limiter', 'by_hour']) {
+      for (const [name, count] of Object.entries(fallback.summary[field])) {
+        summary[field][name] = (summary[field][name] || 0) + count;
+      }
+    }
+
+    const offenders = new Map(tally.offenders.map(o => [o.id, o]));
+    for (const extra of fallback.offenders) {
+      const offender = offenders.get(extra.id);
+      if (!offender) {
+        offenders.set(extra.id, extra);
+        continue;
+      }
+      offender.events += extra.events;
+      for (const [path, count] of Object.entries(extra.paths)) {
+        offender.paths[path] = (offender.paths[path] || 0) + count;
+      }
+      if (extra.first_seen < offender.first_seen) offender.first_seen = extra.first_seen;
+      if (extra.last_seen > offender.last_seen) offender.last_seen = extra.last_seen;
+    }
+
+    return { summary, offenders: Array.from(offenders.values()) };
+  }
+
+  /**
+   * Stub for the object tallying one day's rejected requests
+   * @param {string} date - UTC day (YYYY-MM-DD)
+   * @returns {Object} - Durable Object stub
+   */
+  eventsStub(date) {
+    return this.namespace.get(this.namespace.idFromName(`${EVENTS_KEY_PREFIX}${date}`));
+  }
+}
+
+/**
+ * Durable Object holding one rate limit counter, or one day's tally of rejected requests
+ * Bound as RATE_LIMITER in wrangler.toml and exported from the gateway's main module
+ */
+export class RateLimiterDurableObject {
+  /**
+   * @param {Object} state - Durable Object state with transactional storage
+   * @param {Object} env - Environment variables
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Route a request from DurableObjectRateLimitStore
+   * POST /hit counts a request; POST /events tallies a rejected request and GET /events reads the tally
+   * @param {Request} request - Request from DurableObjectRateLimitStore
+   * @returns {Promise<Response>} - JSON response
+   */
+  async fetch(request) {
+    if (new URL(request.url).pathname === '/events') {
+      return request.method === 'POST' ? this.recordEvent(request) : this.getEvents();
+    }
+
+    return this.hit(request);
+  }
+
+  /**
+   * Handle a hit request: POST { limit, windowSec }
+   * @param {Request} request - Request from DurableObjectRateLimitStore
+   * @returns {Promise<Response>} - JSON { allowed, remaining, reset }
+   */
+  async hit(request) {
+    const { limit, windowSec } = await request.json();
+
+    if (!Number.isFinite(limit) || !Number.isFinite(windowSec) || limit < 1 || windowSec < 1) {
+      return new Response(JSON.stringify({ error: 'limit and windowSec must be positive numbers' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    // The object handles one event at a time, so nothing can interleave between get and put
+    const record = await this.state.storage.get('window');
+    const result = slidingWindowHit(record, Date.now(), limit, windowSec);
+    await this.state.storage.put('window', result.record);
+
+    // Clear idle counters once they can no longer affect the sliding window
+    await this.state.storage.setAlarm(Date.now() + windowSec * 2000);
+
+    return new Response(JSON.stringify({ allowed: result.allowed, remaining: result.remaining, reset: result.reset }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Tally a rejected request: POST { timestamp, ip, key_id, limiter, path }
+   * Day totals and each offender are stored under separate keys, so a day with many
+   * offenders doesn't outgrow a single storage value
+   * @param {Request} request - Request from DurableObjectRateLimitStore
+   * @returns {Promise<Response>} - Empty 204 response
+   */
+  async recordEvent(request) {
+    const event = await request.json();
+    const offenderKey = `offender:${rateLimitOffenderId(event)}`;
+
+    const [summary, offender] = await Promise.all([
+      this.state.storage.get('summary'),
+      this.state.storage.get(offenderKey)
+    ]);
+    const tally = tallyRateLimitEvent(summary, offender, event);
+    await this.state.storage.put({ summary: tally.summary, [offenderKey]: tally.offender });
+
+    // Keep the tally for the retention period after its first event
+    if (!summary) {
+      await this.state.storage.setAlarm(Date.now() + RATE_LIMIT_EVENT_RETENTION_SEC * 1000);
+    }
+
+    return new Response(null, { status: 204 });
+  }
+
+  /**
+   * Read the tally of rejected requests
+   * @returns {Promise<Response>} - JSON { summary, offenders }
+   */
+  async getEvents() {
+    const [summary, offenders] = await Promise.all([
+      this.state.storage.get('summary'),
+      this.state.storage.list({ prefix: 'offender:' })
+    ]);
+
+    return new Response(JSON.stringify({ summary: summary || null, offenders: Array.from(offenders.values()) }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Delete the counter after it has been idle for two windows, or the tally once it has been kept
+   * for the retention period
+   */
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+/**
+ * In-memory stand-in for a Durable Object namespace
+ * Runs a Durable Object class in-process with Map-backed storage and serialized requests
+ * per object, for local development and tests without the Workers runtime
+ */
+export class LocalDurableObjectNamespace {
+  // Private so the namespace (which references env) isn't walked when env is logged
+  #ObjectClass;
+  #env;
+  #objects = new Map();
+
+  /**
+   * @param {Function} ObjectClass - Durable Object class (e.g. RateLimiterDurableObject)
+   * @param {Object} env - Environment passed to each object
+   */
+  constructor(ObjectClass, env = {}) {
+    this.#ObjectClass = ObjectClass;
+    this.#env = env;
+  }
+
+  idFromName(name) {
+    return { name, toString: () => name };
+  }
+
+  get(id) {
+    const name = id.toString();
+
+    if (!this.#objects.has(name)) {
+      const data = new Map();
+      const storage = {
+        alarm: null,
+        async get(key) { return data.has(key) ? structuredClone(data.get(key)) : undefined; },
+        // put(key, value) or put({ key: value, ... }), as in the runtime
+        async put(key, value) {
+          const entries = typeof key === 'string' ? { [key]: value } : key;
+          for (const [name, entry] of Object.entries(entries)) data.set(name, structuredClone(entry));
+        },
+        async list({ prefix = '' } = {}) {
+          return new Map([...data.keys()].filter(name => name.startsWith(prefix)).sort()
+            .map(name => [name, structuredClone(data.get(name))]));
+        },
+        async delete(key) { return data.delete(key); },
+        async deleteAll() { data.clear(); },
+        async setAlarm(time) { storage.alarm = time; },
+      };
+      const instance = new this.#ObjectClass({ id, storage }, this.#env);
+      this.#objects.set(name, { instance, storage, queue: Promise.resolve() });
+    }
+
+    const entry = this.#objects.get(name);
+
+    return {
+      // Chain requests so each object sees them one at a time, like the real runtime
+      fetch: (url, init) => {
+        const run = entry.queue.then(() => entry.instance.fetch(new Request(url, init)));
+        entry.queue = run.catch(() => {});
+        return run;
+      },
+    };
+  }
+}
+
+/**
+ * Pick the rate limit store for an environment
+ * Uses the RATE_LIMITER Durable Object binding when present, falling back to KV otherwise
+ * or when the Durable Object can't be reached
+ * @param {Object} env - Environment variables with KV and optional Durable Object bindings
+ * @returns {Object} - Store with hit(key, limit, windowSec)
+ */
+export function createRateLimitStore(env) {
+  const kvStore = new KVRateLimitStore(env.NH_LEGISLATIVE_METADATA);
+
+  if (env.RATE_LIMITER) {
+    return new DurableObjectRateLimitStore(env.RATE_LIMITER, kvStore);
+  }
+
+  return kvStore;
+}
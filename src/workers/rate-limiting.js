@@ -1,10 +1,79 @@
 // rate-limiting.js
 // Rate limiting middleware for the NH Legislative Accountability System API
 
-import { RateLimitError } from './error-handling';
+import { RateLimitError, AuthenticationError } from './error-handling';
+import { authenticateRequest } from './auth';
+import { createRateLimitStore } from './rate-limit-store';
 
 /**
- * Basic rate limiter that uses Cloudflare KV to track request counts
+ * Built-in rate limit settings, overridden by wrangler.toml vars and then by the
+ * KV config document (NH_LEGISLATIVE_METADATA key `config:rate_limits`)
+ */
+export const RATE_LIMIT_DEFAULTS = {
+  enabled: false,
+  // Requests with a valid API key get this multiple of the anonymous limit
+  authenticatedMultiplier: 5,
+  limiters: {
+    default: { limit: 60, windowSec: 60 },
+    search: { limit: 30, windowSec: 60 },
+    analysis: { limit: 20, windowSec: 60 },
+    bills: { limit: 100, windowSec: 60 }
+  }
+};
+
+export const RATE_LIMIT_CONFIG_KEY = 'config:rate_limits';
+const CONFIG_CACHE_MS = 60 * 1000; // Re-read the KV config document at most once a minute per isolate
+
+let cachedConfig = null;
+
+/**
+ * Resolve the effective rate limit configuration
+ * Layers: RATE_LIMIT_DEFAULTS, then wrangler vars (RATE_LIMIT_ENABLED, RATE_LIMIT_AUTH_MULTIPLIER),
+ * then the KV config document, which may set `enabled`, `authenticatedMultiplier` and per-limiter
+ * `limit`, `windowSec` and `authenticatedLimit`
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - Effective configuration
+ */
+export async function loadRateLimitConfig(env) {
+  if (cachedConfig && cachedConfig.expires > Date.now()) {
+    return cachedConfig.value;
+  }
+
+  const config = {
+    ...RATE_LIMIT_DEFAULTS,
+    limiters: Object.fromEntries(
+      Object.entries(RATE_LIMIT_DEFAULTS.limiters).map(([name, settings]) => [name, { ...settings }])
+    )
+  };
+
+  if (env.RATE_LIMIT_ENABLED !== undefined) {
+    config.enabled = String(env.RATE_LIMIT_ENABLED).toLowerCase() === 'true';
+  }
+  if (env.RATE_LIMIT_AUTH_MULTIPLIER !== undefined && !isNaN(parseFloat(env.RATE_LIMIT_AUTH_MULTIPLIER))) {
+    config.authenticatedMultiplier = parseFloat(env.RATE_LIMIT_AUTH_MULTIPLIER);
+  }
+
+  try {
+    const stored = await env.NH_LEGISLATIVE_METADATA.get(RATE_LIMIT_CONFIG_KEY, { type: 'json' });
+    if (stored) {
+      if (typeof stored.enabled === 'boolean') config.enabled = stored.enabled;
+      if (typeof stored.authenticatedMultiplier === 'number') config.authenticatedMultiplier = stored.authenticatedMultiplier;
+      for (const [name, settings] of Object.entries(stored.limiters || {})) {
+        config.limiters[name] = { ...config.limiters[name], ...settings };
+      }
+    }
+  } catch (error) {
+    // Fall back to defaults and vars rather than failing requests over a bad config document
+    console.error(`Error loading rate limit config: ${error.message}`, error);
+  }
+
+  cachedConfig = { value: config, expires: Date.now() + CONFIG_CACHE_MS };
+  return config;
+}
+
+/**
+ * Sliding-window rate limiter backed by a pluggable counter store
+ * (Durable Object when bound as RATE_LIMITER, otherwise KV; see rate-limit-store.js)
  */
 export class RateLimiter {
   /**
@@ -15,8 +84,12 @@ export class RateLimiter {
    * @param {string} options.keyPrefix - KV key prefix (default: 'rate_limit')
    * @param {Function} options.keyGenerator - Function to generate rate limit key
    * @param {boolean} options.isEnabled - Whether rate limiting is enabled (default: false)
+   * @param {string} options.name - Limiter name used to look up settings in the rate limit config
+   * @param {Object} options.store - Counter store with hit(key, limit, windowSec) (default: createRateLimitStore(env))
    */
   constructor(options = {}) {
+    this.name = options.name || null;
+    this.store = options.store || null;
     this.limit = options.limit || 60; // Default: 60 requests
     this.windowSec = options.windowSec || 60; // Default: per minute
     this.keyPrefix = options.keyPrefix || 'rate_limit';
@@ -33,93 +106,45 @@ export class RateLimiter {
    * Check if a request is within rate limits
    * @param {Request} request - The request to check
    * @param {Object} env - Environment variables with KV binding
+   * @param {Object} settings - Optional { isEnabled, limit, windowSec, key } from resolveSettings
    * @returns {Promise<Object>} - Rate limit status
    * @throws {RateLimitError} If rate limit is exceeded
    */
-  async checkLimit(request, env) {
+  async checkLimit(request, env, settings = null) {
+    const isEnabled = settings ? settings.isEnabled : this.isEnabled;
+    const limit = settings?.limit || this.limit;
+    const windowSec = settings?.windowSec || this.windowSec;
+    
     // If rate limiting is disabled, return unlimited status
-    if (!this.isEnabled) {
+    if (!isEnabled) {
       const now = Math.floor(Date.now() / 1000);
       return {
-        limit: this.limit,
-        remaining: this.limit,
-        reset: now + this.windowSec,
+        limit,
+        remaining: limit,
+        reset: now + windowSec,
       };
     }
     
     try {
-      const key = this.keyGenerator(request);
-      console.log(`Checking rate limit for key: ${key}`);
-      
-      // Get current count from KV
-      let countData;
-      try {
-        countData = await env.NH_LEGISLATIVE_METADATA.get(key, { type: 'json' });
-        console.log(`Rate limit data for ${key}: ${JSON.stringify(countData || 'not found')}`);
-      } catch (error) {
-        console.error(`Error reading rate limit data: ${error.message}`, error);
-        // If we can't read the rate limit, we'll default to allowing the request
-        // but with a reduced counter to ensure we eventually start rate limiting if needed
-        countData = { count: Math.floor(this.limit / 2), timestamp: Math.floor(Date.now() / 1000) };
-      }
+      const key = settings?.key || this.keyGenerator(request);
+      const store = this.store || createRateLimitStore(env);
       
-      const now = Math.floor(Date.now() / 1000);
-      const windowStart = now - this.windowSec;
-      
-      let count = 0;
-      let resetTime = now + this.windowSec;
-      
-      if (countData) {
-        // If the window has not expired, use the existing count
-        if (countData.timestamp > windowStart) {
-          count = countData.count;
-          resetTime = countData.timestamp + this.windowSec;
-        }
-      }
-      
-      // Increment count
-      count++;
-      
-      // Create the new rate limit data
-      const newData = {
-        count,
-        timestamp: now,
-      };
-      
-      // Store in KV with expiration
-      try {
-        await env.NH_LEGISLATIVE_METADATA.put(key, JSON.stringify(newData), {
-          expirationTtl: this.windowSec * 2, // Double the window to ensure expiration
-        });
-        console.log(`Updated rate limit for ${key}: count=${count}, limit=${this.limit}, reset=${resetTime}`);
-        
-        // Verify the write worked
-        const verifyData = await env.NH_LEGISLATIVE_METADATA.get(key, { type: 'json' });
-        if (!verifyData || verifyData.count !== count) {
-          console.error(`Failed to verify rate limit data for ${key}`);
-        }
-      } catch (error) {
-        console.error(`Error updating rate limit data: ${error.message}`, error);
-        // Continue with the current count, but log the error
-      }
-      
-      // Calculate remaining requests
-      const remaining = Math.max(0, this.limit - count);
+      const result = await store.hit(key, limit, windowSec);
       
       // Check if rate limit is exceeded
-      if (count > this.limit) {
-        console.log(`Rate limit exceeded for ${key}: ${count} > ${this.limit}`);
+      if (!result.allowed) {
+        console.log(`Rate limit exceeded for ${key}: limit=${limit}, reset=${result.reset}`);
         throw new RateLimitError('Rate limit exceeded', {
-          limit: this.limit,
+          limit: limit,
           remaining: 0,
-          reset: resetTime,
+          reset: result.reset,
         });
       }
       
       return {
-        limit: this.limit,
-        remaining,
-        reset: resetTime,
+        limit: limit,
+        remaining: result.remaining,
+        reset: result.reset,
       };
     } catch (error) {
       if (error instanceof RateLimitError) {
@@ -130,11 +155,70 @@ export class RateLimiter {
       // Return a default safe value on unexpected errors
       const now = Math.floor(Date.now() / 1000);
       return {
+        limit: limit,
+        remaining: limit - 1, // Reduce by 1 to account for this request
+        reset: now + windowSec,
+      };
+    }
+  }
+
+  /**
+   * Work out the limit, window and counter key that apply to a request
+   * Named limiters take their settings from loadRateLimitConfig; requests carrying a valid
+   * API key are counted per key with the higher authenticated limit, everything else per IP
+   * @param {Request} request - The request to check
+   * @param {Object} env - Environment variables with KV binding
+   * @returns {Promise<Object>} - { isEnabled, limit, windowSec, key, identity }
+   */
+  async resolveSettings(request, env) {
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    
+    if (!this.name) {
+      return {
+        isEnabled: this.isEnabled,
         limit: this.limit,
-        remaining: this.limit - 1, // Reduce by 1 to account for this request
-        reset: now + this.windowSec,
+        windowSec: this.windowSec,
+        key: this.keyGenerator(request),
+        identity: { type: 'ip', ip },
       };
     }
+    
+    const config = await loadRateLimitConfig(env);
+    const limiterConfig = config.limiters[this.name] || {};
+    const limit = limiterConfig.limit || this.limit;
+    const windowSec = limiterConfig.windowSec || this.windowSec;
+    
+    if (!config.enabled) {
+      return { isEnabled: false, limit, windowSec, key: null, identity: { type: 'ip', ip } };
+    }
+    
+    let principal = null;
+    if (request.headers.has('Authorization')) {
+      try {
+        principal = await authenticateRequest(request, env);
+      } catch (error) {
+        // An invalid key is just an anonymous request as far as rate limiting is concerned
+        if (!(error instanceof AuthenticationError)) throw error;
+      }
+    }
+    
+    if (principal) {
+      return {
+        isEnabled: true,
+        limit: limiterConfig.authenticatedLimit || Math.ceil(limit * config.authenticatedMultiplier),
+        windowSec,
+        key: `${this.keyPrefix}:key:${principal.key_id}`,
+        identity: { type: 'api_key', key_id: principal.key_id, ip },
+      };
+    }
+    
+    return {
+      isEnabled: true,
+      limit,
+      windowSec,
+      key: this.keyGenerator(request),
+      identity: { type: 'ip', ip },
+    };
   }
 
   /**
@@ -143,13 +227,15 @@ export class RateLimiter {
    */
   middleware() {
     return async (request, env, ctx) => {
+      const settings = await this.resolveSettings(request, env);
+      
       // If rate limiting is disabled, skip to the next handler
-      if (!this.isEnabled) {
+      if (!settings.isEnabled) {
         return await ctx.next();
       }
       
       try {
-        const limitStatus = await this.checkLimit(request, env);
+        const limitStatus = await this.checkLimit(request, env, settings);
         
         // Call the next handler
         const response = await ctx.next();
@@ -175,19 +261,20 @@ export class RateLimiter {
             'X-RateLimit-Reset': error.details.reset.toString(),
           });
           
-          // Log rate limit events
+          // Tally the rejection for the day's abuse report
           ctx.waitUntil((async () => {
             try {
-              const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-              const url = new URL(request.url);
-              const logKey = `rate_limit_exceeded:${Date.now()}`;
+              const timestamp = new Date().toISOString();
+              const store = this.store || createRateLimitStore(env);
               
-              await env.NH_LEGISLATIVE_METADATA.put(logKey, JSON.stringify({
-                timestamp: new Date().toISOString(),
-                ip: ip,
-                path: url.pathname,
-                limit: error.details.limit
-              }), { expirationTtl: 86400 * 7 }); // Keep for 7 days
+              await store.recordEvent(timestamp.split('T')[0], {
+                timestamp,
+                ip: settings.identity.ip,
+                key_id: settings.identity.key_id || null,
+                limiter: this.name || this.keyPrefix,
+                // The route pattern rather than the raw path keeps the tally bounded
+                path: ctx.route || new URL(request.url).pathname
+              });
             } catch (logError) {
               console.error(`Failed to log rate limit event: ${logError.message}`);
             }
@@ -208,43 +295,50 @@ export class RateLimiter {
 
 /**
  * Create different rate limiters for various API endpoints
+ * Limits and the enabled flag are resolved per request from loadRateLimitConfig,
+ * so these constructor values only apply if a limiter is used without a name
  * @returns {Object} - Object with rate limiters for different endpoints
  */
 export function createRateLimiters() {
-  // Check if rate limiting is enabled from environment variable
-  const isEnabled = false; // Default to disabled
+  const limiters = {};
   
-  return {
-    // Default rate limiter: 60 requests per minute
-    default: new RateLimiter({ 
-      limit: 60, 
-      windowSec: 60,
-      keyPrefix: 'rate_limit:default',
-      isEnabled: isEnabled
-    }),
-    
-    // Search endpoint: 30 requests per minute
-    search: new RateLimiter({ 
-      limit: 30, 
-      windowSec: 60,
-      keyPrefix: 'rate_limit:search',
-      isEnabled: isEnabled
-    }),
-    
-    // Analysis endpoint: 20 requests per minute
-    analysis: new RateLimiter({ 
-      limit: 20, 
-      windowSec: 60,
-      keyPrefix: 'rate_limit:analysis',
-      isEnabled: isEnabled
-    }),
-    
-    // Bills endpoint: 100 requests per minute
-    bills: new RateLimiter({ 
-      limit: 100, 
-      windowSec: 60,
-      keyPrefix: 'rate_limit:bills',
-      isEnabled: isEnabled
-    }),
+  // default: 60/min, search: 30/min, analysis: 20/min, bills: 100/min (see RATE_LIMIT_DEFAULTS)
+  for (const [name, settings] of Object.entries(RATE_LIMIT_DEFAULTS.limiters)) {
+    limiters[name] = new RateLimiter({
+      name,
+      limit: settings.limit,
+      windowSec: settings.windowSec,
+      keyPrefix: `rate_limit:${name}`,
+      isEnabled: RATE_LIMIT_DEFAULTS.enabled
+    });
+  }
+  
+  return limiters;
+}
+
+/**
+ * Build a day's abuse report from the rate limit store's tally of rejected requests
+ * Stored in NH_LEGISLATIVE_METADATA as abuse_report:<YYYY-MM-DD>
+ * @param {string} date - Day to report on (YYYY-MM-DD, UTC)
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - The stored report
+ */
+export async function generateAbuseReport(date, env) {
+  const { summary, offenders } = await createRateLimitStore(env).getEvents(date);
+  
+  const report = {
+    date,
+    total_events: summary?.total_events || 0,
+    unique_offenders: offenders.length,
+    top_offenders: offenders.sort((a, b) => b.events - a.events).slice(0, 25),
+    by_path: summary?.by_path || {},
+    by_limiter: summary?.by_limiter || {},
+    by_hour: summary?.by_hour || {},
+    generated_at: new Date().toISOString()
   };
-} 
\ No newline at end of file
+  
+  await env.NH_LEGISLATIVE_METADATA.put(`abuse_report:${date}`, JSON.stringify(report));
+  console.log(`Abuse report for ${date}: ${report.total_events} events from ${report.unique_offenders} offenders`);
+  
+  return report;
+}
@@ -0,0 +1,209 @@
+// router.js
+// Path-parameter router for the API gateway with per-method handlers and per-route middleware
+
+import { withCacheProfile } from './caching-middleware.js';
+import { ValidationError } from './error-handling.js';
+
+/**
+ * Compile a route pattern into matchable segments
+ * Supports static segments, `:name` (one segment) and a trailing `:name*` (rest of the path,
+ * for IDs that contain slashes such as "ocd-person/<uuid>")
+ * @param {string} pattern - Route pattern (e.g. '/api/bills/:identifier')
+ * @returns {Array<Object>} - Compiled segments
+ */
+function compilePattern(pattern) {
+  const segments = pattern.split('/').filter(Boolean);
+
+  return segments.map((segment, index) => {
+    if (!segment.startsWith(':')) {
+      return { type: 'static', value: segment };
+    }
+
+    if (segment.endsWith('*')) {
+      if (index !== segments.length - 1) {
+        throw new Error(`Wildcard parameter must be the last segment in route: ${pattern}`);
+      }
+      return { type: 'rest', name: segment.slice(1, -1) };
+    }
+
+    return { type: 'param', name: segment.slice(1) };
+  });
+}
+
+/**
+ * Decode one path segment
+ * @param {string} segment - Raw path segment
+ * @returns {string} - Decoded segment
+ * @throws {ValidationError} If the segment has a malformed percent-escape (e.g. "%E0%A4%A")
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new ValidationError(`Malformed URL path segment: ${segment}`);
+  }
+}
+
+/**
+ * Match a path against compiled segments
+ * @param {Array<Object>} segments - Compiled route segments
+ * @param {Array<string>} pathSegments - Request path split on '/'
+ * @returns {Object|null} - Extracted params, or null if the path doesn't match
+ * @throws {ValidationError} If a parameter segment can't be decoded
+ */
+function matchSegments(segments, pathSegments) {
+  const params = {};
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+
+    if (segment.type === 'rest') {
+      if (i >= pathSegments.length) return null;
+      params[segment.name] = pathSegments.slice(i).map(decodeSegment).join('/');
+      return params;
+    }
+
+    if (i >= pathSegments.length) return null;
+
+    if (segment.type === 'static') {
+      if (segment.value !== pathSegments[i]) return null;
+    } else {
+      params[segment.name] = decodeSegment(pathSegments[i]);
+    }
+  }
+
+  return segments.length === pathSegments.length ? params : null;
+}
+
+/**
+ * Chain middleware in front of a handler
+ * Middleware use the gateway convention: (request, env, ctx) with ctx.next() calling the rest of the chain
+ * @param {Array<Function>} middleware - Middleware functions, outermost first
+ * @param {Function} handler - Final route handler
+ * @returns {Function} - Composed handler
+ */
+function composeMiddleware(middleware, handler) {
+  return (request, env, ctx) => {
+    const dispatch = (position) => {
+      if (position === middleware.length) {
+        return handler(request, env, ctx);
+      }
+      return middleware[position](request, env, { ...ctx, next: () => dispatch(position + 1) });
+    };
+
+    return dispatch(0);
+  };
+}
+
+/**
+ * Create a router
+ * @returns {Object} - Router with add(), match() and handle()
+ */
+export function createRouter() {
+  const routes = [];
+
+  return {
+    /**
+     * Register a route
+     * @param {string} pattern - Route pattern (e.g. '/api/bills/:identifier')
+     * @param {Object} methods - Handlers keyed by HTTP method (e.g. { GET: handler })
+     * @param {Object} options - Route options
+     * @param {string|false} options.cache - Cache TTL profile for GET requests, or false to disable caching
+     * @param {Array<Function>} options.middleware - Middleware run before the handler, outermost first
+     * @returns {Object} - The router, for chaining
+     */
+    add(pattern, methods, options = {}) {
+      const { cache = false, middleware = [] } = options;
+      const handlers = {};
+
+      for (const [method, handler] of Object.entries(methods)) {
+        const upperMethod = method.toUpperCase();
+        const routeHandler = cache && upperMethod === 'GET' ? withCacheProfile(handler, cache) : handler;
+        handlers[upperMethod] = composeMiddleware(middleware, routeHandler);
+      }
+
+      // HEAD is answered by the GET handler unless a route defines its own
+      if (handlers.GET && !handlers.HEAD) {
+        handlers.HEAD = handlers.GET;
+      }
+
+      const segments = compilePattern(pattern);
+
+      routes.push({
+        pattern,
+        segments,
+        handlers,
+        // Static segments outrank parameters so '/api/bills/search' beats '/api/bills/:identifier'
+        specificity: segments.reduce((score, s) => score + (s.type === 'static' ? 2 : s.type === 'param' ? 1 : 0), 0)
+      });
+
+      return this;
+    },
+
+    /**
+     * Find the route for a path
+     * @param {string} path - Request path
+     * @returns {Object|null} - { route, params } or null if no route matches
+     * @throws {ValidationError} If a path parameter can't be decoded
+     */
+    match(path) {
+      const pathSegments = path.split('/').filter(Boolean);
+      let best = null;
+
+      for (const route of routes) {
+        const params = matchSegments(route.segments, pathSegments);
+        if (params && (!best || route.specificity > best.route.specificity)) {
+          best = { route, params };
+        }
+      }
+
+      return best;
+    },
+
+    /**
+     * Dispatch a request to its route handler
+     * Returns 404 for unknown paths and 405 (with an Allow header) for unsupported methods
+     * @param {Request} request - Incoming request
+     * @param {Object} env - Environment variables
+     * @param {Object} ctx - Execution context
+     * @returns {Promise<Response>} - Route response
+     */
+    async handle(request, env, ctx) {
+      const url = new URL(request.url);
+      const matched = this.match(url.pathname);
+
+      if (!matched) {
+        return new Response(JSON.stringify({ error: 'Not found' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' },
+        });
+      }
+
+      const { route, params } = matched;
+      const handler = route.handlers[request.method];
+
+      if (!handler) {
+        const allowed = [...Object.keys(route.handlers), 'OPTIONS'];
+        return new Response(JSON.stringify({ error: 'Method not allowed', allowed }), {
+          status: 405,
+          headers: {
+            'Content-Type': 'application/json',
+            'Allow': allowed.join(', '),
+          },
+        });
+      }
+
+      // Handlers receive path parameters on ctx.params alongside the usual waitUntil;
+      // ctx.state is shared by the route's middleware and handler (e.g. the authenticated key)
+      const routeCtx = {
+        waitUntil: (promise) => ctx.waitUntil(promise),
+        passThroughOnException: () => ctx.passThroughOnException?.(),
+        params,
+        route: route.pattern,
+        state: {},
+      };
+
+      return handler(request, env, routeCtx);
+    },
+  };
+}
@@ -0,0 +1,292 @@
+// scorecards.js
+// Legislator accountability scorecards computed from sponsorship, vote and attendance records
+
+import { StorageError } from './error-handling.js';
+import { ANALYSIS_TYPES } from './bill-analysis.js';
+import { extractAnalysisScores } from './sponsor-tracking.js';
+import { DIRECTORY_CONFIG } from './legislator-directory.js';
+
+/**
+ * Version of the scorecard formulas; bump whenever a metric definition changes
+ * so stored scorecards can be compared like for like
+ */
+export const SCORECARD_FORMULA_VERSION = '1.0.0';
+
+/**
+ * Configuration for scorecard generation
+ */
+export const SCORECARD_CONFIG = {
+  // Progress of the current day's scorecard run
+  RUN_STATE_KEY: 'scorecards:run',
+  // Scorecards are recomputed once a day, spread across the scheduled runs that day
+  LEGISLATORS_PER_RUN: 75
+};
+
+/**
+ * Published definitions of every scorecard metric
+ */
+export const SCORECARD_METHODOLOGY = {
+  formula_version: SCORECARD_FORMULA_VERSION,
+  metrics: {
+    roll_calls: 'Roll calls on record for the legislator, whatever option was recorded.',
+    votes_missed: 'Roll calls where the legislator was recorded absent or not voting. Excused absences are reported separately and not counted as missed.',
+    missed_vote_rate: 'votes_missed / total roll calls on record for the legislator.',
+    party_line_rate: 'Share of yes/no votes matching the majority yes/no position of the legislator\'s own party on the same roll call. Roll calls where the party split evenly, or the legislator has no major-party affiliation, are excluded.',
+    bills_sponsored: 'Bills listing the legislator as a primary sponsor (primary) or as any sponsor (total).',
+    bills_passed: 'Sponsored bills with an OpenStates action classified became-law or executive-signature.',
+    supported_bill_scores: 'Mean AI analysis score, per impact dimension, of bills the legislator sponsored or voted yes on a passage motion. Bills without a score on a dimension are excluded from that dimension\'s mean.',
+    committee_attendance_rate: 'Present / (present + absent) across tracked committee sessions with attendance evidence. Excused absences are excluded.'
+  }
+};
+
+/**
+ * Round a ratio for storage, preserving null for "not computable"
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} - Ratio rounded to 3 decimal places, or null if denominator is 0
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Work out each party's majority position on a roll call
+ * @param {Object} voteRecord - Normalized vote record from voting-records.js
+ * @param {Map<string, string>} partyById - Directory party by legislator ID
+ * @returns {Object} - Map of party to 'yes' | 'no' | null (even split)
+ */
+function partyPositions(voteRecord, partyById) {
+  const tallies = {};
+
+  for (const vote of voteRecord.votes) {
+    if (vote.option !== 'yes' && vote.option !== 'no') continue;
+
+    const party = partyById.get(vote.legislator_id) || vote.party;
+    if (!party) continue;
+
+    tallies[party] = tallies[party] || { yes: 0, no: 0 };
+    tallies[party][vote.option]++;
+  }
+
+  const positions = {};
+  for (const [party, { yes, no }] of Object.entries(tallies)) {
+    positions[party] = yes === no ? null : (yes > no ? 'yes' : 'no');
+  }
+
+  return positions;
+}
+
+/**
+ * Compute a single legislator's scorecard from already-loaded inputs
+ * @param {Object} legislator - Directory index entry ({ id, name, party, chamber, district })
+ * @param {Object} records - { sponsored, votes, attendance } KV records (any may be null)
+ * @param {Object} lookups - { partyById, getBillVotes, getBillScores } shared across legislators
+ * @returns {Promise<Object>} - Scorecard including its inputs and formula version
+ */
+export async function computeScorecard(legislator, records, lookups) {
+  const sponsoredBills = records.sponsored?.bills || [];
+  const votes = records.votes?.votes || [];
+
+  // Attendance and missed votes
+  const optionCounts = { yes: 0, no: 0, absent: 0, excused: 0, not_voting: 0, other: 0 };
+  for (const vote of votes) {
+    optionCounts[vote.option] = (optionCounts[vote.option] || 0) + 1;
+  }
+  const votesMissed = optionCounts.absent + optionCounts.not_voting;
+
+  // Party-line voting
+  const partyLineInputs = [];
+  if (legislator.party && !/independent|nonpartisan/i.test(legislator.party)) {
+    for (const vote of votes) {
+      if (vote.option !== 'yes' && vote.option !== 'no') continue;
+
+      const billVotes = await lookups.getBillVotes(vote.bill_identifier);
+      const record = billVotes.find(r => r.vote_id === vote.vote_id);
+      if (!record) continue;
+
+      const position = partyPositions(record, lookups.partyById)[legislator.party];
+      if (!position) continue;
+
+      partyLineInputs.push({ vote_id: vote.vote_id, bill: vote.bill_identifier, option: vote.option, party_position: position });
+    }
+  }
+  const partyLineVotes = partyLineInputs.filter(v => v.option === v.party_position).length;
+
+  // Bills the legislator supported: sponsored, or voted yes on passage
+  const supported = new Map();
+  for (const bill of sponsoredBills) {
+    supported.set(bill.identifier, { reason: bill.primary ? 'primary_sponsor' : 'cosponsor', scores: bill.scores });
+  }
+  for (const vote of votes) {
+    if (vote.option !== 'yes' || !(vote.motion_classification || []).includes('passage')) continue;
+    if (supported.has(vote.bill_identifier)) continue;
+
+    supported.set(vote.bill_identifier, { reason: 'voted_yes', scores: await lookups.getBillScores(vote.bill_identifier) });
+  }
+
+  const supportedScores = {};
+  for (const type of ANALYSIS_TYPES) {
+    const values = Array.from(supported.values())
+      .map(entry => entry.scores?.[type])
+      .filter(score => typeof score === 'number');
+    supportedScores[type] = {
+      mean: values.length > 0 ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100 : null,
+      bills_scored: values.length
+    };
+  }
+
+  // Committee attendance
+  const committees = Object.entries(records.attendance?.committees || {});
+  const present = committees.reduce((sum, [, c]) => sum + c.present, 0);
+  const absent = committees.reduce((sum, [, c]) => sum + c.absent, 0);
+
+  const primaryBills = sponsoredBills.filter(b => b.primary);
+
+  return {
+    legislator_id: legislator.id,
+    name: legislator.name,
+    party: legislator.party,
+    chamber: legislator.chamber,
+    district: legislator.district,
+    formula_version: SCORECARD_FORMULA_VERSION,
+    computed_at: new Date().toISOString(),
+    metrics: {
+      roll_calls: votes.length,
+      votes_missed: votesMissed,
+      votes_excused: optionCounts.excused,
+      missed_vote_rate: ratio(votesMissed, votes.length),
+      party_line_rate: ratio(partyLineVotes, partyLineInputs.length),
+      bills_sponsored: { primary: primaryBills.length, total: sponsoredBills.length },
+      bills_passed: {
+        primary: primaryBills.filter(b => b.enacted).length,
+        total: sponsoredBills.filter(b => b.enacted).length
+      },
+      supported_bill_scores: supportedScores,
+      committee_attendance_rate: ratio(present, present + absent)
+    },
+    // Everything needed to recompute the metrics by hand
+    inputs: {
+      vote_options: optionCounts,
+      party_line_votes: partyLineInputs,
+      sponsored_bills: sponsoredBills.map(b => ({ identifier: b.identifier, primary: b.primary, enacted: Boolean(b.enacted) })),
+      supported_bills: Array.from(supported.entries()).map(([identifier, entry]) => ({ identifier, ...entry })),
+      committee_attendance: Object.fromEntries(committees.map(([id, c]) => [id, {
+        present: c.present, absent: c.absent, excused: c.excused
+      }]))
+    }
+  };
+}
+
+/**
+ * Compute and store scorecards for every active legislator in the directory
+ * Scorecards are recomputed once a day; each call continues that day's run with the next batch
+ * of legislators (ordered by ID) and writes a dated snapshot plus a pointer to the latest scorecard
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Run options
+ * @param {number} options.maxLegislators - Legislators to compute per call
+ * @returns {Promise<Object>} - { computed, failed, complete }
+ */
+export async function generateScorecards(env, options = {}) {
+  const maxLegislators = options.maxLegislators || SCORECARD_CONFIG.LEGISLATORS_PER_RUN;
+  const snapshotDate = new Date().toISOString().split('T')[0];
+
+  const saved = await env.NH_LEGISLATIVE_METADATA.get(SCORECARD_CONFIG.RUN_STATE_KEY, { type: 'json' });
+  // A new day starts a new run from the first legislator
+  const state = saved?.snapshot_date === snapshotDate
+    ? saved
+    : { snapshot_date: snapshotDate, cursor: null, computed: 0, failed: 0, started_at: new Date().toISOString(), completed_at: null };
+
+  if (state.completed_at) {
+    return { computed: 0, failed: 0, complete: true };
+  }
+
+  const index = await env.NH_LEGISLATIVE_DATA.get(DIRECTORY_CONFIG.INDEX_KEY, { type: 'json' }) || [];
+  const active = index.filter(entry => entry.active);
+
+  if (active.length === 0) {
+    console.log('No legislators in directory, skipping scorecard generation');
+    return { computed: 0, failed: 0, complete: true };
+  }
+
+  // Resume after the last legislator computed, so roster changes mid-run don't skip anyone
+  const remaining = active
+    .filter(entry => state.cursor === null || entry.id > state.cursor)
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+  const batch = remaining.slice(0, maxLegislators);
+
+  const partyById = new Map(index.map(entry => [entry.id, entry.party]));
+
+  // Roll calls and analysis scores are shared by many legislators, so load each bill once
+  const billVotesCache = new Map();
+  const billScoresCache = new Map();
+  const lookups = {
+    partyById,
+    async getBillVotes(identifier) {
+      if (!billVotesCache.has(identifier)) {
+        billVotesCache.set(identifier, await env.NH_LEGISLATIVE_DATA.get(`bill:${identifier}:votes`, { type: 'json' }) || []);
+      }
+      return billVotesCache.get(identifier);
+    },
+    async getBillScores(identifier) {
+      if (!billScoresCache.has(identifier)) {
+        const bill = await env.NH_LEGISLATIVE_DATA.get(`bill:${identifier}`, { type: 'json' });
+        const analysis = bill?.nh_analysis_key
+          ? await env.NH_LEGISLATIVE_DATA.get(bill.nh_analysis_key, { type: 'json' })
+          : null;
+        billScoresCache.set(identifier, extractAnalysisScores(analysis));
+      }
+      return billScoresCache.get(identifier);
+    }
+  };
+
+  let computed = 0;
+  let failed = 0;
+
+  for (const legislator of batch) {
+    try {
+      const [sponsored, votes, attendance] = await Promise.all([
+        env.NH_LEGISLATIVE_DATA.get(`legislator:${legislator.id}:sponsored`, { type: 'json' }),
+        env.NH_LEGISLATIVE_DATA.get(`legislator:${legislator.id}:votes`, { type: 'json' }),
+        env.NH_LEGISLATIVE_DATA.get(`legislator:${legislator.id}:attendance`, { type: 'json' })
+      ]);
+
+      const scorecard = await computeScorecard(legislator, { sponsored, votes, attendance }, lookups);
+      const serialized = JSON.stringify(scorecard);
+
+      try {
+        await env.NH_LEGISLATIVE_DATA.put(`legislator:${legislator.id}:scorecard:${snapshotDate}`, serialized);
+        await env.NH_LEGISLATIVE_DATA.put(`legislator:${legislator.id}:scorecard`, serialized);
+      } catch (error) {
+        throw new StorageError(`Failed to store scorecard: ${error.message}`, { legislatorId: legislator.id });
+      }
+
+      computed++;
+    } catch (error) {
+      console.error(`Error computing scorecard for ${legislator.id}: ${error.message}`, error);
+      failed++;
+    }
+  }
+
+  state.cursor = batch.length > 0 ? batch[batch.length - 1].id : state.cursor;
+  state.computed += computed;
+  state.failed += failed;
+  const complete = remaining.length <= batch.length;
+
+  if (complete) {
+    state.completed_at = new Date().toISOString();
+    // Publish the methodology alongside the scorecards it describes
+    await env.NH_LEGISLATIVE_METADATA.put(
+      `scorecard_methodology:${SCORECARD_FORMULA_VERSION}`,
+      JSON.stringify(SCORECARD_METHODOLOGY)
+    );
+  }
+
+  try {
+    await env.NH_LEGISLATIVE_METADATA.put(SCORECARD_CONFIG.RUN_STATE_KEY, JSON.stringify(state));
+  } catch (error) {
+    throw new StorageError(`Failed to save scorecard run progress: ${error.message}`, { cursor: state.cursor });
+  }
+
+  console.log(`Generated ${computed} scorecards (formula v${SCORECARD_FORMULA_VERSION}), ${failed} failed${complete ? `, ${snapshotDate} run complete` : ''}`);
+  return { computed, failed, complete };
+}
@@ -0,0 +1,535 @@
+// search-index.js
+// Full-text bill search backed by an inverted index sharded across KV keys
+// Bills are indexed by writing a per-bill document; the shards are rebuilt from pending
+// documents in one batched pass so the shards only ever have a single writer
+
+import { StorageError, ValidationError } from './error-handling.js';
+import { ANALYSIS_TYPES } from './bill-analysis.js';
+import { BILL_INDEX_CONFIG } from './bill-index.js';
+
+/**
+ * Configuration for the search index and search queries
+ */
+export const SEARCH_CONFIG = {
+  SHARD_COUNT: 32,
+  SHARD_KEY_PREFIX: 'search:shard:',
+  DOC_KEY_PREFIX: 'search:doc:',
+  // search:pending:<identifier>:<timestamp> marks a document whose postings are waiting for the rebuild
+  PENDING_KEY_PREFIX: 'search:pending:',
+  META_KEY: 'search:meta',
+  // Bump when stemWord changes; the rebuild re-applies every stored document under the new stems
+  STEMMER_VERSION: 2,
+  BILLS_PER_REBUILD: 500,
+  // Matches in the title count more than matches in the abstract or AI summaries
+  FIELD_WEIGHTS: {
+    title: 3,
+    abstract: 1.5,
+    summary: 1
+  },
+  MIN_TOKEN_LENGTH: 2,
+  MAX_QUERY_TERMS: 10,
+  DEFAULT_PER_PAGE: 20,
+  MAX_PER_PAGE: 50,
+  SNIPPET_WORDS: 30
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'will', 'with',
+  'act', 'relative', 'bill', 'about', 'any', 'such', 'shall', 'may'
+]);
+
+// Longest suffixes first so "regulations" strips "ations" rather than "s"
+const SUFFIX_RULES = [
+  ['ational', 'ate'],
+  ['ations', 'ate'],
+  ['ation', 'ate'],
+  ['ating', 'ate'],
+  ['ated', 'ate'],
+  ['ates', 'ate'],
+  ['ments', ''],
+  ['ment', ''],
+  ['als', ''],
+  ['al', ''],
+  ['ies', 'y'],
+  ['ing', ''],
+  ['ed', ''],
+  ['es', ''],
+  ['s', '']
+];
+
+/**
+ * Reduce a word to a crude stem so "rentals", "rental" and "renting" index together
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+export function stemWord(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  // A trailing "e" is dropped from every stem so "license", "licensed" and "licenses" agree
+  const dropFinalE = stem => (stem.length > 4 && stem.endsWith('e') ? stem.slice(0, -1) : stem);
+
+  for (const [suffix, replacement] of SUFFIX_RULES) {
+    // Keep at least three characters of the root so short words aren't mangled
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      // "es" only marks a plural after sibilants ("taxes", "businesses"); otherwise drop just the "s"
+      if (suffix === 'es' && !/(x|z|ch|sh|ss)es$/.test(word)) continue;
+      if (suffix === 's' && word.endsWith('ss')) return word;
+      // "rental" -> "rent", but "legal" and "total" keep their "al"
+      if (suffix.startsWith('al') && word.length - suffix.length < 4) continue;
+
+      let stem = word.slice(0, -suffix.length) + replacement;
+      // "planning" -> "plan": collapse doubled consonants left by -ing/-ed
+      if ((suffix === 'ing' || suffix === 'ed') && /([^aeiouls])\1$/.test(stem)) {
+        stem = stem.slice(0, -1);
+      }
+      return dropFinalE(stem);
+    }
+  }
+
+  return dropFinalE(word);
+}
+
+/**
+ * Split text into lowercase words, keeping each word's position for snippets
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} - Words as { word, start, end } character offsets
+ */
+function splitWords(text) {
+  const words = [];
+  const pattern = /[a-z0-9]+(?:'[a-z]+)?/gi;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    words.push({ word: match[0].toLowerCase().replace(/'[a-z]+$/, ''), start: match.index, end: match.index + match[0].length });
+  }
+
+  return words;
+}
+
+/**
+ * Tokenize and stem text for indexing or querying
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Stemmed terms (stop words and very short words removed)
+ */
+export function tokenize(text) {
+  return splitWords(text)
+    .map(({ word }) => word)
+    .filter(word => word.length >= SEARCH_CONFIG.MIN_TOKEN_LENGTH && !STOP_WORDS.has(word))
+    .map(stemWord);
+}
+
+/**
+ * Pick the KV shard holding a term
+ * @param {string} term - Stemmed term
+ * @returns {number} - Shard number
+ */
+function shardForTerm(term) {
+  // FNV-1a keeps the distribution even without pulling in a crypto digest per term
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % SEARCH_CONFIG.SHARD_COUNT;
+}
+
+/**
+ * Collect the searchable text fields of a bill
+ * @param {Object} bill - Enhanced bill
+ * @param {Object} analysis - The bill's analysis results (may be null)
+ * @returns {Object} - { title, abstract, summary } text
+ */
+export function extractSearchFields(bill, analysis) {
+  const summaries = ANALYSIS_TYPES
+    .map(type => analysis?.analyses?.[type]?.summary)
+    .filter(summary => typeof summary === 'string' && summary.length > 0);
+
+  return {
+    title: bill.title || '',
+    abstract: (bill.abstracts || []).map(a => a.abstract).filter(Boolean).join(' '),
+    summary: summaries.join(' ')
+  };
+}
+
+/**
+ * Compute weighted term frequencies for a document
+ * @param {Object} fields - Text fields from extractSearchFields
+ * @returns {Object} - Map of term to weighted frequency
+ */
+function weightTerms(fields) {
+  const weights = {};
+
+  for (const [field, text] of Object.entries(fields)) {
+    const fieldWeight = SEARCH_CONFIG.FIELD_WEIGHTS[field] || 1;
+    for (const term of tokenize(text)) {
+      weights[term] = (weights[term] || 0) + fieldWeight;
+    }
+  }
+
+  // Round so shards don't fill up with floating point noise
+  for (const term of Object.keys(weights)) {
+    weights[term] = Math.round(weights[term] * 10) / 10;
+  }
+
+  return weights;
+}
+
+/**
+ * Add or replace a bill in the search index
+ * Stores the bill's searchable document and marks it pending; its postings are updated by the
+ * next rebuildSearchShards pass
+ * @param {Object} bill - Enhanced bill as stored under bill:<identifier>
+ * @param {Object} analysis - The bill's analysis results (may be null)
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<number>} - Number of distinct terms that will be indexed for the bill
+ * @throws {StorageError} If storage operation fails
+ */
+export async function indexBillForSearch(bill, analysis, env) {
+  const fields = extractSearchFields(bill, analysis);
+  const termCount = Object.keys(weightTerms(fields)).length;
+
+  try {
+    // The stored document supplies the postings to the rebuild and snippets at query time
+    await env.NH_LEGISLATIVE_DATA.put(`${SEARCH_CONFIG.DOC_KEY_PREFIX}${bill.identifier}`, JSON.stringify({
+      identifier: bill.identifier,
+      fields,
+      indexed_at: new Date().toISOString()
+    }));
+    // A fresh marker per write, so one written while a rebuild is running isn't deleted by it
+    await env.NH_LEGISLATIVE_DATA.put(`${SEARCH_CONFIG.PENDING_KEY_PREFIX}${bill.identifier}:${Date.now()}`, '1');
+  } catch (error) {
+    throw new StorageError(`Failed to update search index: ${error.message}`, {
+      billId: bill.id
+    });
+  }
+
+  return termCount;
+}
+
+/**
+ * Apply pending bill documents to the search shards
+ * Every shard is loaded once, the pending bills' old postings are removed wherever they are and
+ * their current postings added, and only changed shards are written. Runs from the scheduled job,
+ * which is the shards' only writer. After a stemmer change, pages of stored documents are
+ * re-applied in place of pending markers until every bill carries the new stems
+ * @param {Object} env - Environment variables with KV binding
+ * @param {Object} options - Rebuild options
+ * @param {number} options.maxBills - Pending markers to apply per call
+ * @returns {Promise<Object>} - { indexed, shards_written, complete }
+ * @throws {StorageError} If a shard can't be written
+ */
+export async function rebuildSearchShards(env, options = {}) {
+  const maxBills = options.maxBills || SEARCH_CONFIG.BILLS_PER_REBUILD;
+  const meta = await env.NH_LEGISLATIVE_DATA.get(SEARCH_CONFIG.META_KEY, { type: 'json' });
+  // Postings written by an older stemmer don't match the terms today's queries stem to
+  const restemming = meta !== null && (meta.stemmer_version || 1) < SEARCH_CONFIG.STEMMER_VERSION;
+
+  let markers = [];
+  let identifiers;
+  let stemState = { stemmer_version: SEARCH_CONFIG.STEMMER_VERSION };
+  let complete;
+
+  if (restemming) {
+    const page = await env.NH_LEGISLATIVE_DATA.list({
+      prefix: SEARCH_CONFIG.DOC_KEY_PREFIX,
+      limit: maxBills,
+      cursor: meta.restem_cursor || undefined
+    });
+    identifiers = page.keys.map(k => k.name.slice(SEARCH_CONFIG.DOC_KEY_PREFIX.length));
+    if (!page.list_complete) {
+      stemState = { stemmer_version: meta.stemmer_version || 1, restem_cursor: page.cursor };
+    }
+    // Pending markers are left for the runs after the last page
+    complete = false;
+  } else {
+    const page = await env.NH_LEGISLATIVE_DATA.list({ prefix: SEARCH_CONFIG.PENDING_KEY_PREFIX, limit: maxBills });
+    markers = page.keys.map(k => k.name);
+
+    if (markers.length === 0) {
+      return { indexed: 0, shards_written: 0, complete: true };
+    }
+
+    identifiers = [...new Set(markers.map(name =>
+      name.slice(SEARCH_CONFIG.PENDING_KEY_PREFIX.length, name.lastIndexOf(':'))
+    ))];
+    complete = page.list_complete;
+  }
+
+  // Documents are read after listing the markers, so they're at least as new as the markers applied
+  const docs = await Promise.all(identifiers.map(identifier =>
+    env.NH_LEGISLATIVE_DATA.get(`${SEARCH_CONFIG.DOC_KEY_PREFIX}${identifier}`, { type: 'json' })
+  ));
+  const shardNumbers = Array.from({ length: SEARCH_CONFIG.SHARD_COUNT }, (_, shard) => shard);
+  const shards = await Promise.all(shardNumbers.map(shard =>
+    env.NH_LEGISLATIVE_DATA.get(`${SEARCH_CONFIG.SHARD_KEY_PREFIX}${shard}`, { type: 'json' })
+  ));
+
+  const pending = new Set(identifiers);
+  const changed = new Set();
+
+  // Remove every posting of the pending bills, including terms their documents no longer contain
+  shards.forEach((postings, shard) => {
+    for (const [term, termPostings] of Object.entries(postings || {})) {
+      for (const identifier of Object.keys(termPostings)) {
+        if (!pending.has(identifier)) continue;
+        delete termPostings[identifier];
+        changed.add(shard);
+      }
+      if (Object.keys(termPostings).length === 0) {
+        delete postings[term];
+      }
+    }
+  });
+
+  for (const doc of docs) {
+    if (!doc) continue;
+    for (const [term, weight] of Object.entries(weightTerms(doc.fields))) {
+      const shard = shardForTerm(term);
+      shards[shard] = shards[shard] || {};
+      shards[shard][term] = shards[shard][term] || {};
+      shards[shard][term][doc.identifier] = weight;
+      changed.add(shard);
+    }
+  }
+
+  for (const shard of changed) {
+    try {
+      await env.NH_LEGISLATIVE_DATA.put(`${SEARCH_CONFIG.SHARD_KEY_PREFIX}${shard}`, JSON.stringify(shards[shard]));
+    } catch (error) {
+      throw new StorageError(`Failed to write search shard ${shard}: ${error.message}`, { shard });
+    }
+  }
+
+  // Every shard is in memory, so the document count is exact
+  const indexedBills = new Set();
+  for (const postings of shards) {
+    for (const termPostings of Object.values(postings || {})) {
+      Object.keys(termPostings).forEach(identifier => indexedBills.add(identifier));
+    }
+  }
+  await env.NH_LEGISLATIVE_DATA.put(SEARCH_CONFIG.META_KEY, JSON.stringify({
+    doc_count: indexedBills.size,
+    ...stemState,
+    updated_at: new Date().toISOString()
+  }));
+
+  await Promise.all(markers.map(name => env.NH_LEGISLATIVE_DATA.delete(name)));
+
+  console.log(`Search index rebuilt for ${identifiers.length} bills, ${changed.size} shards written`);
+  return { indexed: identifiers.length, shards_written: changed.size, complete };
+}
+
+/**
+ * Group terms by the shard they live in
+ * @param {Iterable<string>} terms - Stemmed terms
+ * @returns {Map<number, Array<string>>} - Terms keyed by shard number
+ */
+function groupByShard(terms) {
+  const shards = new Map();
+
+  for (const term of terms) {
+    const shard = shardForTerm(term);
+    if (!shards.has(shard)) shards.set(shard, []);
+    shards.get(shard).push(term);
+  }
+
+  return shards;
+}
+
+/**
+ * Parse and validate search query parameters
+ * @param {URLSearchParams} params - Request query parameters
+ * @returns {Object} - Normalized query
+ * @throws {ValidationError} If a parameter is invalid
+ */
+export function parseSearchQuery(params) {
+  const q = (params.get('q') || '').trim();
+  const page = parseInt(params.get('page') || '1', 10);
+  const perPage = parseInt(params.get('per_page') || params.get('perPage') || `${SEARCH_CONFIG.DEFAULT_PER_PAGE}`, 10);
+  const terms = Array.from(new Set(tokenize(q))).slice(0, SEARCH_CONFIG.MAX_QUERY_TERMS);
+
+  const errors = [];
+  if (!q) {
+    errors.push({ field: 'q', message: 'q is required' });
+  } else if (terms.length === 0) {
+    errors.push({ field: 'q', message: 'q must contain at least one searchable word' });
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push({ field: 'page', message: 'page must be a positive integer' });
+  }
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > SEARCH_CONFIG.MAX_PER_PAGE) {
+    errors.push({ field: 'per_page', message: `per_page must be between 1 and ${SEARCH_CONFIG.MAX_PER_PAGE}` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid search query', errors);
+  }
+
+  return {
+    q,
+    terms,
+    page,
+    perPage,
+    category: params.get('category')?.toLowerCase() || null,
+    session: params.get('session') || null
+  };
+}
+
+/**
+ * Escape text for inclusion in an HTML snippet
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a highlighted snippet around the densest cluster of query matches
+ * Matching words are wrapped in <mark>; everything else is HTML-escaped
+ * @param {Object} fields - Stored text fields of the document
+ * @param {Array<string>} terms - Stemmed query terms
+ * @returns {Object|null} - { field, text } or null if no field contains a match
+ */
+export function buildSnippet(fields, terms) {
+  const termSet = new Set(terms);
+  let best = null;
+
+  // Prefer the abstract and summaries for context; the title is already shown in full
+  for (const field of ['abstract', 'summary', 'title']) {
+    const text = fields[field] || '';
+    const words = splitWords(text);
+    const hits = words.map((w, i) => (termSet.has(stemWord(w.word)) ? i : -1)).filter(i => i >= 0);
+    if (hits.length === 0) continue;
+
+    // Slide a window over the hits and keep the one covering the most distinct terms
+    let bestWindow = null;
+    for (const first of hits) {
+      const covered = new Set(
+        hits.filter(i => i >= first && i < first + SEARCH_CONFIG.SNIPPET_WORDS).map(i => stemWord(words[i].word))
+      );
+      if (!bestWindow || covered.size > bestWindow.covered) {
+        bestWindow = { first, covered: covered.size };
+      }
+    }
+
+    if (!best || bestWindow.covered > best.covered) {
+      best = { field, text, words, hits, ...bestWindow };
+    }
+  }
+
+  if (!best) return null;
+
+  const { text, words, hits } = best;
+  // Start a few words before the first hit so the match isn't the first word of the snippet
+  const startWord = Math.max(0, best.first - 5);
+  const endWord = Math.min(words.length, startWord + SEARCH_CONFIG.SNIPPET_WORDS) - 1;
+  const hitSet = new Set(hits);
+
+  let snippet = '';
+  // Keep punctuation before the first word and after the last when the snippet reaches the ends
+  let cursor = startWord === 0 ? 0 : words[startWord].start;
+  for (let i = startWord; i <= endWord; i++) {
+    snippet += escapeHtml(text.slice(cursor, words[i].start));
+    const word = escapeHtml(text.slice(words[i].start, words[i].end));
+    snippet += hitSet.has(i) ? `<mark>${word}</mark>` : word;
+    cursor = words[i].end;
+  }
+  if (endWord === words.length - 1) {
+    snippet += escapeHtml(text.slice(cursor));
+  }
+
+  const prefix = startWord > 0 ? '…' : '';
+  const suffix = endWord < words.length - 1 ? '…' : '';
+
+  return { field: best.field, text: `${prefix}${snippet}${suffix}` };
+}
+
+/**
+ * Search bills using the inverted index
+ * Results are ranked by TF-IDF over the weighted fields, with a boost for matching every query term
+ * @param {Object} query - Query from parseSearchQuery
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<Object>} - { query, results, pagination }
+ */
+export async function searchBills(query, env) {
+  const shardTerms = groupByShard(query.terms);
+  const [meta, summaries, ...shards] = await Promise.all([
+    env.NH_LEGISLATIVE_DATA.get(SEARCH_CONFIG.META_KEY, { type: 'json' }),
+    env.NH_LEGISLATIVE_DATA.get(BILL_INDEX_CONFIG.INDEX_KEY, { type: 'json' }),
+    ...Array.from(shardTerms.keys()).map(shard =>
+      env.NH_LEGISLATIVE_DATA.get(`${SEARCH_CONFIG.SHARD_KEY_PREFIX}${shard}`, { type: 'json' })
+    )
+  ]);
+
+  const docCount = Math.max(meta?.doc_count || 0, 1);
+  const postingsByTerm = {};
+  Array.from(shardTerms.values()).forEach((terms, i) => {
+    for (const term of terms) {
+      postingsByTerm[term] = shards[i]?.[term] || {};
+    }
+  });
+
+  const scores = new Map();
+  for (const term of query.terms) {
+    const postings = postingsByTerm[term];
+    const matches = Object.keys(postings).length;
+    if (matches === 0) continue;
+
+    const idf = Math.log(1 + docCount / matches);
+    for (const [identifier, weight] of Object.entries(postings)) {
+      const entry = scores.get(identifier) || { score: 0, matched: [] };
+      entry.score += (1 + Math.log(weight)) * idf;
+      entry.matched.push(term);
+      scores.set(identifier, entry);
+    }
+  }
+
+  // Filters use the bill summary index, which already carries category and session
+  const summaryById = new Map((summaries || []).map(s => [s.identifier, s]));
+  const ranked = [];
+  for (const [identifier, entry] of scores) {
+    const summary = summaryById.get(identifier);
+    if (query.category && (!summary || (summary.category !== query.category && !summary.categories.includes(query.category)))) continue;
+    if (query.session && summary?.session !== query.session) continue;
+
+    const coverage = entry.matched.length / query.terms.length;
+    ranked.push({ identifier, summary, matched: entry.matched, score: entry.score * (0.5 + coverage / 2) });
+  }
+
+  ranked.sort((a, b) => b.score - a.score || a.identifier.localeCompare(b.identifier, undefined, { numeric: true }));
+
+  const start = (query.page - 1) * query.perPage;
+  const page = ranked.slice(start, start + query.perPage);
+
+  // Only the returned page needs its stored text for snippets
+  const docs = await Promise.all(page.map(result =>
+    env.NH_LEGISLATIVE_DATA.get(`${SEARCH_CONFIG.DOC_KEY_PREFIX}${result.identifier}`, { type: 'json' })
+  ));
+
+  return {
+    query: { q: query.q, terms: query.terms, category: query.category, session: query.session },
+    results: page.map((result, i) => ({
+      identifier: result.identifier,
+      title: result.summary?.title || docs[i]?.fields.title || null,
+      session: result.summary?.session || null,
+      category: result.summary?.category || null,
+      status: result.summary?.status || null,
+      latest_action_date: result.summary?.latest_action_date || null,
+      score: Math.round(result.score * 1000) / 1000,
+      matched_terms: result.matched,
+      snippet: docs[i] ? buildSnippet(docs[i].fields, result.matched) : null
+    })),
+    pagination: {
+      page: query.page,
+      per_page: query.perPage,
+      total_items: ranked.length,
+      total_pages: Math.ceil(ranked.length / query.perPage)
+    }
+  };
+}
@@ -0,0 +1,144 @@
+// sponsor-tracking.js
+// Sponsor extraction and per-legislator sponsorship records for accountability tracking
+
+import { StorageError } from './error-handling.js';
+import { ANALYSIS_TYPES } from './bill-analysis.js';
+
+/**
+ * Map an OpenStates organization classification to an NH chamber name
+ * @param {string} classification - OpenStates classification ('lower', 'upper', ...)
+ * @returns {string|null} - 'house', 'senate' or null if unknown
+ */
+export function normalizeChamber(classification) {
+  if (!classification) return null;
+
+  switch (classification.toLowerCase()) {
+    case 'lower':
+    case 'house':
+      return 'house';
+    case 'upper':
+    case 'senate':
+      return 'senate';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Extract sponsor details from an OpenStates bill's sponsorships
+ * @param {Object} bill - Bill data requested with include=sponsorships
+ * @returns {Array<Object>} - Normalized sponsors, primary sponsors first
+ */
+export function extractSponsors(bill) {
+  const sponsorships = bill.sponsorships || [];
+
+  const sponsors = sponsorships.map(sponsorship => {
+    const person = sponsorship.person || null;
+    const role = person?.current_role || {};
+
+    return {
+      name: person?.name || sponsorship.name,
+      person_id: person?.id || null,
+      entity_type: sponsorship.entity_type || (person ? 'person' : 'organization'),
+      primary: Boolean(sponsorship.primary),
+      classification: sponsorship.classification || (sponsorship.primary ? 'primary' : 'cosponsor'),
+      party: person?.party || null,
+      district: role.district || null,
+      chamber: normalizeChamber(role.org_classification)
+    };
+  });
+
+  // Keep primary sponsors at the top so consumers can take the first entry as "the" sponsor
+  return sponsors.sort((a, b) => Number(b.primary) - Number(a.primary));
+}
+
+/**
+ * Check whether a bill has been enacted based on its action classifications
+ * @param {Object} bill - Bill data requested with include=actions
+ * @returns {boolean} - Whether the bill became law
+ */
+export function isBillEnacted(bill) {
+  return (bill.actions || []).some(action =>
+    (action.classification || []).some(c => c === 'became-law' || c === 'executive-signature')
+  );
+}
+
+/**
+ * Pull the numeric score for each analysis dimension out of a stored analysis
+ * @param {Object} analysis - Analysis results
+ * @returns {Object} - Map of analysis type to score (or null)
+ */
+export function extractAnalysisScores(analysis) {
+  const scores = {};
+
+  for (const type of ANALYSIS_TYPES) {
+    const score = analysis?.analyses?.[type]?.score;
+    scores[type] = typeof score === 'number' ? score : null;
+  }
+
+  return scores;
+}
+
+/**
+ * Record a bill against the sponsored-bills list of each of its sponsors
+ * @param {Object} bill - The enhanced bill (with nh_category/nh_categories)
+ * @param {Array<Object>} sponsors - Sponsors from extractSponsors
+ * @param {Object} analysis - The bill's analysis results (may be null)
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<number>} - Number of legislator records updated
+ */
+export async function updateSponsoredBillRecords(bill, sponsors, analysis, env) {
+  const scores = extractAnalysisScores(analysis);
+  let updated = 0;
+
+  for (const sponsor of sponsors) {
+    // Committee and other organizational sponsors have no legislator record
+    if (!sponsor.person_id) continue;
+
+    const recordKey = `legislator:${sponsor.person_id}:sponsored`;
+
+    try {
+      const record = await env.NH_LEGISLATIVE_DATA.get(recordKey, { type: 'json' }) || {
+        legislator_id: sponsor.person_id,
+        name: sponsor.name,
+        bills: []
+      };
+
+      const entry = {
+        bill_id: bill.id,
+        identifier: bill.identifier,
+        title: bill.title,
+        session: bill.session || null,
+        primary: sponsor.primary,
+        classification: sponsor.classification,
+        category: bill.nh_category || null,
+        categories: (bill.nh_categories || []).map(c => c.category),
+        enacted: isBillEnacted(bill),
+        scores,
+        updated_at: bill.updated_at || new Date().toISOString()
+      };
+
+      // Replace any existing entry for this bill so re-runs don't duplicate it
+      record.bills = record.bills.filter(b => b.identifier !== bill.identifier);
+      record.bills.push(entry);
+      record.name = sponsor.name;
+      record.party = sponsor.party || record.party || null;
+      record.district = sponsor.district || record.district || null;
+      record.chamber = sponsor.chamber || record.chamber || null;
+      record.primary_count = record.bills.filter(b => b.primary).length;
+      record.cosponsor_count = record.bills.length - record.primary_count;
+      record.last_updated = new Date().toISOString();
+
+      await env.NH_LEGISLATIVE_DATA.put(recordKey, JSON.stringify(record));
+      updated++;
+    } catch (error) {
+      throw new StorageError(`Failed to update sponsored bills for ${sponsor.person_id}: ${error.message}`, {
+        legislatorId: sponsor.person_id,
+        billId: bill.id
+      });
+    }
+  }
+
+  console.log(`Updated sponsorship records for ${updated} legislators on bill ${bill.identifier}`);
+  return updated;
+}
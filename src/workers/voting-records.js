@@ -0,0 +1,180 @@
+// voting-records.js
+// Roll-call vote normalization and per-bill / per-legislator voting record storage
+
+import { StorageError } from './error-handling.js';
+import { normalizeChamber } from './sponsor-tracking.js';
+
+/**
+ * Normalized vote options recorded for each legislator
+ */
+export const VOTE_OPTIONS = ['yes', 'no', 'absent', 'excused', 'not_voting', 'other'];
+
+/**
+ * Map an OpenStates vote option to one of VOTE_OPTIONS
+ * @param {string} option - Raw option (e.g. 'yes', 'not voting', 'abstain')
+ * @returns {string} - Normalized option
+ */
+export function normalizeVoteOption(option) {
+  switch ((option || '').toLowerCase().trim()) {
+    case 'yes':
+    case 'yea':
+    case 'aye':
+      return 'yes';
+    case 'no':
+    case 'nay':
+      return 'no';
+    case 'absent':
+      return 'absent';
+    case 'excused':
+      return 'excused';
+    case 'not voting':
+    case 'abstain':
+    case 'present':
+      return 'not_voting';
+    default:
+      return 'other';
+  }
+}
+
+/**
+ * Normalize the roll-call vote events on a bill
+ * @param {Object} bill - Bill data requested with include=votes
+ * @returns {Array<Object>} - Normalized vote records, oldest first
+ */
+export function extractVotes(bill) {
+  const voteEvents = bill.votes || [];
+
+  const records = voteEvents.map(event => {
+    const counts = Object.fromEntries(VOTE_OPTIONS.map(option => [option, 0]));
+
+    const votes = (event.votes || []).map(vote => {
+      const option = normalizeVoteOption(vote.option);
+      counts[option]++;
+
+      return {
+        legislator_id: vote.voter?.id || null,
+        name: vote.voter?.name || vote.voter_name,
+        party: vote.voter?.party || null,
+        option
+      };
+    });
+
+    // Voice votes and summary-only events carry counts but no individual votes
+    if (votes.length === 0) {
+      for (const count of event.counts || []) {
+        counts[normalizeVoteOption(count.option)] += count.value || 0;
+      }
+    }
+
+    return {
+      vote_id: event.id,
+      bill_id: bill.id,
+      bill_identifier: bill.identifier,
+      motion: event.motion_text || null,
+      motion_classification: event.motion_classification || [],
+      date: event.start_date || null,
+      chamber: normalizeChamber(event.organization?.classification),
+      // Committee roll calls are identified by the voting organization
+      organization_id: event.organization?.id || null,
+      organization_name: event.organization?.name || null,
+      result: event.result || null,
+      counts,
+      votes
+    };
+  });
+
+  return records.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Store a bill's vote records and index each legislator's votes
+ * @param {Object} bill - Bill data
+ * @param {Array<Object>} voteRecords - Records from extractVotes
+ * @param {Object} env - Environment variables with KV binding
+ * @returns {Promise<number>} - Number of legislator records updated
+ * @throws {StorageError} If storage operation fails
+ */
+export async function storeVotingRecords(bill, voteRecords, env) {
+  if (voteRecords.length === 0) {
+    return 0;
+  }
+
+  const billVotesKey = `bill:${bill.identifier}:votes`;
+
+  try {
+    await env.NH_LEGISLATIVE_DATA.put(billVotesKey, JSON.stringify(voteRecords));
+    console.log(`Stored ${voteRecords.length} vote records with key: ${billVotesKey}`);
+  } catch (error) {
+    throw new StorageError(`Failed to store vote records: ${error.message}`, {
+      billVotesKey,
+      billId: bill.id
+    });
+  }
+
+  // Group individual votes by legislator so each record is read and written once
+  const votesByLegislator = new Map();
+
+  for (const record of voteRecords) {
+    for (const vote of record.votes) {
+      if (!vote.legislator_id) continue;
+
+      if (!votesByLegislator.has(vote.legislator_id)) {
+        votesByLegislator.set(vote.legislator_id, { name: vote.name, party: vote.party, votes: [] });
+      }
+
+      votesByLegislator.get(vote.legislator_id).votes.push({
+        vote_id: record.vote_id,
+        bill_id: record.bill_id,
+        bill_identifier: record.bill_identifier,
+        motion: record.motion,
+        motion_classification: record.motion_classification,
+        date: record.date,
+        chamber: record.chamber,
+        result: record.result,
+        option: vote.option
+      });
+    }
+  }
+
+  let updated = 0;
+
+  for (const [legislatorId, { name, party, votes }] of votesByLegislator) {
+    const recordKey = `legislator:${legislatorId}:votes`;
+
+    try {
+      const record = await env.NH_LEGISLATIVE_DATA.get(recordKey, { type: 'json' }) || {
+        legislator_id: legislatorId,
+        name,
+        votes: []
+      };
+
+      // Bills are re-collected on every run; skip legislators whose copies of these roll calls haven't changed
+      const stored = new Map(record.votes.map(v => [v.vote_id, JSON.stringify(v)]));
+      const unchanged = votes.every(v => stored.get(v.vote_id) === JSON.stringify(v));
+      if (unchanged && record.name === name && record.party === (party || record.party || null)) {
+        continue;
+      }
+
+      // Replace earlier copies of the same roll calls so corrected votes overwrite old ones
+      const voteIds = new Set(votes.map(v => v.vote_id));
+      record.votes = record.votes
+        .filter(v => !voteIds.has(v.vote_id))
+        .concat(votes)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+      record.name = name;
+      record.party = party || record.party || null;
+      record.last_updated = new Date().toISOString();
+
+      await env.NH_LEGISLATIVE_DATA.put(recordKey, JSON.stringify(record));
+      updated++;
+    } catch (error) {
+      throw new StorageError(`Failed to update voting record for ${legislatorId}: ${error.message}`, {
+        legislatorId,
+        billId: bill.id
+      });
+    }
+  }
+
+  console.log(`Updated voting records for ${updated} of ${votesByLegislator.size} legislators on bill ${bill.identifier}`);
+  return updated;
+}